@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+// --- Command Line Analysis ---
+//
+// Runs the dashboard's analytics on a statement file without the browser:
+//   node bin/mf-analyze.js statement.xlsx --format markdown > report.md
+// CSV/TSV and spreadsheets (.xlsx, .xls, .xlsb, .ods) are supported; CAS PDFs
+// need the browser's pdf.js worker and are left to the app. With --nav, the
+// holdings are revalued from AMFI's NAVAll.txt first, all offline.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseCSV, decodeBytes } from '../src/lib/csv.js';
+import { readWorkbook, describeSheets, SPREADSHEET_EXTENSIONS } from '../src/lib/spreadsheet.js';
+import { importRows } from '../src/lib/importFile.js';
+import { stripImportMeta } from '../src/lib/validation.js';
+import { analyzePortfolio, DEFAULT_ANALYSIS_OPTIONS } from '../src/lib/analytics.js';
+import { parseNavAll, navFileQuotes } from '../src/lib/amfiNav.js';
+import { revalueHoldings } from '../src/lib/valuation.js';
+import { analysisToJSON, analysisToMarkdown } from '../src/lib/analysisReport.js';
+
+const USAGE = `Usage: mf-analyze <statement> [options]
+
+Options:
+  -f, --format <json|markdown>  Output format (default: json)
+  -s, --sheet <name>            Worksheet to read (default: the first one with holdings)
+  -c, --clutter <amount>        Small-holding threshold in rupees (default: ${DEFAULT_ANALYSIS_OPTIONS.clutterThreshold})
+      --cleanup                 Analyse as if holdings below the threshold were sold
+      --nav <file>              Revalue holdings at the NAVs in AMFI's NAVAll.txt
+      --fill-details            With --nav, fill missing category, sub-category and AMC
+  -o, --out <file>              Write to a file instead of stdout
+  -h, --help                    Show this help`;
+
+const fail = (message) => {
+  console.error(`mf-analyze: ${message}`);
+  process.exit(1);
+};
+
+const extensionOf = (name) => (name.toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || '';
+
+// The first sheet that reads as holdings or a ledger, unless one is named
+const importWorkbook = async (buffer, sheetName) => {
+  const workbook = await readWorkbook(buffer);
+  if (sheetName) {
+    if (!workbook.sheetNames.includes(sheetName)) fail(`no sheet named "${sheetName}" (have: ${workbook.sheetNames.join(', ')})`);
+    return importRows(workbook.rows(sheetName));
+  }
+  for (const { name, rowCount } of describeSheets(workbook)) {
+    if (!rowCount) continue;
+    const result = importRows(workbook.rows(name));
+    if (result.holdings.length) return result;
+  }
+  return { holdings: [], transactions: null, format: null };
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'json' },
+        sheet: { type: 'string', short: 's' },
+        clutter: { type: 'string', short: 'c' },
+        cleanup: { type: 'boolean', default: false },
+        nav: { type: 'string' },
+        'fill-details': { type: 'boolean', default: false },
+        out: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    fail(`${err.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) fail(`expected one statement file\n\n${USAGE}`);
+  if (!['json', 'markdown', 'md'].includes(values.format)) fail(`unknown format "${values.format}"`);
+  if (values['fill-details'] && !values.nav) fail('--fill-details needs --nav');
+
+  const clutterThreshold = values.clutter === undefined ? DEFAULT_ANALYSIS_OPTIONS.clutterThreshold : Number(values.clutter);
+  if (!Number.isFinite(clutterThreshold) || clutterThreshold < 0) fail(`invalid clutter threshold "${values.clutter}"`);
+
+  const [path] = positionals;
+  const ext = extensionOf(path);
+  if (ext === 'pdf') fail('CAS PDFs can only be imported in the app');
+
+  let buffer;
+  try {
+    buffer = await readFile(path);
+  } catch (err) {
+    fail(`cannot read ${path}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+  }
+
+  const result = SPREADSHEET_EXTENSIONS.includes(ext)
+    ? await importWorkbook(buffer, values.sheet)
+    : importRows(parseCSV(decodeBytes(new Uint8Array(buffer))));
+  if (!result.holdings.length) fail(`no holdings recognised in ${path}; map its columns in the app first`);
+
+  let holdings = result.holdings.map(stripImportMeta);
+  let valuedAt = '';
+  if (values.nav) {
+    let text;
+    try {
+      text = await readFile(values.nav, 'utf8');
+    } catch (err) {
+      fail(`cannot read ${values.nav}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+    }
+    const navFile = parseNavAll(text);
+    if (!navFile.schemes.length) fail(`${values.nav} does not look like AMFI's NAVAll.txt`);
+    const { quotes, failed } = navFileQuotes(holdings, navFile);
+    holdings = revalueHoldings(holdings, quotes, { fillDetails: values['fill-details'] });
+    failed.forEach(f => console.error(`mf-analyze: ${f.name}: ${f.reason}, statement value kept`));
+    valuedAt = `, NAVs of ${navFile.date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' })}`;
+  }
+
+  const analysis = analyzePortfolio(holdings, {
+    transactions: result.transactions,
+    clutterThreshold,
+    simulateCleanup: values.cleanup
+  });
+
+  const source = basename(path);
+  const output = values.format === 'json'
+    ? JSON.stringify(analysisToJSON(analysis, { source: `${source}${valuedAt}`, format: result.format }), null, 2)
+    : analysisToMarkdown(analysis, { source: `${source} (${result.format}${valuedAt})` });
+
+  if (values.out) await writeFile(values.out, `${output}\n`);
+  else process.stdout.write(`${output}\n`);
+};
+
+main().catch(err => fail(err.message));
@@ -7,180 +7,133 @@ import {
   Wand2, Trash2, ArrowRightLeft, Target, Layers, Wallet,
   Trophy, AlertCircle, Info, ExternalLink, Calendar,
   LineChart as LineChartIcon, ArrowUpDown, ArrowDown as ArrowDownIcon, ArrowUp as ArrowUpIcon,
-  Menu, MoreHorizontal, Sliders
+  Menu, MoreHorizontal, Sliders, FileText, Plus, Sun, Moon, Monitor, KeyRound, Users, GitCompare
 } from 'lucide-react';
 import { 
   PieChart as RechartsPie, Pie, Cell, ResponsiveContainer, 
   Tooltip as RechartsTooltip, Legend, BarChart, Bar, XAxis, YAxis, 
-  CartesianGrid, ComposedChart, Line, LineChart, Area, AreaChart
+  CartesianGrid, ComposedChart, Line, LineChart
 } from 'recharts';
+import { Card, Badge, Button } from './components/ui.jsx';
+import { formatCurrency, formatNumber, downloadCSV, downloadFile } from './lib/format.js';
+import { saveColumnMapping } from './lib/columnMapping.js';
+import { ADAPTERS } from './lib/adapters/index.js';
+import { importFile, importPdfBuffer, importMappedRows, importSheet, ImportError } from './lib/importFile.js';
+import { mergeSources, sourcesAsOf, uniqueLabel } from './lib/merge.js';
+import { validateImport, hasIssues, stripImportMeta } from './lib/validation.js';
+import ColumnMappingWizard from './components/ColumnMappingWizard.jsx';
+import ImportReview from './components/ImportReview.jsx';
+import PdfPasswordPrompt from './components/PdfPasswordPrompt.jsx';
+import SheetPicker from './components/SheetPicker.jsx';
+import SourcesBar from './components/SourcesBar.jsx';
+import PortfolioSwitcher from './components/PortfolioSwitcher.jsx';
+import HouseholdBreakdown from './components/HouseholdBreakdown.jsx';
+import FundConsistency from './components/FundConsistency.jsx';
+import NavChart from './components/NavChart.jsx';
+import SchemeMatchPicker from './components/SchemeMatchPicker.jsx';
+import ValuationBar from './components/ValuationBar.jsx';
+import FundCompare from './components/FundCompare.jsx';
+import SnapshotHistory from './components/SnapshotHistory.jsx';
+import PortfolioHistory from './components/PortfolioHistory.jsx';
+import GoalPlanner from './components/GoalPlanner.jsx';
+import SnapshotDiff from './components/SnapshotDiff.jsx';
+import BackupDialog from './components/BackupDialog.jsx';
+import { createBackup, restoreBackup, backupFileName, BACKUP_EXTENSION } from './lib/backup.js';
+import { buildSnapshot, sortSnapshots, combineSnapshots } from './lib/snapshots.js';
+import { HOUSEHOLD_ID, createPortfolio, mergeHousehold, memberBreakdown } from './lib/household.js';
+import { analyzePortfolio, totalsOf } from './lib/analytics.js';
+import { parseNavHistory, riskStats, BENCHMARK_SCHEME } from './lib/riskStats.js';
+import { fiftyTwoWeekRange, trailingReturn } from './lib/navReturns.js';
+import {
+  DEFAULT_SETTINGS, loadWorkspace, defaultPortfolio, savePortfolio, removePortfolio, saveSettings, forgetEverything,
+  saveSnapshot, deleteSnapshot, deletePortfolioSnapshots, saveValuations, clearValuations
+} from './lib/workspace.js';
+import { resolveScheme, saveSchemeMatch, needsReview, getNavHistory, getMarketDataProvider, MarketDataError, fetchLatestQuotes, quotesFromNavFile } from './lib/marketData/index.js';
+import { revalueHoldings, valuationSummary } from './lib/valuation.js';
+import { parseNavAll } from './lib/amfiNav.js';
+import { normalizePlan } from './lib/goalPlanner.js';
+import { normalizeAssumptions } from './lib/monteCarlo.js';
 
-// --- UI Components ---
-
-const Card = ({ children, className = "", noPadding = false }) => (
-  <div className={`bg-white dark:bg-slate-900 rounded-3xl shadow-sm border border-slate-200 dark:border-slate-800 overflow-hidden transition-all duration-200 hover:shadow-md ${className}`}>
-    <div className={noPadding ? "" : "p-5 md:p-6"}>
-      {children}
-    </div>
-  </div>
-);
-
-const Badge = ({ children, type = "neutral", className = "" }) => {
-  const styles = {
-    success: "bg-emerald-50 text-emerald-700 border border-emerald-100",
-    danger: "bg-rose-50 text-rose-700 border border-rose-100",
-    warning: "bg-amber-50 text-amber-700 border border-amber-100",
-    neutral: "bg-slate-50 text-slate-600 border border-slate-100",
-    blue: "bg-indigo-50 text-indigo-700 border border-indigo-100",
-    purple: "bg-violet-50 text-violet-700 border border-violet-100"
-  };
-  return (
-    <span className={`px-2.5 py-1 rounded-full text-xs font-semibold tracking-wide ${styles[type] || styles.neutral} ${className}`}>
-      {children}
-    </span>
-  );
-};
-
-const Button = ({ children, onClick, variant = "primary", className = "", icon: Icon }) => {
-  const baseStyle = "flex items-center justify-center gap-2 px-5 py-2.5 rounded-2xl font-semibold transition-all duration-200 active:scale-95 text-sm";
-  const variants = {
-    primary: "bg-indigo-600 hover:bg-indigo-700 text-white shadow-lg shadow-indigo-200 dark:shadow-none",
-    secondary: "bg-white hover:bg-slate-50 text-slate-700 border border-slate-200 shadow-sm",
-    danger: "bg-rose-50 hover:bg-rose-100 text-rose-700",
-    ghost: "text-slate-500 hover:bg-slate-100 hover:text-slate-700",
-    outline: "border-2 border-indigo-100 text-indigo-600 hover:bg-indigo-50"
-  };
+// --- New Component: Fund Details Modal ---
 
-  return (
-    <button onClick={onClick} className={`${baseStyle} ${variants[variant]} ${className}`}>
-      {Icon && <Icon className="w-4 h-4" />}
-      {children}
-    </button>
-  );
-};
+const formatDay = (date) => date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
 
-// --- Utilities ---
+const formatRatio = (val) => (val === null || val === undefined ? 'N/A' : val.toFixed(2));
 
-const formatCurrency = (val) => {
-  if (val === undefined || val === null || isNaN(val)) return "₹0";
-  return new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: 'INR',
-    maximumFractionDigits: 0
-  }).format(val);
-};
+const formatNavDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short' });
 
-const formatNumber = (val, decimals = 2) => {
-  if (val === undefined || val === null || isNaN(val)) return "0";
-  return new Intl.NumberFormat('en-IN', { maximumFractionDigits: decimals }).format(val);
-};
+const formatMove = (val) => `${val >= 0 ? '+' : ''}${val.toFixed(1)}%`;
 
-const downloadCSV = (data, filename) => {
-  if (!data || !data.length) return;
-  try {
-      const headers = Object.keys(data[0]);
-      const csvContent = [
-        headers.join(','),
-        ...data.map(row => headers.map(fieldName => {
-            let val = row[fieldName];
-            if (typeof val === 'string') val = `"${val.replace(/"/g, '""')}"`;
-            return val;
-        }).join(','))
-      ].join('\n');
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.setAttribute('download', filename);
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-  } catch (e) {
-      console.error("Download failed", e);
-  }
-};
-
-// --- New Component: Fund Details Modal ---
-
-const FundDetailsModal = ({ schemeName, onClose }) => {
+const FundDetailsModal = ({ schemeName, isin, avgBuyNAV, onClose, riskFreeRate, onRiskFreeRateChange }) => {
   const [loading, setLoading] = useState(true);
   const [details, setDetails] = useState(null);
-  const [history, setHistory] = useState([]);
-  const [perfStats, setPerfStats] = useState({});
+  const [stale, setStale] = useState(false);
+  const [match, setMatch] = useState(null);
+  const [pickingMatch, setPickingMatch] = useState(false);
+  const [matchVersion, setMatchVersion] = useState(0);
+  const [navSeries, setNavSeries] = useState([]);
+  const [benchmarkSeries, setBenchmarkSeries] = useState(null);
   const [error, setError] = useState(null);
+  const [rfDraft, setRfDraft] = useState(String(riskFreeRate));
+
+  const latest = navSeries[navSeries.length - 1];
+  const range52 = useMemo(() => fiftyTwoWeekRange(navSeries), [navSeries]);
+  const trailing = useMemo(
+    () => ({ 1: trailingReturn(navSeries, 1), 3: trailingReturn(navSeries, 3), 5: trailingReturn(navSeries, 5) }),
+    [navSeries]
+  );
+
+  const risk = useMemo(
+    () => riskStats(navSeries, { riskFreeRate, benchmark: benchmarkSeries }),
+    [navSeries, riskFreeRate, benchmarkSeries]
+  );
+
+  const handleRiskFreeChange = (e) => {
+    setRfDraft(e.target.value);
+    const rate = parseFloat(e.target.value);
+    if (!isNaN(rate) && rate >= 0 && rate < 50) onRiskFreeRateChange(rate);
+  };
 
   useEffect(() => {
     const fetchData = async () => {
       setLoading(true);
       setError(null);
       try {
-        const searchRes = await fetch(`https://api.mfapi.in/mf/search?q=${encodeURIComponent(schemeName)}`);
-        const searchData = await searchRes.json();
+        const found = await resolveScheme({ name: schemeName, isin });
+        setMatch(found);
 
-        if (searchData && searchData.length > 0) {
-          const code = searchData[0].schemeCode;
-          const detailRes = await fetch(`https://api.mfapi.in/mf/${code}`);
-          const detailData = await detailRes.json();
+        if (found) {
+          const detailData = await getNavHistory(found.code);
           
-          if(detailData.status === "SUCCESS") {
-              setDetails(detailData.meta);
-              const rawData = detailData.data; 
-              
-              const parseDate = (str) => {
-                  const [d, m, y] = str.split('-');
-                  return new Date(`${y}-${m}-${d}`);
-              };
-
-              const currentNav = parseFloat(rawData[0].nav);
-              
-              const findNavAgo = (days) => {
-                  const today = parseDate(rawData[0].date);
-                  const targetDate = new Date(today);
-                  targetDate.setDate(today.getDate() - days);
-                  const entry = rawData.find(d => parseDate(d.date) <= targetDate);
-                  return entry ? parseFloat(entry.nav) : null;
-              };
-
-              const nav1Y = findNavAgo(365);
-              const nav3Y = findNavAgo(365 * 3);
-              const nav5Y = findNavAgo(365 * 5);
-
-              const oneYearNavs = rawData.slice(0, 260).map(d => parseFloat(d.nav));
-              const high52 = Math.max(...oneYearNavs);
-              const low52 = Math.min(...oneYearNavs);
-
-              const calcCAGR = (start, end, years) => {
-                  if(!start) return null;
-                  return ((Math.pow(end/start, 1/years) - 1) * 100).toFixed(2);
-              }
-
-              setPerfStats({
-                  ret1Y: nav1Y ? ((currentNav - nav1Y)/nav1Y * 100).toFixed(2) : null,
-                  cagr3Y: calcCAGR(nav3Y, currentNav, 3),
-                  cagr5Y: calcCAGR(nav5Y, currentNav, 5),
-                  high52,
-                  low52
-              });
-
-              const chartData = rawData.slice(0, 260).map(d => ({
-                  date: d.date,
-                  nav: parseFloat(d.nav)
-              })).reverse(); 
-              setHistory(chartData);
-
-          } else {
-              setError("Details not available from provider");
-          }
+          setDetails(detailData.meta);
+          setStale(Boolean(detailData.stale));
+          setNavSeries(parseNavHistory(detailData.data));
+
+          // The market proxy is only needed for downside capture; the rest works without it
+          getNavHistory(BENCHMARK_SCHEME.code)
+            .then(bench => setBenchmarkSeries(parseNavHistory(bench.data)))
+            .catch(() => setBenchmarkSeries(null));
         } else {
-          setError("Fund not found in MFAPI database");
+          setError(`Fund not found on ${getMarketDataProvider().name}`);
         }
       } catch (err) {
-        setError("Unable to connect to market data service");
+        setError(err instanceof MarketDataError ? err.message : "Unable to connect to market data service");
       }
       setLoading(false);
     };
 
     if (schemeName) fetchData();
-  }, [schemeName]);
+  }, [schemeName, isin, matchVersion]);
+
+  const holding = useMemo(() => ({ name: schemeName, isin }), [schemeName, isin]);
+
+  const chooseMatch = (candidate) => {
+    saveSchemeMatch(schemeName, candidate, 'user');
+    setPickingMatch(false);
+    setMatchVersion(v => v + 1);
+  };
+
+  const confirmMatch = () => setMatch(saveSchemeMatch(schemeName, match, 'user'));
 
   return (
     <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-end md:items-center justify-center p-0 md:p-4 animate-in fade-in duration-200">
@@ -197,8 +150,17 @@ const FundDetailsModal = ({ schemeName, onClose }) => {
             <h2 className="text-xl font-bold text-slate-900 dark:text-white leading-tight pr-8">{schemeName}</h2>
             <div className="flex items-center gap-2 mt-2">
                 <Badge type="blue">{details?.scheme_category || 'Mutual Fund'}</Badge>
-                <span className="text-xs text-slate-400 border-l border-slate-300 pl-2 ml-1">Data by mfapi.in</span>
+                <span className="text-xs text-slate-400 border-l border-slate-300 pl-2 ml-1">Data by {getMarketDataProvider().name}</span>
+                {stale && <Badge type="warning">Offline copy</Badge>}
             </div>
+            {match && (
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-slate-500">
+                <span className="truncate max-w-[320px]" title={`Scheme code ${match.code}`}>Matched: {match.schemeName}</span>
+                {needsReview(match) && <Badge type="warning">Best guess</Badge>}
+                {needsReview(match) && <button onClick={confirmMatch} className="font-semibold text-emerald-600 hover:underline">Confirm</button>}
+                <button onClick={() => setPickingMatch(true)} className="font-semibold text-indigo-600 hover:underline">Change</button>
+              </div>
+            )}
           </div>
           <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors">
             <X className="w-6 h-6 text-slate-500" />
@@ -217,6 +179,7 @@ const FundDetailsModal = ({ schemeName, onClose }) => {
               <div className="bg-rose-100 text-rose-500 p-4 rounded-full"><AlertTriangle className="w-8 h-8" /></div>
               <p className="text-slate-800 dark:text-slate-200 font-medium">{error}</p>
               <p className="text-slate-500 text-xs max-w-xs">We couldn't match this fund with the database.</p>
+              <Button variant="outline" onClick={() => setPickingMatch(true)} icon={Search}>Find the scheme</Button>
             </div>
           ) : (
             <div className="space-y-8 animate-in slide-in-from-bottom-4 duration-500">
@@ -225,14 +188,14 @@ const FundDetailsModal = ({ schemeName, onClose }) => {
               <div className="grid grid-cols-2 md:grid-cols-4 gap-3 md:gap-4">
                   <div className="p-4 bg-indigo-50/50 dark:bg-indigo-900/20 rounded-2xl border border-indigo-100 dark:border-indigo-800">
                       <div className="text-[10px] md:text-xs text-indigo-500 uppercase font-bold tracking-wider">Current NAV</div>
-                      <div className="text-xl md:text-2xl font-bold text-indigo-700 dark:text-indigo-400 mt-1">₹{history[history.length-1]?.nav}</div>
-                      <div className="text-[10px] text-indigo-400/80 mt-1">Updated {history[history.length-1]?.date}</div>
+                      <div className="text-xl md:text-2xl font-bold text-indigo-700 dark:text-indigo-400 mt-1">₹{latest?.nav}</div>
+                      <div className="text-[10px] text-indigo-400/80 mt-1">Updated {latest && formatDay(latest.date)}</div>
                   </div>
                   
                   <div className="p-4 bg-slate-50 dark:bg-slate-800/50 rounded-2xl border border-slate-100 dark:border-slate-700">
                       <div className="text-[10px] md:text-xs text-slate-500 uppercase font-bold tracking-wider">1Y Return</div>
-                      <div className={`text-xl md:text-2xl font-bold mt-1 ${perfStats.ret1Y >= 0 ? 'text-emerald-500' : 'text-rose-500'}`}>
-                          {perfStats.ret1Y > 0 ? '+' : ''}{perfStats.ret1Y}%
+                      <div className={`text-xl md:text-2xl font-bold mt-1 ${!trailing[1] ? 'text-slate-800 dark:text-white' : trailing[1].absolute >= 0 ? 'text-emerald-500' : 'text-rose-500'}`}>
+                          {trailing[1] ? `${trailing[1].absolute > 0 ? '+' : ''}${trailing[1].absolute.toFixed(2)}%` : 'N/A'}
                       </div>
                       <div className="text-[10px] text-slate-400 mt-1">Absolute</div>
                   </div>
@@ -240,7 +203,7 @@ const FundDetailsModal = ({ schemeName, onClose }) => {
                   <div className="p-4 bg-slate-50 dark:bg-slate-800/50 rounded-2xl border border-slate-100 dark:border-slate-700">
                       <div className="text-[10px] md:text-xs text-slate-500 uppercase font-bold tracking-wider">3Y CAGR</div>
                       <div className="text-xl md:text-2xl font-bold text-slate-800 dark:text-white mt-1">
-                          {perfStats.cagr3Y ? `${perfStats.cagr3Y}%` : 'N/A'}
+                          {trailing[3] ? `${trailing[3].cagr.toFixed(2)}%` : 'N/A'}
                       </div>
                       <div className="text-[10px] text-slate-400 mt-1">Annualized</div>
                   </div>
@@ -248,38 +211,74 @@ const FundDetailsModal = ({ schemeName, onClose }) => {
                   <div className="p-4 bg-slate-50 dark:bg-slate-800/50 rounded-2xl border border-slate-100 dark:border-slate-700">
                       <div className="text-[10px] md:text-xs text-slate-500 uppercase font-bold tracking-wider">5Y CAGR</div>
                       <div className="text-xl md:text-2xl font-bold text-slate-800 dark:text-white mt-1">
-                          {perfStats.cagr5Y ? `${perfStats.cagr5Y}%` : 'N/A'}
+                          {trailing[5] ? `${trailing[5].cagr.toFixed(2)}%` : 'N/A'}
                       </div>
                       <div className="text-[10px] text-slate-400 mt-1">Annualized</div>
                   </div>
               </div>
 
-              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-                  {/* Chart */}
-                  <div className="lg:col-span-2 h-[280px] md:h-[320px] w-full bg-white dark:bg-slate-800 rounded-2xl p-2 md:p-4 border border-slate-100 dark:border-slate-700 shadow-sm">
-                    <div className="flex justify-between items-center mb-4 px-2">
-                        <h3 className="text-sm font-bold text-slate-700 dark:text-slate-300">NAV Trend (1Y)</h3>
-                        <Badge type="neutral" className="text-[10px]">1 Year</Badge>
+              {/* Risk Panel */}
+              {risk && (
+                <div className="bg-slate-50 dark:bg-slate-800/30 rounded-2xl p-5 border border-slate-100 dark:border-slate-700">
+                    <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+                        <h4 className="font-bold text-slate-800 dark:text-white text-sm flex items-center gap-2">
+                            <Shield className="w-4 h-4 text-indigo-500" /> Risk <span className="font-normal text-slate-400">(last {risk.years}Y)</span>
+                        </h4>
+                        <label className="flex items-center gap-2 text-xs text-slate-500">
+                            Risk-free rate
+                            <input
+                              type="number"
+                              step="0.1"
+                              min="0"
+                              value={rfDraft}
+                              onChange={handleRiskFreeChange}
+                              className="w-16 px-2 py-1 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg text-xs text-right focus:ring-2 focus:ring-indigo-500 outline-none"
+                            />
+                            %
+                        </label>
                     </div>
-                    <ResponsiveContainer width="100%" height="85%">
-                    <AreaChart data={history}>
-                        <defs>
-                        <linearGradient id="colorNav" x1="0" y1="0" x2="0" y2="1">
-                            <stop offset="5%" stopColor="#6366f1" stopOpacity={0.2}/>
-                            <stop offset="95%" stopColor="#6366f1" stopOpacity={0}/>
-                        </linearGradient>
-                        </defs>
-                        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
-                        <XAxis dataKey="date" hide />
-                        <YAxis domain={['auto', 'auto']} width={40} tick={{fontSize: 10, fill: '#94a3b8'}} axisLine={false} tickLine={false} />
-                        <RechartsTooltip 
-                        contentStyle={{backgroundColor: '#fff', borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)'}}
-                        labelStyle={{color: '#64748b', fontSize: '12px'}}
-                        />
-                        <Area type="monotone" dataKey="nav" stroke="#6366f1" strokeWidth={2} fillOpacity={1} fill="url(#colorNav)" />
-                    </AreaChart>
-                    </ResponsiveContainer>
-                  </div>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                        <div className="p-3 bg-white dark:bg-slate-900 rounded-xl border border-slate-100 dark:border-slate-700">
+                            <div className="text-[10px] text-slate-500 uppercase font-bold tracking-wider">Volatility</div>
+                            <div className="text-lg font-bold text-slate-800 dark:text-white mt-1">{risk.volatility !== null ? `${risk.volatility.toFixed(1)}%` : 'N/A'}</div>
+                            <div className="text-[10px] text-slate-400 mt-0.5">Annualized std. dev.</div>
+                        </div>
+                        <div className="p-3 bg-white dark:bg-slate-900 rounded-xl border border-slate-100 dark:border-slate-700">
+                            <div className="text-[10px] text-slate-500 uppercase font-bold tracking-wider">Sharpe</div>
+                            <div className={`text-lg font-bold mt-1 ${risk.sharpe >= 1 ? 'text-emerald-500' : risk.sharpe < 0 ? 'text-rose-500' : 'text-slate-800 dark:text-white'}`}>{formatRatio(risk.sharpe)}</div>
+                            <div className="text-[10px] text-slate-400 mt-0.5">Excess return / volatility</div>
+                        </div>
+                        <div className="p-3 bg-white dark:bg-slate-900 rounded-xl border border-slate-100 dark:border-slate-700">
+                            <div className="text-[10px] text-slate-500 uppercase font-bold tracking-wider">Sortino</div>
+                            <div className={`text-lg font-bold mt-1 ${risk.sortino >= 1 ? 'text-emerald-500' : risk.sortino < 0 ? 'text-rose-500' : 'text-slate-800 dark:text-white'}`}>{formatRatio(risk.sortino)}</div>
+                            <div className="text-[10px] text-slate-400 mt-0.5">Penalizes only downside</div>
+                        </div>
+                        <div className="p-3 bg-white dark:bg-slate-900 rounded-xl border border-slate-100 dark:border-slate-700">
+                            <div className="text-[10px] text-slate-500 uppercase font-bold tracking-wider">Max Drawdown</div>
+                            <div className="text-lg font-bold text-rose-500 mt-1">{risk.drawdown ? `${risk.drawdown.depth.toFixed(1)}%` : 'N/A'}</div>
+                            {risk.drawdown?.peakDate && (
+                              <div className="text-[10px] text-slate-400 mt-0.5 leading-snug">
+                                  {formatDay(risk.drawdown.peakDate)} → {formatDay(risk.drawdown.troughDate)}
+                                  <br />
+                                  {risk.drawdown.recoveryDate ? `Recovered in ${risk.drawdown.recoveryDays} days` : 'Not yet recovered'}
+                              </div>
+                            )}
+                        </div>
+                        <div className="p-3 bg-white dark:bg-slate-900 rounded-xl border border-slate-100 dark:border-slate-700">
+                            <div className="text-[10px] text-slate-500 uppercase font-bold tracking-wider">Downside Capture</div>
+                            <div className={`text-lg font-bold mt-1 ${risk.downsideCapture && risk.downsideCapture.ratio < 100 ? 'text-emerald-500' : 'text-slate-800 dark:text-white'}`}>
+                                {risk.downsideCapture ? `${risk.downsideCapture.ratio.toFixed(0)}%` : 'N/A'}
+                            </div>
+                            <div className="text-[10px] text-slate-400 mt-0.5">
+                                {risk.downsideCapture ? `vs ${BENCHMARK_SCHEME.name}, ${risk.downsideCapture.months} down months` : `Needs ${BENCHMARK_SCHEME.name} history`}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                  <NavChart series={navSeries} avgBuyNAV={avgBuyNAV} />
 
                   {/* Fund Details Info */}
                   <div className="space-y-4">
@@ -303,41 +302,48 @@ const FundDetailsModal = ({ schemeName, onClose }) => {
 
                       <div className="bg-slate-50 dark:bg-slate-800/30 rounded-2xl p-5 border border-slate-100 dark:border-slate-700">
                           <h4 className="font-bold text-slate-800 dark:text-white mb-3 text-sm">52-Week Range</h4>
-                          <div className="relative h-2 bg-slate-200 dark:bg-slate-700 rounded-full mt-6 mb-2">
-                              <div className="absolute top-0 bottom-0 bg-indigo-500 rounded-full" style={{
-                                  left: '20%', right: '20%' // Visual representation only
-                              }}></div>
-                              {/* Range Markers */}
-                              <div className="absolute -top-5 left-0 text-[10px] text-slate-500 font-medium">L: ₹{perfStats.low52}</div>
-                              <div className="absolute -top-5 right-0 text-[10px] text-slate-500 font-medium">H: ₹{perfStats.high52}</div>
-                          </div>
-                          <div className="text-center text-[10px] text-slate-400 mt-2">Current: ₹{history[history.length-1]?.nav}</div>
+                          {range52 && (
+                            <>
+                              <div className="relative h-2 bg-gradient-to-r from-rose-200 via-slate-200 to-emerald-200 dark:from-rose-900/50 dark:via-slate-700 dark:to-emerald-900/50 rounded-full mt-6 mb-2">
+                                  <div
+                                    className="absolute -top-1 w-4 h-4 -ml-2 bg-indigo-600 border-2 border-white dark:border-slate-900 rounded-full shadow"
+                                    style={{ left: `${range52.position}%` }}
+                                    title={`${range52.position.toFixed(0)}% of the way from low to high`}
+                                  ></div>
+                                  {/* Range Markers */}
+                                  <div className="absolute -top-5 left-0 text-[10px] text-slate-500 font-medium">L: ₹{range52.low.toFixed(2)}</div>
+                                  <div className="absolute -top-5 right-0 text-[10px] text-slate-500 font-medium">H: ₹{range52.high.toFixed(2)}</div>
+                              </div>
+                              <div className="text-center text-[10px] text-slate-400 mt-2">
+                                  Current: ₹{range52.current.toFixed(2)} · {((range52.current / range52.high - 1) * 100).toFixed(1)}% from high
+                              </div>
+                            </>
+                          )}
                       </div>
                   </div>
               </div>
 
+              <FundConsistency series={navSeries} />
+
             </div>
           )}
         </div>
       </div>
+
+      {pickingMatch && (
+        <SchemeMatchPicker
+          holding={holding}
+          currentCode={match?.code}
+          onSelect={chooseMatch}
+          onClose={() => setPickingMatch(false)}
+        />
+      )}
     </div>
   );
 };
 
 // --- Constants ---
 
-const BENCHMARKS = {
-  'Large Cap': { name: 'Nifty 50', return: 13.5 },
-  'Mid Cap': { name: 'Nifty Midcap 150', return: 16.5 },
-  'Small Cap': { name: 'Nifty Smallcap 250', return: 19.0 },
-  'Flexi Cap': { name: 'Nifty 500', return: 15.0 },
-  'ELSS': { name: 'Nifty 500', return: 15.0 },
-  'Debt': { name: 'FD / Debt Index', return: 7.0 },
-  'Liquid': { name: 'Liquid Index', return: 6.0 },
-  'Sectoral': { name: 'Nifty 500', return: 15.0 },
-  'Other': { name: 'Inflation', return: 6.0 }
-};
-
 const SAMPLE_DATA = [
     { 'Scheme Name': 'HDFC Top 100 Fund', 'Category': 'Equity', 'Sub-category': 'Large Cap', 'AMC': 'HDFC Mutual Fund', 'Units': 500, 'Invested Value': 50000, 'Current Value': 75000, 'Returns': 25000, 'XIRR': 15.5 },
     { 'Scheme Name': 'SBI Small Cap Fund', 'Category': 'Equity', 'Sub-category': 'Small Cap', 'AMC': 'SBI Mutual Fund', 'Units': 200, 'Invested Value': 40000, 'Current Value': 65000, 'Returns': 25000, 'XIRR': 22.1 },
@@ -352,174 +358,442 @@ const SAMPLE_DATA = [
 
 // --- Parsing Logic ---
 
-const processRawRows = (rows) => {
-  let headerIndex = -1;
-  for (let i = 0; i < rows.length; i++) {
-    try {
-        const rowStr = JSON.stringify(rows[i]).toLowerCase();
-        if (rowStr.includes('scheme name') && rowStr.includes('current value')) {
-          headerIndex = i;
-          break;
-        }
-    } catch(e) { continue; }
-  }
-
-  if (headerIndex === -1) return [];
-
-  const rawHeaders = rows[headerIndex];
-  const headers = (Array.isArray(rawHeaders) ? rawHeaders : Object.values(rawHeaders))
-    .map(h => String(h).trim().replace(/^"|"$/g, ''));
-
-  const data = [];
-
-  for (let i = headerIndex + 1; i < rows.length; i++) {
-    const row = rows[i];
-    if (!row || (Array.isArray(row) && row.length < 2)) continue;
+const SUPPORTED_FORMATS = ADAPTERS.filter(a => a.id !== 'generic').map(a => a.name).join(', ');
 
-    const rowObj = {};
-    headers.forEach((header, index) => {
-        let val;
-        if (Array.isArray(row)) val = row[index];
-        else val = row[index];
+// Formats that say nothing about where the file came from get tagged by file name instead
+const GENERIC_FORMATS = ['Generic holdings', 'Transaction ledger', 'Saved column mapping', 'Custom column mapping'];
 
-        if (typeof val === 'string') val = val.trim().replace(/^"|"$/g, '');
-
-        if (['Invested Value', 'Current Value', 'Returns', 'Units'].includes(header)) {
-             if (val !== undefined && val !== null && val !== '') {
-                 if (typeof val === 'string') val = parseFloat(val.replace(/,/g, ''));
-                 else val = parseFloat(val);
-             } else val = 0;
-        }
-        if (header === 'XIRR') {
-             if (val !== undefined && val !== null && val !== '') {
-                 if (typeof val === 'string') {
-                     val = parseFloat(val.replace(/%/g, '').replace(/,/g, ''));
-                 } else {
-                     val = parseFloat(val);
-                 }
-             } else val = 0;
-        }
-
-        rowObj[header] = val;
-    });
-
-    if (rowObj['Scheme Name']) data.push(rowObj);
-  }
-  return data;
+const sourceLabelFor = (format, fileName) => {
+    if (format && !GENERIC_FORMATS.includes(format)) return format;
+    return fileName ? fileName.replace(/\.[^.]+$/, '') : 'Imported';
 };
 
-const parseCSVText = (text) => {
-    const lines = text.split('\n');
-    const rows = [];
-    for (let line of lines) {
-        const row = [];
-        let inQuotes = false;
-        let currentValue = '';
-        for (let char of line) {
-            if (char === '"') { inQuotes = !inQuotes; }
-            else if (char === ',' && !inQuotes) { row.push(currentValue); currentValue = ''; }
-            else { currentValue += char; }
-        }
-        row.push(currentValue);
-        rows.push(row);
-    }
-    return processRawRows(rows);
-};
+const NO_SOURCES = [];
+
+const newSourceId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 
 // --- Main Component ---
 
 export default function PortfolioAnalyzer() {
-  const [data, setData] = useState(null);
+  const [hydrated, setHydrated] = useState(false);
+  const [portfolios, setPortfolios] = useState(() => [defaultPortfolio()]);
+  const [activePortfolioId, setActivePortfolioId] = useState(DEFAULT_SETTINGS.activePortfolioId);
+  const [snapshots, setSnapshots] = useState([]);
+  const [sourceFilter, setSourceFilter] = useState(DEFAULT_SETTINGS.sourceFilter);
+  const [pendingImports, setPendingImports] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [backupDialog, setBackupDialog] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('dashboard');
   const [searchTerm, setSearchTerm] = useState('');
-  const [categoryFilter, setCategoryFilter] = useState('All');
-  const [excelReady, setExcelReady] = useState(false);
+  const [categoryFilter, setCategoryFilter] = useState(DEFAULT_SETTINGS.categoryFilter);
   const [simulateCleanup, setSimulateCleanup] = useState(false);
-  const [clutterThreshold, setClutterThreshold] = useState(5000);
+  const [clutterThreshold, setClutterThreshold] = useState(DEFAULT_SETTINGS.clutterThreshold);
   const [selectedFundName, setSelectedFundName] = useState(null);
-  const [sortConfig, setSortConfig] = useState({ key: 'Current Value', direction: 'desc' });
-  const [darkMode, setDarkMode] = useState(false);
+  const [compareSelection, setCompareSelection] = useState(null);
+  const [sortConfig, setSortConfig] = useState(DEFAULT_SETTINGS.sortConfig);
+  const [theme, setTheme] = useState(DEFAULT_SETTINGS.theme);
+  const [riskFreeRate, setRiskFreeRate] = useState(DEFAULT_SETTINGS.riskFreeRate);
+  const [plan, setPlan] = useState(DEFAULT_SETTINGS.plan);
+  const [simulation, setSimulation] = useState(DEFAULT_SETTINGS.simulation);
+  const [valuations, setValuations] = useState(null);
+  const [valuationProgress, setValuationProgress] = useState(null);
+
+  // Each named portfolio keeps its imported files as separate sources. The
+  // household view stacks all of them; there the filter picks a member
+  // instead of a source.
+  const isHousehold = activePortfolioId === HOUSEHOLD_ID && portfolios.length > 1;
+  const activePortfolio = portfolios.find(p => p.id === activePortfolioId) || portfolios[0];
+  const sources = isHousehold ? NO_SOURCES : activePortfolio.sources;
+  const hasData = isHousehold ? portfolios.some(p => p.sources.length) : sources.length > 0;
+
+  const merged = useMemo(
+    () => (isHousehold ? mergeHousehold(portfolios) : mergeSources(activePortfolio.sources)),
+    [isHousehold, portfolios, activePortfolio]
+  );
+  // Latest-NAV quotes, once refreshed, replace the statement's values
+  const valued = useMemo(
+    () => (valuations ? revalueHoldings(merged.holdings, valuations.quotes, { fillDetails: valuations.fillDetails }) : merged.holdings),
+    [merged, valuations]
+  );
+  const data = useMemo(() => {
+    if (!hasData) return null;
+    if (sourceFilter === 'All') return valued;
+    return valued.filter(h => h[isHousehold ? 'Member' : 'Source'] === sourceFilter);
+  }, [hasData, valued, sourceFilter, isHousehold]);
+  const valuation = useMemo(() => (data ? valuationSummary(data) : null), [data]);
+  const transactions = useMemo(() => {
+    if (!merged.transactions || sourceFilter === 'All') return merged.transactions;
+    return merged.transactions.filter(t => (isHousehold ? t.member : t.source) === sourceFilter);
+  }, [merged, sourceFilter, isHousehold]);
+
+  // Source edits always land on the portfolio being viewed
+  const updateSources = (update) => {
+    const id = activePortfolio.id;
+    setPortfolios(current => current.map(p => (p.id === id ? { ...p, sources: update(p.sources) } : p)));
+  };
 
-  const scriptLoaded = useRef(false);
+  const applySettings = (settings) => {
+    setClutterThreshold(settings.clutterThreshold);
+    setSortConfig(settings.sortConfig);
+    setCategoryFilter(settings.categoryFilter);
+    setSourceFilter(settings.sourceFilter);
+    setActivePortfolioId(settings.activePortfolioId);
+    setTheme(settings.theme);
+    setRiskFreeRate(settings.riskFreeRate);
+    setPlan(normalizePlan(settings.plan));
+    setSimulation(normalizeAssumptions(settings.simulation));
+  };
 
+  // Restore the last session before anything is saved over it
   useEffect(() => {
-    if (darkMode) {
-      document.documentElement.classList.add('dark');
+    let cancelled = false;
+    loadWorkspace().then(({ portfolios: savedPortfolios, settings, snapshots: savedSnapshots, valuations: savedValuations }) => {
+      if (cancelled) return;
+      setPortfolios(savedPortfolios);
+      setSnapshots(savedSnapshots);
+      setValuations(savedValuations);
+      applySettings(settings);
+      setHydrated(true);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (hydrated) portfolios.forEach(savePortfolio);
+  }, [hydrated, portfolios]);
+
+  // Each import is recorded as a dated snapshot of the whole (unfiltered)
+  // portfolio it went into, as of the imported statement's date; the ref
+  // holds that portfolio's id and the date
+  const snapshotDue = useRef(null);
+  useEffect(() => {
+    if (!snapshotDue.current) return;
+    const { portfolioId, statementDate } = snapshotDue.current;
+    snapshotDue.current = null;
+    const portfolio = portfolios.find(p => p.id === portfolioId);
+    const holdings = portfolio ? mergeSources(sourcesAsOf(portfolio.sources, statementDate)).holdings : [];
+    if (!holdings.length) return;
+    const snapshot = { ...buildSnapshot(holdings, new Date(), statementDate), portfolioId };
+    saveSnapshot(snapshot, portfolioId).then(() => {
+      setSnapshots(current => [...current.filter(s => s.portfolioId !== portfolioId || s.date !== snapshot.date), snapshot]);
+    });
+  }, [portfolios]);
+
+  // The household timeline is rebuilt from every member's own snapshots
+  const visibleSnapshots = useMemo(() => {
+    if (!isHousehold) return snapshots.filter(s => s.portfolioId === activePortfolio.id);
+    const memberIds = new Set(portfolios.map(p => p.id));
+    return combineSnapshots(snapshots.filter(s => memberIds.has(s.portfolioId)));
+  }, [snapshots, isHousehold, portfolios, activePortfolio]);
+
+  // Anything two statements can be compared across: dated snapshots and the files loaded now
+  const diffOptions = useMemo(() => {
+    const dated = sortSnapshots(visibleSnapshots).reverse().map(snap => ({ id: `snapshot:${snap.date}`, label: `Snapshot ${snap.date}`, holdings: snap.holdings }));
+    const files = sources.map(src => ({ id: `source:${src.id}`, label: `File: ${src.label}`, holdings: src.holdings }));
+    const options = [...dated, ...files];
+    const [to, from] = dated.length >= 2 ? dated : files.length >= 2 ? [files[1], files[0]] : options;
+    return { options, defaultFrom: from?.id, defaultTo: to?.id };
+  }, [visibleSnapshots, sources]);
+
+  const removeSnapshot = (date) => {
+    const portfolioId = activePortfolio.id;
+    deleteSnapshot(date, portfolioId);
+    setSnapshots(current => current.filter(s => s.portfolioId !== portfolioId || s.date !== date));
+  };
+
+  useEffect(() => {
+    if (hydrated) saveSettings({ clutterThreshold, sortConfig, categoryFilter, sourceFilter, activePortfolioId, theme, riskFreeRate, plan, simulation });
+  }, [hydrated, clutterThreshold, sortConfig, categoryFilter, sourceFilter, activePortfolioId, theme, riskFreeRate, plan, simulation]);
+
+  useEffect(() => {
+    const media = window.matchMedia('(prefers-color-scheme: dark)');
+    const apply = () => document.documentElement.classList.toggle('dark', theme === 'dark' || (theme === 'system' && media.matches));
+    apply();
+    if (theme !== 'system') return;
+    media.addEventListener('change', apply);
+    return () => media.removeEventListener('change', apply);
+  }, [theme]);
+
+  const cycleTheme = () => setTheme(current => (current === 'system' ? 'light' : current === 'light' ? 'dark' : 'system'));
+  const ThemeIcon = theme === 'dark' ? Moon : theme === 'light' ? Sun : Monitor;
+
+  const addSource = ({ holdings, transactions, format, statementDate = null }, fileName) => {
+    // Sample data is not a real statement, so it stays out of the history
+    if (fileName) snapshotDue.current = { portfolioId: activePortfolio.id, statementDate };
+    updateSources(current => [...current, {
+        id: newSourceId(),
+        label: uniqueLabel(sourceLabelFor(format, fileName), current.map(src => src.label)),
+        fileName,
+        format,
+        statementDate,
+        holdings,
+        transactions: transactions || null
+    }]);
+  };
+
+  // Every import goes through validation; anything with problems waits in the
+  // queue for review instead of going straight to the dashboard
+  const acceptImport = (result, fileName) => {
+    const report = validateImport(result);
+    if (hasIssues(report)) {
+        setPendingImports(queue => [...queue, { ...result, status: 'review', report, fileName }]);
     } else {
-      document.documentElement.classList.remove('dark');
+        addSource({ ...result, holdings: result.holdings.map(stripImportMeta) }, fileName);
     }
-  }, [darkMode]);
+  };
 
-  useEffect(() => {
-    if (window.XLSX) {
-        setExcelReady(true);
-        scriptLoaded.current = true;
-        return;
+  const renameSource = (id, label) => {
+    const source = sources.find(src => src.id === id);
+    const others = sources.filter(src => src.id !== id).map(src => src.label);
+    const nextLabel = uniqueLabel(label, others);
+    updateSources(current => current.map(src => (src.id === id ? { ...src, label: nextLabel } : src)));
+    if (source && sourceFilter === source.label) setSourceFilter(nextLabel);
+  };
+
+  const removeSource = (id) => {
+    const source = sources.find(src => src.id === id);
+    updateSources(current => current.filter(src => src.id !== id));
+    if (source && sourceFilter === source.label) setSourceFilter('All');
+  };
+
+  const resetPortfolio = () => {
+    updateSources(() => []);
+    setSourceFilter('All');
+    setPendingImports([]);
+  };
+
+  // --- Portfolios ---
+
+  const selectPortfolio = (id) => {
+    setActivePortfolioId(id);
+    setSourceFilter('All');
+    setPendingImports([]);
+    setError(null);
+  };
+
+  const addPortfolio = (name) => {
+    const portfolio = createPortfolio(name, portfolios);
+    setPortfolios(current => [...current, portfolio]);
+    selectPortfolio(portfolio.id);
+  };
+
+  const renamePortfolio = (id, name) => {
+    const portfolio = portfolios.find(p => p.id === id);
+    const nextName = uniqueLabel(name.trim() || portfolio.name, portfolios.filter(p => p.id !== id).map(p => p.name));
+    setPortfolios(current => current.map(p => (p.id === id ? { ...p, name: nextName } : p)));
+    if (isHousehold && sourceFilter === portfolio.name) setSourceFilter(nextName);
+  };
+
+  const deletePortfolio = (id) => {
+    if (portfolios.length < 2) return;
+    const portfolio = portfolios.find(p => p.id === id);
+    if (!window.confirm(`Delete "${portfolio.name}" with all its files and snapshots?`)) return;
+    removePortfolio(id);
+    deletePortfolioSnapshots(id);
+    setPortfolios(current => current.filter(p => p.id !== id));
+    setSnapshots(current => current.filter(s => s.portfolioId !== id));
+    if (activePortfolioId === id || portfolios.length === 2) selectPortfolio(portfolios.find(p => p.id !== id).id);
+  };
+
+  const handleBackup = async (passphrase) => {
+    const text = await createBackup(passphrase);
+    downloadFile(text, backupFileName(), 'application/json');
+    setBackupDialog(null);
+  };
+
+  const openRestore = async (file) => {
+    setError(null);
+    setBackupDialog({ mode: 'restore', fileName: file.name, text: await file.text() });
+  };
+
+  const handleRestoreFile = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) openRestore(file);
+  };
+
+  const handleRestore = async (passphrase) => {
+    await restoreBackup(backupDialog.text, passphrase);
+    const { portfolios: savedPortfolios, settings, snapshots: savedSnapshots, valuations: savedValuations } = await loadWorkspace();
+    setPendingImports([]);
+    setPortfolios(savedPortfolios);
+    setSnapshots(savedSnapshots);
+    setValuations(savedValuations);
+    applySettings(settings);
+    setBackupDialog(null);
+  };
+
+  const handleForgetEverything = async () => {
+    if (!window.confirm("Delete all portfolios, settings and cached market data stored in this browser?")) return;
+    await forgetEverything();
+    setPortfolios([defaultPortfolio()]);
+    setSourceFilter('All');
+    setPendingImports([]);
+    setSnapshots([]);
+    setValuations(null);
+    applySettings(DEFAULT_SETTINGS);
+    setError(null);
+  };
+
+  const storeValuations = (next) => {
+    setValuations(next);
+    saveValuations(next);
+  };
+
+  // Quotes are kept by scheme name across portfolios, so a refresh adds to
+  // what earlier refreshes of other portfolios fetched
+  const applyQuotes = ({ quotes, failed, guesses }, source) => storeValuations({
+    refreshedAt: Date.now(),
+    source,
+    quotes: { ...(valuations?.quotes || {}), ...quotes },
+    failed,
+    guesses,
+    fillDetails: Boolean(valuations?.fillDetails)
+  });
+
+  const refreshValuations = async () => {
+    setValuationProgress({ done: 0, total: 0 });
+    setError(null);
+    const result = await fetchLatestQuotes(merged.holdings, (done, total) => setValuationProgress({ done, total }));
+    if (Object.keys(result.quotes).length) applyQuotes(result, getMarketDataProvider().name);
+    else if (result.failed.length) setError(`Could not fetch latest NAVs: ${result.failed[0].reason}`);
+    setValuationProgress(null);
+  };
+
+  const loadNavFile = async (file) => {
+    setError(null);
+    const navFile = parseNavAll(await file.text());
+    if (!navFile.schemes.length) {
+      setError(`${file.name} does not look like AMFI's NAVAll.txt`);
+      return;
     }
-    if (scriptLoaded.current) return;
-    if (document.querySelector('script[src*="xlsx.full.min.js"]')) {
-        scriptLoaded.current = true;
-        const interval = setInterval(() => { if (window.XLSX) { setExcelReady(true); clearInterval(interval); } }, 500);
-        return;
+    const result = await quotesFromNavFile(merged.holdings, navFile);
+    if (!Object.keys(result.quotes).length) {
+      setError(`None of the holdings were found in ${file.name}`);
+      return;
     }
-    const script = document.createElement('script');
-    script.src = "https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js";
-    script.async = true;
-    script.onload = () => setExcelReady(true);
-    document.body.appendChild(script);
-    scriptLoaded.current = true;
-  }, []);
+    applyQuotes(result, 'AMFI NAV file');
+  };
+
+  const setFillDetails = (fillDetails) => {
+    if (valuations) storeValuations({ ...valuations, fillDetails });
+  };
+
+  const revertValuations = () => {
+    setValuations(null);
+    clearValuations();
+  };
 
   const loadSampleData = () => {
       setLoading(true);
       setTimeout(() => {
-          setData(SAMPLE_DATA);
+          addSource({ holdings: SAMPLE_DATA, transactions: null, format: 'Sample data' }, null);
           setLoading(false);
       }, 800);
   };
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    if (isHousehold) {
+        setError("Pick a member's portfolio to import into; the household view only combines them.");
+        return;
+    }
 
     setLoading(true);
     setError(null);
+    const errors = [];
+
+    // Sequential on purpose: large PDFs and workbooks are memory hungry
+    for (const file of files) {
+        if (file.name.toLowerCase().endsWith(BACKUP_EXTENSION)) {
+            await openRestore(file);
+            continue;
+        }
+        try {
+            const result = await importFile(file);
+            if (result.status === 'ok') acceptImport(result, file.name);
+            else if (result.status === 'empty') errors.push(`${file.name}: no data found.`);
+            else setPendingImports(queue => [...queue, { ...result, fileName: file.name }]);
+        } catch (err) {
+            if (!(err instanceof ImportError)) console.error("Import failed", err);
+            errors.push(`${file.name}: ${err instanceof ImportError ? err.message : 'could not be read.'}`);
+        }
+    }
+
+    if (errors.length) setError(errors.join(' '));
+    setLoading(false);
+  };
+
+  const handleFileUpload = (event) => {
+    handleFiles(event.target.files);
+    // Allow picking the same file again after removing it
+    event.target.value = '';
+  };
+
+  const dropHandlers = {
+    onDragOver: (e) => {
+        e.preventDefault();
+        if (!dragActive) setDragActive(true);
+    },
+    onDragLeave: (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false);
+    },
+    onDrop: (e) => {
+        e.preventDefault();
+        setDragActive(false);
+        handleFiles(e.dataTransfer.files);
+    }
+  };
+
+  const householdMembers = useMemo(() => (isHousehold ? memberBreakdown(valued) : []), [isHousehold, valued]);
 
-    const isExcel = file.name.endsWith('.xlsx') || file.name.endsWith('.xls');
+  const pendingImport = pendingImports[0] || null;
+  const finishPendingImport = () => setPendingImports(queue => queue.slice(1));
 
-    if (isExcel) {
-        if (!window.XLSX) {
-            setError("Excel engine is not ready. Please use a CSV file or refresh.");
-            setLoading(false);
-            return;
+  const handlePdfUnlock = async (password) => {
+    const { buffer, fileName } = pendingImport;
+    setLoading(true);
+    try {
+        const result = await importPdfBuffer(buffer, password);
+        if (result.status === 'password') {
+            setPendingImports(queue => [{ ...queue[0], incorrect: true }, ...queue.slice(1)]);
+        } else {
+            if (result.status === 'ok') acceptImport(result, fileName);
+            else setError(`${fileName}: no holdings found in the statement.`);
+            finishPendingImport();
         }
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const data = new Uint8Array(e.target.result);
-                const workbook = window.XLSX.read(data, { type: 'array' });
-                const jsonSheet = window.XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { header: 1 });
-                const parsedData = processRawRows(jsonSheet);
-                if (parsedData.length === 0) setError("No valid data found.");
-                else setData(parsedData);
-            } catch (err) { setError("Error reading Excel file."); }
-            setLoading(false);
-        };
-        reader.readAsArrayBuffer(file);
-    } else {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const parsedData = parseCSVText(e.target.result);
-                if (parsedData.length === 0) setError("No data found.");
-                else setData(parsedData);
-            } catch (err) { setError("CSV parse failed."); }
-            setLoading(false);
-        };
-        reader.readAsText(file);
+    } catch (err) {
+        setError(`${fileName}: ${err.message}`);
+        finishPendingImport();
     }
+    setLoading(false);
+  };
+
+  const handleMappingConfirm = ({ headerIndex, mapping, remember }) => {
+    const { rows, fileName } = pendingImport;
+    if (remember) saveColumnMapping(rows[headerIndex], mapping);
+    const { holdings, skipped } = importMappedRows(rows, headerIndex, mapping);
+    finishPendingImport();
+    if (holdings.length === 0) setError(`${fileName}: no holdings found with this column mapping.`);
+    else acceptImport({ holdings, skipped, transactions: null, format: 'Custom column mapping' }, fileName);
+  };
+
+  const handleSheetSelect = (sheetName) => {
+    const { workbook, fileName } = pendingImport;
+    finishPendingImport();
+    const result = importSheet(workbook, sheetName);
+    if (result.status === 'ok') acceptImport(result, fileName);
+    else if (result.status === 'empty') setError(`${fileName}: no data found on sheet "${sheetName}".`);
+    else setPendingImports(queue => [...queue, { ...result, fileName }]);
+  };
+
+  const handleReviewConfirm = (holdings) => {
+    const { transactions, format, statementDate, fileName } = pendingImport;
+    finishPendingImport();
+    addSource({ holdings, transactions, format, statementDate }, fileName);
   };
 
   const handleSort = (key) => {
@@ -529,231 +803,103 @@ export default function PortfolioAnalyzer() {
     }));
   };
 
-  const analysis = useMemo(() => {
-    if (!data) return null;
+  const analysis = useMemo(
+    () => (data ? analyzePortfolio(data, { transactions, simulateCleanup, clutterThreshold }) : null),
+    [data, transactions, simulateCleanup, clutterThreshold]
+  );
 
-    let processedData = data.map(item => {
-        const units = item['Units'] || 0;
-        const currVal = item['Current Value'] || 0;
-        const invVal = item['Invested Value'] || 0;
-        
-        return {
-            ...item,
-            _currentNAV: units > 0 ? currVal / units : 0,
-            _avgBuyNAV: units > 0 ? invVal / units : 0,
-            _absReturn: invVal > 0 ? ((currVal - invVal) / invVal) * 100 : 0
-        };
-    });
+  const COLORS = ['#6366f1', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#64748b'];
 
-    const originalCount = processedData.length;
-    const originalTotalVal = processedData.reduce((acc, c) => acc + c['Current Value'], 0);
-    
-    // Explicitly calculate these before anything else to avoid ReferenceErrors
-    const clutterItems = processedData.filter(i => i['Current Value'] < clutterThreshold);
-    const clutterVal = clutterItems.reduce((acc, c) => acc + c['Current Value'], 0);
-    
-    // Create clutterList for usage in JSX (renamed from clutter to avoid conflicts)
-    const clutterList = clutterItems; 
-
-    if (simulateCleanup) {
-        processedData = processedData.filter(i => i['Current Value'] >= clutterThreshold);
-    }
+  const ACCEPTED_FILES = ".csv, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet, application/vnd.ms-excel, .xlsx, .xls, .xlsb, .ods, application/vnd.oasis.opendocument.spreadsheet, .tsv, text/tab-separated-values, application/pdf, .pdf";
 
-    const totalInv = processedData.reduce((acc, curr) => acc + (curr['Invested Value'] || 0), 0);
-    const totalCurr = processedData.reduce((acc, curr) => acc + (curr['Current Value'] || 0), 0);
-    const totalReturns = totalCurr - totalInv;
-    const absReturn = totalInv > 0 ? (totalReturns / totalInv) * 100 : 0;
-
-    const byCategory = {};
-    const subCategoryCounts = {};
-    const byAMC = {};
-    const lossMakers = [];
-    // Note: We use clutterList calculated above for the 'clutter' view, 
-    // but lossMakers are based on the currently filtered view
-    const categoryXIRR = {}; 
-
-    const smartGroups = {};
-    
-    let totalWeightedXIRR = 0;
-    let totalXIRRWeight = 0;
-    let totalEquity = 0;
-    let totalDebt = 0;
-
-    processedData.forEach(item => {
-      const cat = item['Category'] || 'Other';
-      const subCat = item['Sub-category'] || 'Other';
-      const amc = item['AMC'] || 'Other';
-      const schemeName = item['Scheme Name'];
-      const xirr = item['XIRR'] || 0;
-      const currVal = item['Current Value'];
-
-      byCategory[cat] = (byCategory[cat] || 0) + currVal;
-      byAMC[amc] = (byAMC[amc] || 0) + currVal;
-      subCategoryCounts[subCat] = (subCategoryCounts[subCat] || 0) + 1;
-
-      if (cat && cat.toLowerCase().includes('equity')) totalEquity += currVal;
-      else if (cat && (cat.toLowerCase().includes('debt') || cat.toLowerCase().includes('liquid'))) totalDebt += currVal;
-
-      if (!categoryXIRR[subCat]) categoryXIRR[subCat] = { sumProduct: 0, sumWeight: 0 };
-      if (xirr && !isNaN(xirr) && xirr !== 0) {
-          categoryXIRR[subCat].sumProduct += (xirr * currVal);
-          categoryXIRR[subCat].sumWeight += currVal;
-          totalWeightedXIRR += (xirr * currVal);
-          totalXIRRWeight += currVal;
-      }
+  const passwordPrompt = pendingImport?.status === 'password' && (
+    <PdfPasswordPrompt
+      key={pendingImport.fileName}
+      fileName={pendingImport.fileName}
+      incorrect={pendingImport.incorrect}
+      onSubmit={handlePdfUnlock}
+      onCancel={finishPendingImport}
+    />
+  );
 
-      if (item['Returns'] < 0) lossMakers.push(item);
-
-      if (!smartGroups[cat]) smartGroups[cat] = {};
-      if (!smartGroups[cat][subCat]) smartGroups[cat][subCat] = { totalVal: 0, totalInv: 0, funds: {} };
-
-      const group = smartGroups[cat][subCat];
-      group.totalVal += item['Current Value'];
-      group.totalInv += item['Invested Value'];
-
-      if (!group.funds[schemeName]) {
-          group.funds[schemeName] = { ...item, count: 1 };
-      } else {
-          const existing = group.funds[schemeName];
-          existing['Invested Value'] += item['Invested Value'];
-          existing['Current Value'] += item['Current Value'];
-          existing['Returns'] += item['Returns'];
-          existing['Units'] += item['Units'];
-          existing.count += 1;
-          existing._absReturn = existing['Invested Value'] > 0 
-            ? ((existing['Current Value'] - existing['Invested Value']) / existing['Invested Value']) * 100 
-            : 0;
-      }
-    });
-    
-    const portfolioXIRR = totalXIRRWeight > 0 ? (totalWeightedXIRR / totalXIRRWeight) : 0;
-    const equityRatio = totalCurr > 0 ? (totalEquity / totalCurr) * 100 : 0;
-
-    const projectionYears = [0, 1, 3, 5, 10];
-    const wealthProjection = projectionYears.map(year => {
-        return {
-            year: `Year ${year}`,
-            portfolio: Math.round(totalCurr * Math.pow(1 + portfolioXIRR / 100, year)),
-            benchmark: Math.round(totalCurr * Math.pow(1 + 12 / 100, year)) 
-        };
-    });
+  const backupPrompt = backupDialog && (
+    <BackupDialog
+      mode={backupDialog.mode}
+      fileName={backupDialog.fileName}
+      onSubmit={backupDialog.mode === 'backup' ? handleBackup : handleRestore}
+      onCancel={() => setBackupDialog(null)}
+    />
+  );
 
-    const distributionBuckets = { '> 20%': 0, '12% - 20%': 0, '0% - 12%': 0, 'Negative': 0 };
-    processedData.forEach(item => {
-        const ret = item['XIRR'] && item['XIRR'] !== 0 ? item['XIRR'] : item._absReturn;
-        if (ret > 20) distributionBuckets['> 20%']++;
-        else if (ret >= 12) distributionBuckets['12% - 20%']++;
-        else if (ret >= 0) distributionBuckets['0% - 12%']++;
-        else distributionBuckets['Negative']++;
-    });
-    const distributionData = Object.entries(distributionBuckets).map(([name, value]) => ({ name, value }));
-
-    const comparisonData = [];
-    Object.keys(categoryXIRR).forEach(subCat => {
-        const { sumProduct, sumWeight } = categoryXIRR[subCat];
-        if (sumWeight > 0) {
-            const myXIRR = sumProduct / sumWeight;
-            let benchKey = 'Other';
-            if (BENCHMARKS[subCat]) benchKey = subCat;
-            else if (subCat.includes('Large')) benchKey = 'Large Cap';
-            else if (subCat.includes('Small')) benchKey = 'Small Cap';
-            else if (subCat.includes('Mid')) benchKey = 'Mid Cap';
-            else if (subCat.includes('Flexi')) benchKey = 'Flexi Cap';
-            else if (subCat.includes('Debt')) benchKey = 'Debt';
-
-            const bench = BENCHMARKS[benchKey];
-
-            comparisonData.push({
-                category: subCat,
-                myXIRR: parseFloat(myXIRR.toFixed(2)),
-                benchXIRR: bench.return,
-                benchName: bench.name,
-                alpha: parseFloat((myXIRR - bench.return).toFixed(2)),
-                weight: sumWeight
-            });
-        }
-    });
-    // comparisonData.sort((a,b) => b.weight - a.weight);
-
-    const categoryTree = Object.keys(smartGroups).map(catKey => {
-        const subCats = Object.keys(smartGroups[catKey]).map(subKey => {
-            const group = smartGroups[catKey][subKey];
-            const fundList = Object.values(group.funds).sort((a,b) => b['Current Value'] - a['Current Value']);
-            return {
-                name: subKey,
-                totalVal: group.totalVal,
-                totalInv: group.totalInv,
-                funds: fundList,
-                fundCount: fundList.length
-            };
-        }).sort((a,b) => b.totalVal - a.totalVal);
-        return { name: catKey, totalVal: subCats.reduce((acc, s) => acc + s.totalVal, 0), subCategories: subCats };
-    }).sort((a,b) => b.totalVal - a.totalVal);
-
-    const consolidationPlan = [];
-    categoryTree.forEach(cat => {
-        cat.subCategories.forEach(sub => {
-            if (sub.fundCount > 2) {
-                const sortedFunds = [...sub.funds].sort((a,b) => (b.XIRR || b._absReturn) - (a.XIRR || a._absReturn));
-                const winner = sortedFunds[0];
-                const others = sortedFunds.slice(1);
-                consolidationPlan.push({
-                    category: sub.name,
-                    winner: winner,
-                    others: others,
-                    potentialMoveValue: others.reduce((acc, c) => acc + c['Current Value'], 0)
-                });
-            }
-        });
-    });
+  const sheetPicker = pendingImport?.status === 'sheet' && (
+    <SheetPicker
+      key={pendingImport.fileName}
+      fileName={pendingImport.fileName}
+      sheets={pendingImport.sheets}
+      onSelect={handleSheetSelect}
+      onCancel={finishPendingImport}
+    />
+  );
 
-    const categoryData = Object.entries(byCategory).map(([name, value]) => ({ name, value })).sort((a,b) => b.value - a.value);
-    const amcData = Object.entries(byAMC).map(([name, value]) => ({ name, value })).sort((a,b) => b.value - a.value).slice(0, 7); 
-
-    let score = 100;
-    score -= Math.min(20, clutterItems.length * 2);
-    score -= Math.min(15, lossMakers.length * 1.5);
-    if (processedData.length > 20) score -= 10;
-    if (processedData.length > 40) score -= 10;
-    score = Math.max(0, Math.round(score));
-    
-    let healthLabel = score < 40 ? "Critical" : score < 60 ? "Poor" : score < 80 ? "Good" : "Excellent";
-    
-    const categories = ['All', ...new Set(processedData.map(d => d['Category']).filter(Boolean))];
-    const topGainers = [...processedData].sort((a,b) => b._absReturn - a._absReturn).slice(0, 3);
-    const bottomLaggards = [...processedData].sort((a,b) => a._absReturn - b._absReturn).slice(0, 3);
-
-    const getFilteredTotals = (filtered) => {
-        return filtered.reduce((acc, item) => ({
-            invested: acc.invested + (item['Invested Value'] || 0),
-            current: acc.current + (item['Current Value'] || 0),
-            returns: acc.returns + (item['Returns'] || 0)
-        }), { invested: 0, current: 0, returns: 0 });
-    };
+  if (!hydrated) {
+    return (
+      <div className="min-h-screen bg-slate-50 dark:bg-slate-900 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
 
-    return {
-      totalInv, totalCurr, totalReturns, absReturn,
-      lossMakers, clutter: clutterList, categoryData, amcData, processedData, categoryTree,
-      healthScore: { score, label: healthLabel },
-      comparisonData,
-      simStats: { originalCount, originalTotalVal, clutterCount: clutterItems.length, clutterVal },
-      consolidationPlan,
-      categories,
-      topGainers,
-      bottomLaggards,
-      wealthProjection,
-      distributionData,
-      portfolioXIRR,
-      getFilteredTotals,
-      equityRatio
-    };
-  }, [data, simulateCleanup, clutterThreshold]);
+  if (pendingImport?.status === 'review') {
+    return (
+      <div className="min-h-screen bg-slate-50 dark:bg-slate-900 flex items-center justify-center p-6 font-sans transition-colors duration-300 relative overflow-hidden">
+        <div className="absolute top-0 left-0 w-full h-96 bg-gradient-to-b from-indigo-50/50 to-transparent dark:from-indigo-950/20 pointer-events-none"></div>
+        <ImportReview
+          key={pendingImport.fileName}
+          fileName={pendingImport.fileName}
+          format={pendingImport.format}
+          holdings={pendingImport.holdings}
+          report={pendingImport.report}
+          onConfirm={handleReviewConfirm}
+          onCancel={finishPendingImport}
+        />
+      </div>
+    );
+  }
 
-  const COLORS = ['#6366f1', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#64748b'];
+  const portfolioSwitcher = (compact) => (
+    <PortfolioSwitcher
+      portfolios={portfolios}
+      activeId={activePortfolioId}
+      onSelect={selectPortfolio}
+      onCreate={addPortfolio}
+      onRename={renamePortfolio}
+      onDelete={deletePortfolio}
+      compact={compact}
+    />
+  );
 
-  if (!data) {
+  if (pendingImport?.status === 'mapping') {
     return (
       <div className="min-h-screen bg-slate-50 dark:bg-slate-900 flex items-center justify-center p-6 font-sans transition-colors duration-300 relative overflow-hidden">
+        <div className="absolute top-0 left-0 w-full h-96 bg-gradient-to-b from-indigo-50/50 to-transparent dark:from-indigo-950/20 pointer-events-none"></div>
+        <ColumnMappingWizard
+          key={pendingImport.fileName}
+          fileName={pendingImport.fileName}
+          rows={pendingImport.rows}
+          initialHeaderIndex={pendingImport.headerIndex}
+          onConfirm={handleMappingConfirm}
+          onCancel={finishPendingImport}
+        />
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div {...dropHandlers} className="min-h-screen bg-slate-50 dark:bg-slate-900 flex items-center justify-center p-6 font-sans transition-colors duration-300 relative overflow-hidden">
+        {passwordPrompt}
+        {sheetPicker}
+        {backupPrompt}
         {/* Background Elements */}
         <div className="absolute top-0 left-0 w-full h-96 bg-gradient-to-b from-indigo-50/50 to-transparent dark:from-indigo-950/20 pointer-events-none"></div>
         
@@ -764,15 +910,20 @@ export default function PortfolioAnalyzer() {
             </div>
             <h1 className="text-4xl font-extrabold text-slate-900 dark:text-white mb-4 tracking-tight">Vivek Narkhede's <span className="text-transparent bg-clip-text bg-gradient-to-r from-indigo-600 to-violet-600">Portfolio</span></h1>
             <p className="text-lg text-slate-500 dark:text-slate-400 max-w-lg mx-auto">
-                Next-generation wealth analytics. <br/>Drag & drop your broker statement to begin.
+                Next-generation wealth analytics. <br/>Drag & drop your broker statements to begin.
             </p>
           </div>
 
-          <div className="bg-white/80 dark:bg-slate-800/80 backdrop-blur-xl rounded-[2rem] p-10 shadow-2xl shadow-slate-200/50 dark:shadow-black/50 border border-white/50 dark:border-slate-700 text-center relative overflow-hidden group">
+          <div className="mb-4 flex items-center justify-center gap-3 text-sm text-slate-500">
+              {isHousehold ? 'Viewing' : 'Importing into'} {portfolioSwitcher(false)}
+          </div>
+
+          <div className={`bg-white/80 dark:bg-slate-800/80 backdrop-blur-xl rounded-[2rem] p-10 shadow-2xl shadow-slate-200/50 dark:shadow-black/50 border text-center relative overflow-hidden group transition-all ${dragActive ? 'border-indigo-400 ring-4 ring-indigo-200 dark:ring-indigo-900 scale-[1.02]' : 'border-white/50 dark:border-slate-700'}`}>
              <div className="absolute inset-0 bg-indigo-50/50 dark:bg-indigo-900/10 opacity-0 group-hover:opacity-100 transition-opacity"></div>
              <input 
               type="file" 
-              accept=".csv, application/vnd.openxmlformats-officedocument.spreadsheetml.sheet, application/vnd.ms-excel, .xlsx, .xls"
+              multiple
+              accept={ACCEPTED_FILES}
               onChange={handleFileUpload}
               className="absolute inset-0 w-full h-full opacity-0 cursor-pointer z-10"
             />
@@ -780,24 +931,32 @@ export default function PortfolioAnalyzer() {
                 <div className="w-20 h-20 bg-indigo-50 dark:bg-indigo-900/30 text-indigo-600 dark:text-indigo-400 rounded-full flex items-center justify-center mb-6 group-hover:scale-110 transition-transform duration-300">
                     {loading ? <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div> : <Upload className="w-8 h-8" />}
                 </div>
-                <h3 className="text-xl font-bold text-slate-800 dark:text-white">Upload Holdings File</h3>
-                <p className="text-slate-400 mt-2 text-sm">Supports Groww, Zerodha, CAMS, Karvy formats</p>
+                <h3 className="text-xl font-bold text-slate-800 dark:text-white">{dragActive ? 'Drop to import' : 'Upload Holdings Files'}</h3>
+                <p className="text-slate-400 mt-2 text-sm">Supports {SUPPORTED_FORMATS} formats</p>
+                <p className="text-slate-400 mt-1 text-xs">Transaction ledgers (date, scheme, type, amount, units or NAV) get true cashflow XIRR</p>
+                <p className="text-slate-400 mt-1 text-xs">Drop several files at once to merge accounts across brokers</p>
                 
                 <div className="mt-8 flex gap-4 text-xs text-slate-400 font-medium">
-                    <span className="flex items-center gap-1"><FileSpreadsheet className="w-3 h-3"/> .XLSX</span>
+                    <span className="flex items-center gap-1"><FileSpreadsheet className="w-3 h-3"/> .XLSX / .ODS</span>
                     <span className="flex items-center gap-1"><FileSpreadsheet className="w-3 h-3"/> .CSV</span>
+                    <span className="flex items-center gap-1"><FileText className="w-3 h-3"/> CAS .PDF</span>
                     <span className="flex items-center gap-1"><Shield className="w-3 h-3"/> Secure</span>
                 </div>
             </div>
           </div>
 
-          <div className="mt-8 flex justify-center">
+          <div className="mt-8 flex items-center justify-center">
               <button 
                 onClick={loadSampleData} 
                 className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 hover:underline flex items-center gap-2 transition-colors"
               >
                   Or try with sample data <ArrowRightLeft className="w-3 h-3"/>
               </button>
+              <span className="mx-4 text-slate-300">|</span>
+              <label className="text-sm font-medium text-indigo-600 dark:text-indigo-400 hover:text-indigo-700 hover:underline flex items-center gap-2 transition-colors cursor-pointer">
+                  <KeyRound className="w-3 h-3"/> Restore from backup
+                  <input type="file" accept={BACKUP_EXTENSION} onChange={handleRestoreFile} className="hidden" />
+              </label>
           </div>
 
           {error && (
@@ -807,7 +966,16 @@ export default function PortfolioAnalyzer() {
             </div>
           )}
           
-          <div className="mt-16 text-center text-slate-400 text-[10px] max-w-lg mx-auto leading-relaxed opacity-60">
+          <div className="mt-10 flex justify-center gap-6 text-xs text-slate-400">
+              <button onClick={cycleTheme} className="flex items-center gap-1.5 hover:text-indigo-600 transition-colors capitalize">
+                  <ThemeIcon className="w-3.5 h-3.5" /> Theme: {theme}
+              </button>
+              <button onClick={handleForgetEverything} className="flex items-center gap-1.5 hover:text-rose-600 transition-colors">
+                  <Trash2 className="w-3.5 h-3.5" /> Forget everything stored in this browser
+              </button>
+          </div>
+
+          <div className="mt-10 text-center text-slate-400 text-[10px] max-w-lg mx-auto leading-relaxed opacity-60">
              Disclaimer: Not SEBI registered. Information for educational purposes only. Mutual fund investments are subject to market risks.
           </div>
         </div>
@@ -830,7 +998,12 @@ export default function PortfolioAnalyzer() {
       return 0;
   });
 
-  const totals = analysis.getFilteredTotals(sortedHoldings);
+  const totals = totalsOf(sortedHoldings);
+
+  // Across every folio of the scheme in view, for the NAV chart's reference line
+  const selectedFundRows = selectedFundName ? analysis.processedData.filter(h => h['Scheme Name'] === selectedFundName) : [];
+  const selectedFundUnits = selectedFundRows.reduce((s, h) => s + (h['Units'] || 0), 0);
+  const selectedFundAvgNAV = selectedFundUnits > 0 ? totalsOf(selectedFundRows).invested / selectedFundUnits : null;
   const totalReturnPercent = totals.invested > 0 ? (totals.returns / totals.invested) * 100 : 0;
 
   const SortableHeader = ({ label, sortKey, align = 'left' }) => (
@@ -852,7 +1025,17 @@ export default function PortfolioAnalyzer() {
   );
 
   return (
-    <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-800 dark:text-slate-100 font-sans pb-24 md:pb-12 transition-colors duration-300">
+    <div {...dropHandlers} className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-800 dark:text-slate-100 font-sans pb-24 md:pb-12 transition-colors duration-300">
+      {passwordPrompt}
+      {sheetPicker}
+      {backupPrompt}
+      {dragActive && (
+        <div className="fixed inset-0 z-50 bg-indigo-600/10 backdrop-blur-sm border-4 border-dashed border-indigo-400 m-4 rounded-[2rem] flex items-center justify-center pointer-events-none">
+            <div className="bg-white dark:bg-slate-900 px-8 py-6 rounded-3xl shadow-2xl flex items-center gap-3 text-indigo-600 font-bold">
+                <Upload className="w-6 h-6" /> Drop files to add them to this portfolio
+            </div>
+        </div>
+      )}
       
       {/* Desktop Navigation (Top) */}
       <nav className="hidden md:block sticky top-0 z-40 bg-white/80 dark:bg-slate-900/80 backdrop-blur-xl border-b border-slate-200 dark:border-slate-800">
@@ -862,6 +1045,7 @@ export default function PortfolioAnalyzer() {
               <Wallet className="w-6 h-6 text-white" />
             </div>
             <span className="font-bold text-xl tracking-tight text-slate-900 dark:text-white">Vivek Narkhede's <span className="text-indigo-600">Portfolio</span></span>
+            <div className="ml-2">{portfolioSwitcher(false)}</div>
           </div>
           
           <div className="flex gap-1 bg-slate-100/50 dark:bg-slate-800/50 p-1.5 rounded-2xl border border-slate-200/50 dark:border-slate-700/50">
@@ -877,11 +1061,28 @@ export default function PortfolioAnalyzer() {
           </div>
 
           <div className="flex items-center gap-3">
-             <button 
-                onClick={() => setData(null)} 
-                className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-500 hover:text-rose-600 hover:bg-rose-50 dark:hover:bg-rose-900/20 rounded-xl transition-all"
-             >
-                <RefreshCw className="w-4 h-4" /> Reset
+             {!isHousehold && (
+                <>
+                    <label className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-xl transition-all cursor-pointer">
+                        <Plus className="w-4 h-4" /> Add Files
+                        <input type="file" multiple accept={ACCEPTED_FILES} onChange={handleFileUpload} className="hidden" />
+                    </label>
+                    <button 
+                        onClick={resetPortfolio} 
+                        className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-slate-500 hover:text-rose-600 hover:bg-rose-50 dark:hover:bg-rose-900/20 rounded-xl transition-all"
+                    >
+                        <RefreshCw className="w-4 h-4" /> Reset
+                    </button>
+                </>
+             )}
+             <button onClick={() => setBackupDialog({ mode: 'backup' })} title="Encrypted backup" className="p-2 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-xl transition-all">
+                <KeyRound className="w-4 h-4" />
+             </button>
+             <button onClick={cycleTheme} title={`Theme: ${theme}`} className="p-2 text-slate-400 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-xl transition-all">
+                <ThemeIcon className="w-4 h-4" />
+             </button>
+             <button onClick={handleForgetEverything} title="Forget everything stored in this browser" className="p-2 text-slate-400 hover:text-rose-600 hover:bg-rose-50 dark:hover:bg-rose-900/20 rounded-xl transition-all">
+                <Trash2 className="w-4 h-4" />
              </button>
           </div>
         </div>
@@ -893,11 +1094,30 @@ export default function PortfolioAnalyzer() {
             <div className="bg-indigo-600 p-1.5 rounded-lg shadow-md shadow-indigo-500/20">
               <Wallet className="w-5 h-5 text-white" />
             </div>
-            <span className="font-bold text-lg text-slate-900 dark:text-white">Portfolio</span>
+            {portfolioSwitcher(true)}
+          </div>
+          <div className="flex items-center gap-1">
+            {!isHousehold && (
+              <>
+                <label className="p-2 text-slate-400 hover:bg-slate-100 rounded-full cursor-pointer">
+                  <Plus className="w-5 h-5" />
+                  <input type="file" multiple accept={ACCEPTED_FILES} onChange={handleFileUpload} className="hidden" />
+                </label>
+                <button onClick={resetPortfolio} className="p-2 text-slate-400 hover:bg-slate-100 rounded-full">
+                  <RefreshCw className="w-5 h-5" />
+                </button>
+              </>
+            )}
+            <button onClick={() => setBackupDialog({ mode: 'backup' })} className="p-2 text-slate-400 hover:bg-slate-100 rounded-full">
+              <KeyRound className="w-5 h-5" />
+            </button>
+            <button onClick={cycleTheme} className="p-2 text-slate-400 hover:bg-slate-100 rounded-full">
+              <ThemeIcon className="w-5 h-5" />
+            </button>
+            <button onClick={handleForgetEverything} className="p-2 text-slate-400 hover:bg-slate-100 rounded-full">
+              <Trash2 className="w-5 h-5" />
+            </button>
           </div>
-          <button onClick={() => setData(null)} className="p-2 text-slate-400 hover:bg-slate-100 rounded-full">
-            <RefreshCw className="w-5 h-5" />
-          </button>
       </nav>
 
       {/* Mobile Bottom Navigation (Tabs) */}
@@ -925,9 +1145,63 @@ export default function PortfolioAnalyzer() {
       <main className="max-w-7xl mx-auto px-4 md:px-6 py-6 md:py-8 space-y-6 md:space-y-8">
         
         {selectedFundName && (
-          <FundDetailsModal schemeName={selectedFundName} onClose={() => setSelectedFundName(null)} />
+          <FundDetailsModal
+            schemeName={selectedFundName}
+            isin={selectedFundRows.find(h => h['ISIN'])?.['ISIN']}
+            avgBuyNAV={selectedFundAvgNAV}
+            onClose={() => setSelectedFundName(null)}
+            riskFreeRate={riskFreeRate}
+            onRiskFreeRateChange={setRiskFreeRate}
+          />
+        )}
+
+        {compareSelection && analysis && (
+          <FundCompare
+            holdings={analysis.processedData}
+            initialFunds={compareSelection}
+            onClose={() => setCompareSelection(null)}
+          />
         )}
 
+        {error && (
+            <div className="p-4 bg-rose-50 dark:bg-rose-900/20 border border-rose-100 dark:border-rose-800 text-rose-600 rounded-2xl text-sm flex items-start gap-3">
+                <AlertTriangle className="w-5 h-5 shrink-0" />
+                <p className="flex-1">{error}</p>
+                <button onClick={() => setError(null)}><X className="w-4 h-4" /></button>
+            </div>
+        )}
+
+        {isHousehold ? (
+            <SourcesBar
+                sources={portfolios.map(p => ({ id: p.id, label: p.name, holdings: merged.holdings.filter(h => h['Member'] === p.name) }))}
+                activeSource={sourceFilter}
+                onSelect={setSourceFilter}
+                onRename={renamePortfolio}
+                duplicates={merged.duplicates}
+                title="Members"
+                icon={Users}
+            />
+        ) : (
+            <SourcesBar
+                sources={sources}
+                activeSource={sourceFilter}
+                onSelect={setSourceFilter}
+                onRename={renameSource}
+                onRemove={removeSource}
+                duplicates={merged.duplicates}
+            />
+        )}
+
+        <ValuationBar
+            summary={valuation}
+            valuations={valuations}
+            progress={valuationProgress}
+            onRefresh={refreshValuations}
+            onRevert={revertValuations}
+            onLoadNavFile={loadNavFile}
+            onFillDetailsChange={setFillDetails}
+        />
+
         {/* Hero Stats */}
         <div className="grid grid-cols-1 md:grid-cols-12 gap-4 md:gap-6">
             {/* Main Value */}
@@ -980,6 +1254,12 @@ export default function PortfolioAnalyzer() {
         {activeTab === 'dashboard' && (
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 md:gap-8 animate-in fade-in slide-in-from-bottom-4 duration-500">
              
+             {isHousehold && (
+                <div className="lg:col-span-2">
+                    <HouseholdBreakdown members={householdMembers} activeMember={sourceFilter} onSelect={setSourceFilter} />
+                </div>
+             )}
+
              {/* AMC Exposure Chart */}
              <Card className="min-h-[400px] lg:col-span-2">
                 <div className="flex items-center justify-between mb-6">
@@ -1110,6 +1390,7 @@ export default function PortfolioAnalyzer() {
                                     className="w-full pl-10 pr-4 py-2.5 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none" 
                                 />
                             </div>
+                            <Button variant="secondary" onClick={() => setCompareSelection([])} icon={GitCompare}>Compare</Button>
                             <Button variant="secondary" onClick={() => downloadCSV(analysis.processedData, 'full_holdings.csv')} icon={Download}>Export</Button>
                         </div>
                     </div>
@@ -1126,6 +1407,12 @@ export default function PortfolioAnalyzer() {
                                     <div className="font-bold text-slate-900 dark:text-white pr-4">{item['Scheme Name']}</div>
                                     <Badge type="neutral">{item['Category']}</Badge>
                                 </div>
+                                {item._navDate && (
+                                    <div className="flex items-center gap-2 -mt-1 mb-3 text-xs text-slate-500">
+                                        <span>NAV {formatNumber(item._nav, 4)} · {formatNavDate(item._navDate)}</span>
+                                        {item._materialMove && <Badge type={item._valueMove >= 0 ? 'success' : 'danger'} className="text-[10px] py-0">{formatMove(item._valueMove)} since statement</Badge>}
+                                    </div>
+                                )}
                                 <div className="grid grid-cols-2 gap-4 text-sm">
                                     <div>
                                         <div className="text-slate-500 text-xs uppercase font-medium">Invested</div>
@@ -1168,20 +1455,30 @@ export default function PortfolioAnalyzer() {
                                 {sortedHoldings.map((item, idx) => (
                                     <tr 
                                         key={idx} 
-                                        className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors cursor-pointer group"
+                                        className={`hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors cursor-pointer group ${item._materialMove ? 'bg-amber-50/50 dark:bg-amber-900/10' : ''}`}
                                         onClick={() => setSelectedFundName(item['Scheme Name'])}
                                     >
                                         <td className="px-6 py-4">
                                             <div className="font-medium text-slate-900 dark:text-white truncate max-w-sm group-hover:text-indigo-600 dark:group-hover:text-indigo-400 transition-colors">
                                                 {item['Scheme Name']}
                                             </div>
-                                            <div className="mt-1">
+                                            <div className="mt-1 flex items-center">
                                                 <Badge type="neutral" className="text-[10px] py-0 px-2 scale-90 origin-left">{item['Category']}</Badge>
+                                                {sources.length > 1 && <Badge type="purple" className="text-[10px] py-0 px-2 scale-90 origin-left">{item['Source']}</Badge>}
+                                                {isHousehold && <Badge type="blue" className="text-[10px] py-0 px-2 scale-90 origin-left">{item['Member']}</Badge>}
+                                                {item._navDate && <span className="text-[10px] text-slate-400 ml-1">NAV {formatNumber(item._nav, 4)} · {formatNavDate(item._navDate)}</span>}
                                             </div>
                                         </td>
                                         <td className="px-6 py-4 text-right text-slate-500 font-mono">{formatNumber(item['Units'], 3)}</td>
                                         <td className="px-6 py-4 text-right font-medium text-slate-600">{formatNumber(item['Invested Value'], 0)}</td>
-                                        <td className="px-6 py-4 text-right font-bold text-slate-900 dark:text-white">{formatNumber(item['Current Value'], 0)}</td>
+                                        <td className="px-6 py-4 text-right">
+                                            <div className="font-bold text-slate-900 dark:text-white">{formatNumber(item['Current Value'], 0)}</div>
+                                            {item._materialMove && (
+                                                <div className={`text-xs mt-0.5 font-medium ${item._valueMove >= 0 ? 'text-emerald-600' : 'text-rose-600'}`} title={`Statement value ${formatCurrency(item._statementValue)}`}>
+                                                    {formatMove(item._valueMove)} since statement
+                                                </div>
+                                            )}
+                                        </td>
                                         <td className="px-6 py-4 text-right">
                                             <div className={`font-bold ${item['Returns'] >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
                                                 {item['Returns'] >= 0 ? '+' : ''}{formatNumber(item['Returns'], 0)}
@@ -1343,8 +1640,11 @@ export default function PortfolioAnalyzer() {
                                     </div>
                                 </div>
                                 <div className="bg-slate-50 dark:bg-slate-800 px-6 py-4 border-t border-slate-100 dark:border-slate-700 flex justify-between items-center">
-                                    <span className="text-sm text-slate-500">Potential Value to Move</span>
-                                    <span className="font-bold text-slate-800 dark:text-white">{formatCurrency(plan.potentialMoveValue)}</span>
+                                    <div>
+                                        <span className="block text-sm text-slate-500">Potential Value to Move</span>
+                                        <span className="font-bold text-slate-800 dark:text-white">{formatCurrency(plan.potentialMoveValue)}</span>
+                                    </div>
+                                    <Button variant="outline" onClick={() => setCompareSelection([plan.winner, ...plan.others].map(f => f['Scheme Name']))} icon={GitCompare}>Compare</Button>
                                 </div>
                             </Card>
                         ))}
@@ -1361,7 +1661,7 @@ export default function PortfolioAnalyzer() {
                     <div>
                         <h3 className="font-bold text-lg text-indigo-900 dark:text-indigo-200">Smart Benchmark Analysis</h3>
                         <p className="text-indigo-700 dark:text-indigo-300 mt-1 max-w-3xl">
-                            Comparison of your <strong>Weighted XIRR</strong> against standard indices (Nifty 50, Midcap 150, etc.). 
+                            Comparison of your <strong>{analysis.xirrSource === 'cashflow' ? 'Cashflow XIRR' : 'Weighted XIRR'}</strong> against standard indices (Nifty 50, Midcap 150, etc.). 
                             <span className="inline-flex items-center mx-1 bg-white/50 px-2 rounded text-emerald-700 font-bold"><ArrowUp className="w-3 h-3 mr-1"/>Positive Alpha</span> means you are beating the market.
                         </p>
                     </div>
@@ -1428,41 +1728,21 @@ export default function PortfolioAnalyzer() {
                     </div>
                 </div>
 
-                {/* Wealth Projection Section */}
-                <Card>
-                    <div className="flex items-center justify-between mb-6">
-                        <div>
-                            <h3 className="font-bold text-lg flex items-center gap-2 text-slate-800 dark:text-white"><LineChartIcon className="w-5 h-5 text-indigo-500" /> Wealth Projection (10 Years)</h3>
-                            <p className="text-sm text-slate-500 mt-1">Based on current weighted portfolio XIRR of <strong>{analysis.portfolioXIRR.toFixed(2)}%</strong></p>
-                        </div>
-                    </div>
-                    <div className="h-[350px] w-full">
-                        <ResponsiveContainer width="100%" height="100%">
-                            <AreaChart data={analysis.wealthProjection} margin={{ top: 10, right: 30, left: 20, bottom: 0 }}>
-                                <defs>
-                                    <linearGradient id="colorPortfolio" x1="0" y1="0" x2="0" y2="1">
-                                        <stop offset="5%" stopColor="#6366f1" stopOpacity={0.3}/>
-                                        <stop offset="95%" stopColor="#6366f1" stopOpacity={0}/>
-                                    </linearGradient>
-                                    <linearGradient id="colorBenchmark" x1="0" y1="0" x2="0" y2="1">
-                                        <stop offset="5%" stopColor="#94a3b8" stopOpacity={0.3}/>
-                                        <stop offset="95%" stopColor="#94a3b8" stopOpacity={0}/>
-                                    </linearGradient>
-                                </defs>
-                                <XAxis dataKey="year" axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
-                                <YAxis tickFormatter={(val) => `₹${(val/100000).toFixed(1)}L`} axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
-                                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
-                                <RechartsTooltip 
-                                    formatter={(value) => formatCurrency(value)}
-                                    contentStyle={{ borderRadius: '12px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' }}
-                                />
-                                <Legend verticalAlign="top" height={36}/>
-                                <Area type="monotone" dataKey="portfolio" name="Projected Value" stroke="#6366f1" fillOpacity={1} fill="url(#colorPortfolio)" strokeWidth={3} />
-                                <Area type="monotone" dataKey="benchmark" name="Benchmark (12%)" stroke="#94a3b8" fillOpacity={1} fill="url(#colorBenchmark)" strokeDasharray="5 5" />
-                            </AreaChart>
-                        </ResponsiveContainer>
-                    </div>
-                </Card>
+                <GoalPlanner
+                    startValue={analysis.totalCurr}
+                    categoryData={analysis.categoryData}
+                    equityRatio={analysis.equityRatio}
+                    plan={plan}
+                    onChange={setPlan}
+                    assumptions={simulation}
+                    onAssumptionsChange={setSimulation}
+                />
+
+                <PortfolioHistory holdings={data} transactions={transactions} />
+
+                <SnapshotHistory snapshots={visibleSnapshots} onDelete={isHousehold ? null : removeSnapshot} />
+
+                <SnapshotDiff key={diffOptions.options.map(o => o.id).join('|')} {...diffOptions} />
 
                 {/* Return Distribution */}
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
@@ -1494,7 +1774,10 @@ export default function PortfolioAnalyzer() {
                             </div>
                             <h3 className="text-xl font-bold text-slate-800 dark:text-white">Portfolio Strategy Insight</h3>
                             <p className="text-slate-500 max-w-md mx-auto text-sm leading-relaxed">
-                                Your portfolio has a weighted XIRR of <strong className="text-indigo-600 dark:text-indigo-400">{analysis.portfolioXIRR.toFixed(2)}%</strong>. 
+                                Your portfolio has a {analysis.xirrSource === 'cashflow' ? 'cashflow-based' : 'weighted'} XIRR of <strong className="text-indigo-600 dark:text-indigo-400">{analysis.portfolioXIRR.toFixed(2)}%</strong>.
+                                {analysis.xirrSource === 'weighted' && analysis.statementXIRRCount > 0 && (
+                                    <span className="block text-xs text-slate-400 mt-1">{analysis.statementXIRRCount} fund XIRR{analysis.statementXIRRCount === 1 ? ' is' : 's are'} as of the statement date; values are at the latest NAV.</span>
+                                )}
                                 <br/><br/>
                                 You have <strong>{analysis.distributionData.find(d => d.name === '> 20%')?.value || 0} multi-baggers</strong> (returning &gt;20%) driving growth, while <strong>{analysis.distributionData.find(d => d.name === 'Negative')?.value || 0} funds</strong> are currently dragging performance.
                             </p>
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { KeyRound, X } from 'lucide-react';
+import { Button } from './ui.jsx';
+
+const MIN_PASSPHRASE = 8;
+
+// Passphrase prompt for both directions: `backup` asks twice and enforces a
+// minimum length, `restore` asks once for the file that was picked.
+const BackupDialog = ({ mode, fileName, onSubmit, onCancel }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isBackup = mode === 'backup';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
+    if (isBackup && passphrase.length < MIN_PASSPHRASE) return setError(`Use at least ${MIN_PASSPHRASE} characters.`);
+    if (isBackup && passphrase !== confirm) return setError("Passphrases don't match.");
+    if (!passphrase) return;
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  const inputClass = "w-full px-4 py-2.5 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none";
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200">
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-900 rounded-3xl w-full max-w-md shadow-2xl p-6">
+        <div className="flex justify-between items-start mb-5">
+          <div className="flex items-center gap-3">
+            <div className="p-3 bg-indigo-50 dark:bg-indigo-900/30 text-indigo-600 rounded-xl"><KeyRound className="w-5 h-5" /></div>
+            <div>
+              <h3 className="font-bold text-slate-900 dark:text-white">{isBackup ? 'Encrypted backup' : 'Restore backup'}</h3>
+              <p className="text-xs text-slate-500 truncate max-w-[260px]" title={fileName}>
+                {isBackup ? 'Portfolios, snapshots, tags and settings' : fileName}
+              </p>
+            </div>
+          </div>
+          <button type="button" onClick={onCancel} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+        <div className="space-y-3">
+          <input type="password" autoFocus value={passphrase} onChange={(e) => setPassphrase(e.target.value)} placeholder="Passphrase" className={inputClass} />
+          {isBackup && (
+            <input type="password" value={confirm} onChange={(e) => setConfirm(e.target.value)} placeholder="Repeat passphrase" className={inputClass} />
+          )}
+        </div>
+        {error
+          ? <p className="text-xs text-rose-600 mt-2 pl-1">{error}</p>
+          : <p className="text-[10px] text-slate-400 mt-2 pl-1">
+              {isBackup
+                ? 'Encrypted in this browser with AES-256-GCM. The passphrase cannot be recovered if you forget it.'
+                : 'Restoring replaces everything currently stored in this browser.'}
+            </p>}
+        <div className="flex justify-end gap-3 mt-6">
+          <Button variant="secondary" onClick={onCancel}>Cancel</Button>
+          <button type="submit" className={`px-5 py-2.5 rounded-2xl font-semibold text-sm bg-indigo-600 hover:bg-indigo-700 text-white ${busy ? 'opacity-60' : ''}`}>
+            {busy ? (isBackup ? 'Encrypting…' : 'Decrypting…') : (isBackup ? 'Download backup' : 'Restore')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default BackupDialog;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Columns, Check, X, AlertTriangle } from 'lucide-react';
+import { Badge, Button } from './ui.jsx';
+import { FIELDS, REQUIRED_FIELDS, guessMapping, isMappingComplete } from '../lib/columnMapping.js';
+
+const PREVIEW_ROWS = 6;
+const HEADER_CANDIDATES = 20;
+
+const cellText = (val) => (val === undefined || val === null ? '' : String(val).trim().replace(/^"|"$/g, ''));
+
+const ColumnMappingWizard = ({ fileName, rows, initialHeaderIndex = 0, onConfirm, onCancel }) => {
+  const [headerIndex, setHeaderIndex] = useState(initialHeaderIndex);
+  const [mapping, setMapping] = useState(() => guessMapping(rows[initialHeaderIndex]));
+  const [remember, setRemember] = useState(true);
+
+  const headerRow = Array.isArray(rows[headerIndex]) ? rows[headerIndex] : [];
+  const columnCount = Math.max(headerRow.length, ...rows.slice(headerIndex + 1, headerIndex + 1 + PREVIEW_ROWS).map(r => (Array.isArray(r) ? r.length : 0)));
+  const previewRows = rows.slice(headerIndex + 1, headerIndex + 1 + PREVIEW_ROWS);
+  const candidateRows = rows.slice(0, HEADER_CANDIDATES);
+
+  const fieldForColumn = (colIdx) => Object.keys(mapping).find(f => mapping[f] === colIdx) || '';
+
+  const changeHeaderRow = (idx) => {
+    setHeaderIndex(idx);
+    setMapping(guessMapping(rows[idx]));
+  };
+
+  const assignColumn = (colIdx, field) => {
+    setMapping(current => {
+      const next = {};
+      // A field maps to one column and a column to one field
+      Object.entries(current).forEach(([f, c]) => {
+        if (c !== colIdx && f !== field) next[f] = c;
+      });
+      if (field) next[field] = colIdx;
+      return next;
+    });
+  };
+
+  const missing = REQUIRED_FIELDS.filter(f => mapping[f] === undefined);
+
+  return (
+    <div className="max-w-5xl w-full relative z-10 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="bg-white/90 dark:bg-slate-800/90 backdrop-blur-xl rounded-[2rem] p-6 md:p-8 shadow-2xl shadow-slate-200/50 dark:shadow-black/50 border border-white/50 dark:border-slate-700">
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <div className="flex items-center gap-3">
+            <div className="p-3 bg-indigo-50 dark:bg-indigo-900/30 text-indigo-600 rounded-xl"><Columns className="w-6 h-6" /></div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-900 dark:text-white">Map your columns</h2>
+              <p className="text-sm text-slate-500 mt-0.5">We couldn't recognise the layout of <strong>{fileName || 'this file'}</strong>. Tell us which column is which.</p>
+            </div>
+          </div>
+          <button onClick={onCancel} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-6">
+          <label className="text-sm font-semibold text-slate-700 dark:text-slate-300">Header row</label>
+          <select
+            value={headerIndex}
+            onChange={(e) => changeHeaderRow(Number(e.target.value))}
+            className="flex-1 px-4 py-2.5 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer"
+          >
+            {candidateRows.map((row, idx) => (
+              <option key={idx} value={idx}>
+                Row {idx + 1}: {(Array.isArray(row) ? row : []).map(cellText).filter(Boolean).slice(0, 5).join(' · ') || '(empty)'}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="overflow-x-auto border border-slate-100 dark:border-slate-700 rounded-2xl">
+          <table className="w-full text-xs text-left">
+            <thead className="bg-slate-50 dark:bg-slate-900/50">
+              <tr>
+                {Array.from({ length: columnCount }).map((_, colIdx) => (
+                  <th key={colIdx} className="px-3 py-3 align-top min-w-[140px]">
+                    <div className="font-bold text-slate-700 dark:text-slate-200 truncate mb-2" title={cellText(headerRow[colIdx])}>
+                      {cellText(headerRow[colIdx]) || `Column ${colIdx + 1}`}
+                    </div>
+                    <select
+                      value={fieldForColumn(colIdx)}
+                      onChange={(e) => assignColumn(colIdx, e.target.value)}
+                      className={`w-full px-2 py-1.5 rounded-lg border text-xs outline-none cursor-pointer ${fieldForColumn(colIdx) ? 'border-indigo-300 bg-indigo-50 text-indigo-700 dark:bg-indigo-900/30 dark:text-indigo-300' : 'border-slate-200 bg-white text-slate-500 dark:bg-slate-900 dark:border-slate-700'}`}
+                    >
+                      <option value="">— Ignore —</option>
+                      {FIELDS.map(f => <option key={f} value={f}>{f}</option>)}
+                    </select>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+              {previewRows.map((row, rIdx) => (
+                <tr key={rIdx}>
+                  {Array.from({ length: columnCount }).map((_, colIdx) => (
+                    <td key={colIdx} className={`px-3 py-2 truncate max-w-[200px] ${fieldForColumn(colIdx) ? 'text-slate-800 dark:text-slate-200' : 'text-slate-400'}`}>
+                      {cellText(Array.isArray(row) ? row[colIdx] : '')}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="mt-6 flex flex-col md:flex-row md:items-center justify-between gap-4">
+          <div className="flex flex-wrap items-center gap-2">
+            {REQUIRED_FIELDS.map(f => (
+              <Badge key={f} type={mapping[f] !== undefined ? 'success' : 'warning'}>{f}</Badge>
+            ))}
+            {missing.length > 0 && (
+              <span className="flex items-center gap-1 text-xs text-amber-600"><AlertTriangle className="w-3 h-3" /> Required</span>
+            )}
+          </div>
+          <div className="flex items-center gap-4">
+            <label className="flex items-center gap-2 text-sm text-slate-500 cursor-pointer">
+              <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} className="rounded accent-indigo-600" />
+              Remember for files like this
+            </label>
+            <Button variant="secondary" onClick={onCancel}>Cancel</Button>
+            <Button
+              icon={Check}
+              onClick={() => isMappingComplete(mapping) && onConfirm({ headerIndex, mapping, remember })}
+              className={isMappingComplete(mapping) ? '' : 'opacity-50 cursor-not-allowed'}
+            >
+              Import
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,305 @@
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { X, Search, Plus, GitCompare, RefreshCw, AlertTriangle } from 'lucide-react';
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, ReferenceLine
+} from 'recharts';
+import { Badge } from './ui.jsx';
+import { resolveSchemeCode, getNavHistory, searchSchemes, getMarketDataProvider, MarketDataError } from '../lib/marketData/index.js';
+import { parseNavHistory } from '../lib/riskStats.js';
+import { NAV_RANGES, samplePoints } from '../lib/navReturns.js';
+import { compareFunds, COMPARE_MIN, COMPARE_MAX, COMPARE_COLORS } from '../lib/fundCompare.js';
+
+const MAX_POINTS = 400;
+
+const tooltipStyle = { backgroundColor: '#fff', borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' };
+
+const dayLabel = (date) => date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: '2-digit' });
+
+const pct = (val) => (val === null || val === undefined ? '—' : `${val > 0 ? '+' : ''}${val.toFixed(1)}%`);
+
+// Table columns; `better` picks which end of the column gets highlighted
+const COLUMNS = [
+  { key: 'periodReturn', label: 'Range', better: 'high' },
+  { key: 'ret1Y', label: '1Y', better: 'high' },
+  { key: 'cagr3Y', label: '3Y CAGR', better: 'high' },
+  { key: 'cagr5Y', label: '5Y CAGR', better: 'high' },
+  { key: 'volatility', label: 'Volatility', better: 'low' },
+  { key: 'drawdown', label: 'Max DD', better: 'high' }
+];
+
+const fetchFund = async ({ name, code, isin, category }) => {
+  try {
+    const schemeCode = code || await resolveSchemeCode(name, isin);
+    if (!schemeCode) return { status: 'error', message: `Not found on ${getMarketDataProvider().name}` };
+    const data = await getNavHistory(schemeCode);
+    return {
+      status: 'ready',
+      series: parseNavHistory(data.data),
+      category: category || data.meta?.scheme_category || null
+    };
+  } catch (err) {
+    return { status: 'error', message: err instanceof MarketDataError ? err.message : 'Unable to connect' };
+  }
+};
+
+// Two to five funds, from holdings or a scheme search, rebased to 100 on
+// one chart with a side-by-side table, to settle which of several
+// overlapping funds to keep.
+const FundCompare = ({ holdings, initialFunds = [], onClose }) => {
+  const holdingFunds = useMemo(() => {
+    const byName = new Map();
+    holdings.forEach(h => {
+      if (!byName.has(h['Scheme Name'])) {
+        byName.set(h['Scheme Name'], { name: h['Scheme Name'], isin: h['ISIN'] || null, category: h['Sub-category'] || h['Category'] || null });
+      }
+    });
+    return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [holdings]);
+
+  const [selected, setSelected] = useState(() => [...new Set(initialFunds)]
+    .slice(0, COMPARE_MAX)
+    .map(name => holdingFunds.find(f => f.name === name) || { name, category: null }));
+  const [navs, setNavs] = useState({});
+  const [range, setRange] = useState('3Y');
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    selected.forEach(fund => {
+      if (requested.current.has(fund.name)) return;
+      requested.current.add(fund.name);
+      fetchFund(fund).then(result => setNavs(prev => ({ ...prev, [fund.name]: result })));
+    });
+  }, [selected]);
+
+  const full = selected.length >= COMPARE_MAX;
+  const isSelected = (name) => selected.some(f => f.name === name);
+
+  const addFund = (fund) => {
+    if (full || isSelected(fund.name)) return;
+    setSelected(prev => [...prev, fund]);
+  };
+
+  const removeFund = (name) => setSelected(prev => prev.filter(f => f.name !== name));
+
+  const runSearch = (e) => {
+    e.preventDefault();
+    const q = query.trim();
+    if (!q) return;
+    setSearching(true);
+    searchSchemes(q)
+      .then(found => setResults(found.slice(0, 8)))
+      .catch(() => setResults([]))
+      .finally(() => setSearching(false));
+  };
+
+  // Fund keys for the chart rows; scheme names can contain dots, which
+  // recharts would read as paths
+  const ready = useMemo(() => selected
+    .map((fund, i) => ({ ...fund, key: `fund${i}`, color: COMPARE_COLORS[i], nav: navs[fund.name] }))
+    .filter(f => f.nav?.status === 'ready' && f.nav.series.length > 1), [selected, navs]);
+
+  const comparison = useMemo(
+    () => (ready.length >= COMPARE_MIN ? compareFunds(ready.map(f => ({ key: f.key, series: f.nav.series })), range) : null),
+    [ready, range]
+  );
+
+  const chartData = useMemo(
+    () => (comparison ? samplePoints(comparison.chart, MAX_POINTS).map(row => ({ ...row, label: dayLabel(row.date) })) : []),
+    [comparison]
+  );
+
+  // Best value in each column, for highlighting
+  const best = useMemo(() => {
+    if (!comparison) return {};
+    return Object.fromEntries(COLUMNS.map(col => {
+      const values = comparison.stats.map(s => s[col.key]).filter(v => v !== null);
+      if (values.length < 2) return [col.key, null];
+      return [col.key, col.better === 'high' ? Math.max(...values) : Math.min(...values)];
+    }));
+  }, [comparison]);
+
+  const available = holdingFunds.filter(f => !isSelected(f.name));
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-end md:items-center justify-center p-0 md:p-4 animate-in fade-in duration-200">
+      <div className="bg-white dark:bg-slate-900 rounded-t-[2rem] md:rounded-3xl w-full max-w-5xl h-[90vh] md:h-auto md:max-h-[90vh] overflow-y-auto shadow-2xl flex flex-col">
+
+        <div className="px-6 py-4 border-b border-slate-100 dark:border-slate-800 flex justify-between items-start sticky top-0 bg-white/95 dark:bg-slate-900/95 backdrop-blur-md z-10">
+          <div>
+            <h2 className="text-xl font-bold text-slate-900 dark:text-white flex items-center gap-2"><GitCompare className="w-5 h-5 text-indigo-500" /> Compare Funds</h2>
+            <p className="text-xs text-slate-400 mt-1">Growth of ₹100 over the period all selected funds share · Data by {getMarketDataProvider().name}</p>
+          </div>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors">
+            <X className="w-6 h-6 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          {/* Selection */}
+          <div className="space-y-3">
+            <div className="flex flex-wrap gap-2">
+              {selected.map((fund, i) => {
+                const state = navs[fund.name];
+                return (
+                  <span key={fund.name} className="flex items-center gap-2 pl-3 pr-1 py-1 rounded-full border border-slate-200 dark:border-slate-700 text-xs font-medium text-slate-700 dark:text-slate-200 max-w-full">
+                    <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: COMPARE_COLORS[i] }} />
+                    <span className="truncate max-w-[220px]" title={fund.name}>{fund.name}</span>
+                    {!state && <RefreshCw className="w-3 h-3 text-slate-400 animate-spin shrink-0" />}
+                    {state?.status === 'error' && <span className="text-rose-500 shrink-0" title={state.message}><AlertTriangle className="w-3 h-3" /></span>}
+                    <button onClick={() => removeFund(fund.name)} className="p-1 rounded-full hover:bg-slate-100 dark:hover:bg-slate-800 text-slate-400" title="Remove">
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                );
+              })}
+              {selected.length === 0 && <span className="text-xs text-slate-400">No funds selected</span>}
+            </div>
+
+            <div className="flex flex-col md:flex-row gap-3">
+              <select
+                value=""
+                disabled={full || !available.length}
+                onChange={(e) => addFund(holdingFunds.find(f => f.name === e.target.value))}
+                className="md:w-1/2 px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none disabled:opacity-50"
+              >
+                <option value="">Add from holdings…</option>
+                {available.map(f => <option key={f.name} value={f.name}>{f.name}</option>)}
+              </select>
+              <form onSubmit={runSearch} className="relative md:w-1/2">
+                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+                <input
+                  type="text"
+                  value={query}
+                  disabled={full}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder="Search any scheme and press Enter"
+                  className="w-full pl-9 pr-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none disabled:opacity-50"
+                />
+              </form>
+            </div>
+
+            {(searching || results) && (
+              <div className="border border-slate-100 dark:border-slate-800 rounded-xl divide-y divide-slate-100 dark:divide-slate-800 max-h-56 overflow-y-auto">
+                {searching ? (
+                  <div className="p-3 text-xs text-slate-400">Searching…</div>
+                ) : results.length === 0 ? (
+                  <div className="p-3 text-xs text-slate-400">No schemes found</div>
+                ) : results.map(r => (
+                  <button
+                    key={r.schemeCode}
+                    disabled={full || isSelected(r.schemeName)}
+                    onClick={() => addFund({ name: r.schemeName, code: r.schemeCode, category: null })}
+                    className="w-full flex items-center justify-between gap-3 px-3 py-2 text-left text-sm text-slate-700 dark:text-slate-200 hover:bg-slate-50 dark:hover:bg-slate-800 disabled:opacity-40"
+                  >
+                    <span className="truncate">{r.schemeName}</span>
+                    <Plus className="w-4 h-4 text-indigo-500 shrink-0" />
+                  </button>
+                ))}
+              </div>
+            )}
+            {full && <p className="text-xs text-slate-400">Up to {COMPARE_MAX} funds at a time.</p>}
+          </div>
+
+          {ready.length < COMPARE_MIN ? (
+            <div className="flex flex-col items-center justify-center h-48 text-center text-sm text-slate-500">
+              {selected.length < COMPARE_MIN
+                ? `Pick at least ${COMPARE_MIN} funds to compare.`
+                : selected.some(f => !navs[f.name])
+                  ? <><RefreshCw className="w-6 h-6 text-indigo-500 animate-spin mb-3" /> Fetching NAV histories…</>
+                  : 'Not enough NAV history for the selected funds.'}
+            </div>
+          ) : (
+            <>
+              {/* Rebased chart */}
+              <div className="bg-white dark:bg-slate-800 rounded-2xl p-2 md:p-4 border border-slate-100 dark:border-slate-700 shadow-sm">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4 px-2">
+                  <h3 className="text-sm font-bold text-slate-700 dark:text-slate-300">
+                    Rebased to 100{comparison.start && <span className="font-normal text-slate-400"> from {dayLabel(comparison.start)}</span>}
+                  </h3>
+                  <div className="flex gap-0.5 bg-slate-100 dark:bg-slate-900 p-1 rounded-xl">
+                    {NAV_RANGES.map(r => (
+                      <button
+                        key={r}
+                        onClick={() => setRange(r)}
+                        className={`px-2 py-1 rounded-lg text-[10px] font-semibold transition-all ${range === r ? 'bg-white dark:bg-slate-700 text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+                      >
+                        {r}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <div className="h-[280px] md:h-[340px]">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={chartData}>
+                      <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                      <XAxis dataKey="label" tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} minTickGap={40} />
+                      <YAxis domain={['auto', 'auto']} width={40} tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} tickFormatter={(v) => v.toFixed(0)} />
+                      <RechartsTooltip
+                        formatter={(v, name) => [v.toFixed(1), name]}
+                        contentStyle={tooltipStyle}
+                        labelStyle={{ color: '#64748b', fontSize: '12px' }}
+                        itemStyle={{ fontSize: '12px' }}
+                      />
+                      <ReferenceLine y={100} stroke="#94a3b8" strokeDasharray="4 4" />
+                      {ready.map(f => (
+                        <Line key={f.key} type="monotone" dataKey={f.key} name={f.name} stroke={f.color} strokeWidth={2} dot={false} isAnimationActive={false} />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              {/* Comparison table */}
+              <div className="overflow-x-auto border border-slate-100 dark:border-slate-800 rounded-2xl">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-50 dark:bg-slate-800/50 text-[10px] uppercase tracking-wider text-slate-500">
+                    <tr>
+                      <th className="text-left px-4 py-3 font-bold">Fund</th>
+                      <th className="text-left px-4 py-3 font-bold">Category</th>
+                      {COLUMNS.map(col => <th key={col.key} className="text-right px-4 py-3 font-bold whitespace-nowrap">{col.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                    {ready.map((f, i) => {
+                      const row = comparison.stats[i];
+                      return (
+                        <tr key={f.key}>
+                          <td className="px-4 py-3">
+                            <div className="flex items-center gap-2 max-w-[260px]">
+                              <span className="w-2.5 h-2.5 rounded-full shrink-0" style={{ backgroundColor: f.color }} />
+                              <span className="truncate font-medium text-slate-800 dark:text-slate-100" title={f.name}>{f.name}</span>
+                            </div>
+                          </td>
+                          <td className="px-4 py-3">{f.nav.category ? <Badge type="neutral" className="whitespace-nowrap">{f.nav.category}</Badge> : <span className="text-slate-400">—</span>}</td>
+                          {COLUMNS.map(col => {
+                            const val = row[col.key];
+                            const isBest = val !== null && val === best[col.key];
+                            const tone = col.key === 'volatility' ? 'text-slate-700 dark:text-slate-200' : val < 0 ? 'text-rose-500' : 'text-emerald-600';
+                            return (
+                              <td key={col.key} className={`px-4 py-3 text-right font-mono whitespace-nowrap ${val === null ? 'text-slate-400' : tone} ${isBest ? 'font-bold bg-indigo-50/60 dark:bg-indigo-900/20' : ''}`}>
+                                {col.key === 'volatility' ? (val === null ? '—' : `${val.toFixed(1)}%`) : pct(val)}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-[10px] text-slate-400 px-2">
+                Range return, volatility and max drawdown cover the shared window shown in the chart; 1Y is absolute and 3Y/5Y are CAGR over each fund's own history. Best in each column is highlighted.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FundCompare;
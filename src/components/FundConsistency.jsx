@@ -0,0 +1,140 @@
+import React, { useState, useMemo } from 'react';
+import { Repeat, CalendarDays } from 'lucide-react';
+import {
+  ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, ReferenceLine
+} from 'recharts';
+import { ROLLING_PERIODS, historyYears, rollingReturns, rollingSummary, samplePoints, calendarReturns } from '../lib/navReturns.js';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const tooltipStyle = { backgroundColor: '#fff', borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' };
+
+const shortDate = (date) => date.toLocaleDateString('en-IN', { month: 'short', year: '2-digit' });
+
+const pct = (val) => (val === null || val === undefined ? '' : `${val > 0 ? '+' : ''}${val.toFixed(1)}%`);
+
+// Green for gains, red for losses; full strength at `scale` percent
+const heatColor = (val, scale) => {
+  if (val === null) return undefined;
+  const alpha = Math.min(1, Math.abs(val) / scale) * 0.75 + 0.1;
+  return val >= 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(244, 63, 94, ${alpha})`;
+};
+
+// Rolling-return chart with its spread, and a calendar heatmap, so a fund
+// can be judged on consistency instead of one start date.
+const FundConsistency = ({ series }) => {
+  const [years, setYears] = useState(1);
+  const [threshold, setThreshold] = useState(12);
+
+  const available = useMemo(() => ROLLING_PERIODS.filter(y => historyYears(series) >= y), [series]);
+  const period = available.includes(years) ? years : available[0];
+
+  const rolling = useMemo(() => (period ? rollingReturns(series, period) : []), [series, period]);
+  const summary = useMemo(() => rollingSummary(rolling, threshold), [rolling, threshold]);
+  const chartData = useMemo(() => samplePoints(rolling).map(p => ({ label: shortDate(p.date), value: parseFloat(p.value.toFixed(2)) })), [rolling]);
+  const calendar = useMemo(() => calendarReturns(series), [series]);
+
+  if (series.length < 2) return null;
+
+  return (
+    <div className="space-y-6">
+      {summary && (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl p-4 border border-slate-100 dark:border-slate-700 shadow-sm">
+          <div className="flex flex-wrap justify-between items-center gap-3 mb-4 px-2">
+            <h3 className="text-sm font-bold text-slate-700 dark:text-slate-300 flex items-center gap-2"><Repeat className="w-4 h-4 text-indigo-500" /> Rolling Returns</h3>
+            <div className="flex items-center gap-3">
+              <label className="flex items-center gap-2 text-xs text-slate-500">
+                Beat
+                <input
+                  type="number"
+                  step="0.5"
+                  value={threshold}
+                  onChange={(e) => setThreshold(parseFloat(e.target.value) || 0)}
+                  className="w-14 px-2 py-1 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-lg text-xs text-right focus:ring-2 focus:ring-indigo-500 outline-none"
+                />
+                %
+              </label>
+              <div className="flex gap-1 bg-slate-100 dark:bg-slate-900 p-1 rounded-xl">
+                {ROLLING_PERIODS.map(y => (
+                  <button
+                    key={y}
+                    disabled={!available.includes(y)}
+                    onClick={() => setYears(y)}
+                    className={`px-3 py-1 rounded-lg text-xs font-semibold transition-all disabled:opacity-40 ${period === y ? 'bg-white dark:bg-slate-700 text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+                  >
+                    {y}Y
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            {[
+              ['Minimum', pct(summary.min), summary.min < 0 ? 'text-rose-500' : 'text-slate-800 dark:text-white'],
+              ['Median', pct(summary.median), 'text-slate-800 dark:text-white'],
+              ['Maximum', pct(summary.max), 'text-emerald-500'],
+              [`Above ${threshold}%`, `${summary.beating.toFixed(0)}%`, summary.beating >= 50 ? 'text-emerald-500' : 'text-amber-500']
+            ].map(([label, value, tone]) => (
+              <div key={label} className="p-3 bg-slate-50 dark:bg-slate-900/50 rounded-xl">
+                <div className="text-[10px] text-slate-500 uppercase font-bold tracking-wider">{label}</div>
+                <div className={`text-lg font-bold mt-1 ${tone}`}>{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="h-[220px]">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                <XAxis dataKey="label" tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} minTickGap={30} />
+                <YAxis tickFormatter={(v) => `${v}%`} width={45} tick={{ fontSize: 10, fill: '#94a3b8' }} axisLine={false} tickLine={false} />
+                <RechartsTooltip formatter={(v) => [`${v}%`, `${period}Y CAGR`]} contentStyle={tooltipStyle} labelStyle={{ color: '#64748b', fontSize: '12px' }} />
+                <ReferenceLine y={threshold} stroke="#f59e0b" strokeDasharray="4 4" />
+                <ReferenceLine y={0} stroke="#94a3b8" />
+                <Line type="monotone" dataKey="value" stroke="#6366f1" strokeWidth={2} dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <p className="text-[10px] text-slate-400 mt-2 px-2">{summary.count} daily {period}-year periods ending on each trading day</p>
+        </div>
+      )}
+
+      {calendar.length > 0 && (
+        <div className="bg-white dark:bg-slate-800 rounded-2xl p-4 border border-slate-100 dark:border-slate-700 shadow-sm">
+          <h3 className="text-sm font-bold text-slate-700 dark:text-slate-300 flex items-center gap-2 mb-4 px-2"><CalendarDays className="w-4 h-4 text-indigo-500" /> Calendar Returns</h3>
+          <div className="overflow-x-auto">
+            <table className="w-full text-[10px] text-center border-separate border-spacing-0.5">
+              <thead>
+                <tr className="text-slate-400 uppercase">
+                  <th className="text-left px-1">Year</th>
+                  {MONTHS.map(m => <th key={m} className="font-medium">{m}</th>)}
+                  <th className="font-bold">Year</th>
+                </tr>
+              </thead>
+              <tbody>
+                {calendar.map(row => (
+                  <tr key={row.year}>
+                    <td className="text-left px-1 font-bold text-slate-600 dark:text-slate-300">{row.year}</td>
+                    {row.months.map((val, i) => (
+                      <td key={i} className="py-1.5 rounded text-slate-800 dark:text-slate-100" style={{ backgroundColor: heatColor(val, 8) }} title={val === null ? '' : `${MONTHS[i]} ${row.year}: ${pct(val)}`}>
+                        {val === null ? '' : val.toFixed(1)}
+                      </td>
+                    ))}
+                    <td className="py-1.5 px-1 rounded font-bold text-slate-800 dark:text-slate-100" style={{ backgroundColor: heatColor(row.total, 30) }} title={row.partial ? 'Partial year' : ''}>
+                      {row.total === null ? '' : `${row.total.toFixed(1)}${row.partial ? '*' : ''}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-[10px] text-slate-400 mt-2 px-2">Monthly returns from month-end NAVs. * partial year.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FundConsistency;
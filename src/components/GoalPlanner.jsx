@@ -0,0 +1,192 @@
+import React, { useState, useMemo } from 'react';
+import { Target, Flag } from 'lucide-react';
+import {
+  ResponsiveContainer, ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, Legend, ReferenceLine
+} from 'recharts';
+import { Card, Badge } from './ui.jsx';
+import NumberField from './NumberField.jsx';
+import MonteCarloProjection from './MonteCarloProjection.jsx';
+import { formatCurrency } from '../lib/format.js';
+import {
+  ASSET_CLASSES, MAX_HORIZON, assetMix, blendedReturn, projectPlan, requiredSIP, nominalTarget
+} from '../lib/goalPlanner.js';
+
+const tooltipStyle = { borderRadius: '12px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' };
+
+const lakhs = (val) => (val >= 1e7 ? `₹${(val / 1e7).toFixed(1)}Cr` : `₹${(val / 1e5).toFixed(1)}L`);
+
+// Projects the portfolio with a monthly SIP, yearly step-up and an expected
+// return per asset class, in nominal and today's rupees, and works out the
+// SIP a target corpus needs. Drives the projection chart on the Performance tab;
+// the simulation mode replaces the single line with a spread of outcomes.
+const GoalPlanner = ({ startValue, categoryData, equityRatio, plan, onChange, assumptions, onAssumptionsChange }) => {
+  const [mode, setMode] = useState('projection');
+  const mix = useMemo(() => assetMix(categoryData), [categoryData]);
+  const rows = useMemo(() => projectPlan({ startValue, mix, plan }), [startValue, mix, plan]);
+  const needed = useMemo(() => requiredSIP({ startValue, mix, plan }), [startValue, mix, plan]);
+
+  const set = (key) => (value) => onChange({ ...plan, [key]: value });
+  const setReturn = (assetClass) => (value) => onChange({ ...plan, returns: { ...plan.returns, [assetClass]: value } });
+
+  const last = rows[rows.length - 1];
+  const target = plan.target > 0 ? nominalTarget(plan) : null;
+  const chart = rows.map(r => ({
+    year: `Year ${r.year}`,
+    nominal: Math.round(r.nominal),
+    real: Math.round(r.real),
+    invested: Math.round(r.invested)
+  }));
+
+  return (
+    <Card>
+      <div className="flex flex-col md:flex-row md:items-start justify-between gap-4 mb-6">
+        <div>
+          <h3 className="font-bold text-lg flex items-center gap-2 text-slate-800 dark:text-white"><Target className="w-5 h-5 text-indigo-500" /> SIP &amp; Goal Planner</h3>
+          <p className="text-sm text-slate-500 mt-1">
+            {mode === 'projection'
+              ? <>Today&apos;s {formatCurrency(startValue)} plus a monthly SIP in your current mix, expected to earn <strong>{blendedReturn(mix, plan.returns).toFixed(1)}%</strong> a year.</>
+              : <>Today&apos;s {formatCurrency(startValue)} plus a monthly SIP over thousands of simulated markets, split {Math.round(equityRatio)}% equity and {100 - Math.round(equityRatio)}% debt.</>}
+          </p>
+        </div>
+        <div className="flex gap-1 bg-slate-100 dark:bg-slate-800 p-1 rounded-xl shrink-0">
+          {[['projection', 'Projection'], ['simulation', 'Simulation']].map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setMode(id)}
+              className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${mode === id ? 'bg-white dark:bg-slate-700 text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        <NumberField label="Monthly SIP" value={plan.monthlySIP} onChange={set('monthlySIP')} step={500} suffix="₹" />
+        <NumberField label="Yearly step-up" value={plan.stepUp} onChange={set('stepUp')} max={100} suffix="%" />
+        <NumberField label="Horizon" value={plan.horizon} onChange={(v) => set('horizon')(Math.round(v))} min={1} max={MAX_HORIZON} suffix="yrs" />
+        <NumberField label="Inflation" value={plan.inflation} onChange={set('inflation')} max={30} step={0.5} suffix="%" />
+        <NumberField label="Target (today's ₹)" value={plan.target} onChange={set('target')} step={100000} suffix="₹" />
+      </div>
+
+      {mode === 'projection' ? (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+            {ASSET_CLASSES.map(c => (
+              <NumberField
+                key={c}
+                label={`${c} return (${Math.round(mix[c] * 100)}% of mix)`}
+                value={plan.returns[c]}
+                onChange={setReturn(c)}
+                min={-20}
+                max={40}
+                step={0.5}
+                suffix="%"
+              />
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 my-6">
+            <div className="p-4 bg-indigo-50 dark:bg-indigo-900/20 rounded-2xl">
+              <div className="text-xs text-indigo-700 dark:text-indigo-300">Corpus in {plan.horizon} years</div>
+              <div className="text-2xl font-bold text-indigo-900 dark:text-indigo-100">{formatCurrency(last.nominal)}</div>
+              <div className="text-xs text-slate-500 mt-1">{formatCurrency(last.real)} in today&apos;s money</div>
+            </div>
+            <div className="p-4 bg-slate-50 dark:bg-slate-800 rounded-2xl">
+              <div className="text-xs text-slate-500">Total invested</div>
+              <div className="text-2xl font-bold text-slate-800 dark:text-white">{formatCurrency(last.invested)}</div>
+              <div className="text-xs text-slate-500 mt-1">SIP reaches {formatCurrency(last.sip)}/month in the last year</div>
+            </div>
+            <div className="p-4 bg-slate-50 dark:bg-slate-800 rounded-2xl">
+              <div className="text-xs text-slate-500 flex items-center gap-1"><Flag className="w-3 h-3" /> SIP needed for the target</div>
+              {needed === null ? (
+                <div className="text-sm text-slate-500 mt-1">Set a target to see the SIP it needs.</div>
+              ) : (
+                <>
+                  <div className="text-2xl font-bold text-slate-800 dark:text-white">{formatCurrency(Math.ceil(needed))}/month</div>
+                  <div className="mt-1">
+                    {needed === 0
+                      ? <Badge type="success">Today&apos;s portfolio gets there alone</Badge>
+                      : needed <= plan.monthlySIP
+                        ? <Badge type="success">On track with your SIP</Badge>
+                        : <Badge type="warning">{formatCurrency(Math.ceil(needed - plan.monthlySIP))}/month short</Badge>}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="h-[350px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chart} margin={{ top: 10, right: 30, left: 20, bottom: 0 }}>
+                <defs>
+                  <linearGradient id="colorPlanNominal" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#6366f1" stopOpacity={0.3}/>
+                    <stop offset="95%" stopColor="#6366f1" stopOpacity={0}/>
+                  </linearGradient>
+                  <linearGradient id="colorPlanReal" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#10b981" stopOpacity={0.25}/>
+                    <stop offset="95%" stopColor="#10b981" stopOpacity={0}/>
+                  </linearGradient>
+                </defs>
+                <XAxis dataKey="year" axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+                <YAxis tickFormatter={lakhs} axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                <RechartsTooltip formatter={(value) => formatCurrency(value)} contentStyle={tooltipStyle} />
+                <Legend verticalAlign="top" height={36}/>
+                {target && (
+                  <ReferenceLine
+                    y={target}
+                    stroke="#f59e0b"
+                    strokeDasharray="4 4"
+                    ifOverflow="extendDomain"
+                    label={{ value: `Target ${lakhs(target)}`, position: 'insideTopLeft', fill: '#d97706', fontSize: 11 }}
+                  />
+                )}
+                <Area type="monotone" dataKey="nominal" name="Projected value" stroke="#6366f1" fillOpacity={1} fill="url(#colorPlanNominal)" strokeWidth={3} />
+                <Area type="monotone" dataKey="real" name="In today's money" stroke="#10b981" fillOpacity={1} fill="url(#colorPlanReal)" strokeWidth={2} />
+                <Line type="monotone" dataKey="invested" name="Invested" stroke="#94a3b8" strokeDasharray="5 5" dot={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="mt-6 max-h-72 overflow-auto border border-slate-100 dark:border-slate-800 rounded-xl">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-slate-50 dark:bg-slate-800 text-xs text-slate-500">
+                <tr>
+                  <th className="text-left px-4 py-2 font-semibold">Year</th>
+                  <th className="text-right px-4 py-2 font-semibold">Monthly SIP</th>
+                  <th className="text-right px-4 py-2 font-semibold">Invested</th>
+                  <th className="text-right px-4 py-2 font-semibold">Value</th>
+                  <th className="text-right px-4 py-2 font-semibold">Today&apos;s money</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                {rows.map(r => (
+                  <tr key={r.year} className={plan.target > 0 && r.real >= plan.target ? 'bg-emerald-50/60 dark:bg-emerald-900/10' : ''}>
+                    <td className="px-4 py-2 text-slate-700 dark:text-slate-300">{r.year === 0 ? 'Today' : r.year}</td>
+                    <td className="px-4 py-2 text-right text-slate-500">{r.year === 0 ? '—' : formatCurrency(r.sip)}</td>
+                    <td className="px-4 py-2 text-right text-slate-500">{formatCurrency(r.invested)}</td>
+                    <td className="px-4 py-2 text-right font-semibold text-slate-800 dark:text-white">{formatCurrency(r.nominal)}</td>
+                    <td className="px-4 py-2 text-right text-slate-500">{formatCurrency(r.real)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : (
+        <MonteCarloProjection
+          startValue={startValue}
+          equityRatio={equityRatio}
+          plan={plan}
+          assumptions={assumptions}
+          onAssumptionsChange={onAssumptionsChange}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default GoalPlanner;
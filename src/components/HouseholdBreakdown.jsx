@@ -0,0 +1,42 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+import { Card } from './ui.jsx';
+import { formatCurrency } from '../lib/format.js';
+
+// Per-member rows under the consolidated hero stats; a row filters the
+// dashboard to that member.
+const HouseholdBreakdown = ({ members, activeMember, onSelect }) => (
+  <Card>
+    <div className="flex items-center justify-between mb-4">
+      <h3 className="font-bold text-lg flex items-center gap-2 text-slate-800 dark:text-white"><Users className="w-5 h-5 text-indigo-500" /> Household</h3>
+      <span className="text-xs text-slate-400">{members.length} members</span>
+    </div>
+    <div className="space-y-3">
+      {members.map(m => (
+        <button
+          key={m.name}
+          onClick={() => onSelect(activeMember === m.name ? 'All' : m.name)}
+          className={`w-full text-left p-3 rounded-2xl border transition-colors ${activeMember === m.name
+            ? 'border-indigo-300 bg-indigo-50/50 dark:bg-indigo-900/20'
+            : 'border-slate-100 dark:border-slate-800 hover:border-indigo-200'}`}
+        >
+          <div className="flex justify-between items-baseline gap-3">
+            <span className="font-semibold text-slate-800 dark:text-slate-200 truncate">{m.name}</span>
+            <span className="font-bold text-slate-900 dark:text-white whitespace-nowrap">{formatCurrency(m.current)}</span>
+          </div>
+          <div className="mt-2 h-1.5 bg-slate-100 dark:bg-slate-800 rounded-full overflow-hidden">
+            <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${m.share}%` }} />
+          </div>
+          <div className="flex justify-between mt-2 text-xs text-slate-500">
+            <span>{m.share.toFixed(1)}% · {m.funds} holdings{m.topCategory ? ` · mostly ${m.topCategory}` : ''}</span>
+            <span className={m.returns >= 0 ? 'text-emerald-600' : 'text-rose-500'}>
+              {m.returns >= 0 ? '+' : ''}{formatCurrency(m.returns)} ({m.absReturn.toFixed(1)}%)
+            </span>
+          </div>
+        </button>
+      ))}
+    </div>
+  </Card>
+);
+
+export default HouseholdBreakdown;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { ListChecks, Check, X, ChevronDown, ChevronUp } from 'lucide-react';
+import { Badge, Button } from './ui.jsx';
+import { ISSUE_TYPES, defaultDecisions, applyReview } from '../lib/validation.js';
+
+const ACTION_LABELS = {
+  keep: 'Keep',
+  exclude: 'Exclude',
+  fix: {
+    unparseable: 'Enter value',
+    returns: 'Use Current − Invested',
+    negativeUnits: 'Make positive'
+  }
+};
+
+const actionLabel = (action, type) => (action === 'fix' ? ACTION_LABELS.fix[type] : ACTION_LABELS[action]);
+
+const cellText = (val) => (val === undefined || val === null ? '' : String(val).trim());
+
+// Shown after an import that has problems: every issue can be kept as read,
+// fixed in place, or have its holding excluded before the dashboard loads.
+const ImportReview = ({ fileName, format, holdings, report, onConfirm, onCancel }) => {
+  const [decisions, setDecisions] = useState(() => defaultDecisions(report));
+  const [showSkipped, setShowSkipped] = useState(false);
+
+  const decide = (id, change) => setDecisions(current => ({ ...current, [id]: { ...current[id], ...change } }));
+
+  const excluded = new Set(report.issues.filter(i => decisions[i.id]?.action === 'exclude').map(i => i.index));
+  const importCount = holdings.length - excluded.size;
+
+  const counts = {};
+  report.issues.forEach(i => { counts[i.type] = (counts[i.type] || 0) + 1; });
+
+  return (
+    <div className="max-w-5xl w-full relative z-10 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="bg-white/90 dark:bg-slate-800/90 backdrop-blur-xl rounded-[2rem] p-6 md:p-8 shadow-2xl shadow-slate-200/50 dark:shadow-black/50 border border-white/50 dark:border-slate-700">
+        <div className="flex justify-between items-start gap-4 mb-6">
+          <div className="flex items-center gap-3">
+            <div className="p-3 bg-amber-50 dark:bg-amber-900/30 text-amber-600 rounded-xl"><ListChecks className="w-6 h-6" /></div>
+            <div>
+              <h2 className="text-xl font-bold text-slate-900 dark:text-white">Review import</h2>
+              <p className="text-sm text-slate-500 mt-0.5">
+                <strong>{fileName || 'This file'}</strong>{format ? ` (${format})` : ''} has {report.issues.length} issue{report.issues.length === 1 ? '' : 's'} across {holdings.length} holdings.
+              </p>
+            </div>
+          </div>
+          <button onClick={onCancel} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-700 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {Object.entries(counts).map(([type, n]) => (
+            <Badge key={type} type="warning">{ISSUE_TYPES[type].label}: {n}</Badge>
+          ))}
+          {report.skipped.length > 0 && <Badge type="neutral">Skipped rows: {report.skipped.length}</Badge>}
+        </div>
+
+        {report.issues.length > 0 && (
+          <div className="overflow-x-auto border border-slate-100 dark:border-slate-700 rounded-2xl max-h-[50vh] overflow-y-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-slate-50 dark:bg-slate-900/50 text-xs uppercase text-slate-500 sticky top-0">
+                <tr>
+                  <th className="px-4 py-3">Row</th>
+                  <th className="px-4 py-3">Scheme</th>
+                  <th className="px-4 py-3">Issue</th>
+                  <th className="px-4 py-3">Action</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                {report.issues.map(issue => {
+                  const holding = holdings[issue.index];
+                  const decision = decisions[issue.id];
+                  // Another issue may already exclude this holding
+                  const dimmed = excluded.has(issue.index) && decision.action !== 'exclude';
+                  return (
+                    <tr key={issue.id} className={dimmed ? 'opacity-40' : ''}>
+                      <td className="px-4 py-3 text-slate-400 tabular-nums">{holding._row || '—'}</td>
+                      <td className="px-4 py-3 font-medium text-slate-800 dark:text-slate-200 max-w-[220px] truncate" title={holding['Scheme Name']}>{holding['Scheme Name']}</td>
+                      <td className="px-4 py-3 text-slate-500">{issue.message}</td>
+                      <td className="px-4 py-3">
+                        <div className="flex flex-wrap items-center gap-1.5">
+                          {ISSUE_TYPES[issue.type].actions.map(action => (
+                            <button
+                              key={action}
+                              onClick={() => decide(issue.id, { action })}
+                              className={`px-2.5 py-1 rounded-lg text-xs font-semibold border transition-colors whitespace-nowrap ${decision.action === action
+                                ? (action === 'exclude' ? 'bg-rose-50 text-rose-700 border-rose-200' : 'bg-indigo-50 text-indigo-700 border-indigo-200 dark:bg-indigo-900/30 dark:text-indigo-300')
+                                : 'bg-white dark:bg-slate-900 text-slate-500 border-slate-200 dark:border-slate-700 hover:border-indigo-300'}`}
+                            >
+                              {actionLabel(action, issue.type)}
+                            </button>
+                          ))}
+                          {issue.type === 'unparseable' && decision.action === 'fix' && (
+                            <input
+                              autoFocus
+                              value={decision.value}
+                              onChange={(e) => decide(issue.id, { value: e.target.value })}
+                              placeholder={issue.field}
+                              className="w-24 px-2 py-1 border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 rounded-lg text-xs outline-none focus:ring-2 focus:ring-indigo-500"
+                            />
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {report.skipped.length > 0 && (
+          <div className="mt-4">
+            <button onClick={() => setShowSkipped(s => !s)} className="flex items-center gap-1 text-sm font-semibold text-slate-500 hover:text-indigo-600">
+              {showSkipped ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              {report.skipped.length} row{report.skipped.length === 1 ? ' was' : 's were'} not imported
+            </button>
+            {showSkipped && (
+              <ul className="mt-2 space-y-1 text-xs text-slate-500 max-h-48 overflow-y-auto bg-slate-50 dark:bg-slate-900/50 rounded-xl p-3">
+                {report.skipped.map(s => (
+                  <li key={s.row} className="flex gap-3">
+                    <span className="tabular-nums text-slate-400 w-14 shrink-0">Row {s.row}</span>
+                    <span className="w-32 shrink-0 font-medium">{s.reason}</span>
+                    <span className="truncate">{s.cells.map(cellText).filter(Boolean).join(' · ')}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="mt-6 flex flex-col md:flex-row md:items-center justify-between gap-4">
+          <p className="text-sm text-slate-500">
+            <strong className="text-slate-800 dark:text-white">{importCount}</strong> of {holdings.length} holdings will be imported
+            {excluded.size > 0 && <span className="text-rose-500"> ({excluded.size} excluded)</span>}
+          </p>
+          <div className="flex items-center gap-4">
+            <Button variant="secondary" onClick={onCancel}>Cancel</Button>
+            <Button
+              icon={Check}
+              onClick={() => importCount > 0 && onConfirm(applyReview(holdings, report, decisions))}
+              className={importCount > 0 ? '' : 'opacity-50 cursor-not-allowed'}
+            >
+              Import
+            </Button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReview;
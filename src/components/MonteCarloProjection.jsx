@@ -0,0 +1,146 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { RefreshCw, Flag } from 'lucide-react';
+import {
+  ResponsiveContainer, ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, Legend, ReferenceLine
+} from 'recharts';
+import { Badge } from './ui.jsx';
+import NumberField from './NumberField.jsx';
+import { formatCurrency } from '../lib/format.js';
+import { nominalTarget } from '../lib/goalPlanner.js';
+import { PATH_COUNTS } from '../lib/monteCarlo.js';
+import { runMonteCarlo, SimulationCancelled } from '../lib/runMonteCarlo.js';
+
+const tooltipStyle = { borderRadius: '12px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' };
+
+const lakhs = (val) => (val >= 1e7 ? `₹${(val / 1e7).toFixed(1)}Cr` : `₹${(val / 1e5).toFixed(1)}L`);
+
+const probabilityTone = (p) => (p >= 0.75 ? 'success' : p >= 0.5 ? 'warning' : 'danger');
+
+// The planner's projection as a spread of simulated outcomes: 10th-90th
+// percentile band, median line and the chance of reaching the target. Runs
+// again in a worker whenever the plan or the assumptions change.
+const MonteCarloProjection = ({ startValue, equityRatio, plan, assumptions, onAssumptionsChange }) => {
+  const [run, setRun] = useState({ input: null, result: null, error: null });
+  const [progress, setProgress] = useState(0);
+  const [real, setReal] = useState(false);
+
+  const input = useMemo(
+    () => ({ startValue, equityShare: equityRatio / 100, plan, assumptions }),
+    [startValue, equityRatio, plan, assumptions]
+  );
+
+  useEffect(() => {
+    const job = runMonteCarlo(input, (done, total) => setProgress(done / total));
+    job.promise
+      .then(result => setRun({ input, result, error: null }))
+      .catch(err => { if (!(err instanceof SimulationCancelled)) setRun({ input, result: null, error: err.message }); });
+    return job.cancel;
+  }, [input]);
+
+  const running = run.input !== input;
+  const { result } = run;
+
+  const chart = useMemo(() => (result ? result.years.map(y => ({
+    year: `Year ${y.year}`,
+    band: real ? [Math.round(y.real10), Math.round(y.real90)] : [Math.round(y.p10), Math.round(y.p90)],
+    median: Math.round(real ? y.real50 : y.p50),
+    invested: Math.round(y.invested)
+  })) : []), [result, real]);
+
+  const setAsset = (asset, key) => (value) => onAssumptionsChange({ ...assumptions, [asset]: { ...assumptions[asset], [key]: value } });
+  const set = (key) => (value) => onAssumptionsChange({ ...assumptions, [key]: value });
+
+  const last = result ? result.years[result.years.length - 1] : null;
+  const target = plan.target > 0 ? (real ? plan.target : nominalTarget(plan)) : null;
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mt-4">
+        <NumberField label={`Equity return (${Math.round(equityRatio)}% of mix)`} value={assumptions.equity.mean} onChange={setAsset('equity', 'mean')} min={-20} max={40} step={0.5} suffix="%" />
+        <NumberField label="Equity volatility" value={assumptions.equity.volatility} onChange={setAsset('equity', 'volatility')} max={80} step={1} suffix="%" />
+        <NumberField label="Debt return" value={assumptions.debt.mean} onChange={setAsset('debt', 'mean')} min={-20} max={40} step={0.5} suffix="%" />
+        <NumberField label="Debt volatility" value={assumptions.debt.volatility} onChange={setAsset('debt', 'volatility')} max={80} step={1} suffix="%" />
+        <NumberField label="Correlation" value={assumptions.correlation} onChange={set('correlation')} min={-1} max={1} step={0.1} />
+        <label className="block">
+          <span className="text-xs font-semibold text-slate-500">Paths</span>
+          <select
+            value={assumptions.paths}
+            onChange={(e) => set('paths')(Number(e.target.value))}
+            className="mt-1 w-full px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+          >
+            {PATH_COUNTS.map(n => <option key={n} value={n}>{n.toLocaleString('en-IN')}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {run.error && !running && <p className="text-sm text-rose-600 mt-4">{run.error}</p>}
+
+      <div className={`grid grid-cols-1 md:grid-cols-3 gap-4 my-6 transition-opacity ${running ? 'opacity-60' : ''}`}>
+        <div className="p-4 bg-indigo-50 dark:bg-indigo-900/20 rounded-2xl">
+          <div className="text-xs text-indigo-700 dark:text-indigo-300">Median corpus in {plan.horizon} years</div>
+          <div className="text-2xl font-bold text-indigo-900 dark:text-indigo-100">{last ? formatCurrency(last.p50) : '—'}</div>
+          <div className="text-xs text-slate-500 mt-1">{last ? `${formatCurrency(last.real50)} in today's money` : ''}</div>
+        </div>
+        <div className="p-4 bg-slate-50 dark:bg-slate-800 rounded-2xl">
+          <div className="text-xs text-slate-500">8 in 10 outcomes fall between</div>
+          <div className="text-lg font-bold text-slate-800 dark:text-white">{last ? `${formatCurrency(last.p10)} – ${formatCurrency(last.p90)}` : '—'}</div>
+          <div className="text-xs text-slate-500 mt-1">{formatCurrency(last ? last.invested : 0)} invested</div>
+        </div>
+        <div className="p-4 bg-slate-50 dark:bg-slate-800 rounded-2xl">
+          <div className="text-xs text-slate-500 flex items-center gap-1"><Flag className="w-3 h-3" /> Chance of reaching the target</div>
+          {plan.target > 0 ? (
+            result && result.goalProbability !== null && (
+              <div className="flex items-center gap-2 mt-1">
+                <span className="text-2xl font-bold text-slate-800 dark:text-white">{(result.goalProbability * 100).toFixed(0)}%</span>
+                <Badge type={probabilityTone(result.goalProbability)}>{result.paths.toLocaleString('en-IN')} paths</Badge>
+              </div>
+            )
+          ) : (
+            <div className="text-sm text-slate-500 mt-1">Set a target to see the odds of reaching it.</div>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-xs text-slate-500 flex items-center gap-2">
+          {running && <><RefreshCw className="w-3.5 h-3.5 animate-spin" /> Simulating {Math.round(progress * 100)}%</>}
+        </span>
+        <button
+          onClick={() => setReal(v => !v)}
+          className={`px-2 py-1 rounded-lg text-[10px] font-semibold border transition-all ${real ? 'border-indigo-300 text-indigo-600 bg-indigo-50 dark:bg-indigo-900/30' : 'border-slate-200 dark:border-slate-700 text-slate-500'}`}
+        >
+          Today&apos;s money
+        </button>
+      </div>
+      <div className="h-[350px] w-full">
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={chart} margin={{ top: 10, right: 30, left: 20, bottom: 0 }}>
+            <XAxis dataKey="year" axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+            <YAxis tickFormatter={lakhs} axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+            <RechartsTooltip
+              formatter={(value) => (Array.isArray(value) ? `${formatCurrency(value[0])} – ${formatCurrency(value[1])}` : formatCurrency(value))}
+              contentStyle={tooltipStyle}
+            />
+            <Legend verticalAlign="top" height={36}/>
+            {target && (
+              <ReferenceLine
+                y={target}
+                stroke="#f59e0b"
+                strokeDasharray="4 4"
+                ifOverflow="extendDomain"
+                label={{ value: `Target ${lakhs(target)}`, position: 'insideTopLeft', fill: '#d97706', fontSize: 11 }}
+              />
+            )}
+            <Area type="monotone" dataKey="band" name="10th–90th percentile" stroke="none" fill="#6366f1" fillOpacity={0.2} isAnimationActive={false} />
+            <Line type="monotone" dataKey="median" name="Median" stroke="#6366f1" strokeWidth={3} dot={false} isAnimationActive={false} />
+            {!real && <Line type="monotone" dataKey="invested" name="Invested" stroke="#94a3b8" strokeDasharray="5 5" dot={false} isAnimationActive={false} />}
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default MonteCarloProjection;
@@ -0,0 +1,97 @@
+import React, { useState, useMemo } from 'react';
+import {
+  ResponsiveContainer, AreaChart, Area, XAxis, YAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, ReferenceLine, Brush
+} from 'recharts';
+import { NAV_RANGES, seriesInRange, samplePoints } from '../lib/navReturns.js';
+
+const MAX_POINTS = 600;
+
+const tooltipStyle = { backgroundColor: '#fff', borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' };
+
+const dayLabel = (date) => date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: '2-digit' });
+
+// NAV history with range presets, an optional log scale (long histories of
+// compounding funds read better that way), a brush to zoom within the range
+// and the user's average buy NAV as a reference line.
+const NavChart = ({ series, avgBuyNAV }) => {
+  const [range, setRange] = useState('1Y');
+  const [logScale, setLogScale] = useState(false);
+
+  const data = useMemo(
+    () => samplePoints(seriesInRange(series, range), MAX_POINTS).map(p => ({ date: dayLabel(p.date), nav: p.nav })),
+    [series, range]
+  );
+
+  const showAvg = avgBuyNAV > 0;
+
+  return (
+    <div className="lg:col-span-2 w-full bg-white dark:bg-slate-800 rounded-2xl p-2 md:p-4 border border-slate-100 dark:border-slate-700 shadow-sm">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4 px-2">
+        <h3 className="text-sm font-bold text-slate-700 dark:text-slate-300">NAV Trend</h3>
+        <div className="flex items-center gap-2">
+          <div className="flex gap-0.5 bg-slate-100 dark:bg-slate-900 p-1 rounded-xl">
+            {NAV_RANGES.map(r => (
+              <button
+                key={r}
+                onClick={() => setRange(r)}
+                className={`px-2 py-1 rounded-lg text-[10px] font-semibold transition-all ${range === r ? 'bg-white dark:bg-slate-700 text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+              >
+                {r}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => setLogScale(v => !v)}
+            title="Logarithmic scale"
+            className={`px-2 py-1 rounded-lg text-[10px] font-semibold border transition-all ${logScale ? 'border-indigo-300 text-indigo-600 bg-indigo-50 dark:bg-indigo-900/30' : 'border-slate-200 dark:border-slate-700 text-slate-500'}`}
+          >
+            Log
+          </button>
+        </div>
+      </div>
+      <div className="h-[260px] md:h-[300px]">
+        <ResponsiveContainer width="100%" height="100%">
+          <AreaChart data={data}>
+            <defs>
+              <linearGradient id="colorNav" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="5%" stopColor="#6366f1" stopOpacity={0.2}/>
+                <stop offset="95%" stopColor="#6366f1" stopOpacity={0}/>
+              </linearGradient>
+            </defs>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+            <XAxis dataKey="date" hide />
+            <YAxis
+              scale={logScale ? 'log' : 'auto'}
+              domain={['auto', 'auto']}
+              width={45}
+              tick={{fontSize: 10, fill: '#94a3b8'}}
+              tickFormatter={(v) => v.toFixed(v < 100 ? 1 : 0)}
+              axisLine={false}
+              tickLine={false}
+              allowDataOverflow
+            />
+            <RechartsTooltip
+              formatter={(v) => [`₹${v.toFixed(4)}`, 'NAV']}
+              contentStyle={tooltipStyle}
+              labelStyle={{color: '#64748b', fontSize: '12px'}}
+            />
+            {showAvg && (
+              <ReferenceLine
+                y={avgBuyNAV}
+                stroke="#f59e0b"
+                strokeDasharray="4 4"
+                ifOverflow="extendDomain"
+                label={{ value: `Your avg ₹${avgBuyNAV.toFixed(2)}`, position: 'insideTopLeft', fill: '#d97706', fontSize: 10 }}
+              />
+            )}
+            <Area type="monotone" dataKey="nav" stroke="#6366f1" strokeWidth={2} fillOpacity={1} fill="url(#colorNav)" baseValue="dataMin" isAnimationActive={false} />
+            <Brush key={range} dataKey="date" height={20} stroke="#a5b4fc" travellerWidth={8} tickFormatter={() => ''} />
+          </AreaChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default NavChart;
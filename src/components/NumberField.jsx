@@ -0,0 +1,36 @@
+import React, { useState } from 'react';
+
+// Shows what is typed while focused and the committed value otherwise, so a
+// half-typed or out-of-range number is never passed on
+const NumberField = ({ label, value, onChange, min = 0, max = Infinity, step = 1, suffix }) => {
+  const [draft, setDraft] = useState(null);
+
+  const change = (e) => {
+    setDraft(e.target.value);
+    const num = parseFloat(e.target.value);
+    if (Number.isFinite(num) && num >= min && num <= max) onChange(num);
+  };
+
+  return (
+    <label className="block">
+      <span className="text-xs font-semibold text-slate-500">{label}</span>
+      <div className="relative mt-1">
+        <input
+          type="number"
+          inputMode="decimal"
+          min={min}
+          max={Number.isFinite(max) ? max : undefined}
+          step={step}
+          value={draft ?? String(value)}
+          onFocus={() => setDraft(String(value))}
+          onBlur={() => setDraft(null)}
+          onChange={change}
+          className="w-full px-3 py-2 pr-10 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+        />
+        {suffix && <span className="absolute right-3 top-1/2 -translate-y-1/2 text-xs text-slate-400">{suffix}</span>}
+      </div>
+    </label>
+  );
+};
+
+export default NumberField;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { Lock, X } from 'lucide-react';
+import { Button } from './ui.jsx';
+
+const PdfPasswordPrompt = ({ fileName, incorrect, onSubmit, onCancel }) => {
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (password) onSubmit(password);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200">
+      <form onSubmit={handleSubmit} className="bg-white dark:bg-slate-900 rounded-3xl w-full max-w-md shadow-2xl p-6">
+        <div className="flex justify-between items-start mb-5">
+          <div className="flex items-center gap-3">
+            <div className="p-3 bg-indigo-50 dark:bg-indigo-900/30 text-indigo-600 rounded-xl"><Lock className="w-5 h-5" /></div>
+            <div>
+              <h3 className="font-bold text-slate-900 dark:text-white">Unlock statement</h3>
+              <p className="text-xs text-slate-500 truncate max-w-[240px]" title={fileName}>{fileName}</p>
+            </div>
+          </div>
+          <button type="button" onClick={onCancel} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+        <input
+          type="password"
+          autoFocus
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Statement password"
+          className={`w-full px-4 py-2.5 bg-white dark:bg-slate-900 border rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none ${incorrect ? 'border-rose-300' : 'border-slate-200 dark:border-slate-700'}`}
+        />
+        {incorrect
+          ? <p className="text-xs text-rose-600 mt-2 pl-1">Incorrect password, please try again.</p>
+          : <p className="text-[10px] text-slate-400 mt-2 pl-1">Usually your PAN in capitals. The file never leaves this browser.</p>}
+        <div className="flex justify-end gap-3 mt-6">
+          <Button variant="secondary" onClick={onCancel}>Skip</Button>
+          <button type="submit" className="px-5 py-2.5 rounded-2xl font-semibold text-sm bg-indigo-600 hover:bg-indigo-700 text-white">Unlock</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PdfPasswordPrompt;
@@ -0,0 +1,180 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart as LineChartIcon, RefreshCw, TrendingDown } from 'lucide-react';
+import {
+  ResponsiveContainer, AreaChart, Area, ComposedChart, Line, XAxis, YAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, Legend
+} from 'recharts';
+import { Card, Badge } from './ui.jsx';
+import { formatCurrency } from '../lib/format.js';
+import { samplePoints } from '../lib/navReturns.js';
+import { HISTORY_YEARS, historySchemes, reconstructHistory } from '../lib/portfolioHistory.js';
+import { fetchNavHistories, getMarketDataProvider } from '../lib/marketData/index.js';
+
+const MAX_POINTS = 400;
+
+const tooltipStyle = { borderRadius: '12px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' };
+
+const dayLabel = (date) => date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: '2-digit' });
+
+const signed = (val, digits = 1) => `${val >= 0 ? '+' : ''}${val.toFixed(digits)}%`;
+
+// The whole portfolio's daily value over the last few years against what was
+// invested, and its drawdowns, rebuilt from every fund's NAV history. NAV
+// histories are fetched on request since there is one per fund.
+const PortfolioHistory = ({ holdings, transactions }) => {
+  const [years, setYears] = useState(3);
+  const [loaded, setLoaded] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  const history = useMemo(
+    () => (loaded ? reconstructHistory({ holdings, transactions, histories: loaded.histories, years }) : null),
+    [loaded, holdings, transactions, years]
+  );
+
+  const chart = useMemo(
+    () => (history ? samplePoints(history.rows, MAX_POINTS).map(r => ({
+      date: dayLabel(r.date),
+      value: Math.round(r.value),
+      invested: Math.round(r.invested),
+      drawdown: parseFloat(r.drawdown.toFixed(2))
+    })) : []),
+    [history]
+  );
+
+  const load = async () => {
+    setProgress({ done: 0, total: 0 });
+    const result = await fetchNavHistories(historySchemes(holdings, transactions), (done, total) => setProgress({ done, total }));
+    setLoaded(result);
+    setProgress(null);
+  };
+
+  const loading = progress !== null;
+  const summary = history?.summary;
+  const worst = summary?.maxDrawdown;
+
+  return (
+    <Card>
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+        <div>
+          <h3 className="font-bold text-lg flex items-center gap-2 text-slate-800 dark:text-white"><LineChartIcon className="w-5 h-5 text-indigo-500" /> Portfolio Value History</h3>
+          <p className="text-sm text-slate-500 mt-1">
+            {!history
+              ? <>Rebuilds the portfolio&apos;s daily value from each fund&apos;s NAV history on {getMarketDataProvider().name}.</>
+              : history.fromLedger
+                ? <>Units follow your transactions, so the line shows what you actually held each day.</>
+                : <>Assumes today&apos;s units were held throughout: import a transaction ledger to follow actual purchases and redemptions.</>}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 shrink-0">
+          {loaded && (
+            <div className="flex gap-1 bg-slate-100 dark:bg-slate-800 p-1 rounded-xl">
+              {HISTORY_YEARS.map(y => (
+                <button
+                  key={y}
+                  onClick={() => setYears(y)}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${years === y ? 'bg-white dark:bg-slate-700 text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+                >
+                  {y}Y
+                </button>
+              ))}
+            </div>
+          )}
+          <button
+            onClick={load}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 text-xs font-semibold text-indigo-600 bg-indigo-50 dark:bg-indigo-900/30 hover:bg-indigo-100 rounded-xl transition-all disabled:opacity-70"
+          >
+            <RefreshCw className={`w-3.5 h-3.5 ${loading ? 'animate-spin' : ''}`} />
+            {loading ? `Fetching NAVs ${progress.done}/${progress.total}` : loaded ? 'Reload' : 'Build history'}
+          </button>
+        </div>
+      </div>
+
+      {history && !summary && (
+        <p className="text-sm text-slate-500">No NAV history could be matched to these holdings.</p>
+      )}
+
+      {summary && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div>
+              <div className="text-xs text-slate-500">Value on {dayLabel(history.end)}</div>
+              <div className="text-lg font-bold text-slate-800 dark:text-white">{formatCurrency(summary.endValue)}</div>
+              <div className={`text-xs font-semibold ${summary.gain >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>
+                {summary.gain >= 0 ? '+' : ''}{formatCurrency(summary.gain)} on {formatCurrency(summary.invested)} invested
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-500">Time-weighted return since {dayLabel(history.start)}</div>
+              <div className={`text-lg font-bold ${summary.timeWeightedReturn >= 0 ? 'text-emerald-600' : 'text-rose-600'}`}>{signed(summary.timeWeightedReturn)}</div>
+            </div>
+            <div>
+              <div className="text-xs text-slate-500">Worst drawdown</div>
+              <div className="text-lg font-bold text-rose-600">{worst ? signed(worst.depth) : '—'}</div>
+              {worst?.troughDate && (
+                <div className="text-xs text-slate-500">
+                  {dayLabel(worst.peakDate)} → {dayLabel(worst.troughDate)}, {worst.recoveryDate ? `recovered in ${worst.recoveryDays} days` : 'not yet recovered'}
+                </div>
+              )}
+            </div>
+            <div>
+              <div className="text-xs text-slate-500">Below peak today</div>
+              <div className={`text-lg font-bold ${summary.currentDrawdown < -0.05 ? 'text-amber-600' : 'text-emerald-600'}`}>
+                {summary.currentDrawdown < -0.05 ? signed(summary.currentDrawdown) : 'At a high'}
+              </div>
+            </div>
+          </div>
+
+          <div className="h-[320px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <ComposedChart data={chart} margin={{ top: 10, right: 30, left: 20, bottom: 0 }}>
+                <defs>
+                  <linearGradient id="colorHistoryValue" x1="0" y1="0" x2="0" y2="1">
+                    <stop offset="5%" stopColor="#6366f1" stopOpacity={0.3}/>
+                    <stop offset="95%" stopColor="#6366f1" stopOpacity={0}/>
+                  </linearGradient>
+                </defs>
+                <XAxis dataKey="date" minTickGap={40} axisLine={false} tickLine={false} tick={{fontSize: 11, fill: '#64748b'}} />
+                <YAxis tickFormatter={(val) => `₹${(val/100000).toFixed(1)}L`} axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                <RechartsTooltip formatter={(value) => formatCurrency(value)} contentStyle={tooltipStyle} />
+                <Legend verticalAlign="top" height={36}/>
+                <Area type="monotone" dataKey="value" name="Portfolio value" stroke="#6366f1" fillOpacity={1} fill="url(#colorHistoryValue)" strokeWidth={2} isAnimationActive={false} />
+                <Line type="stepAfter" dataKey="invested" name="Invested" stroke="#94a3b8" strokeDasharray="5 5" dot={false} isAnimationActive={false} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <h4 className="font-semibold text-sm text-slate-700 dark:text-slate-300 mt-8 mb-2 flex items-center gap-2"><TrendingDown className="w-4 h-4 text-rose-500" /> Drawdown from peak</h4>
+          <div className="h-[180px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={chart} margin={{ top: 5, right: 30, left: 20, bottom: 0 }}>
+                <XAxis dataKey="date" minTickGap={40} axisLine={false} tickLine={false} tick={{fontSize: 11, fill: '#64748b'}} />
+                <YAxis domain={['dataMin', 0]} tickFormatter={(val) => `${val.toFixed(0)}%`} axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                <RechartsTooltip formatter={(value) => [`${value.toFixed(2)}%`, 'Drawdown']} contentStyle={tooltipStyle} />
+                <Area type="monotone" dataKey="drawdown" stroke="#f43f5e" fill="#f43f5e" fillOpacity={0.2} isAnimationActive={false} />
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+
+      {(history?.missing.length > 0 || loaded?.stale) && (
+        <div className="flex flex-wrap items-center gap-2 mt-4 text-xs text-slate-500">
+          {loaded.stale && <Badge type="warning">Some NAVs from an offline copy</Badge>}
+          {history.missing.length > 0 && (
+            <span
+              title={history.missing.map(name => `${name}: ${loaded.failed.find(f => f.name === name)?.reason || 'no units or NAV history'}`).join('\n')}
+              className="underline decoration-dotted cursor-help"
+            >
+              {history.missing.length} of {new Set(holdings.map(h => h['Scheme Name'])).size} funds left out
+            </span>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default PortfolioHistory;
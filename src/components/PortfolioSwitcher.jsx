@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Users, User, ChevronDown, Check, Plus, Pencil, Trash2 } from 'lucide-react';
+import { HOUSEHOLD_ID } from '../lib/household.js';
+
+// Nav dropdown for the named portfolios: switch, add, rename and delete, plus
+// the combined household view once there is more than one portfolio.
+const PortfolioSwitcher = ({ portfolios, activeId, onSelect, onCreate, onRename, onDelete, compact = false }) => {
+  const [open, setOpen] = useState(false);
+  const [mode, setMode] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const isHousehold = activeId === HOUSEHOLD_ID && portfolios.length > 1;
+  const active = portfolios.find(p => p.id === activeId) || portfolios[0];
+  const label = isHousehold ? 'Household' : active.name;
+
+  const close = () => {
+    setOpen(false);
+    setMode(null);
+  };
+
+  const choose = (id) => {
+    onSelect(id);
+    close();
+  };
+
+  const startEdit = (nextMode) => {
+    setMode(nextMode);
+    setDraft(nextMode === 'rename' ? active.name : '');
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    const name = draft.trim();
+    if (name && mode === 'create') onCreate(name);
+    if (name && mode === 'rename' && name !== active.name) onRename(active.id, name);
+    close();
+  };
+
+  const itemClass = "w-full flex items-center gap-2 px-3 py-2 rounded-xl text-sm text-left transition-colors hover:bg-slate-100 dark:hover:bg-slate-800";
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className={`flex items-center gap-2 rounded-xl font-semibold text-slate-700 dark:text-slate-200 bg-slate-100/70 dark:bg-slate-800/70 hover:bg-slate-200/70 dark:hover:bg-slate-700/70 transition-colors ${compact ? 'px-2.5 py-1.5 text-xs' : 'px-3 py-2 text-sm'}`}
+      >
+        {isHousehold ? <Users className="w-4 h-4 text-indigo-500" /> : <User className="w-4 h-4 text-indigo-500" />}
+        <span className={`truncate ${compact ? 'max-w-[90px]' : 'max-w-[160px]'}`}>{label}</span>
+        <ChevronDown className="w-3.5 h-3.5 text-slate-400" />
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-40" onClick={close} />
+          <div className="absolute left-0 mt-2 w-64 z-50 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-2xl shadow-2xl p-2">
+            {portfolios.map(p => (
+              <button key={p.id} onClick={() => choose(p.id)} className={itemClass}>
+                <User className="w-4 h-4 text-slate-400" />
+                <span className="flex-1 truncate text-slate-700 dark:text-slate-200">{p.name}</span>
+                <span className="text-[10px] text-slate-400">{p.sources.length} file{p.sources.length === 1 ? '' : 's'}</span>
+                {!isHousehold && p.id === active.id && <Check className="w-3.5 h-3.5 text-indigo-600" />}
+              </button>
+            ))}
+            {portfolios.length > 1 && (
+              <button onClick={() => choose(HOUSEHOLD_ID)} className={itemClass}>
+                <Users className="w-4 h-4 text-indigo-500" />
+                <span className="flex-1 font-semibold text-slate-700 dark:text-slate-200">Household</span>
+                {isHousehold && <Check className="w-3.5 h-3.5 text-indigo-600" />}
+              </button>
+            )}
+
+            <div className="border-t border-slate-100 dark:border-slate-800 mt-2 pt-2">
+              {mode ? (
+                <form onSubmit={submit} className="flex items-center gap-2 px-1">
+                  <input
+                    autoFocus
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    placeholder={mode === 'create' ? 'Name, e.g. Spouse' : 'Portfolio name'}
+                    className="flex-1 px-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+                  />
+                  <button type="submit" className="p-2 rounded-xl bg-indigo-600 text-white"><Check className="w-4 h-4" /></button>
+                </form>
+              ) : (
+                <>
+                  <button onClick={() => startEdit('create')} className={`${itemClass} text-indigo-600`}><Plus className="w-4 h-4" /> New portfolio</button>
+                  {!isHousehold && (
+                    <button onClick={() => startEdit('rename')} className={`${itemClass} text-slate-600 dark:text-slate-300`}><Pencil className="w-4 h-4" /> Rename "{active.name}"</button>
+                  )}
+                  {!isHousehold && portfolios.length > 1 && (
+                    <button onClick={() => { close(); onDelete(active.id); }} className={`${itemClass} text-rose-600`}><Trash2 className="w-4 h-4" /> Delete "{active.name}"</button>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PortfolioSwitcher;
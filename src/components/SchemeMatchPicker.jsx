@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { X, Search, Check, RefreshCw, ShieldCheck } from 'lucide-react';
+import { Badge } from './ui.jsx';
+import { findSchemeCandidates, getMarketDataProvider } from '../lib/marketData/index.js';
+
+const scoreTone = (score) => (score >= 80 ? 'success' : score >= 50 ? 'warning' : 'neutral');
+
+// Lists the provider's scored candidates for a holding so the user can pick
+// the plan and option they actually hold; a custom search covers names the
+// automatic query misses.
+const SchemeMatchPicker = ({ holding, currentCode, onSelect, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [submitted, setSubmitted] = useState('');
+  const [candidates, setCandidates] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    findSchemeCandidates(holding, submitted)
+      .then(found => { if (!cancelled) { setCandidates(found); setError(null); } })
+      .catch(err => { if (!cancelled) { setCandidates([]); setError(err.message); } });
+    return () => { cancelled = true; };
+  }, [holding, submitted]);
+
+  const search = (e) => {
+    e.preventDefault();
+    setCandidates(null);
+    setSubmitted(query.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-[60] flex items-center justify-center p-4 animate-in fade-in duration-200">
+      <div className="bg-white dark:bg-slate-900 rounded-3xl w-full max-w-2xl max-h-[85vh] flex flex-col shadow-2xl overflow-hidden">
+        <div className="px-6 py-4 border-b border-slate-100 dark:border-slate-800 flex justify-between items-start">
+          <div>
+            <h3 className="text-lg font-bold text-slate-900 dark:text-white">Which scheme do you hold?</h3>
+            <p className="text-xs text-slate-500 mt-1">
+              Matches for <strong>{holding.name}</strong>{holding.isin ? ` (ISIN ${holding.isin})` : ''} on {getMarketDataProvider().name}
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <form onSubmit={search} className="px-6 pt-4">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search by another name and press Enter"
+              className="w-full pl-9 pr-3 py-2 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none"
+            />
+          </div>
+        </form>
+
+        <div className="p-6 overflow-y-auto space-y-2">
+          {candidates === null ? (
+            <div className="flex items-center gap-2 text-sm text-slate-500"><RefreshCw className="w-4 h-4 animate-spin" /> Looking up schemes...</div>
+          ) : candidates.length === 0 ? (
+            <p className="text-sm text-slate-500">{error || 'No schemes found. Try a shorter name.'}</p>
+          ) : candidates.map(c => {
+            const current = String(c.schemeCode) === String(currentCode);
+            return (
+              <button
+                key={c.schemeCode}
+                onClick={() => onSelect(c)}
+                className={`w-full text-left p-3 rounded-xl border transition-colors ${current ? 'border-indigo-300 bg-indigo-50/60 dark:bg-indigo-900/20' : 'border-slate-100 dark:border-slate-800 hover:border-indigo-200 hover:bg-slate-50 dark:hover:bg-slate-800'}`}
+              >
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium text-slate-800 dark:text-slate-100">{c.schemeName}</div>
+                    <div className="flex flex-wrap items-center gap-1.5 mt-1.5">
+                      <span className="text-[10px] font-mono text-slate-400">#{c.schemeCode}</span>
+                      {c.isinMatch && <Badge type="success" className="flex items-center gap-1"><ShieldCheck className="w-3 h-3" /> ISIN match</Badge>}
+                      {!c.isinMatch && c.reasons.map(r => <Badge key={r} type={r.includes('yours is') ? 'danger' : 'neutral'}>{r}</Badge>)}
+                    </div>
+                  </div>
+                  <div className="flex flex-col items-end gap-1 shrink-0">
+                    <Badge type={scoreTone(c.score)}>{c.score}</Badge>
+                    {current && <span className="text-[10px] text-indigo-600 font-semibold flex items-center gap-1"><Check className="w-3 h-3" /> Current</span>}
+                  </div>
+                </div>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchemeMatchPicker;
@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { Sheet, X, Check } from 'lucide-react';
+import { Badge, Button } from './ui.jsx';
+
+const cellText = (val) => (val === undefined || val === null ? '' : String(val).trim());
+
+// Workbooks such as CAMS exports put a summary sheet first; list every sheet
+// and preselect the first one a format adapter recognised.
+const SheetPicker = ({ fileName, sheets, onSelect, onCancel }) => {
+  const [selected, setSelected] = useState(() => (sheets.find(s => s.format) || sheets[0]).name);
+
+  return (
+    <div className="fixed inset-0 bg-slate-900/40 backdrop-blur-sm z-50 flex items-center justify-center p-4 animate-in fade-in duration-200">
+      <div className="bg-white dark:bg-slate-900 rounded-3xl w-full max-w-lg shadow-2xl p-6">
+        <div className="flex justify-between items-start mb-5">
+          <div className="flex items-center gap-3">
+            <div className="p-3 bg-indigo-50 dark:bg-indigo-900/30 text-indigo-600 rounded-xl"><Sheet className="w-5 h-5" /></div>
+            <div>
+              <h3 className="font-bold text-slate-900 dark:text-white">Choose a sheet</h3>
+              <p className="text-xs text-slate-500 truncate max-w-[300px]" title={fileName}>{fileName}</p>
+            </div>
+          </div>
+          <button type="button" onClick={onCancel} className="p-2 -mr-2 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-full transition-colors">
+            <X className="w-5 h-5 text-slate-500" />
+          </button>
+        </div>
+
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto">
+          {sheets.map(sheet => (
+            <button
+              key={sheet.name}
+              onClick={() => setSelected(sheet.name)}
+              onDoubleClick={() => onSelect(sheet.name)}
+              className={`w-full text-left p-4 rounded-2xl border transition-all ${selected === sheet.name
+                ? 'border-indigo-400 bg-indigo-50/60 dark:bg-indigo-900/20 ring-2 ring-indigo-100 dark:ring-indigo-900'
+                : 'border-slate-200 dark:border-slate-700 hover:border-indigo-300'}`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold text-slate-800 dark:text-slate-200 truncate">{sheet.name}</span>
+                <div className="flex items-center gap-2 shrink-0">
+                  {sheet.format && <Badge type="success">{sheet.format}</Badge>}
+                  <span className="text-xs text-slate-400">{sheet.rowCount} rows</span>
+                </div>
+              </div>
+              <div className="mt-2 space-y-0.5">
+                {sheet.preview.map((row, idx) => (
+                  <p key={idx} className="text-[11px] text-slate-400 truncate">{row.map(cellText).filter(Boolean).join(' · ')}</p>
+                ))}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-3 mt-6">
+          <Button variant="secondary" onClick={onCancel}>Skip</Button>
+          <Button icon={Check} onClick={() => onSelect(selected)}>Import sheet</Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SheetPicker;
@@ -0,0 +1,173 @@
+import React, { useState, useMemo } from 'react';
+import { GitCompare, Download, ArrowRight, PlusCircle, MinusCircle } from 'lucide-react';
+import { Card, Badge, Button } from './ui.jsx';
+import { formatCurrency, formatNumber, downloadCSV } from '../lib/format.js';
+import { diffHoldings, amcWeightChanges, diffToRows, statusLabel } from '../lib/snapshotDiff.js';
+
+const LEVELS = [['category', 'Category'], ['subCategory', 'Sub-category'], ['fund', 'Fund']];
+
+const STATUS_BADGES = { new: 'success', exited: 'danger', added: 'blue', reduced: 'warning', unchanged: 'neutral' };
+
+const signed = (val, formatter) => `${val > 0 ? '+' : ''}${formatter(val)}`;
+const pp = (val) => `${val > 0 ? '+' : ''}${val.toFixed(1)}pp`;
+const toneOf = (val) => (val > 0 ? 'text-emerald-600' : val < 0 ? 'text-rose-500' : 'text-slate-400');
+
+// Rows for the chosen reading level, taken from the diff's category tree
+const rowsForLevel = (tree, level) => {
+  if (level === 'category') return tree.map(c => ({ ...c, key: c.name }));
+  if (level === 'subCategory') {
+    return tree.flatMap(c => c.subCategories.map(s => ({ ...s, key: `${c.name}/${s.name}`, parent: c.name })));
+  }
+  return tree.flatMap(c => c.subCategories.flatMap(s => s.funds.map(f => ({
+    ...f, key: `${c.name}/${s.name}/${f.schemeName}`, name: f.schemeName, parent: s.name
+  }))));
+};
+
+// Compares two dated snapshots or imported files: new and exited funds, unit
+// changes, fresh money against market gains, and the weight shifts.
+const SnapshotDiff = ({ options, defaultFrom, defaultTo }) => {
+  const [fromId, setFromId] = useState(defaultFrom);
+  const [toId, setToId] = useState(defaultTo);
+  const [level, setLevel] = useState('category');
+
+  const from = options.find(o => o.id === fromId);
+  const to = options.find(o => o.id === toId);
+
+  const diff = useMemo(() => (from && to ? diffHoldings(from.holdings, to.holdings) : null), [from, to]);
+  const amcChanges = useMemo(() => (from && to ? amcWeightChanges(from.holdings, to.holdings).slice(0, 6) : []), [from, to]);
+
+  if (options.length < 2) return null;
+
+  const selectClass = "px-4 py-2.5 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl text-sm focus:ring-2 focus:ring-indigo-500 outline-none cursor-pointer";
+  const rows = diff ? rowsForLevel(diff.tree, level) : [];
+
+  return (
+    <Card>
+      <div className="flex flex-col lg:flex-row lg:items-center justify-between gap-4 mb-6">
+        <div>
+          <h3 className="font-bold text-lg flex items-center gap-2 text-slate-800 dark:text-white"><GitCompare className="w-5 h-5 text-indigo-500" /> What Changed</h3>
+          <p className="text-sm text-slate-500 mt-1">Compare two statements or snapshots</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={fromId} onChange={(e) => setFromId(e.target.value)} className={selectClass}>
+            {options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+          </select>
+          <ArrowRight className="w-4 h-4 text-slate-400" />
+          <select value={toId} onChange={(e) => setToId(e.target.value)} className={selectClass}>
+            {options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+          </select>
+          <Button
+            variant="secondary"
+            icon={Download}
+            onClick={() => diff && downloadCSV(diffToRows(diff), `portfolio_changes_${from.label}_to_${to.label}.csv`.replace(/\s+/g, '_'))}
+          >
+            Export
+          </Button>
+        </div>
+      </div>
+
+      {diff && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            {[
+              ['Value change', signed(diff.totals.valueChange, formatCurrency), toneOf(diff.totals.valueChange)],
+              ['Fresh money', signed(diff.totals.freshMoney, formatCurrency), 'text-slate-800 dark:text-white'],
+              ['Market gain', signed(diff.totals.marketGain, formatCurrency), toneOf(diff.totals.marketGain)],
+              ['New funds', diff.newFunds.length, 'text-emerald-600'],
+              ['Exited funds', diff.exitedFunds.length, 'text-rose-500']
+            ].map(([label, value, tone]) => (
+              <div key={label} className="p-4 rounded-2xl bg-slate-50 dark:bg-slate-800/50 border border-slate-100 dark:border-slate-700">
+                <p className="text-xs text-slate-500 font-medium">{label}</p>
+                <p className={`text-lg font-bold mt-1 ${tone}`}>{value}</p>
+              </div>
+            ))}
+          </div>
+
+          {(diff.newFunds.length > 0 || diff.exitedFunds.length > 0) && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6 text-sm">
+              <div>
+                <h4 className="flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider text-emerald-600 mb-2"><PlusCircle className="w-3.5 h-3.5" /> New</h4>
+                {diff.newFunds.length === 0 ? <p className="text-slate-400 text-xs">None</p> : diff.newFunds.map(f => (
+                  <div key={f.schemeName} className="flex justify-between py-1 text-slate-600 dark:text-slate-300"><span className="truncate pr-2">{f.schemeName}</span><span className="font-medium">{formatCurrency(f.valueAfter)}</span></div>
+                ))}
+              </div>
+              <div>
+                <h4 className="flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider text-rose-500 mb-2"><MinusCircle className="w-3.5 h-3.5" /> Exited</h4>
+                {diff.exitedFunds.length === 0 ? <p className="text-slate-400 text-xs">None</p> : diff.exitedFunds.map(f => (
+                  <div key={f.schemeName} className="flex justify-between py-1 text-slate-600 dark:text-slate-300"><span className="truncate pr-2">{f.schemeName}</span><span className="font-medium">{formatCurrency(f.valueBefore)}</span></div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex gap-1 bg-slate-100 dark:bg-slate-800 p-1 rounded-xl w-fit mb-4">
+            {LEVELS.map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setLevel(id)}
+                className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${level === id ? 'bg-white dark:bg-slate-700 text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="overflow-x-auto border border-slate-100 dark:border-slate-800 rounded-2xl">
+            <table className="w-full text-sm text-left">
+              <thead className="bg-slate-50 dark:bg-slate-900/50 text-xs uppercase text-slate-500">
+                <tr>
+                  <th className="px-4 py-3">Name</th>
+                  {level === 'fund' && <th className="px-4 py-3">Units</th>}
+                  <th className="px-4 py-3 text-right">Value</th>
+                  <th className="px-4 py-3 text-right">Fresh Money</th>
+                  <th className="px-4 py-3 text-right">Market Gain</th>
+                  <th className="px-4 py-3 text-right">Weight</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100 dark:divide-slate-800">
+                {rows.map(row => (
+                  <tr key={row.key} className="hover:bg-slate-50/50 dark:hover:bg-slate-800/30">
+                    <td className="px-4 py-3">
+                      <div className="font-medium text-slate-800 dark:text-slate-200 max-w-[280px] truncate" title={row.name}>{row.name}</div>
+                      <div className="flex items-center gap-2 mt-0.5">
+                        {row.parent && <span className="text-[10px] text-slate-400">{row.parent}</span>}
+                        {row.status && <Badge type={STATUS_BADGES[row.status]} className="text-[10px] py-0 px-2">{statusLabel(row.status)}</Badge>}
+                      </div>
+                    </td>
+                    {level === 'fund' && (
+                      <td className="px-4 py-3 whitespace-nowrap text-slate-500">
+                        {formatNumber(row.unitsBefore, 3)} → {formatNumber(row.unitsAfter, 3)}
+                        {row.unitChange !== 0 && <span className={`ml-1 text-xs ${toneOf(row.unitChange)}`}>({signed(row.unitChange, v => formatNumber(v, 3))})</span>}
+                      </td>
+                    )}
+                    <td className="px-4 py-3 text-right whitespace-nowrap text-slate-600 dark:text-slate-300">{formatCurrency(row.valueBefore)} → {formatCurrency(row.valueAfter)}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">{signed(row.freshMoney, formatCurrency)}</td>
+                    <td className={`px-4 py-3 text-right whitespace-nowrap font-medium ${toneOf(row.marketGain)}`}>{signed(row.marketGain, formatCurrency)}</td>
+                    <td className="px-4 py-3 text-right whitespace-nowrap">
+                      <span className="text-slate-500">{row.weightBefore.toFixed(1)}% → {row.weightAfter.toFixed(1)}%</span>
+                      <span className={`ml-1 text-xs font-bold ${toneOf(row.weightChange)}`}>{pp(row.weightChange)}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mt-6">
+            <h4 className="text-xs font-bold uppercase tracking-wider text-slate-400 mb-3">AMC weight movement</h4>
+            <div className="flex flex-wrap gap-2">
+              {amcChanges.map(a => (
+                <span key={a.name} className="px-3 py-1.5 rounded-xl bg-slate-50 dark:bg-slate-800/50 border border-slate-100 dark:border-slate-700 text-xs">
+                  <span className="font-medium text-slate-700 dark:text-slate-300">{a.name}</span>
+                  <span className={`ml-2 font-bold ${toneOf(a.weightChange)}`}>{pp(a.weightChange)}</span>
+                </span>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+    </Card>
+  );
+};
+
+export default SnapshotDiff;
@@ -0,0 +1,138 @@
+import React, { useState, useMemo } from 'react';
+import { History, Trash2, TrendingUp, TrendingDown } from 'lucide-react';
+import {
+  ResponsiveContainer, AreaChart, Area, XAxis, YAxis, CartesianGrid,
+  Tooltip as RechartsTooltip, Legend
+} from 'recharts';
+import { Card } from './ui.jsx';
+import { formatCurrency } from '../lib/format.js';
+import { netWorthTimeline, allocationDrift, driftSummary, sortSnapshots } from '../lib/snapshots.js';
+
+const DRIFT_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#64748b'];
+
+const tooltipStyle = { borderRadius: '12px', border: 'none', boxShadow: '0 4px 6px -1px rgb(0 0 0 / 0.1)' };
+
+// Net worth and allocation across the dated snapshots saved on each import
+const SnapshotHistory = ({ snapshots, onDelete }) => {
+  const [dimension, setDimension] = useState('category');
+
+  const timeline = useMemo(() => netWorthTimeline(snapshots), [snapshots]);
+  const drift = useMemo(() => allocationDrift(snapshots, dimension), [snapshots, dimension]);
+  const summary = useMemo(() => driftSummary(drift), [drift]);
+
+  if (!snapshots.length) return null;
+
+  const first = timeline[0];
+  const last = timeline[timeline.length - 1];
+  const growth = last.current - first.current;
+  const freshMoney = last.invested - first.invested;
+
+  return (
+    <div className="space-y-8">
+      <Card>
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+          <div>
+            <h3 className="font-bold text-lg flex items-center gap-2 text-slate-800 dark:text-white"><History className="w-5 h-5 text-indigo-500" /> Net Worth Timeline</h3>
+            <p className="text-sm text-slate-500 mt-1">
+              {timeline.length > 1
+                ? <>From {first.label} to {last.label}: <strong className={growth >= 0 ? 'text-emerald-600' : 'text-rose-600'}>{growth >= 0 ? '+' : ''}{formatCurrency(growth)}</strong>, of which {formatCurrency(freshMoney)} was fresh investment.</>
+                : <>One snapshot so far ({first.label}). Import an updated statement later to build the timeline.</>}
+            </p>
+          </div>
+        </div>
+        <div className="h-[320px] w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={timeline} margin={{ top: 10, right: 30, left: 20, bottom: 0 }}>
+              <defs>
+                <linearGradient id="colorNetWorth" x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="5%" stopColor="#6366f1" stopOpacity={0.3}/>
+                  <stop offset="95%" stopColor="#6366f1" stopOpacity={0}/>
+                </linearGradient>
+              </defs>
+              <XAxis dataKey="label" axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+              <YAxis tickFormatter={(val) => `₹${(val/100000).toFixed(1)}L`} axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+              <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+              <RechartsTooltip formatter={(value) => formatCurrency(value)} contentStyle={tooltipStyle} />
+              <Legend verticalAlign="top" height={36}/>
+              <Area type="monotone" dataKey="current" name="Net Worth" stroke="#6366f1" fillOpacity={1} fill="url(#colorNetWorth)" strokeWidth={3} dot={{ r: 3 }} />
+              <Area type="monotone" dataKey="invested" name="Invested" stroke="#94a3b8" fill="none" strokeDasharray="5 5" dot={{ r: 2 }} />
+            </AreaChart>
+          </ResponsiveContainer>
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
+        <Card className="lg:col-span-8">
+          <div className="flex items-center justify-between mb-6">
+            <h3 className="font-bold text-lg text-slate-800 dark:text-white">Allocation Drift</h3>
+            <div className="flex gap-1 bg-slate-100 dark:bg-slate-800 p-1 rounded-xl">
+              {[['category', 'Category'], ['amc', 'AMC']].map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setDimension(id)}
+                  className={`px-3 py-1.5 rounded-lg text-xs font-semibold transition-all ${dimension === id ? 'bg-white dark:bg-slate-700 text-indigo-600 shadow-sm' : 'text-slate-500'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="h-[300px] w-full">
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={drift.rows} margin={{ top: 10, right: 30, left: 0, bottom: 0 }}>
+                <XAxis dataKey="label" axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+                <YAxis domain={[0, 100]} tickFormatter={(val) => `${val}%`} axisLine={false} tickLine={false} tick={{fill: '#64748b'}} />
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                <RechartsTooltip formatter={(value) => `${value}%`} contentStyle={tooltipStyle} />
+                <Legend />
+                {drift.keys.map((key, idx) => (
+                  <Area key={key} type="monotone" dataKey={key} stackId="1" stroke={DRIFT_COLORS[idx % DRIFT_COLORS.length]} fill={DRIFT_COLORS[idx % DRIFT_COLORS.length]} fillOpacity={0.6} />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          </div>
+        </Card>
+
+        <Card className="lg:col-span-4">
+          <h3 className="font-bold text-lg text-slate-800 dark:text-white mb-1">Biggest Shifts</h3>
+          <p className="text-xs text-slate-500 mb-4">Share of portfolio, first vs latest snapshot</p>
+          {summary.length === 0 ? (
+            <p className="text-sm text-slate-400">Needs at least two snapshots.</p>
+          ) : (
+            <div className="space-y-3">
+              {summary.map(item => (
+                <div key={item.name} className="flex items-center justify-between text-sm">
+                  <span className="font-medium text-slate-700 dark:text-slate-300 truncate pr-2">{item.name}</span>
+                  <span className="flex items-center gap-2 shrink-0">
+                    <span className="text-xs text-slate-400">{item.from}% → {item.to}%</span>
+                    <span className={`flex items-center gap-0.5 font-bold text-xs w-16 justify-end ${item.change > 0 ? 'text-emerald-600' : item.change < 0 ? 'text-rose-500' : 'text-slate-400'}`}>
+                      {item.change > 0 ? <TrendingUp className="w-3 h-3" /> : item.change < 0 ? <TrendingDown className="w-3 h-3" /> : null}
+                      {item.change > 0 ? '+' : ''}{item.change}pp
+                    </span>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="mt-6 pt-4 border-t border-slate-100 dark:border-slate-800">
+            <h4 className="text-xs font-bold uppercase tracking-wider text-slate-400 mb-2">Snapshots</h4>
+            <div className="space-y-1 max-h-40 overflow-y-auto">
+              {sortSnapshots(snapshots).reverse().map(s => (
+                <div key={s.date} className="flex items-center justify-between text-xs text-slate-500 group">
+                  <span>{s.date}</span>
+                  <span className="flex items-center gap-2">
+                    {formatCurrency(s.current)}
+                    {onDelete && <button onClick={() => onDelete(s.date)} className="opacity-0 group-hover:opacity-100 text-slate-400 hover:text-rose-600 transition-opacity"><Trash2 className="w-3 h-3" /></button>}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotHistory;
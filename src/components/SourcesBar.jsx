@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Layers, Pencil, X, Check, Copy } from 'lucide-react';
+
+// Chips for each imported file: click to filter the dashboard by source,
+// pencil to rename the tag, cross to drop the file from the portfolio. The
+// household view reuses it for member chips, where removal is not offered.
+const SourcesBar = ({ sources, activeSource, onSelect, onRename, onRemove, duplicates = [], title = 'Sources', icon = Layers }) => {
+  const Icon = icon;
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const startEdit = (source) => {
+    setEditing(source.id);
+    setDraft(source.label);
+  };
+
+  const commitEdit = (source) => {
+    const label = draft.trim();
+    if (label && label !== source.label) onRename(source.id, label);
+    setEditing(null);
+  };
+
+  const chipClass = (active) => `flex items-center gap-2 pl-4 pr-2 py-1.5 rounded-xl text-sm font-semibold border transition-all ${active
+    ? 'bg-indigo-600 text-white border-indigo-600 shadow-sm'
+    : 'bg-white dark:bg-slate-900 text-slate-600 dark:text-slate-300 border-slate-200 dark:border-slate-700 hover:border-indigo-300'}`;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider text-slate-400 mr-1"><Icon className="w-4 h-4" /> {title}</span>
+      <button onClick={() => onSelect('All')} className={`${chipClass(activeSource === 'All')} pr-4`}>All</button>
+      {sources.map(source => (
+        <div key={source.id} className={chipClass(activeSource === source.label)} title={[source.format, source.fileName].filter(Boolean).join(' · ')}>
+          {editing === source.id ? (
+            <form onSubmit={(e) => { e.preventDefault(); commitEdit(source); }} className="flex items-center gap-1">
+              <input
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={() => commitEdit(source)}
+                className="w-28 bg-transparent outline-none border-b border-current text-sm"
+              />
+              <button type="submit" className="p-0.5"><Check className="w-3.5 h-3.5" /></button>
+            </form>
+          ) : (
+            <>
+              <button onClick={() => onSelect(source.label)}>{source.label}</button>
+              <span className="text-[10px] font-medium opacity-70">{source.holdings.length}</span>
+              {onRename && <button onClick={() => startEdit(source)} className="p-0.5 opacity-60 hover:opacity-100"><Pencil className="w-3 h-3" /></button>}
+              {onRemove && <button onClick={() => onRemove(source.id)} className="p-0.5 opacity-60 hover:opacity-100"><X className="w-3.5 h-3.5" /></button>}
+            </>
+          )}
+        </div>
+      ))}
+      {duplicates.length > 0 && (
+        <span
+          className="flex items-center gap-1 text-xs font-medium text-amber-600 bg-amber-50 dark:bg-amber-900/20 px-3 py-1.5 rounded-xl"
+          title={duplicates.map(d => `${d.holding['Scheme Name']} (${d.source}, already in ${d.duplicateOf})`).join('\n')}
+        >
+          <Copy className="w-3.5 h-3.5" /> {duplicates.length} duplicate{duplicates.length > 1 ? 's' : ''} skipped
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SourcesBar;
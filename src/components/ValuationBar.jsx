@@ -0,0 +1,93 @@
+import React from 'react';
+import { RefreshCw, CalendarClock, Undo2, FileText } from 'lucide-react';
+import { Badge } from './ui.jsx';
+import { formatCurrency } from '../lib/format.js';
+import { MATERIAL_MOVE } from '../lib/valuation.js';
+
+const dayLabel = (date) => new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+// Says whether the dashboard shows statement values or latest-NAV values,
+// with the refresh action, its progress and what could not be revalued.
+// Offline, an AMFI NAVAll.txt from disk stands in for the refresh.
+const ValuationBar = ({ summary, valuations, progress, onRefresh, onRevert, onLoadNavFile, onFillDetailsChange }) => {
+  const refreshing = progress !== null;
+  const sameDay = summary && summary.latestDate.getTime() === summary.oldestDate.getTime();
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 px-4 py-3 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-800 rounded-2xl text-sm">
+      <div className="flex items-start gap-3 min-w-0">
+        <CalendarClock className="w-5 h-5 text-indigo-500 shrink-0 mt-0.5" />
+        {summary ? (
+          <div className="min-w-0">
+            <div className="text-slate-700 dark:text-slate-200">
+              Valued at latest NAV{valuations?.source ? ` from ${valuations.source}` : ''}{' '}
+              <span className="font-semibold">{sameDay ? `of ${dayLabel(summary.latestDate)}` : `(${dayLabel(summary.oldestDate)} – ${dayLabel(summary.latestDate)})`}</span>
+              {' · '}
+              <span className={summary.change >= 0 ? 'text-emerald-600' : 'text-rose-600'}>
+                {summary.change >= 0 ? '+' : ''}{formatCurrency(summary.change)}
+              </span>{' '}
+              since the statement
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-slate-500">
+              <span>{summary.revalued} of {summary.total} holdings revalued</span>
+              {summary.material > 0 && <Badge type="warning">{summary.material} moved {MATERIAL_MOVE}%+</Badge>}
+              {valuations?.failed?.length > 0 && (
+                <span title={valuations.failed.map(f => `${f.name}: ${f.reason}`).join('\n')} className="underline decoration-dotted cursor-help">
+                  {valuations.failed.length} not found
+                </span>
+              )}
+              {valuations?.guesses?.length > 0 && (
+                <span title={valuations.guesses.join('\n')} className="underline decoration-dotted cursor-help">
+                  {valuations.guesses.length} best-guess matches (check in fund details)
+                </span>
+              )}
+              <label className="flex items-center gap-1.5 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={Boolean(valuations?.fillDetails)}
+                  onChange={(e) => onFillDetailsChange(e.target.checked)}
+                  className="rounded border-slate-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Fill missing category &amp; AMC
+              </label>
+            </div>
+          </div>
+        ) : (
+          <div className="text-slate-500">Values are as of your statement. Refresh to revalue every holding at its latest NAV, or load AMFI's NAVAll.txt to do it offline.</div>
+        )}
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        {summary && !refreshing && (
+          <button onClick={onRevert} className="flex items-center gap-1.5 px-3 py-2 text-xs font-semibold text-slate-500 hover:text-slate-700 hover:bg-slate-100 dark:hover:bg-slate-800 rounded-xl transition-all">
+            <Undo2 className="w-3.5 h-3.5" /> Statement values
+          </button>
+        )}
+        {!refreshing && (
+          <label title="Revalue from AMFI's NAVAll.txt" className="flex items-center gap-1.5 px-3 py-2 text-xs font-semibold text-slate-500 hover:text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/20 rounded-xl transition-all cursor-pointer">
+            <FileText className="w-3.5 h-3.5" /> NAV file
+            <input
+              type="file"
+              accept=".txt,text/plain"
+              className="hidden"
+              onChange={(e) => {
+                const [file] = e.target.files;
+                e.target.value = '';
+                if (file) onLoadNavFile(file);
+              }}
+            />
+          </label>
+        )}
+        <button
+          onClick={onRefresh}
+          disabled={refreshing}
+          className="flex items-center gap-2 px-4 py-2 text-xs font-semibold text-indigo-600 bg-indigo-50 dark:bg-indigo-900/30 hover:bg-indigo-100 rounded-xl transition-all disabled:opacity-70"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 ${refreshing ? 'animate-spin' : ''}`} />
+          {refreshing ? `Fetching NAVs ${progress.done}/${progress.total}` : 'Refresh valuations'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ValuationBar;
@@ -0,0 +1,43 @@
+// --- UI Components ---
+
+export const Card = ({ children, className = "", noPadding = false }) => (
+  <div className={`bg-white dark:bg-slate-900 rounded-3xl shadow-sm border border-slate-200 dark:border-slate-800 overflow-hidden transition-all duration-200 hover:shadow-md ${className}`}>
+    <div className={noPadding ? "" : "p-5 md:p-6"}>
+      {children}
+    </div>
+  </div>
+);
+
+export const Badge = ({ children, type = "neutral", className = "" }) => {
+  const styles = {
+    success: "bg-emerald-50 text-emerald-700 border border-emerald-100",
+    danger: "bg-rose-50 text-rose-700 border border-rose-100",
+    warning: "bg-amber-50 text-amber-700 border border-amber-100",
+    neutral: "bg-slate-50 text-slate-600 border border-slate-100",
+    blue: "bg-indigo-50 text-indigo-700 border border-indigo-100",
+    purple: "bg-violet-50 text-violet-700 border border-violet-100"
+  };
+  return (
+    <span className={`px-2.5 py-1 rounded-full text-xs font-semibold tracking-wide ${styles[type] || styles.neutral} ${className}`}>
+      {children}
+    </span>
+  );
+};
+
+export const Button = ({ children, onClick, variant = "primary", className = "", icon: Icon }) => {
+  const baseStyle = "flex items-center justify-center gap-2 px-5 py-2.5 rounded-2xl font-semibold transition-all duration-200 active:scale-95 text-sm";
+  const variants = {
+    primary: "bg-indigo-600 hover:bg-indigo-700 text-white shadow-lg shadow-indigo-200 dark:shadow-none",
+    secondary: "bg-white hover:bg-slate-50 text-slate-700 border border-slate-200 shadow-sm",
+    danger: "bg-rose-50 hover:bg-rose-100 text-rose-700",
+    ghost: "text-slate-500 hover:bg-slate-100 hover:text-slate-700",
+    outline: "border-2 border-indigo-100 text-indigo-600 hover:bg-indigo-50"
+  };
+
+  return (
+    <button onClick={onClick} className={`${baseStyle} ${variants[variant]} ${className}`}>
+      {Icon && <Icon className="w-4 h-4" />}
+      {children}
+    </button>
+  );
+};
@@ -0,0 +1,165 @@
+import { parseNumber, parseDate, isBlankCell, noteSkipped } from '../parsing.js';
+import { inferCategory, inferAMC } from '../schemeNames.js';
+
+// --- Shared Adapter Helpers ---
+//
+// Most broker exports are a table under a few lines of preamble. A table
+// adapter is described by the header aliases it needs and how to turn one
+// row into a holding; detection and header scanning are shared.
+
+const HEADER_SCAN_LIMIT = 40;
+
+export const normalizeCell = (val) =>
+  String(val ?? '').trim().replace(/^"|"$/g, '').toLowerCase().replace(/\s+/g, ' ');
+
+export const findColumn = (headers, aliases) => headers.findIndex(h => aliases.includes(h));
+
+// Returns the first row (within the scan window) that has every required column
+export const findHeaderRow = (rows, required) => {
+  const limit = Math.min(rows.length, HEADER_SCAN_LIMIT);
+  for (let i = 0; i < limit; i++) {
+    if (!Array.isArray(rows[i])) continue;
+    const headers = rows[i].map(normalizeCell);
+    if (required.every(aliases => findColumn(headers, aliases) !== -1)) return i;
+  }
+  return -1;
+};
+
+// True when any of the first rows contains text matching one of the patterns
+export const hasMarker = (rows, patterns) => {
+  const text = rows.slice(0, HEADER_SCAN_LIMIT)
+    .map(r => (Array.isArray(r) ? r.join(' ') : ''))
+    .join(' ')
+    .toLowerCase();
+  return patterns.some(p => p.test(text));
+};
+
+// --- Statement Dates ---
+//
+// Exports state the date they were taken in the preamble, in whatever words
+// and date style the broker uses. Each adapter lists the phrases it writes;
+// the captured text goes through parseDate (day-first, as Indian statements
+// are).
+
+const DATE_TEXT = '\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[-/. ](?:\\d{1,2}|[a-z]{3,9})[-/. ,]+\\d{2,4}';
+
+// "as on 19-10-2026", "As of: 19 Oct 2026"
+export const datedPhrase = (phrase) => new RegExp(`${phrase}\\s*:?\\s*(${DATE_TEXT})`, 'i');
+
+export const AS_ON_DATE = datedPhrase('\\bas (?:on|of|at)');
+
+// The first date one of the patterns captures in the cells above the table
+export const findStatementDate = (rows, patterns) => {
+  for (const row of rows.slice(0, HEADER_SCAN_LIMIT)) {
+    if (!Array.isArray(row)) continue;
+    for (const cell of row) {
+      for (const pattern of patterns) {
+        const m = String(cell ?? '').match(pattern);
+        const date = m && parseDate(m[1]);
+        if (date) return date;
+      }
+    }
+  }
+  return null;
+};
+
+// "Equity - Large Cap", "Equity: Large Cap", "Equity / Large Cap" -> parts
+export const splitCategory = (val) => {
+  const str = String(val ?? '').trim();
+  const m = str.match(/^(equity|debt|hybrid|solution oriented|other|others|commodities)\s*(?:-|:|\/|\|)\s*(.+)$/i);
+  if (m) return { category: m[1].replace(/^\w/, c => c.toUpperCase()), subCategory: m[2].trim() };
+  return { category: str, subCategory: '' };
+};
+
+// Fills the row shape the dashboard consumes, deriving whatever the export left out.
+// Cells that hold text where a number belongs still read as 0, but are listed
+// under `_unparsed` so the import review can show them.
+export const buildHolding = ({ name, category, subCategory, amc, units, invested, current, returns, xirr, isin, folio }) => {
+  const unparsed = {};
+  const num = (field, val) => {
+    const n = parseNumber(val);
+    if (!isNaN(n)) return n;
+    if (!isBlankCell(val)) unparsed[field] = val;
+    return 0;
+  };
+
+  const inferred = inferCategory(name);
+  const investedValue = num('Invested Value', invested);
+  const currentValue = num('Current Value', current);
+  const holding = {
+    'Scheme Name': String(name).trim(),
+    'Category': category || inferred.category,
+    'Sub-category': subCategory || inferred.subCategory,
+    'AMC': amc || inferAMC(name) || '',
+    'Units': num('Units', units),
+    'Invested Value': investedValue,
+    'Current Value': currentValue,
+    'Returns': isBlankCell(returns) ? currentValue - investedValue : num('Returns', returns),
+    'XIRR': num('XIRR', xirr)
+  };
+  if (isin) holding['ISIN'] = String(isin).trim().toUpperCase();
+  if (folio) holding['Folio'] = String(folio).trim();
+  if (Object.keys(unparsed).length) holding._unparsed = unparsed;
+  return holding;
+};
+
+// Rows that are really totals or footers rather than holdings
+export const isSummaryRow = (name) => /^(total|grand total|sub ?total|net total)\b/i.test(String(name ?? '').trim());
+
+// Builds an adapter from a column description.
+//   columns:  { key: [aliases] } — `name` and any keys in `required` must be found
+//   markers:  regexes for preamble text that identify the broker
+//   requireMarker: the header alone is not this broker's (e.g. Groww's columns
+//             are the app's own canonical ones), so detect only with a marker
+//   statementDates: patterns capturing the statement date from the preamble
+//   toHolding(get): maps a row to buildHolding() input, `get(key)` reads a column
+// parse(rows, skipped) pushes rows it passes over onto the optional `skipped` array.
+export const createTableAdapter = ({ id, name, columns, required, markers = [], requireMarker = false, statementDates = [AS_ON_DATE], toHolding }) => {
+  const requiredAliases = required.map(key => columns[key]);
+
+  const detect = (rows) => {
+    if (findHeaderRow(rows, requiredAliases) === -1) return 0;
+    // A broker marker makes it near-certain. A header match alone stays below
+    // 0.5, above only the generic adapter, and more columns make it likelier.
+    if (markers.length && hasMarker(rows, markers)) return 0.9;
+    return requireMarker ? 0 : 0.2 + required.length * 0.05;
+  };
+
+  const statementDate = (rows) => findStatementDate(rows, statementDates);
+
+  const parse = (rows, skipped) => {
+    const headerIndex = findHeaderRow(rows, requiredAliases);
+    if (headerIndex === -1) return [];
+    const headers = rows[headerIndex].map(normalizeCell);
+    const indexes = {};
+    Object.entries(columns).forEach(([key, aliases]) => { indexes[key] = findColumn(headers, aliases); });
+
+    const holdings = [];
+    for (let i = headerIndex + 1; i < rows.length; i++) {
+      const row = rows[i];
+      if (!Array.isArray(row) || row.length < 2) {
+        noteSkipped(skipped, i, row, 'Not a holding row');
+        continue;
+      }
+      const get = (key) => {
+        const idx = indexes[key];
+        if (idx === undefined || idx === -1) return undefined;
+        const val = row[idx];
+        return typeof val === 'string' ? val.trim().replace(/^"|"$/g, '') : val;
+      };
+      const schemeName = get('name');
+      if (!schemeName) {
+        noteSkipped(skipped, i, row, 'No scheme name');
+        continue;
+      }
+      if (isSummaryRow(schemeName)) {
+        noteSkipped(skipped, i, row, 'Total row');
+        continue;
+      }
+      holdings.push({ ...buildHolding({ name: schemeName, ...toHolding(get) }), _row: i + 1 });
+    }
+    return holdings;
+  };
+
+  return { id, name, detect, parse, statementDate };
+};
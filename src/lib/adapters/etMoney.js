@@ -0,0 +1,33 @@
+import { createTableAdapter, splitCategory, datedPhrase, AS_ON_DATE } from './common.js';
+
+// ET Money holdings report. Category is "Equity - Large Cap" and XIRR is
+// labelled "XIRR (%)".
+export default createTableAdapter({
+  id: 'et-money',
+  name: 'ET Money',
+  markers: [/et money/, /etmoney/],
+  statementDates: [AS_ON_DATE, datedPhrase('generated on')],
+  required: ['name', 'invested', 'current', 'avgNav'],
+  columns: {
+    name: ['scheme name', 'fund name'],
+    category: ['category', 'scheme category'],
+    amc: ['amc', 'fund house'],
+    folio: ['folio number', 'folio no', 'folio'],
+    units: ['units'],
+    avgNav: ['avg. nav', 'avg nav', 'average nav'],
+    invested: ['amount invested', 'invested amount'],
+    current: ['current value'],
+    returns: ['gain/loss', 'gain / loss', 'absolute gain'],
+    xirr: ['xirr (%)', 'xirr']
+  },
+  toHolding: (get) => ({
+    ...splitCategory(get('category')),
+    amc: get('amc'),
+    folio: get('folio'),
+    units: get('units'),
+    invested: get('invested'),
+    current: get('current'),
+    returns: get('returns'),
+    xirr: get('xirr')
+  })
+});
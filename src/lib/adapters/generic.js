@@ -0,0 +1,82 @@
+import { parseNumber, isBlankCell, noteSkipped } from '../parsing.js';
+import { findStatementDate, AS_ON_DATE } from './common.js';
+
+// --- Generic Holdings Adapter ---
+//
+// The original holdings parser: finds a header row containing "Scheme Name"
+// and "Current Value" and reads the canonical column names as-is. It is the
+// fallback when no broker-specific adapter recognises the file, and the target
+// format of the column-mapping wizard.
+
+const NUMERIC_HEADERS = ['Invested Value', 'Current Value', 'Returns', 'Units', 'XIRR'];
+
+export const processRawRows = (rows, skipped) => {
+  let headerIndex = -1;
+  for (let i = 0; i < rows.length; i++) {
+    try {
+        const rowStr = JSON.stringify(rows[i]).toLowerCase();
+        if (rowStr.includes('scheme name') && rowStr.includes('current value')) {
+          headerIndex = i;
+          break;
+        }
+    } catch { continue; }
+  }
+
+  if (headerIndex === -1) return [];
+
+  const rawHeaders = rows[headerIndex];
+  const headers = (Array.isArray(rawHeaders) ? rawHeaders : Object.values(rawHeaders))
+    .map(h => String(h).trim().replace(/^"|"$/g, ''));
+
+  const data = [];
+
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row || (Array.isArray(row) && row.length < 2)) {
+        noteSkipped(skipped, i, row, 'Not a holding row');
+        continue;
+    }
+
+    const rowObj = {};
+    const unparsed = {};
+    headers.forEach((header, index) => {
+        let val;
+        if (Array.isArray(row)) val = row[index];
+        else val = row[index];
+
+        if (typeof val === 'string') val = val.trim().replace(/^"|"$/g, '');
+
+        // "₹1,23,456" and "12.5%" used to come through parseFloat as NaN
+        if (NUMERIC_HEADERS.includes(header)) {
+             const num = parseNumber(val);
+             if (isNaN(num) && !isBlankCell(val)) unparsed[header] = val;
+             val = isNaN(num) ? 0 : num;
+        }
+
+        rowObj[header] = val;
+    });
+
+    if (!rowObj['Scheme Name']) {
+        noteSkipped(skipped, i, row, 'No scheme name');
+        continue;
+    }
+    if (Object.keys(unparsed).length) rowObj._unparsed = unparsed;
+    rowObj._row = i + 1;
+    data.push(rowObj);
+  }
+  return data;
+};
+
+const hasCanonicalHeader = (row) => {
+  const str = JSON.stringify(row || '').toLowerCase();
+  return str.includes('scheme name') && str.includes('current value');
+};
+
+export default {
+  id: 'generic',
+  name: 'Generic holdings',
+  // Lowest confidence so any broker-specific adapter wins when it also matches
+  detect: (rows) => (rows.slice(0, 40).some(hasCanonicalHeader) ? 0.1 : 0),
+  parse: processRawRows,
+  statementDate: (rows) => findStatementDate(rows, [AS_ON_DATE])
+};
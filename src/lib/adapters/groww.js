@@ -0,0 +1,35 @@
+import { createTableAdapter } from './common.js';
+
+// Groww "Mutual Funds Holdings" statement (XLSX). A few lines of investor
+// details precede the table; XIRR comes as "12.5%" and categories are split
+// across Category / Sub-category columns already.
+export default createTableAdapter({
+  id: 'groww',
+  name: 'Groww',
+  markers: [/groww/, /holdings? statement as on/],
+  requireMarker: true,
+  required: ['name', 'current', 'invested', 'xirr'],
+  columns: {
+    name: ['scheme name'],
+    amc: ['amc'],
+    category: ['category'],
+    subCategory: ['sub-category', 'sub category'],
+    folio: ['folio no.', 'folio no', 'folio number'],
+    units: ['units'],
+    invested: ['invested value'],
+    current: ['current value'],
+    returns: ['returns'],
+    xirr: ['xirr']
+  },
+  toHolding: (get) => ({
+    amc: get('amc'),
+    category: get('category'),
+    subCategory: get('subCategory'),
+    folio: get('folio'),
+    units: get('units'),
+    invested: get('invested'),
+    current: get('current'),
+    returns: get('returns'),
+    xirr: get('xirr')
+  })
+});
@@ -0,0 +1,47 @@
+import groww from './groww.js';
+import zerodhaCoin from './zerodhaCoin.js';
+import kuvera from './kuvera.js';
+import paytmMoney from './paytmMoney.js';
+import etMoney from './etMoney.js';
+import rtaHoldings from './rtaHoldings.js';
+import generic from './generic.js';
+
+// --- Format Adapter Registry ---
+//
+// Each adapter is `{ id, name, detect(rows) -> 0..1, parse(rows, skipped?) -> holdings,
+// statementDate(rows) -> Date | null }`. Holdings share the row shape the
+// dashboard's `analysis` consumes. The generic adapter always scores lowest so
+// it only wins as a fallback.
+
+export const ADAPTERS = [groww, zerodhaCoin, kuvera, paytmMoney, etMoney, rtaHoldings, generic];
+
+export const getAdapter = (id) => ADAPTERS.find(a => a.id === id) || null;
+
+export const detectFormat = (rows) => {
+  let best = null;
+  let bestScore = 0;
+  ADAPTERS.forEach(adapter => {
+    const score = adapter.detect(rows);
+    if (score > bestScore) { best = adapter; bestScore = score; }
+  });
+  return best ? { adapter: best, score: bestScore } : null;
+};
+
+// Parses with the detected adapter; if it yields nothing, falls through to the
+// next best candidate before giving up. `skipped` lists the rows the winning
+// adapter passed over; `statementDate` is the date the export was taken, when
+// its preamble states one.
+export const parseHoldings = (rows) => {
+  const candidates = ADAPTERS
+    .map(adapter => ({ adapter, score: adapter.detect(rows) }))
+    .filter(c => c.score > 0)
+    .sort((a, b) => b.score - a.score);
+  for (const { adapter } of candidates) {
+    const skipped = [];
+    const holdings = adapter.parse(rows, skipped);
+    if (holdings.length) return { holdings, skipped, format: adapter, statementDate: adapter.statementDate(rows) };
+  }
+  return { holdings: [], skipped: [], format: null, statementDate: null };
+};
+
+export { processRawRows } from './generic.js';
@@ -0,0 +1,31 @@
+import { createTableAdapter, splitCategory } from './common.js';
+
+// Kuvera portfolio export. Category arrives as "Equity: Large Cap" in a
+// single column and gains are labelled "Gain".
+export default createTableAdapter({
+  id: 'kuvera',
+  name: 'Kuvera',
+  markers: [/kuvera/],
+  required: ['name', 'invested', 'current', 'category'],
+  columns: {
+    name: ['fund name', 'scheme', 'scheme name'],
+    category: ['category', 'fund category'],
+    amc: ['amc', 'fund house'],
+    folio: ['folio', 'folio number'],
+    units: ['units'],
+    invested: ['invested', 'invested amount', 'total invested'],
+    current: ['current value', 'current', 'market value'],
+    returns: ['gain', 'gains', 'total gain'],
+    xirr: ['xirr', 'xirr (%)', 'cagr']
+  },
+  toHolding: (get) => ({
+    ...splitCategory(get('category')),
+    amc: get('amc'),
+    folio: get('folio'),
+    units: get('units'),
+    invested: get('invested'),
+    current: get('current'),
+    returns: get('returns'),
+    xirr: get('xirr')
+  })
+});
@@ -0,0 +1,27 @@
+import { createTableAdapter, splitCategory } from './common.js';
+
+// Paytm Money mutual fund holdings. Uses "Current Amount" for value and
+// reports returns both in rupees and percent; only the rupee column is kept.
+export default createTableAdapter({
+  id: 'paytm-money',
+  name: 'Paytm Money',
+  markers: [/paytm/],
+  required: ['name', 'invested', 'current'],
+  columns: {
+    name: ['fund name', 'scheme name'],
+    category: ['fund type', 'category'],
+    folio: ['folio number', 'folio no', 'folio'],
+    units: ['units', 'total units'],
+    invested: ['invested amount', 'amount invested'],
+    current: ['current amount', 'current value'],
+    returns: ['returns', 'total returns', 'returns (₹)', 'returns (rs)']
+  },
+  toHolding: (get) => ({
+    ...splitCategory(get('category')),
+    folio: get('folio'),
+    units: get('units'),
+    invested: get('invested'),
+    current: get('current'),
+    returns: get('returns')
+  })
+});
@@ -0,0 +1,27 @@
+import { createTableAdapter } from './common.js';
+
+// CAMS and KFintech holdings / valuation exports (the spreadsheet versions,
+// not the CAS PDF). Values are stated as cost and market value per folio.
+export default createTableAdapter({
+  id: 'rta-holdings',
+  name: 'CAMS / KFintech holdings',
+  markers: [/\bcams\b/, /kfintech/, /kfin/, /karvy/, /computer age management/],
+  required: ['name', 'units', 'cost', 'market'],
+  columns: {
+    name: ['scheme name', 'scheme', 'scheme description'],
+    amc: ['amc name', 'amc', 'fund'],
+    isin: ['isin', 'isin no', 'isin code'],
+    folio: ['folio no', 'folio no.', 'folio number', 'folio'],
+    units: ['closing units', 'unit balance', 'balance units', 'units'],
+    cost: ['cost value', 'total cost value', 'cost', 'invested amount'],
+    market: ['market value', 'current value', 'valuation', 'market value (rs.)']
+  },
+  toHolding: (get) => ({
+    amc: get('amc'),
+    isin: get('isin'),
+    folio: get('folio'),
+    units: get('units'),
+    invested: get('cost'),
+    current: get('market')
+  })
+});
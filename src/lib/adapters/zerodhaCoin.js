@@ -0,0 +1,31 @@
+import { createTableAdapter } from './common.js';
+import { parseNumber } from '../parsing.js';
+
+// Zerodha Coin holdings export. Quantities and per-unit prices only, so
+// invested and current values are derived from average and closing price.
+export default createTableAdapter({
+  id: 'zerodha-coin',
+  name: 'Zerodha Coin',
+  markers: [/zerodha/, /\bcoin\b/],
+  required: ['name', 'quantity', 'avgPrice', 'closePrice'],
+  columns: {
+    name: ['symbol', 'instrument', 'fund'],
+    isin: ['isin'],
+    quantity: ['quantity available', 'quantity', 'qty.', 'qty'],
+    avgPrice: ['average price', 'avg. cost', 'avg cost', 'average cost'],
+    closePrice: ['previous closing price', 'last price', 'ltp', 'nav', 'cur. val', 'current nav'],
+    pnl: ['unrealized p&l', 'unrealised p&l', 'p&l']
+  },
+  toHolding: (get) => {
+    const units = parseNumber(get('quantity')) || 0;
+    const avg = parseNumber(get('avgPrice')) || 0;
+    const close = parseNumber(get('closePrice')) || 0;
+    return {
+      isin: get('isin'),
+      units,
+      invested: units * avg,
+      current: units * close,
+      returns: get('pnl')
+    };
+  }
+});
@@ -0,0 +1,157 @@
+import { inferCategory, normalizeSchemeName } from './schemeNames.js';
+import { rankCandidates, isConfident, coreName } from './schemeMatch.js';
+
+// --- AMFI NAV File ---
+//
+// AMFI publishes every scheme's latest NAV as one semicolon-delimited text
+// file (NAVAll.txt):
+//
+//   Scheme Code;ISIN Div Payout/ ISIN Growth;ISIN Div Reinvestment;Scheme Name;Net Asset Value;Date
+//   Open Ended Schemes(Equity Scheme - Large Cap Fund)
+//   HDFC Mutual Fund
+//   119018;INF179K01XQ0;-;HDFC Large Cap Fund - Growth Option - Direct Plan;1234.5678;16-Oct-2026
+//
+// Section headers give the scheme type and SEBI category, followed by one
+// line per AMC. Scheme codes are the same ones mfapi.in uses, so saved
+// matches carry over. Loading it lets holdings be matched and revalued with
+// no network at all.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Below this a candidate is not offered even as a guess
+const MIN_MATCH_SCORE = 40;
+
+const SECTION_HEADER = /^((?:open|close|interval)\s+ended\s+schemes?)\s*\((.*)\)\s*$/i;
+
+// "16-Oct-2026"
+const parseAmfiDate = (str) => {
+  const [d, mon, y] = String(str || '').trim().split('-');
+  const month = MONTHS.indexOf(String(mon || '').toLowerCase());
+  const date = new Date(Number(y), month, Number(d));
+  return month < 0 || isNaN(date) ? null : date;
+};
+
+const isinOrNull = (val) => {
+  const isin = String(val || '').trim().toUpperCase();
+  return /^IN[A-Z0-9]{10}$/.test(isin) ? isin : null;
+};
+
+// -> { schemes: [{ schemeCode, isinGrowth, isinDivReinvestment, schemeName,
+// nav, date, schemeType, schemeCategory, amc }], date } with date the most
+// recent NAV date in the file. Schemes without a NAV ("N.A.") are skipped.
+export const parseNavAll = (text) => {
+  const schemes = [];
+  let schemeType = null;
+  let schemeCategory = null;
+  let amc = null;
+  let latest = null;
+
+  String(text || '').split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (!line || /^scheme code;/i.test(line)) return;
+    if (!line.includes(';')) {
+      const section = line.match(SECTION_HEADER);
+      if (section) {
+        schemeType = section[1];
+        schemeCategory = section[2].trim();
+        amc = null;
+      } else {
+        amc = line;
+      }
+      return;
+    }
+    const fields = line.split(';').map(f => f.trim());
+    if (fields.length < 6 || !/^\d+$/.test(fields[0])) return;
+    const nav = parseFloat(fields[4]);
+    const date = parseAmfiDate(fields[5]);
+    if (!(nav > 0) || !date) return;
+    if (!latest || date > latest) latest = date;
+    schemes.push({
+      schemeCode: fields[0],
+      isinGrowth: isinOrNull(fields[1]),
+      isinDivReinvestment: isinOrNull(fields[2]),
+      schemeName: fields[3],
+      nav,
+      date,
+      schemeType,
+      schemeCategory,
+      amc
+    });
+  });
+
+  return { schemes, date: latest };
+};
+
+// SEBI category ("Equity Scheme - Large Cap Fund") -> the dashboard's
+// category and sub-category. Index funds, ETFs and fund of funds sit under
+// "Other Scheme", so those are read from the scheme's own name.
+export const amfiCategory = (schemeCategory, schemeName) => {
+  const label = String(schemeCategory || '');
+  if (!label || /^other\s+scheme/i.test(label)) return inferCategory(schemeName);
+  const inferred = inferCategory(label);
+  return inferred.category === 'Other' ? inferCategory(schemeName) : inferred;
+};
+
+// { code, schemeName, nav, date, schemeCategory, amc } as stored with valuations
+const quoteOf = (scheme) => ({
+  code: scheme.schemeCode,
+  schemeName: scheme.schemeName,
+  nav: scheme.nav,
+  date: scheme.date,
+  schemeCategory: scheme.schemeCategory,
+  amc: scheme.amc
+});
+
+// Matches holdings against a parsed NAV file: the ISIN first, as it is
+// exact, then a saved match's scheme code, then the scored name match among
+// schemes sharing the holding's first word (usually the AMC). An ISIN hit
+// also replaces a saved match that disagrees with it, such as an old guess.
+// `savedMatches` is { name: match }; `matches` in the result are the new
+// ones worth saving.
+export const navFileQuotes = (holdings, navFile, savedMatches = {}) => {
+  const byCode = new Map(navFile.schemes.map(s => [String(s.schemeCode), s]));
+  const byIsin = new Map();
+  navFile.schemes.forEach(s => {
+    if (s.isinGrowth) byIsin.set(s.isinGrowth, s);
+    if (s.isinDivReinvestment) byIsin.set(s.isinDivReinvestment, s);
+  });
+  const wordsOf = navFile.schemes.map(s => new Set(normalizeSchemeName(s.schemeName).split(' ')));
+
+  const schemes = [...new Map(holdings.map(h => [h['Scheme Name'], { name: h['Scheme Name'], isin: isinOrNull(h['ISIN']) }])).values()];
+  const quotes = {};
+  const matches = {};
+  const failed = [];
+  const guesses = [];
+
+  schemes.forEach(holding => {
+    const saved = savedMatches[holding.name];
+    const isinScheme = holding.isin && byIsin.get(holding.isin);
+    if (isinScheme) {
+      quotes[holding.name] = quoteOf(isinScheme);
+      if (!saved || String(saved.code) !== isinScheme.schemeCode) {
+        matches[holding.name] = { schemeCode: isinScheme.schemeCode, schemeName: isinScheme.schemeName, source: 'isin' };
+      }
+      return;
+    }
+    const savedScheme = saved && byCode.get(String(saved.code));
+    if (savedScheme) {
+      quotes[holding.name] = quoteOf(savedScheme);
+      if (saved.source === 'guess') guesses.push(holding.name);
+      return;
+    }
+    const [firstWord] = coreName(holding.name).split(' ');
+    const candidates = navFile.schemes.filter((s, i) => firstWord && wordsOf[i].has(firstWord));
+    const ranked = rankCandidates(holding, candidates);
+    const [best] = ranked;
+    if (!best || best.score < MIN_MATCH_SCORE) {
+      failed.push({ name: holding.name, reason: 'No match in the NAV file' });
+      return;
+    }
+    const source = isConfident(ranked) ? 'auto' : 'guess';
+    quotes[holding.name] = quoteOf(best);
+    matches[holding.name] = { schemeCode: best.schemeCode, schemeName: best.schemeName, source };
+    if (source === 'guess') guesses.push(holding.name);
+  });
+
+  return { quotes, matches, failed, guesses };
+};
@@ -0,0 +1,132 @@
+import { formatCurrency, formatNumber } from './format.js';
+
+// --- Analysis Reports ---
+//
+// Serialisable views of an analyzePortfolio() result for scripts and the
+// command line: a trimmed JSON document (fund rows by name and value rather
+// than whole objects) and a Markdown summary for month-end notes.
+
+const round = (val, decimals = 2) => (Number.isFinite(val) ? parseFloat(val.toFixed(decimals)) : null);
+
+const holdingRow = (h) => ({
+  scheme: h['Scheme Name'],
+  category: h['Category'] || null,
+  subCategory: h['Sub-category'] || null,
+  amc: h['AMC'] || null,
+  ...(h['Folio'] ? { folio: h['Folio'] } : {}),
+  ...(h['Source'] ? { source: h['Source'] } : {}),
+  ...(h['Member'] ? { member: h['Member'] } : {}),
+  units: round(h['Units'] || 0, 3),
+  invested: round(h['Invested Value'] || 0),
+  current: round(h['Current Value'] || 0),
+  returns: round(h['Returns'] || 0),
+  absReturn: round(h._absReturn),
+  xirr: h['XIRR'] ? round(h['XIRR']) : null,
+  ...(h._xirrAsOfStatement ? { xirrAsOfStatement: true } : {}),
+  avgBuyNAV: round(h._avgBuyNAV, 4),
+  currentNAV: round(h._currentNAV, 4)
+});
+
+const fundRef = (h) => ({ scheme: h['Scheme Name'], current: round(h['Current Value'] || 0) });
+
+export const analysisToJSON = (analysis, meta = {}) => ({
+  ...meta,
+  generatedAt: new Date().toISOString(),
+  summary: {
+    invested: round(analysis.totalInv),
+    current: round(analysis.totalCurr),
+    returns: round(analysis.totalReturns),
+    absReturn: round(analysis.absReturn),
+    xirr: round(analysis.portfolioXIRR),
+    xirrSource: analysis.xirrSource,
+    equityRatio: round(analysis.equityRatio, 1),
+    funds: analysis.processedData.length,
+    healthScore: analysis.healthScore
+  },
+  categories: analysis.categoryTree.map(cat => ({
+    name: cat.name,
+    current: round(cat.totalVal),
+    share: round(analysis.totalCurr > 0 ? (cat.totalVal / analysis.totalCurr) * 100 : 0, 1),
+    subCategories: cat.subCategories.map(sub => ({
+      name: sub.name,
+      current: round(sub.totalVal),
+      invested: round(sub.totalInv),
+      funds: sub.funds.map(fundRef)
+    }))
+  })),
+  amcs: analysis.amcData.map(a => ({ name: a.name, current: round(a.value) })),
+  benchmarks: analysis.comparisonData,
+  consolidationPlan: analysis.consolidationPlan.map(plan => ({
+    category: plan.category,
+    keep: fundRef(plan.winner),
+    mergeIn: plan.others.map(fundRef),
+    potentialMoveValue: round(plan.potentialMoveValue)
+  })),
+  clutter: analysis.clutter.map(fundRef),
+  lossMakers: analysis.lossMakers.map(fundRef),
+  projection: analysis.wealthProjection,
+  returnDistribution: analysis.distributionData,
+  holdings: analysis.processedData.map(holdingRow)
+});
+
+const table = (headers, rows) => [
+  `| ${headers.join(' | ')} |`,
+  `| ${headers.map((h, i) => (i === 0 ? '---' : '---:')).join(' | ')} |`,
+  ...rows.map(r => `| ${r.join(' | ')} |`)
+].join('\n');
+
+const escapeCell = (val) => String(val ?? '').replace(/\|/g, '\\|');
+
+const pct = (val, decimals = 1) => `${val >= 0 ? '' : '-'}${Math.abs(val).toFixed(decimals)}%`;
+
+export const analysisToMarkdown = (analysis, { title = 'Portfolio analysis', source } = {}) => {
+  const lines = [`# ${title}`, ''];
+  if (source) lines.push(`Source: ${source}`, '');
+
+  lines.push('## Summary', '', table(['Metric', 'Value'], [
+    ['Invested', formatCurrency(analysis.totalInv)],
+    ['Current value', formatCurrency(analysis.totalCurr)],
+    ['Gain', `${formatCurrency(analysis.totalReturns)} (${pct(analysis.absReturn)})`],
+    [`XIRR (${analysis.xirrSource})`, pct(analysis.portfolioXIRR, 2)],
+    ['Equity share', pct(analysis.equityRatio)],
+    ['Funds', analysis.processedData.length],
+    ['Health score', `${analysis.healthScore.score} (${analysis.healthScore.label})`]
+  ]), '');
+
+  lines.push('## Allocation', '', table(['Category', 'Sub-category', 'Funds', 'Value', 'Share'],
+    analysis.categoryTree.flatMap(cat => cat.subCategories.map(sub => [
+      escapeCell(cat.name), escapeCell(sub.name), sub.fundCount, formatCurrency(sub.totalVal),
+      pct(analysis.totalCurr > 0 ? (sub.totalVal / analysis.totalCurr) * 100 : 0)
+    ]))), '');
+
+  lines.push('## Top AMCs', '', table(['AMC', 'Value'],
+    analysis.amcData.map(a => [escapeCell(a.name), formatCurrency(a.value)])), '');
+
+  if (analysis.comparisonData.length) {
+    lines.push('## Against benchmarks', '', table(['Sub-category', 'XIRR', 'Benchmark', 'Alpha'],
+      analysis.comparisonData.map(c => [escapeCell(c.category), pct(c.myXIRR, 2), `${escapeCell(c.benchName)} ${pct(c.benchXIRR)}`, pct(c.alpha, 2)])), '');
+  }
+
+  if (analysis.consolidationPlan.length) {
+    lines.push('## Consolidation plan', '');
+    analysis.consolidationPlan.forEach(plan => {
+      lines.push(`- **${plan.category}**: keep ${plan.winner['Scheme Name']}; merge ${plan.others.map(o => o['Scheme Name']).join(', ')} (${formatCurrency(plan.potentialMoveValue)})`);
+    });
+    lines.push('');
+  }
+
+  if (analysis.clutter.length) {
+    lines.push('## Small holdings', '');
+    analysis.clutter.forEach(h => lines.push(`- ${h['Scheme Name']}: ${formatCurrency(h['Current Value'])}`));
+    lines.push('');
+  }
+
+  lines.push('## Holdings', '', table(['Scheme', 'Category', 'Units', 'Invested', 'Current', 'Return', 'XIRR'],
+    analysis.processedData.map(h => [
+      escapeCell(h['Scheme Name']), escapeCell(h['Sub-category'] || h['Category']), formatNumber(h['Units'], 3),
+      formatCurrency(h['Invested Value']), formatCurrency(h['Current Value']), pct(h._absReturn),
+      h['XIRR'] ? `${pct(h['XIRR'], 2)}${h._xirrAsOfStatement ? ' (statement)' : ''}` : '-'
+    ])), '');
+
+  return lines.join('\n');
+};
@@ -0,0 +1,281 @@
+import { xirrPercent } from './xirr.js';
+import { groupTransactionsByScheme, buildCashflows } from './ledger.js';
+import { addToSmartGroups, buildCategoryTree } from './grouping.js';
+
+// --- Portfolio Analytics Engine ---
+//
+// Everything the dashboard shows about a portfolio, computed from plain
+// holding rows with no UI or browser dependency, so the same numbers come
+// out of the app, the command line (bin/mf-analyze.js) and scripts.
+//
+//   analyzePortfolio(holdings, options) -> analysis
+//     holdings      rows with the standard keys ('Scheme Name', 'Category',
+//                   'Sub-category', 'AMC', 'Units', 'Invested Value',
+//                   'Current Value', 'Returns', 'XIRR'; optionally 'Folio',
+//                   'Source', 'Member')
+//     options       { transactions, clutterThreshold, simulateCleanup,
+//                     benchmarks, benchmarkReturn, projectionYears, asOf }
+//                   transactions is a parsed ledger; when given, XIRR comes
+//                   from dated cashflows instead of the statement column.
+//
+//   analysis = {
+//     totalInv, totalCurr, totalReturns, absReturn,
+//     portfolioXIRR, xirrSource ('cashflow' | 'weighted'), equityRatio,
+//     statementXIRRCount  funds whose XIRR is still the statement's although
+//                         their value was revalued since
+//     processedData     holdings with XIRR and _currentNAV, _avgBuyNAV, _absReturn
+//     categoryTree      [{ name, totalVal, subCategories: [{ name, totalVal, totalInv, funds, fundCount }] }]
+//     categoryData      [{ name, value }]           value by category
+//     amcData           [{ name, value }]           top 7 AMCs by value
+//     comparisonData    [{ category, myXIRR, benchXIRR, benchName, alpha, weight }]
+//     consolidationPlan [{ category, winner, others, potentialMoveValue }]
+//     healthScore       { score (0-100), label }
+//     clutter, lossMakers, topGainers, bottomLaggards   holding lists
+//     simStats          { originalCount, originalTotalVal, clutterCount, clutterVal }
+//     wealthProjection  [{ year, portfolio, benchmark }]
+//     distributionData  [{ name, value }]           fund count per return bucket
+//     categories        ['All', ...category names]
+//   }
+//
+//   totalsOf(holdings) -> { invested, current, returns }
+
+export const BENCHMARKS = {
+  'Large Cap': { name: 'Nifty 50', return: 13.5 },
+  'Mid Cap': { name: 'Nifty Midcap 150', return: 16.5 },
+  'Small Cap': { name: 'Nifty Smallcap 250', return: 19.0 },
+  'Flexi Cap': { name: 'Nifty 500', return: 15.0 },
+  'ELSS': { name: 'Nifty 500', return: 15.0 },
+  'Debt': { name: 'FD / Debt Index', return: 7.0 },
+  'Liquid': { name: 'Liquid Index', return: 6.0 },
+  'Sectoral': { name: 'Nifty 500', return: 15.0 },
+  'Other': { name: 'Inflation', return: 6.0 }
+};
+
+export const DEFAULT_ANALYSIS_OPTIONS = {
+  transactions: null,
+  clutterThreshold: 5000,
+  simulateCleanup: false,
+  benchmarks: BENCHMARKS,
+  benchmarkReturn: 12,
+  projectionYears: [0, 1, 3, 5, 10]
+};
+
+export const benchmarkFor = (subCat, benchmarks = BENCHMARKS) => {
+  if (benchmarks[subCat]) return benchmarks[subCat];
+  if (subCat.includes('Large')) return benchmarks['Large Cap'];
+  if (subCat.includes('Small')) return benchmarks['Small Cap'];
+  if (subCat.includes('Mid')) return benchmarks['Mid Cap'];
+  if (subCat.includes('Flexi')) return benchmarks['Flexi Cap'];
+  if (subCat.includes('Debt')) return benchmarks['Debt'];
+  return benchmarks['Other'];
+};
+
+export const totalsOf = (holdings) => holdings.reduce((acc, item) => ({
+  invested: acc.invested + (item['Invested Value'] || 0),
+  current: acc.current + (item['Current Value'] || 0),
+  returns: acc.returns + (item['Returns'] || 0)
+}), { invested: 0, current: 0, returns: 0 });
+
+// Per-row derived fields; `fundXIRR` replaces the statement's XIRR when known
+// and, being dated with the holding's value, is no longer the statement's
+export const deriveHolding = (item, fundXIRR = null) => {
+  const units = item['Units'] || 0;
+  const currVal = item['Current Value'] || 0;
+  const invVal = item['Invested Value'] || 0;
+  return {
+    ...item,
+    ...(fundXIRR !== null ? { 'XIRR': parseFloat(fundXIRR.toFixed(2)), _xirrAsOfStatement: false } : {}),
+    _currentNAV: units > 0 ? currVal / units : 0,
+    _avgBuyNAV: units > 0 ? invVal / units : 0,
+    _absReturn: invVal > 0 ? ((currVal - invVal) / invVal) * 100 : 0
+  };
+};
+
+// Starts at 100; clutter, loss makers and sheer fund count take points off
+export const healthScore = ({ clutterCount, lossMakerCount, fundCount }) => {
+  let score = 100;
+  score -= Math.min(20, clutterCount * 2);
+  score -= Math.min(15, lossMakerCount * 1.5);
+  if (fundCount > 20) score -= 10;
+  if (fundCount > 40) score -= 10;
+  score = Math.max(0, Math.round(score));
+  const label = score < 40 ? "Critical" : score < 60 ? "Poor" : score < 80 ? "Good" : "Excellent";
+  return { score, label };
+};
+
+// More than two funds in a sub-category: keep the best performer, fold the rest into it
+export const planConsolidation = (categoryTree, member = '') => {
+  const plan = [];
+  categoryTree.forEach(cat => {
+    cat.subCategories.forEach(sub => {
+      if (sub.fundCount <= 2) return;
+      const sortedFunds = [...sub.funds].sort((a, b) => (b.XIRR || b._absReturn) - (a.XIRR || a._absReturn));
+      const others = sortedFunds.slice(1);
+      plan.push({
+        category: member ? `${sub.name} · ${member}` : sub.name,
+        winner: sortedFunds[0],
+        others,
+        potentialMoveValue: others.reduce((acc, c) => acc + c['Current Value'], 0)
+      });
+    });
+  });
+  return plan;
+};
+
+const RETURN_BUCKETS = ['> 20%', '12% - 20%', '0% - 12%', 'Negative'];
+
+const returnBucket = (item) => {
+  const ret = item['XIRR'] && item['XIRR'] !== 0 ? item['XIRR'] : item._absReturn;
+  if (ret > 20) return '> 20%';
+  if (ret >= 12) return '12% - 20%';
+  if (ret >= 0) return '0% - 12%';
+  return 'Negative';
+};
+
+export const analyzePortfolio = (holdings, options = {}) => {
+  const {
+    transactions, clutterThreshold, simulateCleanup, benchmarks, benchmarkReturn, projectionYears, asOf
+  } = { ...DEFAULT_ANALYSIS_OPTIONS, ...options };
+
+  // With a ledger loaded, XIRR comes from actual dated cashflows rather than the statement column
+  const txnsByScheme = transactions ? groupTransactionsByScheme(transactions) : null;
+  const cashflowsFor = (item) => {
+    const txns = txnsByScheme && txnsByScheme[item['Scheme Name']];
+    if (!txns) return null;
+    // The same scheme can sit in several folios (CAS imports); only use this folio's flows
+    let own = item['Folio'] ? txns.filter(t => !t.folio || t.folio === item['Folio']) : txns;
+    // ...and in the household view, this member's flows
+    if (item['Member']) own = own.filter(t => t.member === item['Member']);
+    // A holding valued at an older NAV (a ledger import) closes its flows on that date
+    const valuedOn = item._valueDate ? new Date(item._valueDate) : asOf;
+    return own.length ? buildCashflows(own, item['Current Value'] || 0, valuedOn) : null;
+  };
+
+  const allFunds = holdings.map(item => {
+    const flows = cashflowsFor(item);
+    return deriveHolding(item, flows ? xirrPercent(flows) : null);
+  });
+
+  const originalTotalVal = allFunds.reduce((acc, c) => acc + c['Current Value'], 0);
+  const clutter = allFunds.filter(i => i['Current Value'] < clutterThreshold);
+  const clutterVal = clutter.reduce((acc, c) => acc + c['Current Value'], 0);
+
+  // The cleanup simulator analyses the portfolio as if the clutter were sold
+  const processedData = simulateCleanup ? allFunds.filter(i => i['Current Value'] >= clutterThreshold) : allFunds;
+
+  const totalInv = processedData.reduce((acc, curr) => acc + (curr['Invested Value'] || 0), 0);
+  const totalCurr = processedData.reduce((acc, curr) => acc + (curr['Current Value'] || 0), 0);
+  const totalReturns = totalCurr - totalInv;
+  const absReturn = totalInv > 0 ? (totalReturns / totalInv) * 100 : 0;
+
+  const byCategory = {};
+  const byAMC = {};
+  const categoryXIRR = {};
+  const smartGroups = {};
+  const memberGroups = {};
+  const lossMakers = [];
+  const portfolioFlows = [];
+  let totalWeightedXIRR = 0;
+  let totalXIRRWeight = 0;
+  let totalEquity = 0;
+
+  processedData.forEach(item => {
+    const cat = item['Category'] || 'Other';
+    const subCat = item['Sub-category'] || 'Other';
+    const amc = item['AMC'] || 'Other';
+    const xirr = item['XIRR'] || 0;
+    const currVal = item['Current Value'];
+
+    byCategory[cat] = (byCategory[cat] || 0) + currVal;
+    byAMC[amc] = (byAMC[amc] || 0) + currVal;
+    if (cat.toLowerCase().includes('equity')) totalEquity += currVal;
+
+    if (!categoryXIRR[subCat]) categoryXIRR[subCat] = { sumProduct: 0, sumWeight: 0, flows: [] };
+    const flows = cashflowsFor(item);
+    if (flows) {
+      categoryXIRR[subCat].flows.push(...flows);
+      portfolioFlows.push(...flows);
+    }
+    if (xirr && !isNaN(xirr) && xirr !== 0) {
+      categoryXIRR[subCat].sumProduct += (xirr * currVal);
+      categoryXIRR[subCat].sumWeight += currVal;
+      totalWeightedXIRR += (xirr * currVal);
+      totalXIRRWeight += currVal;
+    }
+
+    if (item['Returns'] < 0) lossMakers.push(item);
+
+    addToSmartGroups(smartGroups, item);
+    if (item['Member']) addToSmartGroups(memberGroups[item['Member']] = memberGroups[item['Member']] || {}, item);
+  });
+
+  // Fully exited schemes still count towards the portfolio's realised return
+  if (txnsByScheme) {
+    const held = new Set(holdings.map(d => d['Scheme Name']));
+    Object.entries(txnsByScheme).forEach(([name, txns]) => {
+      if (!held.has(name)) portfolioFlows.push(...buildCashflows(txns, 0, asOf));
+    });
+  }
+
+  const weightedXIRR = totalXIRRWeight > 0 ? (totalWeightedXIRR / totalXIRRWeight) : 0;
+  const cashflowXIRR = portfolioFlows.length ? xirrPercent(portfolioFlows) : null;
+  const portfolioXIRR = cashflowXIRR !== null ? cashflowXIRR : weightedXIRR;
+  const xirrSource = cashflowXIRR !== null ? 'cashflow' : 'weighted';
+  const equityRatio = totalCurr > 0 ? (totalEquity / totalCurr) * 100 : 0;
+
+  const wealthProjection = projectionYears.map(year => ({
+    year: `Year ${year}`,
+    portfolio: Math.round(totalCurr * Math.pow(1 + portfolioXIRR / 100, year)),
+    benchmark: Math.round(totalCurr * Math.pow(1 + benchmarkReturn / 100, year))
+  }));
+
+  const distributionBuckets = Object.fromEntries(RETURN_BUCKETS.map(b => [b, 0]));
+  processedData.forEach(item => { distributionBuckets[returnBucket(item)]++; });
+  const distributionData = Object.entries(distributionBuckets).map(([name, value]) => ({ name, value }));
+
+  const comparisonData = [];
+  Object.keys(categoryXIRR).forEach(subCat => {
+    const { sumProduct, sumWeight, flows } = categoryXIRR[subCat];
+    const pooledXIRR = flows.length ? xirrPercent(flows) : null;
+    if (pooledXIRR === null && sumWeight <= 0) return;
+    const myXIRR = pooledXIRR !== null ? pooledXIRR : sumProduct / sumWeight;
+    const bench = benchmarkFor(subCat, benchmarks);
+    comparisonData.push({
+      category: subCat,
+      myXIRR: parseFloat(myXIRR.toFixed(2)),
+      benchXIRR: bench.return,
+      benchName: bench.name,
+      alpha: parseFloat((myXIRR - bench.return).toFixed(2)),
+      weight: sumWeight
+    });
+  });
+
+  const categoryTree = buildCategoryTree(smartGroups);
+
+  // Money can't move between family members, so the household view plans
+  // consolidation for each member on their own
+  const consolidationPlan = Object.keys(memberGroups).length
+    ? Object.entries(memberGroups).flatMap(([member, groups]) => planConsolidation(buildCategoryTree(groups), member))
+    : planConsolidation(categoryTree);
+
+  const categoryData = Object.entries(byCategory).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value);
+  const amcData = Object.entries(byAMC).map(([name, value]) => ({ name, value })).sort((a, b) => b.value - a.value).slice(0, 7);
+
+  return {
+    totalInv, totalCurr, totalReturns, absReturn,
+    lossMakers, clutter, categoryData, amcData, processedData, categoryTree,
+    healthScore: healthScore({ clutterCount: clutter.length, lossMakerCount: lossMakers.length, fundCount: processedData.length }),
+    comparisonData,
+    simStats: { originalCount: allFunds.length, originalTotalVal, clutterCount: clutter.length, clutterVal },
+    consolidationPlan,
+    categories: ['All', ...new Set(processedData.map(d => d['Category']).filter(Boolean))],
+    topGainers: [...processedData].sort((a, b) => b._absReturn - a._absReturn).slice(0, 3),
+    bottomLaggards: [...processedData].sort((a, b) => a._absReturn - b._absReturn).slice(0, 3),
+    wealthProjection,
+    distributionData,
+    portfolioXIRR,
+    xirrSource,
+    statementXIRRCount: processedData.filter(h => h._xirrAsOfStatement).length,
+    equityRatio
+  };
+};
@@ -0,0 +1,141 @@
+import { STORES, getAllItems, replaceAllItems } from './storage.js';
+import { getColumnMappings, setColumnMappings } from './columnMapping.js';
+
+// --- Encrypted Workspace Backup ---
+//
+// A backup is the whole workspace (portfolios with their source tags,
+// snapshots, settings and goals, scheme-code and column mappings) serialised
+// to JSON and sealed with AES-256-GCM. The key is derived from the user's
+// passphrase with PBKDF2-SHA-256; salt and IV are random per backup. Cached
+// NAVs are left out since they can be fetched again.
+//
+// File layout (JSON):
+//   { format, version, kdf: { name, hash, iterations, salt }, cipher: { name, iv }, data }
+// with salt, iv and data base64-encoded.
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupError';
+  }
+}
+
+const FORMAT = 'vn-mf-backup';
+const VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+// Iteration counts read from a file are held to this range: far fewer would
+// make the passphrase cheap to guess, far more would hang the tab
+const MIN_ITERATIONS = 100000;
+const MAX_ITERATIONS = 5000000;
+const BACKED_UP_STORES = [STORES.portfolios, STORES.settings, STORES.snapshots, STORES.schemeCodes];
+
+export const BACKUP_EXTENSION = '.vnmf';
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  return btoa(binary);
+};
+
+const fromBase64 = (str) => Uint8Array.from(atob(str), c => c.charCodeAt(0));
+
+// The envelope is untrusted input: anything but the algorithms this app
+// writes, or fields that do not decode, is refused before any key is derived.
+const readEnvelope = (envelope) => {
+  const { kdf, cipher, data } = envelope;
+  if (kdf?.name !== 'PBKDF2' || kdf?.hash !== 'SHA-256' || cipher?.name !== 'AES-GCM') {
+    throw new BackupError("This backup uses an encryption method the app does not support.");
+  }
+  if (!Number.isFinite(kdf.iterations)) throw new BackupError("This backup file is damaged.");
+  let salt, iv, sealed;
+  try {
+    [salt, iv, sealed] = [kdf.salt, cipher.iv, data].map(val => {
+      if (typeof val !== 'string') throw new TypeError('Not base64');
+      return fromBase64(val);
+    });
+  } catch {
+    throw new BackupError("This backup file is damaged.");
+  }
+  if (salt.length < 16 || iv.length !== 12 || !sealed.length) throw new BackupError("This backup file is damaged.");
+  const iterations = Math.min(MAX_ITERATIONS, Math.max(MIN_ITERATIONS, Math.round(kdf.iterations)));
+  return { salt, iv, sealed, iterations };
+};
+
+// Dates (transaction dates, snapshot times) survive the JSON round trip tagged
+function replacer(key, value) {
+  const raw = this[key];
+  return raw instanceof Date ? { $date: raw.toISOString() } : value;
+}
+
+const reviver = (key, value) =>
+  (value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1
+    ? new Date(value.$date)
+    : value);
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const encryptJSON = async (payload, passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const plain = new TextEncoder().encode(JSON.stringify(payload, replacer));
+  const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plain));
+  return JSON.stringify({
+    format: FORMAT,
+    version: VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(sealed)
+  });
+};
+
+export const decryptJSON = async (text, passphrase) => {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch {
+    throw new BackupError("This is not a backup file.");
+  }
+  if (envelope?.format !== FORMAT) throw new BackupError("This is not a backup file.");
+  if (envelope.version > VERSION) throw new BackupError("This backup was made by a newer version of the app.");
+
+  const { salt, iv, sealed, iterations } = readEnvelope(envelope);
+  const key = await deriveKey(passphrase, salt, iterations);
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, sealed);
+  } catch {
+    // GCM authentication fails the same way for a wrong passphrase and a tampered file
+    throw new BackupError("Wrong passphrase, or the file has been modified.");
+  }
+  return JSON.parse(new TextDecoder().decode(plain), reviver);
+};
+
+export const collectWorkspace = async () => {
+  const stores = {};
+  for (const store of BACKED_UP_STORES) stores[store] = await getAllItems(store);
+  return { createdAt: new Date(), stores, columnMappings: getColumnMappings() };
+};
+
+export const createBackup = async (passphrase) => encryptJSON(await collectWorkspace(), passphrase);
+
+// Restoring replaces the local workspace wholesale rather than merging into it
+export const restoreBackup = async (text, passphrase) => {
+  const workspace = await decryptJSON(text, passphrase);
+  for (const store of BACKED_UP_STORES) await replaceAllItems(store, workspace.stores?.[store] || []);
+  setColumnMappings(workspace.columnMappings);
+  return workspace;
+};
+
+export const backupFileName = (date = new Date()) =>
+  `portfolio-backup-${date.toISOString().slice(0, 10)}${BACKUP_EXTENSION}`;
@@ -0,0 +1,236 @@
+import { parseNumber, parseDate } from './parsing.js';
+import { classifyTransaction, TXN_TYPES } from './ledger.js';
+import { inferCategory, inferAMC } from './schemeNames.js';
+
+// --- CAMS / KFintech Consolidated Account Statement (CAS) ---
+//
+// The CAS PDF is parsed entirely in the browser: pdf.js extracts positioned
+// text, which is regrouped into visual lines and then read top to bottom as
+// AMC -> Folio -> Scheme -> Transactions -> Closing balance.
+
+export class PdfPasswordError extends Error {
+  constructor(message, incorrect = false) {
+    super(message);
+    this.name = 'PdfPasswordError';
+    this.incorrect = incorrect;
+  }
+}
+
+const loadPdfJs = async () => {
+  const [pdfjs, worker] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = worker.default;
+  return pdfjs;
+};
+
+// Text items on the same baseline are joined into one line, left to right
+const pageToLines = (items) => {
+  const rows = new Map();
+  items.forEach(item => {
+    if (!item.str || !item.str.trim()) return;
+    const y = Math.round(item.transform[5]);
+    const key = [...rows.keys()].find(k => Math.abs(k - y) <= 2) ?? y;
+    if (!rows.has(key)) rows.set(key, []);
+    rows.get(key).push({ x: item.transform[4], str: item.str.trim() });
+  });
+  return [...rows.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([, parts]) => parts.sort((a, b) => a.x - b.x).map(p => p.str).join(' ').replace(/\s+/g, ' ').trim());
+};
+
+export const extractPdfLines = async (buffer, password) => {
+  const pdfjs = await loadPdfJs();
+  let doc;
+  try {
+    // pdf.js detaches the buffer it is given, so hand it a copy to allow password retries
+    doc = await pdfjs.getDocument({ data: new Uint8Array(buffer.slice(0)), password }).promise;
+  } catch (err) {
+    if (err && err.name === 'PasswordException') {
+      const incorrect = err.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD;
+      throw new PdfPasswordError(incorrect ? 'Incorrect password.' : 'This statement is password protected.', incorrect);
+    }
+    throw err;
+  }
+
+  const lines = [];
+  for (let i = 1; i <= doc.numPages; i++) {
+    const page = await doc.getPage(i);
+    const content = await page.getTextContent();
+    lines.push(...pageToLines(content.items));
+  }
+  await doc.destroy();
+  return lines;
+};
+
+const DATE = '(\\d{2}-[A-Za-z]{3}-\\d{4})';
+const NUM = '(\\(?-?[\\d,]+\\.\\d+\\)?)';
+
+const PATTERNS = {
+  period: new RegExp(`${DATE}\\s+To\\s+${DATE}`, 'i'),
+  amc: /^([A-Za-z0-9&.' ]+ Mutual Fund)$/i,
+  folio: /Folio No\s*:\s*([\w/ -]+?)(?:\s+PAN\b|\s+KYC\b|$)/i,
+  scheme: /^(.+?)\s*-?\s*ISIN\s*:\s*([A-Z]{2}[A-Z0-9]{9}\d)/i,
+  opening: /Opening Unit Balance\s*:?\s*([\d,.]+)/i,
+  closing: /Closing Unit Balance\s*:?\s*([\d,.]+)/i,
+  nav: new RegExp(`NAV on ${DATE}\\s*:?\\s*INR\\s*([\\d,.]+)`, 'i'),
+  cost: /(?:Total\s+)?Cost Value\s*:?\s*(?:INR\s*)?([\d,.]+)/i,
+  value: new RegExp(`(?:Market\\s+)?Value on ${DATE}\\s*:?\\s*INR\\s*([\\d,.]+)`, 'i'),
+  txn: new RegExp(`^${DATE}\\s+(.+?)\\s+${NUM}\\s+${NUM}\\s+${NUM}\\s+${NUM}$`),
+  // Stamp duty and STT rows carry only an amount
+  charge: new RegExp(`^${DATE}\\s+\\*{3}\\s*(.+?)\\s*\\*{3}\\s+${NUM}$`)
+};
+
+// "B02G-Aditya Birla Sun Life ELSS - Growth-Direct Plan (Non-Demat)" -> readable name
+const cleanSchemeName = (raw) => raw
+  .replace(/^[A-Z0-9]{2,8}-(?=[A-Za-z])/, '')
+  .replace(/\((?:non-demat|demat|formerly[^)]*)\)/gi, '')
+  .replace(/\s*-\s*$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const parseCASLines = (lines) => {
+  const cas = { periodFrom: null, periodTo: null, folios: [] };
+  let amc = '';
+  let folio = null;
+  let scheme = null;
+
+  const closeScheme = () => {
+    if (scheme && folio) folio.schemes.push(scheme);
+    scheme = null;
+  };
+
+  lines.forEach(line => {
+    let m;
+    if (!cas.periodTo && (m = line.match(PATTERNS.period))) {
+      cas.periodFrom = parseDate(m[1]);
+      cas.periodTo = parseDate(m[2]);
+      return;
+    }
+    if ((m = line.match(PATTERNS.amc)) && !line.match(PATTERNS.scheme)) {
+      closeScheme();
+      amc = m[1].trim();
+      return;
+    }
+    if ((m = line.match(PATTERNS.folio))) {
+      closeScheme();
+      folio = { folio: m[1].replace(/\s+/g, ' ').trim(), amc, schemes: [] };
+      cas.folios.push(folio);
+      return;
+    }
+    if ((m = line.match(PATTERNS.scheme))) {
+      closeScheme();
+      scheme = {
+        name: cleanSchemeName(m[1]),
+        isin: m[2].toUpperCase(),
+        openingUnits: 0, units: 0, nav: null, navDate: null,
+        cost: null, value: null, transactions: []
+      };
+      return;
+    }
+    if (!scheme) return;
+
+    if ((m = line.match(PATTERNS.opening))) scheme.openingUnits = parseNumber(m[1]) || 0;
+    if ((m = line.match(PATTERNS.closing))) scheme.units = parseNumber(m[1]) || 0;
+    if ((m = line.match(PATTERNS.nav))) { scheme.navDate = parseDate(m[1]); scheme.nav = parseNumber(m[2]); }
+    if ((m = line.match(PATTERNS.cost))) scheme.cost = parseNumber(m[1]);
+    if ((m = line.match(PATTERNS.value))) scheme.value = parseNumber(m[2]);
+
+    if ((m = line.match(PATTERNS.txn))) {
+      const amount = parseNumber(m[3]);
+      scheme.transactions.push({
+        date: parseDate(m[1]),
+        description: m[2].trim(),
+        amount,
+        units: parseNumber(m[4]),
+        nav: parseNumber(m[5]),
+        balance: parseNumber(m[6])
+      });
+    } else if ((m = line.match(PATTERNS.charge))) {
+      scheme.transactions.push({
+        date: parseDate(m[1]),
+        description: m[2].trim(),
+        amount: parseNumber(m[3]),
+        units: 0, nav: null, balance: null,
+        charge: true
+      });
+    }
+  });
+  closeScheme();
+  return cas;
+};
+
+// Flattens the statement into the holdings rows and ledger transactions the
+// dashboard already understands. Holdings are valued at the statement's NAV
+// date (`_valueDate`), so the XIRR closes there rather than on the day the
+// file is opened; the CAS prints no XIRR of its own.
+export const casToPortfolio = (cas) => {
+  const holdings = [];
+  const transactions = [];
+
+  cas.folios.forEach(folio => {
+    folio.schemes.forEach(s => {
+      const { category, subCategory } = inferCategory(s.name);
+      const amc = folio.amc || inferAMC(s.name);
+
+      const entry = { schemeName: s.name, category, subCategory, amc, folio: folio.folio, isin: s.isin };
+      const dated = s.transactions.filter(t => t.date && !isNaN(t.amount));
+
+      // A statement that starts mid-way through a holding has no purchase
+      // history for its opening units. They enter the ledger as one opening
+      // balance valued at the first NAV the statement gives, on that date, so
+      // the XIRR covers them from there. Without any NAV to value them the
+      // scheme's cashflows would be lopsided and are left out.
+      const firstPriced = s.openingUnits ? dated.find(t => t.nav > 0) : null;
+      const kept = s.openingUnits && !firstPriced ? [] : dated;
+      if (firstPriced) {
+        transactions.push({
+          ...entry,
+          date: firstPriced.date,
+          type: TXN_TYPES.OPENING_BALANCE,
+          amount: s.openingUnits * firstPriced.nav,
+          units: s.openingUnits,
+          nav: firstPriced.nav
+        });
+      }
+
+      kept.forEach(t => {
+        transactions.push({
+          ...entry,
+          date: t.date,
+          type: t.charge ? TXN_TYPES.CHARGE : classifyTransaction(t.description, t.amount),
+          amount: Math.abs(t.amount),
+          units: isNaN(t.units) ? 0 : Math.abs(t.units),
+          nav: isNaN(t.nav) ? null : t.nav
+        });
+      });
+
+      if (!s.units) return;
+      const currentValue = s.value ?? (s.nav ? s.units * s.nav : 0);
+      const invested = s.cost ?? 0;
+      holdings.push({
+        'Scheme Name': s.name,
+        'Category': category,
+        'Sub-category': subCategory,
+        'AMC': amc,
+        'Units': s.units,
+        'Invested Value': invested,
+        'Current Value': currentValue,
+        'Returns': currentValue - invested,
+        'XIRR': null,
+        'ISIN': s.isin,
+        'Folio': folio.folio,
+        _valueDate: s.navDate || cas.periodTo
+      });
+    });
+  });
+
+  transactions.sort((a, b) => a.date - b.date);
+  return { holdings, transactions: transactions.length ? transactions : null, statementDate: cas.periodTo };
+};
+
+export const importCASFile = async (buffer, password) => {
+  const lines = await extractPdfLines(buffer, password);
+  return casToPortfolio(parseCASLines(lines));
+};
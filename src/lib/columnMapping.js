@@ -0,0 +1,122 @@
+// --- Column Mapping ---
+//
+// Used when a statement's header row cannot be auto-detected. A mapping is
+// `{ [field]: columnIndex }` for the header row the user picked, and is
+// remembered against a signature of that header so the next file with the
+// same layout imports without asking again.
+
+export const FIELDS = [
+  'Scheme Name', 'Category', 'Sub-category', 'AMC', 'Units',
+  'Invested Value', 'Current Value', 'Returns', 'XIRR'
+];
+
+export const REQUIRED_FIELDS = ['Scheme Name', 'Current Value'];
+
+const FIELD_ALIASES = {
+  'Scheme Name': ['scheme name', 'scheme', 'fund', 'fund name', 'name', 'instrument', 'security name', 'mutual fund'],
+  'Category': ['category', 'asset class', 'asset type', 'type'],
+  'Sub-category': ['sub-category', 'sub category', 'subcategory', 'fund category', 'scheme category'],
+  'AMC': ['amc', 'fund house', 'amc name', 'asset management company'],
+  'Units': ['units', 'quantity', 'qty', 'balance units', 'unit balance'],
+  'Invested Value': ['invested value', 'amount invested', 'invested amount', 'invested', 'cost', 'cost value', 'purchase value', 'investment'],
+  'Current Value': ['current value', 'market value', 'value', 'present value', 'valuation', 'current amount', 'market val'],
+  'Returns': ['returns', 'gain', 'gain/loss', 'p&l', 'profit/loss', 'unrealised gain', 'unrealized p&l', 'absolute return'],
+  'XIRR': ['xirr', 'xirr %', 'xirr (%)', 'annualised return', 'cagr']
+};
+
+const STORAGE_KEY = 'vn-mf:column-mappings';
+
+const normalize = (h) => String(h ?? '').trim().replace(/^"|"$/g, '').toLowerCase().replace(/\s+/g, ' ');
+
+export const headerSignature = (headerRow) =>
+  (Array.isArray(headerRow) ? headerRow : []).map(normalize).join('|');
+
+// Picks the row with the most non-empty text cells among the first few as the likely header
+export const guessHeaderIndex = (rows) => {
+  let best = 0;
+  let bestScore = -1;
+  const limit = Math.min(rows.length, 20);
+  for (let i = 0; i < limit; i++) {
+    const row = Array.isArray(rows[i]) ? rows[i] : [];
+    const score = row.filter(c => typeof c === 'string' && c.trim() && isNaN(Number(c))).length;
+    if (score > bestScore) { best = i; bestScore = score; }
+  }
+  return best;
+};
+
+export const guessMapping = (headerRow) => {
+  const headers = (Array.isArray(headerRow) ? headerRow : []).map(normalize);
+  const mapping = {};
+  const taken = new Set();
+  FIELDS.forEach(field => {
+    const aliases = FIELD_ALIASES[field];
+    let idx = headers.findIndex((h, i) => !taken.has(i) && aliases.includes(h));
+    if (idx === -1) idx = headers.findIndex((h, i) => !taken.has(i) && h && aliases.some(a => a.length > 3 && h.includes(a)));
+    if (idx !== -1) {
+      mapping[field] = idx;
+      taken.add(idx);
+    }
+  });
+  return mapping;
+};
+
+export const isMappingComplete = (mapping) =>
+  REQUIRED_FIELDS.every(f => mapping && mapping[f] !== undefined && mapping[f] !== null);
+
+// Rewrites the rows under a canonical header so the regular holdings parser can read them
+export const applyColumnMapping = (rows, headerIndex, mapping) => {
+  const fields = FIELDS.filter(f => mapping[f] !== undefined && mapping[f] !== null);
+  const body = rows.slice(headerIndex + 1)
+    .filter(row => Array.isArray(row))
+    .map(row => fields.map(f => row[mapping[f]]));
+  return [fields, ...body];
+};
+
+const readSaved = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveColumnMapping = (headerRow, mapping) => {
+  const saved = readSaved();
+  saved[headerSignature(headerRow)] = mapping;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.error("Could not save column mapping", e);
+  }
+};
+
+// Looks for a row in the file whose header matches a remembered layout
+export const findSavedMapping = (rows) => {
+  const saved = readSaved();
+  const limit = Math.min(rows.length, 30);
+  for (let i = 0; i < limit; i++) {
+    if (!Array.isArray(rows[i])) continue;
+    const mapping = saved[headerSignature(rows[i])];
+    if (mapping && isMappingComplete(mapping)) return { headerIndex: i, mapping };
+  }
+  return null;
+};
+
+// All remembered layouts, for workspace backups
+export const getColumnMappings = () => readSaved();
+
+export const setColumnMappings = (mappings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings || {}));
+  } catch (e) {
+    console.error("Could not restore column mappings", e);
+  }
+};
+
+export const clearColumnMappings = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.error("Could not clear column mappings", e);
+  }
+};
@@ -0,0 +1,203 @@
+// --- CSV Parsing (RFC 4180) ---
+//
+// A streaming state machine: quoted fields may contain delimiters, escaped
+// quotes ("") and line breaks; records end on LF, CRLF or a lone CR. The
+// delimiter is sniffed from the first lines so semicolon and tab separated
+// exports from European-locale Excel work too.
+
+const DELIMITER_CANDIDATES = [',', ';', '\t', '|'];
+const SNIFF_LINES = 10;
+
+// Counts delimiter occurrences per line outside quotes, and prefers the
+// candidate that appears the same (non-zero) number of times on most lines.
+export const sniffDelimiter = (sample) => {
+  const lines = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < sample.length && lines.length < SNIFF_LINES; i++) {
+    const ch = sample[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    if (!inQuotes && (ch === '\n' || ch === '\r')) {
+      if (current.trim()) lines.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim() && lines.length < SNIFF_LINES) lines.push(current);
+
+  let best = ',';
+  let bestScore = 0;
+  DELIMITER_CANDIDATES.forEach(delim => {
+    const counts = lines.map(line => {
+      let n = 0;
+      let q = false;
+      for (const ch of line) {
+        if (ch === '"') q = !q;
+        else if (ch === delim && !q) n++;
+      }
+      return n;
+    }).filter(n => n > 0);
+    if (!counts.length) return;
+    const freq = {};
+    counts.forEach(n => { freq[n] = (freq[n] || 0) + 1; });
+    const [mode, modeCount] = Object.entries(freq).sort((a, b) => b[1] - a[1])[0];
+    // Consistency across lines matters more than raw count
+    const score = modeCount * 10 + Number(mode);
+    if (score > bestScore) { best = delim; bestScore = score; }
+  });
+  return best;
+};
+
+// Incremental parser. Feed text with push(); completed records go to onRow.
+export const createCSVParser = ({ delimiter = ',', onRow }) => {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false; // saw a quote inside a quoted field; next char decides
+  let lastWasCR = false;
+  let started = false;
+
+  const endField = () => { row.push(field); field = ''; };
+  const endRow = () => {
+    endField();
+    onRow(row);
+    row = [];
+  };
+
+  const push = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      const ch = chunk[i];
+
+      if (lastWasCR) {
+        lastWasCR = false;
+        if (ch === '\n') continue;
+      }
+
+      if (quotePending) {
+        quotePending = false;
+        if (ch === '"') { field += '"'; continue; }
+        inQuotes = false;
+        // fall through: the quote closed the field, handle ch normally
+      } else if (inQuotes) {
+        if (ch === '"') quotePending = true;
+        else field += ch;
+        continue;
+      }
+
+      started = true;
+      if (ch === '"') {
+        // Quotes only open a field at its start; elsewhere they are literal
+        if (field === '') inQuotes = true;
+        else field += ch;
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\n') {
+        endRow();
+        started = false;
+      } else if (ch === '\r') {
+        endRow();
+        started = false;
+        lastWasCR = true;
+      } else {
+        field += ch;
+      }
+    }
+  };
+
+  const end = () => {
+    if (quotePending) { quotePending = false; inQuotes = false; }
+    if (started || inQuotes || field !== '' || row.length) endRow();
+  };
+
+  return { push, end };
+};
+
+const stripBOM = (text) => (text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text);
+
+export const parseCSV = (text, { delimiter } = {}) => {
+  const clean = stripBOM(text);
+  const rows = [];
+  const parser = createCSVParser({ delimiter: delimiter || sniffDelimiter(clean.slice(0, 64 * 1024)), onRow: r => rows.push(r) });
+  parser.push(clean);
+  parser.end();
+  return rows;
+};
+
+// --- Encoding ---
+
+// Avoids reporting a sample as invalid just because it cut a multi-byte character in half
+const lastCompleteUtf8 = (bytes) => {
+  let end = bytes.length;
+  for (let i = 1; i <= 3 && end - i >= 0; i++) {
+    const b = bytes[end - i];
+    if ((b & 0xC0) === 0x80) continue;
+    if ((b & 0xC0) === 0xC0) return end - i;
+    break;
+  }
+  return end;
+};
+
+// Byte-order marks first; without one, UTF-16 exports give themselves away by
+// the NUL byte in every other position of ASCII text.
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+
+  const sample = bytes.subarray(0, Math.min(bytes.length, 512));
+  let evenNul = 0;
+  let oddNul = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenNul++;
+      else oddNul++;
+    }
+  }
+  const half = sample.length / 2;
+  if (half > 0 && oddNul > half * 0.3 && evenNul < half * 0.05) return 'utf-16le';
+  if (half > 0 && evenNul > half * 0.3 && oddNul < half * 0.05) return 'utf-16be';
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, lastCompleteUtf8(sample)));
+    return 'utf-8';
+  } catch {
+    // Old Excel "CSV (Comma delimited)" on Windows writes ANSI
+    return 'windows-1252';
+  }
+};
+
+export const decodeBytes = (bytes) => new TextDecoder(detectEncoding(bytes)).decode(bytes);
+
+// --- Streaming from a File ---
+
+const CHUNK_SIZE = 1024 * 1024;
+
+// Reads a File/Blob chunk by chunk so large statements never need to be held
+// as one string. Returns all rows unless `onRow` is given.
+export const parseCSVFile = async (file, { onRow, onProgress } = {}) => {
+  const head = new Uint8Array(await file.slice(0, 4096).arrayBuffer());
+  const encoding = detectEncoding(head);
+  const decoder = new TextDecoder(encoding);
+
+  const rows = [];
+  const emit = onRow || (r => rows.push(r));
+  let parser = null;
+  let first = true;
+
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const bytes = new Uint8Array(await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    let text = decoder.decode(bytes, { stream: true });
+    if (first) {
+      text = stripBOM(text);
+      parser = createCSVParser({ delimiter: sniffDelimiter(text.slice(0, 64 * 1024)), onRow: emit });
+      first = false;
+    }
+    parser.push(text);
+    if (onProgress) onProgress(Math.min(1, (offset + CHUNK_SIZE) / file.size));
+  }
+  if (!parser) return rows;
+  parser.push(decoder.decode());
+  parser.end();
+  return rows;
+};
@@ -0,0 +1,44 @@
+// --- Utilities ---
+
+export const formatCurrency = (val) => {
+  if (val === undefined || val === null || isNaN(val)) return "₹0";
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0
+  }).format(val);
+};
+
+export const formatNumber = (val, decimals = 2) => {
+  if (val === undefined || val === null || isNaN(val)) return "0";
+  return new Intl.NumberFormat('en-IN', { maximumFractionDigits: decimals }).format(val);
+};
+
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+export const downloadCSV = (data, filename) => {
+  if (!data || !data.length) return;
+  try {
+      const headers = Object.keys(data[0]);
+      const csvContent = [
+        headers.join(','),
+        ...data.map(row => headers.map(fieldName => {
+            let val = row[fieldName];
+            if (typeof val === 'string') val = `"${val.replace(/"/g, '""')}"`;
+            return val;
+        }).join(','))
+      ].join('\n');
+      downloadFile(csvContent, filename, 'text/csv;charset=utf-8;');
+  } catch (e) {
+      console.error("Download failed", e);
+  }
+};
@@ -0,0 +1,65 @@
+import { annualizedVolatility, dailyReturns, maxDrawdown } from './riskStats.js';
+import { seriesInRange, trailingReturn } from './navReturns.js';
+
+// --- Fund Comparison ---
+//
+// Puts two to five NAV histories on a common footing: every fund is cut to
+// the window all of them cover and rebased to 100 on its first day, so the
+// lines start together and the chart reads as growth of ₹100. Trailing
+// returns are each fund's own; period return, volatility and drawdown use the
+// shared window so no fund gets credit for a history the others lack.
+
+export const COMPARE_MIN = 2;
+export const COMPARE_MAX = 5;
+
+export const COMPARE_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ec4899', '#06b6d4'];
+
+// Start of the window every fund covers within the range
+const commonStart = (seriesList, range) => {
+  const starts = seriesList.map(series => {
+    const inRange = seriesInRange(series, range);
+    return inRange.length ? inRange[0].date : null;
+  });
+  if (starts.some(d => d === null)) return null;
+  return new Date(Math.max(...starts));
+};
+
+// funds: [{ key, series }]. Chart rows carry one rebased value per fund key,
+// carried forward over days a fund has no NAV (holidays differ by AMC feed)
+export const compareFunds = (funds, range) => {
+  const start = commonStart(funds.map(f => f.series), range);
+  if (!start) return { start: null, chart: [], stats: [] };
+  const end = new Date(Math.min(...funds.map(f => f.series[f.series.length - 1].date)));
+
+  const windows = funds.map(f => f.series.filter(p => p.date >= start && p.date <= end));
+  const dates = [...new Set(windows.flatMap(w => w.map(p => p.date.getTime())))].sort((a, b) => a - b);
+
+  const cursors = funds.map(() => 0);
+  const chart = dates.map(time => {
+    const row = { date: new Date(time) };
+    funds.forEach((f, i) => {
+      const w = windows[i];
+      while (cursors[i] + 1 < w.length && w[cursors[i] + 1].date.getTime() <= time) cursors[i]++;
+      row[f.key] = (w[cursors[i]].nav / w[0].nav) * 100;
+    });
+    return row;
+  });
+
+  const stats = funds.map((f, i) => {
+    const w = windows[i];
+    const drawdown = maxDrawdown(w);
+    // The same trailing figures the fund details show: absolute for 1Y, CAGR beyond
+    const trailing = [1, 3, 5].map(years => trailingReturn(f.series, years));
+    return {
+      key: f.key,
+      periodReturn: w.length > 1 ? (w[w.length - 1].nav / w[0].nav - 1) * 100 : null,
+      ret1Y: trailing[0] ? trailing[0].absolute : null,
+      cagr3Y: trailing[1] ? trailing[1].cagr : null,
+      cagr5Y: trailing[2] ? trailing[2].cagr : null,
+      volatility: annualizedVolatility(dailyReturns(w)),
+      drawdown: drawdown ? drawdown.depth : null
+    };
+  });
+
+  return { start, chart, stats };
+};
@@ -0,0 +1,88 @@
+// --- SIP & Goal Planner ---
+//
+// Projects today's portfolio plus a monthly SIP, stepped up once a year, to a
+// horizon. Each asset class compounds at its own expected return and the SIP
+// is split in the portfolio's current mix, with no rebalancing. Real values
+// are in today's rupees, deflated by the expected inflation; a target is
+// entered in today's rupees too, since that is how goals are thought of.
+
+export const ASSET_CLASSES = ['Equity', 'Debt', 'Hybrid', 'Other'];
+
+export const DEFAULT_PLAN = {
+  monthlySIP: 10000,
+  stepUp: 10,
+  returns: { Equity: 12, Debt: 7, Hybrid: 10, Other: 7 },
+  inflation: 6,
+  horizon: 10,
+  target: 0
+};
+
+export const MAX_HORIZON = 40;
+
+// A stored plan with any missing or invalid fields taken from the defaults
+export const normalizePlan = (plan) => {
+  const merged = { ...DEFAULT_PLAN, ...(plan || {}), returns: { ...DEFAULT_PLAN.returns, ...(plan?.returns || {}) } };
+  const horizon = Math.round(Number(merged.horizon));
+  return { ...merged, horizon: horizon >= 1 && horizon <= MAX_HORIZON ? horizon : DEFAULT_PLAN.horizon };
+};
+
+// categoryData ([{ name, value }]) -> { assetClass: share 0..1 }. Categories
+// outside the four classes count as Other; an empty portfolio is all equity.
+export const assetMix = (categoryData = []) => {
+  const mix = Object.fromEntries(ASSET_CLASSES.map(c => [c, 0]));
+  const total = categoryData.reduce((sum, c) => sum + Math.max(0, c.value), 0);
+  if (total <= 0) return { ...mix, Equity: 1 };
+  categoryData.forEach(({ name, value }) => {
+    mix[ASSET_CLASSES.includes(name) ? name : 'Other'] += Math.max(0, value) / total;
+  });
+  return mix;
+};
+
+// Expected annual return of the mix, %
+export const blendedReturn = (mix, returns) =>
+  ASSET_CLASSES.reduce((sum, c) => sum + mix[c] * (Number(returns[c]) || 0), 0);
+
+const monthlyRate = (annualPercent) => Math.pow(1 + annualPercent / 100, 1 / 12) - 1;
+
+// Corpus after every year for the given SIP; the SIP is invested at the
+// start of each month, as SIP dates fall before the month's growth
+const simulate = ({ startValue, mix, plan, monthlySIP }) => {
+  const rates = Object.fromEntries(ASSET_CLASSES.map(c => [c, monthlyRate(Number(plan.returns[c]) || 0)]));
+  const values = Object.fromEntries(ASSET_CLASSES.map(c => [c, startValue * mix[c]]));
+  const inflation = 1 + plan.inflation / 100;
+  let invested = startValue;
+  const total = () => ASSET_CLASSES.reduce((sum, c) => sum + values[c], 0);
+  const rows = [{ year: 0, sip: 0, invested, nominal: startValue, real: startValue }];
+
+  for (let year = 1; year <= plan.horizon; year++) {
+    const sip = monthlySIP * Math.pow(1 + plan.stepUp / 100, year - 1);
+    for (let month = 0; month < 12; month++) {
+      ASSET_CLASSES.forEach(c => { values[c] = (values[c] + sip * mix[c]) * (1 + rates[c]); });
+      invested += sip;
+    }
+    const nominal = total();
+    rows.push({ year, sip, invested, nominal, real: nominal / Math.pow(inflation, year) });
+  }
+  return rows;
+};
+
+// [{ year, sip (monthly, that year), invested, nominal, real }] for years
+// 0..horizon, year 0 being today
+export const projectPlan = ({ startValue, mix, plan }) =>
+  simulate({ startValue, mix, plan, monthlySIP: plan.monthlySIP });
+
+// The target in rupees of the horizon year
+export const nominalTarget = (plan) => plan.target * Math.pow(1 + plan.inflation / 100, plan.horizon);
+
+// Starting monthly SIP (stepped up as planned) that reaches the target at
+// the horizon: 0 when today's portfolio gets there alone, null with no target.
+// The corpus is linear in the SIP, so two runs settle it.
+export const requiredSIP = ({ startValue, mix, plan }) => {
+  if (!(plan.target > 0)) return null;
+  const last = (rows) => rows[rows.length - 1].nominal;
+  const withoutSIP = last(simulate({ startValue, mix, plan, monthlySIP: 0 }));
+  const perRupee = last(simulate({ startValue, mix, plan, monthlySIP: 1 })) - withoutSIP;
+  const shortfall = nominalTarget(plan) - withoutSIP;
+  if (shortfall <= 0) return 0;
+  return perRupee > 0 ? shortfall / perRupee : null;
+};
@@ -0,0 +1,52 @@
+// --- Smart Grouping ---
+//
+// Category -> Sub-category -> Fund, with the same scheme across folios or
+// platforms folded into one fund entry. Shared by the dashboard analysis and
+// the snapshot diff so both read the portfolio at the same levels.
+
+const absReturn = (fund) => (fund['Invested Value'] > 0
+  ? ((fund['Current Value'] - fund['Invested Value']) / fund['Invested Value']) * 100
+  : 0);
+
+export const addToSmartGroups = (smartGroups, item) => {
+  const cat = item['Category'] || 'Other';
+  const subCat = item['Sub-category'] || 'Other';
+  const schemeName = item['Scheme Name'];
+
+  if (!smartGroups[cat]) smartGroups[cat] = {};
+  if (!smartGroups[cat][subCat]) smartGroups[cat][subCat] = { totalVal: 0, totalInv: 0, funds: {} };
+
+  const group = smartGroups[cat][subCat];
+  group.totalVal += item['Current Value'] || 0;
+  group.totalInv += item['Invested Value'] || 0;
+
+  if (!group.funds[schemeName]) {
+      group.funds[schemeName] = { ...item, count: 1 };
+  } else {
+      const existing = group.funds[schemeName];
+      existing['Invested Value'] += item['Invested Value'] || 0;
+      existing['Current Value'] += item['Current Value'] || 0;
+      existing['Returns'] += item['Returns'] || 0;
+      existing['Units'] += item['Units'] || 0;
+      existing.count += 1;
+      existing._absReturn = absReturn(existing);
+  }
+  return smartGroups;
+};
+
+export const buildSmartGroups = (holdings) => holdings.reduce(addToSmartGroups, {});
+
+export const buildCategoryTree = (smartGroups) => Object.keys(smartGroups).map(catKey => {
+    const subCats = Object.keys(smartGroups[catKey]).map(subKey => {
+        const group = smartGroups[catKey][subKey];
+        const fundList = Object.values(group.funds).sort((a,b) => b['Current Value'] - a['Current Value']);
+        return {
+            name: subKey,
+            totalVal: group.totalVal,
+            totalInv: group.totalInv,
+            funds: fundList,
+            fundCount: fundList.length
+        };
+    }).sort((a,b) => b.totalVal - a.totalVal);
+    return { name: catKey, totalVal: subCats.reduce((acc, s) => acc + s.totalVal, 0), subCategories: subCats };
+}).sort((a,b) => b.totalVal - a.totalVal);
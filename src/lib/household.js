@@ -0,0 +1,60 @@
+import { mergeSources, uniqueLabel } from './merge.js';
+
+// --- Household ---
+//
+// A workspace holds several named portfolios (one per family member or goal),
+// each with its own imported sources. The household view stacks every
+// member's merged portfolio into one, stamping holdings with 'Member'.
+
+export const HOUSEHOLD_ID = 'household';
+
+export const newPortfolioId = () => `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createPortfolio = (name, existing = [], id = newPortfolioId()) => ({
+  id,
+  name: uniqueLabel(name.trim() || 'Portfolio', existing.map(p => p.name)),
+  sources: [],
+  createdAt: Date.now()
+});
+
+// Members are merged on their own and never de-duplicated against each other:
+// two people holding the same fund is two holdings, not a repeat
+export const mergeHousehold = (portfolios) => {
+  const holdings = [];
+  const transactions = [];
+  const duplicates = [];
+  portfolios.forEach(portfolio => {
+    const merged = mergeSources(portfolio.sources);
+    merged.holdings.forEach(h => holdings.push({ ...h, 'Member': portfolio.name }));
+    (merged.transactions || []).forEach(t => transactions.push({ ...t, member: portfolio.name }));
+    duplicates.push(...merged.duplicates);
+  });
+  transactions.sort((a, b) => a.date - b.date);
+  return { holdings, transactions: transactions.length ? transactions : null, duplicates };
+};
+
+// Per-member totals for the household breakdown
+export const memberBreakdown = (holdings) => {
+  const members = {};
+  holdings.forEach(h => {
+    const name = h['Member'] || 'Unassigned';
+    if (!members[name]) members[name] = { name, invested: 0, current: 0, funds: 0, categories: {} };
+    const m = members[name];
+    m.invested += h['Invested Value'] || 0;
+    m.current += h['Current Value'] || 0;
+    m.funds += 1;
+    const cat = h['Category'] || 'Other';
+    m.categories[cat] = (m.categories[cat] || 0) + (h['Current Value'] || 0);
+  });
+  const total = Object.values(members).reduce((s, m) => s + m.current, 0);
+  return Object.values(members).map(({ categories, ...m }) => {
+    const topCategory = Object.entries(categories).sort((a, b) => b[1] - a[1])[0];
+    return {
+      ...m,
+      returns: m.current - m.invested,
+      absReturn: m.invested > 0 ? ((m.current - m.invested) / m.invested) * 100 : 0,
+      share: total > 0 ? (m.current / total) * 100 : 0,
+      topCategory: topCategory ? topCategory[0] : ''
+    };
+  }).sort((a, b) => b.current - a.current);
+};
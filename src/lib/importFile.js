@@ -0,0 +1,105 @@
+import { isLedgerRows, parseLedgerRows, holdingsFromTransactions } from './ledger.js';
+import { importCASFile, PdfPasswordError } from './cas.js';
+import { applyColumnMapping, findSavedMapping, guessHeaderIndex } from './columnMapping.js';
+import { parseHoldings, processRawRows } from './adapters/index.js';
+import { parseCSVFile } from './csv.js';
+import { readWorkbook, describeSheets, SPREADSHEET_EXTENSIONS } from './spreadsheet.js';
+
+// --- File Import Pipeline ---
+//
+// Turns one dropped file into holdings (and a ledger when there is one).
+// Files that need the user's help come back with a status instead:
+//   { status: 'ok', holdings, transactions, format, skipped, statementDate }
+//   { status: 'password', buffer, incorrect }   CAS PDF needs its password
+//   { status: 'mapping', rows, headerIndex }    header could not be recognised
+//   { status: 'sheet', workbook, sheets }       workbook has several sheets to choose from
+//   { status: 'empty' }
+
+export class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const CAS_FORMAT = 'CAMS / KFintech CAS';
+
+const extensionOf = (name) => (String(name).toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || '';
+
+// Reads rows through a user-defined column mapping. Row numbers are shifted
+// back so the import review points at lines of the original file.
+export const importMappedRows = (rows, headerIndex, mapping) => {
+  const skipped = [];
+  const holdings = processRawRows(applyColumnMapping(rows, headerIndex, mapping), skipped)
+    .map(h => ({ ...h, _row: h._row + headerIndex }));
+  return { holdings, skipped: skipped.map(s => ({ ...s, row: s.row + headerIndex })) };
+};
+
+// A file is either a holdings snapshot or a transaction ledger. Ledgers are
+// replayed into holdings so the dashboard sees the same row shape either way.
+export const importRows = (rows) => {
+  if (isLedgerRows(rows)) {
+    const skipped = [];
+    const transactions = parseLedgerRows(rows, skipped);
+    return { holdings: holdingsFromTransactions(transactions), transactions, skipped, format: 'Transaction ledger', statementDate: null };
+  }
+  const { holdings, skipped, format, statementDate } = parseHoldings(rows);
+  if (holdings.length > 0) return { holdings, transactions: null, skipped, format: format.name, statementDate };
+
+  // Fall back to a layout the user mapped by hand before
+  const saved = findSavedMapping(rows);
+  if (saved) {
+    return { ...importMappedRows(rows, saved.headerIndex, saved.mapping), transactions: null, format: 'Saved column mapping', statementDate: null };
+  }
+  return { holdings: [], transactions: null, skipped: [], format: null, statementDate: null };
+};
+
+const hasTabularContent = (rows) =>
+  rows.filter(r => Array.isArray(r) && r.filter(c => String(c ?? '').trim()).length >= 2).length >= 2;
+
+const importTable = (rows) => {
+  const { holdings, transactions, skipped, format, statementDate } = importRows(rows);
+  if (holdings.length > 0) return { status: 'ok', holdings, transactions, skipped, format, statementDate };
+  if (hasTabularContent(rows)) return { status: 'mapping', rows, headerIndex: guessHeaderIndex(rows) };
+  return { status: 'empty' };
+};
+
+export const importSheet = (workbook, sheetName) => importTable(workbook.rows(sheetName));
+
+const importSpreadsheet = async (file) => {
+  let workbook;
+  try {
+    workbook = await readWorkbook(await file.arrayBuffer());
+  } catch (err) {
+    console.error("Spreadsheet read failed", err);
+    throw new ImportError("Error reading spreadsheet file.");
+  }
+  const sheets = describeSheets(workbook).filter(sheet => sheet.rowCount > 0);
+  if (!sheets.length) return { status: 'empty' };
+  if (sheets.length === 1) return importSheet(workbook, sheets[0].name);
+  // Detect each sheet up front so the picker can point at the holdings
+  return {
+    status: 'sheet',
+    workbook,
+    sheets: sheets.map(sheet => ({ ...sheet, format: importRows(workbook.rows(sheet.name)).format }))
+  };
+};
+
+export const importPdfBuffer = async (buffer, password) => {
+  try {
+    const { holdings, transactions, statementDate } = await importCASFile(buffer, password);
+    if (!holdings.length) return { status: 'empty' };
+    return { status: 'ok', holdings, transactions, format: CAS_FORMAT, statementDate };
+  } catch (err) {
+    if (err instanceof PdfPasswordError) return { status: 'password', buffer, incorrect: err.incorrect };
+    console.error("CAS parse failed", err);
+    throw new ImportError("Could not read the CAS PDF.");
+  }
+};
+
+export const importFile = async (file) => {
+  const ext = extensionOf(file.name);
+  if (ext === 'pdf') return importPdfBuffer(await file.arrayBuffer());
+  if (SPREADSHEET_EXTENSIONS.includes(ext)) return importSpreadsheet(file);
+  return importTable(await parseCSVFile(file));
+};
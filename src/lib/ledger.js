@@ -0,0 +1,246 @@
+import { parseNumber, parseDate, noteSkipped } from './parsing.js';
+import { xirrPercent } from './xirr.js';
+import { inferCategory, inferAMC } from './schemeNames.js';
+
+// --- Transaction Ledger ---
+//
+// A ledger is a list of dated transactions (purchases, SIPs, redemptions,
+// switches, dividends) as opposed to a holdings snapshot. Each parsed
+// transaction has the shape:
+//   { date, schemeName, category, subCategory, amc, folio, isin, type, amount, units, nav }
+
+export const TXN_TYPES = {
+  PURCHASE: 'Purchase',
+  REDEMPTION: 'Redemption',
+  SWITCH_IN: 'Switch In',
+  SWITCH_OUT: 'Switch Out',
+  DIVIDEND_PAYOUT: 'Dividend Payout',
+  DIVIDEND_REINVEST: 'Dividend Reinvest',
+  // Units carried into a statement from before its period
+  OPENING_BALANCE: 'Opening Balance',
+  // Stamp duty, STT, TDS: money paid with no units attached
+  CHARGE: 'Charge'
+};
+
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'trade date', 'txn date', 'order date'],
+  schemeName: ['scheme name', 'scheme', 'fund name', 'fund'],
+  type: ['transaction type', 'txn type', 'type', 'transaction', 'description'],
+  amount: ['amount', 'amount (inr)', 'amount (rs)', 'transaction amount', 'value'],
+  units: ['units', 'quantity', 'qty'],
+  nav: ['nav', 'price', 'nav (inr)', 'purchase nav'],
+  category: ['category'],
+  subCategory: ['sub-category', 'sub category', 'subcategory'],
+  amc: ['amc', 'fund house', 'amc name'],
+  folio: ['folio', 'folio number', 'folio no', 'folio no.'],
+  isin: ['isin', 'isin code']
+};
+
+const normalizeHeader = (h) => String(h ?? '').trim().replace(/^"|"$/g, '').toLowerCase();
+
+const findColumns = (headerRow) => {
+  const headers = headerRow.map(normalizeHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    const idx = headers.findIndex(h => aliases.includes(h));
+    if (idx !== -1) columns[key] = idx;
+  });
+  return columns;
+};
+
+const isLedgerHeader = (columns) =>
+  columns.date !== undefined && columns.schemeName !== undefined &&
+  columns.type !== undefined && columns.amount !== undefined;
+
+export const classifyTransaction = (rawType, amount) => {
+  const t = String(rawType || '').toLowerCase();
+  if (/switch[\s-]*(in|to)|stp[\s-]*in/.test(t)) return TXN_TYPES.SWITCH_IN;
+  if (/switch[\s-]*(out|from)|stp[\s-]*out/.test(t)) return TXN_TYPES.SWITCH_OUT;
+  if (/(dividend|idcw).*(reinvest)/.test(t)) return TXN_TYPES.DIVIDEND_REINVEST;
+  if (/dividend|idcw/.test(t)) return TXN_TYPES.DIVIDEND_PAYOUT;
+  if (/stamp duty|\bstt\b|securities transaction tax|\btds\b/.test(t)) return TXN_TYPES.CHARGE;
+  if (/redeem|redemption|sell|sold|swp|withdraw/.test(t)) return TXN_TYPES.REDEMPTION;
+  if (/purchase|buy|bought|sip|invest|lumpsum|allot/.test(t)) return TXN_TYPES.PURCHASE;
+  // Unlabelled rows: a negative amount in most exports means money went out of the fund
+  return amount < 0 ? TXN_TYPES.REDEMPTION : TXN_TYPES.PURCHASE;
+};
+
+// Scans the first rows for a ledger header. Returns the header index or -1.
+export const findLedgerHeader = (rows) => {
+  const limit = Math.min(rows.length, 30);
+  for (let i = 0; i < limit; i++) {
+    const row = rows[i];
+    if (!Array.isArray(row)) continue;
+    if (isLedgerHeader(findColumns(row))) return i;
+  }
+  return -1;
+};
+
+export const isLedgerRows = (rows) => findLedgerHeader(rows) !== -1;
+
+export const parseLedgerRows = (rows, skipped) => {
+  const headerIndex = findLedgerHeader(rows);
+  if (headerIndex === -1) return [];
+
+  const columns = findColumns(rows[headerIndex]);
+  const cell = (row, key) => {
+    if (columns[key] === undefined) return undefined;
+    const val = row[columns[key]];
+    return typeof val === 'string' ? val.trim().replace(/^"|"$/g, '') : val;
+  };
+
+  const transactions = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!Array.isArray(row) || row.length < 2) {
+      noteSkipped(skipped, i, row, 'Not a transaction row');
+      continue;
+    }
+
+    const date = parseDate(cell(row, 'date'));
+    const schemeName = cell(row, 'schemeName');
+    const rawAmount = parseNumber(cell(row, 'amount'));
+    if (!date || !schemeName || isNaN(rawAmount)) {
+      noteSkipped(skipped, i, row, !schemeName ? 'No scheme name' : !date ? 'Unreadable date' : 'Unreadable amount');
+      continue;
+    }
+
+    const type = classifyTransaction(cell(row, 'type'), rawAmount);
+    const nav = parseNumber(cell(row, 'nav'));
+    // Exports without a units column still carry the amount and the NAV it was dealt at
+    const tradesUnits = type !== TXN_TYPES.CHARGE && type !== TXN_TYPES.DIVIDEND_PAYOUT;
+    let rawUnits = parseNumber(cell(row, 'units'));
+    if (isNaN(rawUnits) && tradesUnits && nav > 0) rawUnits = rawAmount / nav;
+
+    transactions.push({
+      date,
+      schemeName: String(schemeName),
+      category: cell(row, 'category') || '',
+      subCategory: cell(row, 'subCategory') || '',
+      amc: cell(row, 'amc') || '',
+      folio: cell(row, 'folio') ? String(cell(row, 'folio')) : '',
+      isin: cell(row, 'isin') ? String(cell(row, 'isin')).toUpperCase() : '',
+      type,
+      amount: Math.abs(rawAmount),
+      units: isNaN(rawUnits) ? 0 : Math.abs(rawUnits),
+      nav: isNaN(nav) ? null : nav
+    });
+  }
+
+  return transactions.sort((a, b) => a.date - b.date);
+};
+
+const UNITS_IN = [TXN_TYPES.PURCHASE, TXN_TYPES.SWITCH_IN, TXN_TYPES.DIVIDEND_REINVEST, TXN_TYPES.OPENING_BALANCE];
+const UNITS_OUT = [TXN_TYPES.REDEMPTION, TXN_TYPES.SWITCH_OUT];
+
+// Cash leaving the investor is negative, cash coming back is positive.
+// Reinvested dividends never leave the fund so they carry no cashflow. An
+// opening balance counts as bought at its opening value; charges are paid
+// on top of the amount invested, so they only show up in the XIRR.
+export const transactionCashflow = (txn) => {
+  switch (txn.type) {
+    case TXN_TYPES.PURCHASE:
+    case TXN_TYPES.SWITCH_IN:
+    case TXN_TYPES.OPENING_BALANCE:
+    case TXN_TYPES.CHARGE:
+      return -txn.amount;
+    case TXN_TYPES.REDEMPTION:
+    case TXN_TYPES.SWITCH_OUT:
+    case TXN_TYPES.DIVIDEND_PAYOUT:
+      return txn.amount;
+    default:
+      return 0;
+  }
+};
+
+export const groupTransactionsByScheme = (transactions) => {
+  const byScheme = {};
+  (transactions || []).forEach(txn => {
+    if (!byScheme[txn.schemeName]) byScheme[txn.schemeName] = [];
+    byScheme[txn.schemeName].push(txn);
+  });
+  return byScheme;
+};
+
+// Builds cashflows for a set of transactions, closing them with the given
+// current value on `asOf` as if the holding were sold that day.
+export const buildCashflows = (transactions, currentValue, asOf = new Date()) => {
+  const flows = transactions
+    .map(txn => ({ date: txn.date, amount: transactionCashflow(txn) }))
+    .filter(cf => cf.amount !== 0);
+  if (currentValue > 0) flows.push({ date: asOf, amount: currentValue });
+  return flows;
+};
+
+// Applies one transaction to { units, cost } using average cost, so
+// redemptions reduce the invested amount in proportion to the units sold.
+const applyTransaction = ({ units, cost }, txn) => {
+  if (UNITS_IN.includes(txn.type)) return { units: units + txn.units, cost: cost + txn.amount };
+  if (UNITS_OUT.includes(txn.type)) {
+    const sold = Math.min(txn.units, units);
+    return { units: units - sold, cost: units > 0 ? cost - cost * (sold / units) : cost };
+  }
+  return { units, cost };
+};
+
+const replayScheme = (txns) => {
+  let position = { units: 0, cost: 0 };
+  let lastNav = null;
+  let lastNavDate = null;
+
+  txns.forEach(txn => {
+    const nav = txn.nav || (txn.units > 0 && txn.amount > 0 ? txn.amount / txn.units : null);
+    if (nav) {
+      lastNav = nav;
+      lastNavDate = txn.date;
+    }
+    position = applyTransaction(position, txn);
+  });
+
+  if (position.units < 1e-6) return { units: 0, cost: 0, lastNav, lastNavDate };
+  return { ...position, lastNav, lastNavDate };
+};
+
+// The position after each of a scheme's transactions, oldest first:
+// [{ date, units, cost }]
+export const positionTimeline = (txns) => {
+  let position = { units: 0, cost: 0 };
+  return [...txns].sort((a, b) => a.date - b.date).map(txn => {
+    position = applyTransaction(position, txn);
+    return { date: txn.date, ...position };
+  });
+};
+
+// Converts a ledger into holdings rows shaped like the snapshot import, with a
+// cashflow-based XIRR for each scheme. Fully redeemed schemes are dropped.
+//
+// The only price a ledger carries is the NAV of its last transaction, so the
+// holding is valued on that date (`_valueDate`) and the XIRR closes there too;
+// closing it today would stretch the same gain over a longer period. Without
+// any NAV there is no valuation and the XIRR is left empty.
+export const holdingsFromTransactions = (transactions) => {
+  const byScheme = groupTransactionsByScheme(transactions);
+
+  return Object.entries(byScheme).map(([schemeName, txns]) => {
+    const { units, cost, lastNav, lastNavDate } = replayScheme(txns);
+    if (units === 0) return null;
+
+    const info = txns.find(t => t.category || t.subCategory || t.amc) || {};
+    const inferred = inferCategory(schemeName);
+    const currentValue = lastNav ? units * lastNav : cost;
+    const fundXIRR = lastNav ? xirrPercent(buildCashflows(txns, currentValue, lastNavDate)) : null;
+
+    return {
+      'Scheme Name': schemeName,
+      'Category': info.category || inferred.category,
+      'Sub-category': info.subCategory || inferred.subCategory,
+      'AMC': info.amc || inferAMC(schemeName),
+      'Units': units,
+      'Invested Value': cost,
+      'Current Value': currentValue,
+      'Returns': currentValue - cost,
+      'XIRR': fundXIRR === null ? null : parseFloat(fundXIRR.toFixed(2)),
+      ...(lastNav ? { _valueDate: lastNavDate } : {})
+    };
+  }).filter(Boolean);
+};
@@ -0,0 +1,660 @@
+// --- Market Data Fixtures ---
+//
+// Synthetic NAV histories for the mock provider: the sample portfolio's funds,
+// the Nifty 50 benchmark and a debt fund, one NAV per weekday from `start`.
+// Generated from a seeded random walk around each category's typical return
+// and volatility, scaled so the latest NAV sits within a few percent of the
+// sample data's implied NAV; they are not real NAVs.
+
+export default [
+  {
+    meta: { fund_house: 'UTI Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Index Funds', scheme_code: 120716, scheme_name: 'UTI Nifty 50 Index Fund - Direct Plan - Growth Option' },
+    start: '2021-06-01',
+    navs: [
+      89.11, 88.00, 88.57, 89.10, 88.45, 88.52, 89.39, 89.10, 89.58, 89.10, 89.32, 89.09, 89.72, 88.17, 87.88, 87.69, 88.10, 89.14, 89.12, 88.05, 89.76, 90.11, 90.05, 91.03,
+      91.71, 92.61, 91.81, 92.25, 92.36, 92.73, 94.04, 93.70, 94.87, 96.17, 96.47, 97.47, 96.65, 95.89, 95.70, 96.83, 98.27, 97.85, 96.93, 97.24, 97.20, 98.65, 98.55, 98.03,
+      97.42, 96.03, 96.71, 95.03, 94.85, 93.46, 93.47, 93.17, 91.73, 90.52, 91.08, 91.13, 89.51, 90.32, 91.00, 90.10, 91.38, 92.63, 91.60, 91.37, 91.14, 90.45, 91.31, 90.71,
+      90.82, 91.40, 91.57, 91.01, 91.82, 91.70, 93.58, 93.96, 94.16, 94.67, 94.78, 94.69, 94.51, 94.71, 95.36, 95.93, 96.65, 96.59, 96.75, 96.38, 96.82, 96.85, 97.54, 96.70,
+      95.69, 94.57, 94.02, 93.73, 93.34, 92.69, 91.99, 91.52, 92.47, 92.23, 90.64, 91.32, 91.09, 92.54, 93.40, 92.09, 91.29, 90.82, 90.57, 91.37, 90.71, 90.92, 91.12, 89.27,
+      89.93, 89.89, 91.07, 89.88, 89.81, 91.05, 92.23, 92.81, 91.99, 92.01, 91.54, 91.69, 91.48, 91.52, 92.32, 92.12, 91.75, 92.95, 92.62, 93.82, 95.78, 96.91, 96.18, 97.14,
+      96.62, 96.00, 94.25, 95.58, 95.25, 95.19, 94.56, 93.09, 92.91, 92.68, 92.85, 92.84, 93.28, 93.02, 93.87, 94.04, 94.31, 95.31, 94.51, 95.13, 94.49, 93.85, 93.90, 93.81,
+      94.57, 92.29, 91.86, 91.38, 91.49, 89.90, 89.91, 90.94, 91.03, 91.22, 91.14, 90.85, 90.81, 89.39, 91.22, 91.19, 91.35, 91.53, 92.43, 92.57, 91.74, 92.21, 92.31, 92.28,
+      92.82, 92.90, 92.20, 92.57, 91.38, 90.14, 88.81, 89.49, 90.01, 89.34, 87.63, 87.08, 86.91, 87.98, 88.08, 87.64, 86.84, 86.42, 85.77, 84.83, 84.44, 84.90, 84.30, 85.12,
+      84.19, 83.65, 83.74, 84.32, 84.28, 83.57, 84.10, 83.32, 81.71, 82.60, 80.54, 80.73, 81.32, 80.79, 81.61, 82.16, 82.50, 83.56, 84.58, 84.80, 85.36, 85.36, 85.26, 85.02,
+      84.26, 83.89, 82.97, 82.99, 83.59, 84.28, 84.86, 85.63, 86.83, 85.91, 85.44, 85.84, 86.96, 87.41, 87.57, 87.45, 87.37, 87.13, 87.31, 87.48, 87.59, 86.70, 86.64, 86.58,
+      84.85, 85.70, 86.84, 85.18, 85.23, 83.98, 83.98, 84.98, 84.48, 83.67, 83.25, 82.24, 82.95, 83.56, 82.75, 82.22, 81.83, 81.98, 82.00, 82.30, 81.81, 82.40, 83.22, 83.46,
+      83.04, 82.69, 84.18, 83.53, 82.37, 83.31, 82.07, 81.91, 81.71, 81.69, 81.45, 82.01, 81.76, 80.96, 82.50, 82.30, 83.50, 83.44, 82.33, 82.89, 82.18, 80.91, 81.19, 82.63,
+      83.19, 83.66, 82.66, 82.77, 83.63, 83.74, 83.41, 82.57, 83.58, 83.35, 83.47, 83.38, 83.31, 83.95, 82.73, 83.25, 83.26, 82.80, 83.95, 84.13, 84.25, 84.80, 84.47, 84.50,
+      82.72, 81.58, 81.45, 81.41, 80.90, 80.46, 81.48, 82.06, 81.16, 81.80, 81.87, 81.85, 82.01, 82.04, 81.75, 82.08, 83.02, 83.36, 82.23, 81.20, 80.63, 81.04, 80.35, 80.15,
+      79.86, 80.12, 78.42, 78.82, 78.43, 77.49, 77.91, 78.81, 78.30, 78.65, 78.36, 77.75, 77.76, 77.42, 77.85, 79.07, 79.30, 79.72, 81.40, 80.87, 80.20, 80.74, 79.41, 77.88,
+      78.04, 77.83, 77.34, 77.34, 78.37, 78.17, 78.22, 78.62, 78.82, 77.52, 76.30, 76.44, 77.20, 77.15, 77.38, 76.59, 76.10, 76.70, 77.05, 76.69, 75.67, 75.81, 75.64, 76.42,
+      76.10, 75.18, 74.67, 74.42, 73.93, 73.64, 73.26, 73.47, 74.08, 73.01, 73.39, 72.31, 72.31, 72.63, 72.60, 72.48, 71.89, 71.88, 70.85, 70.12, 70.74, 69.58, 69.74, 70.15,
+      70.47, 69.44, 69.47, 69.49, 70.67, 69.47, 69.38, 70.11, 69.30, 68.65, 68.26, 68.45, 69.35, 69.12, 68.54, 68.69, 69.77, 70.44, 70.40, 69.72, 69.29, 68.15, 68.72, 68.78,
+      67.72, 67.51, 67.91, 68.49, 69.52, 68.63, 68.72, 70.20, 70.57, 70.46, 70.18, 70.34, 70.14, 69.86, 68.86, 68.36, 68.49, 68.43, 68.50, 68.45, 69.10, 69.47, 69.59, 69.03,
+      68.67, 68.43, 69.36, 71.54, 70.28, 70.55, 70.95, 70.18, 71.41, 71.04, 70.96, 71.47, 70.96, 70.75, 70.64, 70.17, 69.07, 69.77, 70.02, 71.50, 71.38, 71.80, 71.80, 71.75,
+      72.33, 73.00, 74.60, 73.71, 73.80, 73.61, 73.33, 73.67, 73.52, 72.88, 73.57, 73.58, 72.67, 73.36, 72.49, 73.44, 72.77, 73.26, 72.97, 74.12, 73.79, 73.93, 75.09, 75.97,
+      76.02, 76.49, 76.77, 77.02, 76.63, 76.87, 77.23, 77.86, 77.86, 79.10, 78.78, 80.09, 78.99, 80.45, 79.80, 81.02, 80.99, 82.66, 83.13, 83.35, 83.28, 84.19, 85.06, 83.48,
+      83.71, 83.46, 84.44, 85.56, 85.42, 86.16, 86.25, 85.50, 85.80, 84.72, 85.61, 87.06, 86.63, 87.36, 87.00, 86.46, 85.94, 86.49, 86.43, 85.44, 86.17, 85.23, 85.52, 84.62,
+      84.74, 83.17, 82.53, 83.04, 82.32, 82.54, 81.88, 80.54, 80.96, 80.16, 78.28, 79.18, 79.96, 81.10, 80.41, 79.95, 78.38, 78.84, 77.52, 78.35, 79.31, 80.68, 79.93, 79.53,
+      80.22, 80.04, 79.76, 79.01, 79.49, 78.98, 78.77, 77.87, 78.67, 77.64, 78.07, 78.83, 78.45, 79.45, 80.72, 81.50, 81.19, 82.30, 82.74, 82.07, 82.60, 81.93, 82.31, 81.52,
+      80.86, 81.04, 81.18, 80.93, 81.69, 80.39, 80.89, 80.79, 80.68, 80.39, 81.19, 80.12, 79.19, 79.18, 77.87, 77.65, 78.23, 79.23, 80.37, 80.41, 80.23, 80.51, 80.61, 80.93,
+      80.95, 81.07, 81.25, 83.00, 83.17, 82.42, 82.95, 83.55, 82.88, 82.75, 83.04, 82.12, 80.90, 81.20, 80.86, 83.22, 82.82, 82.73, 83.79, 83.61, 84.23, 85.10, 85.33, 84.91,
+      83.95, 82.67, 82.95, 83.56, 83.61, 82.49, 82.19, 81.79, 82.45, 83.01, 81.98, 82.42, 82.30, 81.57, 81.54, 80.92, 80.53, 81.00, 80.56, 79.47, 80.52, 80.71, 81.49, 82.49,
+      84.20, 84.50, 84.41, 84.31, 84.36, 84.84, 85.00, 84.39, 85.15, 85.01, 83.64, 82.50, 84.09, 84.71, 84.59, 84.35, 83.19, 83.57, 85.05, 86.23, 86.29, 86.89, 86.26, 86.74,
+      87.16, 87.26, 88.51, 87.69, 88.11, 87.09, 86.90, 86.86, 87.16, 88.42, 87.27, 87.59, 88.82, 90.27, 91.59, 91.41, 91.52, 92.05, 92.30, 92.33, 94.21, 93.65, 92.43, 93.18,
+      93.20, 92.94, 92.28, 94.29, 94.52, 94.45, 94.79, 94.65, 94.82, 94.98, 93.97, 95.07, 95.25, 94.93, 94.86, 93.59, 92.46, 91.63, 91.50, 91.37, 91.67, 92.14, 90.67, 88.62,
+      90.02, 90.63, 88.78, 89.06, 89.63, 89.25, 88.92, 89.20, 89.22, 87.91, 88.31, 88.49, 90.60, 90.93, 91.71, 90.96, 90.97, 90.68, 91.37, 89.70, 90.16, 90.75, 90.94, 91.03,
+      90.94, 90.44, 90.84, 89.20, 89.15, 88.38, 89.28, 90.80, 91.54, 92.65, 91.91, 91.33, 92.21, 92.43, 92.03, 92.95, 93.35, 94.93, 93.77, 94.58, 95.01, 97.22, 98.15, 97.58,
+      98.18, 97.98, 98.47, 97.65, 99.10, 99.19, 99.06, 98.71, 97.88, 97.34, 97.99, 97.84, 97.33, 96.59, 96.30, 98.62, 99.55, 101.11, 100.73, 99.91, 100.73, 99.51, 99.96, 99.71,
+      100.27, 99.61, 99.72, 99.60, 99.91, 101.42, 103.76, 104.19, 105.38, 103.89, 103.04, 103.26, 103.53, 104.41, 105.28, 104.52, 105.34, 102.21, 101.74, 101.54, 101.31, 102.46, 102.23, 102.80,
+      101.57, 102.39, 100.65, 99.77, 100.91, 101.20, 101.24, 101.07, 102.14, 101.88, 103.03, 102.75, 102.73, 104.33, 105.92, 103.25, 102.42, 102.81, 102.40, 104.70, 104.37, 103.52, 102.81, 102.61,
+      102.99, 101.92, 102.11, 100.60, 100.46, 98.97, 99.93, 100.44, 100.65, 101.23, 102.17, 101.49, 102.14, 100.35, 101.26, 103.12, 101.56, 101.69, 101.54, 102.46, 101.26, 102.33, 101.14, 100.49,
+      100.58, 100.44, 99.68, 98.43, 98.75, 98.83, 100.56, 99.50, 97.80, 97.96, 98.17, 98.55, 97.67, 97.78, 97.60, 98.54, 97.82, 98.85, 98.48, 99.57, 99.28, 101.88, 101.20, 102.19,
+      103.10, 104.01, 103.99, 104.56, 105.60, 105.76, 105.92, 104.54, 105.08, 105.40, 105.20, 103.10, 103.87, 103.87, 104.33, 104.61, 104.36, 104.20, 103.10, 102.76, 101.85, 103.03, 103.28, 103.08,
+      104.15, 104.23, 104.53, 105.72, 104.72, 105.19, 105.07, 103.71, 103.52, 103.42, 103.46, 104.27, 105.50, 106.08, 105.68, 105.16, 104.64, 105.58, 105.05, 105.84, 105.94, 105.23, 106.88, 106.87,
+      107.39, 107.72, 108.51, 108.06, 108.48, 108.81, 107.58, 108.79, 110.11, 109.21, 109.13, 108.40, 108.66, 108.95, 109.83, 109.81, 109.68, 110.80, 111.09, 111.08, 110.82, 111.70, 110.90, 111.21,
+      111.85, 111.79, 113.06, 112.18, 113.34, 113.59, 115.13, 114.11, 113.87, 114.88, 116.04, 117.85, 118.27, 118.51, 119.09, 119.61, 120.32, 119.64, 120.48, 120.47, 119.87, 120.75, 119.73, 119.28,
+      118.20, 117.51, 116.47, 116.07, 116.99, 116.48, 115.16, 114.55, 114.25, 114.10, 114.33, 115.21, 116.12, 117.92, 118.77, 120.13, 121.90, 124.48, 124.62, 124.62, 125.85, 125.37, 125.18, 122.85,
+      122.24, 122.69, 121.39, 120.32, 120.65, 120.45, 121.58, 121.50, 121.40, 121.19, 120.74, 118.93, 119.75, 122.10, 122.10, 122.24, 122.25, 124.43, 123.28, 122.78, 123.01, 123.77, 122.51, 122.47,
+      125.21, 126.08, 125.44, 123.48, 123.02, 122.31, 123.20, 123.32, 122.17, 120.90, 121.66, 121.57, 121.61, 121.38, 121.11, 121.43, 121.44, 120.19, 123.78, 124.10, 123.84, 124.06, 124.98, 124.62,
+      123.36, 122.87, 121.37, 119.61, 116.84, 117.90, 119.49, 121.01, 122.04, 122.45, 123.57, 122.32, 121.30, 119.34, 117.74, 117.32, 117.97, 117.37, 117.85, 115.58, 115.52, 114.63, 113.08, 111.85,
+      112.68, 114.13, 115.62, 117.79, 117.14, 118.19, 118.42, 121.54, 120.63, 122.68, 121.98, 121.76, 121.47, 124.20, 124.18, 122.25, 123.97, 122.88, 123.24, 123.71, 124.99, 125.56, 124.54, 124.94,
+      124.15, 126.38, 127.29, 127.73, 126.90, 126.42, 127.73, 126.50, 124.97, 126.84, 127.51, 129.00, 127.89, 127.00, 129.32, 129.90, 131.50, 132.65, 131.27, 131.83, 131.44, 131.98, 132.36, 132.48,
+      134.47, 134.77, 134.39, 135.27, 134.33, 136.34, 136.16, 136.08, 136.07, 136.08, 135.18, 134.60, 133.60, 133.28, 134.34, 134.24, 134.13, 135.07, 135.01, 136.41, 136.56, 137.10, 138.60, 138.35,
+      138.17, 138.33, 137.58, 136.86, 136.05, 134.98, 135.17, 136.33, 136.56, 135.57, 133.23, 134.59, 135.82, 134.01, 133.42, 133.43, 133.38, 131.90, 132.74, 134.64, 133.35, 131.34, 132.14, 132.67,
+      133.68, 135.11, 132.95, 133.13, 133.42, 132.10, 132.86, 131.66, 128.99, 127.68, 126.60, 124.40, 124.83, 124.82, 123.79, 125.79, 126.52, 125.65, 128.50, 128.65, 126.33, 127.32, 128.42, 129.52,
+      129.28, 128.77, 127.61, 127.96, 128.61, 126.53, 126.83, 125.96, 125.48, 124.92, 123.39, 124.24, 123.98, 122.94, 121.55, 120.35, 121.26, 120.43, 122.06, 122.83, 123.94, 121.86, 120.74, 121.62,
+      120.92, 121.87, 124.34, 125.22, 125.68, 122.78, 122.93, 123.15, 121.74, 122.63, 123.12, 123.66, 125.85, 126.78, 125.37, 127.12, 127.95, 128.83, 130.00, 128.52, 129.66, 130.10, 130.42, 129.39,
+      129.63, 131.06, 129.23, 128.36, 129.49, 130.31, 130.43, 131.05, 133.21, 130.39, 132.25, 130.87, 130.92, 130.08, 132.36, 130.53, 131.23, 132.20, 132.28, 131.95, 132.96, 132.37, 132.13, 131.46,
+      131.40, 131.46, 132.81, 133.76, 133.31, 135.22, 134.01, 134.33, 136.69, 133.67, 136.21, 136.38, 137.77, 137.93, 137.92, 138.12, 136.91, 136.51, 136.51, 135.85, 137.14, 136.70, 134.89, 135.05,
+      136.87, 139.34, 140.11, 141.13, 141.32, 141.33, 141.47, 141.06, 142.84, 142.16, 142.75, 144.42, 147.99, 148.62, 146.55, 147.58, 146.63, 147.39, 147.22, 147.47, 147.62, 149.94, 148.98, 150.77,
+      150.36, 149.64, 148.55, 150.56, 151.11, 152.62, 151.54, 151.35, 150.42, 148.21, 146.89, 148.01, 147.09, 147.66, 146.19, 144.40, 144.93, 143.79, 145.53, 144.68, 143.81, 142.60, 141.91, 141.95,
+      143.22, 144.22, 142.91, 142.57, 142.79, 142.53, 140.05, 140.69, 142.74, 141.37, 143.66, 143.50
+    ]
+  },
+  {
+    meta: { fund_house: 'HDFC Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Equity Scheme - Large Cap Fund', scheme_code: 900101, scheme_name: 'HDFC Top 100 Fund - Direct Plan - Growth Option' },
+    start: '2021-06-01',
+    navs: [
+      70.84, 69.76, 70.45, 70.60, 69.83, 69.70, 70.55, 70.55, 71.28, 70.88, 71.25, 71.58, 71.81, 70.59, 70.33, 69.92, 70.22, 71.08, 71.40, 70.60, 72.12, 72.41, 72.38, 73.32,
+      74.14, 74.35, 73.91, 74.02, 74.29, 74.42, 75.03, 74.81, 75.81, 76.58, 77.00, 77.71, 77.22, 76.89, 76.73, 77.53, 78.23, 78.15, 77.30, 77.26, 77.09, 78.06, 77.67, 76.85,
+      76.47, 75.16, 75.60, 74.56, 74.97, 73.71, 73.68, 73.31, 72.30, 71.58, 72.12, 71.95, 70.68, 71.14, 71.55, 70.85, 71.49, 72.37, 71.79, 71.51, 71.52, 71.22, 71.63, 70.93,
+      70.96, 71.34, 71.66, 71.27, 72.19, 72.14, 73.30, 73.39, 73.63, 73.87, 74.28, 74.23, 73.64, 73.82, 74.65, 74.99, 75.45, 75.40, 75.26, 74.75, 75.16, 75.04, 75.65, 75.20,
+      74.14, 72.98, 72.77, 72.67, 72.36, 72.05, 71.64, 71.22, 72.14, 71.75, 70.60, 70.92, 70.83, 72.20, 72.93, 72.18, 71.45, 71.38, 71.28, 71.75, 71.41, 71.48, 71.63, 69.93,
+      70.93, 71.04, 72.15, 71.67, 71.23, 72.08, 73.02, 73.74, 73.42, 73.33, 72.63, 72.68, 72.86, 72.78, 73.12, 73.05, 72.74, 74.24, 74.06, 75.56, 76.89, 78.08, 77.57, 78.40,
+      78.30, 78.16, 76.73, 77.74, 77.61, 77.51, 77.14, 75.85, 75.57, 75.57, 76.12, 76.04, 76.09, 76.27, 76.77, 76.75, 76.93, 77.87, 77.45, 77.47, 77.24, 76.75, 77.17, 76.95,
+      77.47, 75.46, 75.47, 75.11, 75.06, 73.28, 73.39, 74.56, 74.55, 74.46, 74.59, 74.29, 74.45, 73.43, 75.05, 74.65, 74.85, 75.10, 75.79, 76.13, 75.44, 76.23, 76.85, 76.63,
+      77.39, 77.74, 77.07, 77.33, 76.74, 75.92, 74.66, 75.11, 75.36, 74.91, 73.26, 72.65, 72.78, 73.72, 73.72, 73.46, 73.21, 72.99, 72.27, 71.72, 71.74, 71.89, 71.63, 72.65,
+      72.01, 71.72, 71.86, 72.62, 72.68, 72.28, 72.97, 72.30, 70.91, 71.66, 69.94, 70.26, 70.99, 70.27, 70.80, 70.98, 71.47, 72.59, 73.34, 73.81, 74.57, 74.53, 74.16, 73.98,
+      73.38, 72.95, 72.19, 71.95, 72.22, 73.11, 73.62, 73.97, 74.46, 73.69, 73.31, 73.48, 74.32, 75.27, 75.30, 75.40, 75.00, 74.77, 74.80, 74.65, 74.89, 73.95, 74.22, 74.37,
+      72.82, 73.70, 74.58, 73.38, 73.57, 72.44, 72.49, 73.45, 72.86, 72.07, 71.24, 70.48, 71.45, 71.90, 71.28, 70.72, 70.27, 70.41, 69.87, 70.01, 69.68, 69.95, 70.70, 70.53,
+      70.70, 70.49, 72.18, 71.47, 70.73, 71.74, 70.88, 70.80, 70.62, 70.31, 70.12, 70.39, 70.45, 69.76, 71.11, 70.71, 71.49, 71.83, 70.86, 71.67, 71.29, 70.43, 70.57, 71.86,
+      72.34, 72.62, 71.45, 71.79, 72.60, 72.72, 72.92, 72.20, 72.84, 72.57, 72.64, 72.56, 73.08, 73.40, 72.48, 72.72, 72.77, 72.38, 73.28, 73.57, 73.43, 73.84, 73.93, 73.46,
+      71.83, 70.50, 70.18, 70.00, 69.76, 69.15, 70.06, 70.95, 69.97, 70.86, 71.01, 71.15, 71.52, 71.56, 71.26, 71.43, 72.55, 72.52, 71.99, 71.38, 70.87, 71.37, 70.52, 70.31,
+      70.08, 70.21, 68.81, 69.04, 69.25, 68.12, 68.51, 69.30, 68.62, 69.40, 69.37, 68.61, 68.88, 69.01, 69.82, 70.94, 71.08, 71.47, 73.07, 72.63, 72.21, 72.87, 71.41, 70.01,
+      70.04, 69.82, 69.76, 69.89, 71.05, 70.90, 70.94, 71.27, 71.71, 70.82, 69.22, 69.47, 70.17, 69.98, 70.16, 69.43, 68.71, 69.19, 69.86, 69.49, 68.76, 68.56, 68.58, 69.10,
+      68.70, 67.69, 67.27, 66.94, 66.20, 65.92, 65.87, 66.02, 66.37, 65.28, 65.56, 64.43, 64.62, 65.26, 65.05, 64.90, 64.63, 64.54, 63.64, 62.78, 63.24, 61.80, 61.91, 62.22,
+      62.46, 61.43, 61.73, 61.68, 62.76, 61.71, 61.72, 62.34, 61.75, 61.32, 61.26, 61.75, 62.37, 62.10, 61.77, 62.06, 63.15, 63.86, 63.94, 63.10, 62.40, 61.13, 61.65, 61.44,
+      60.49, 60.33, 60.66, 60.83, 61.85, 60.99, 60.89, 61.97, 62.48, 62.26, 62.35, 62.39, 61.93, 61.81, 60.43, 60.00, 59.91, 59.90, 59.82, 59.86, 60.19, 60.87, 60.86, 60.57,
+      60.38, 60.36, 61.31, 63.40, 62.09, 62.24, 62.65, 62.00, 63.12, 63.07, 63.04, 63.06, 62.52, 62.31, 62.40, 62.30, 61.00, 61.46, 61.71, 62.73, 62.39, 62.73, 63.01, 63.11,
+      63.52, 64.08, 65.86, 65.04, 65.10, 65.11, 65.19, 65.74, 66.04, 65.47, 65.96, 66.38, 65.54, 66.19, 65.21, 66.11, 65.54, 66.02, 65.83, 67.06, 66.76, 67.03, 68.19, 68.97,
+      69.20, 69.65, 69.76, 69.61, 69.21, 69.83, 70.28, 70.68, 70.66, 71.93, 71.67, 72.94, 72.00, 73.28, 72.77, 73.68, 73.43, 75.29, 75.92, 76.44, 76.61, 77.65, 78.45, 77.03,
+      77.34, 77.10, 78.19, 79.22, 79.07, 79.68, 79.40, 78.31, 78.50, 77.72, 78.67, 79.77, 79.47, 80.24, 79.97, 79.65, 78.72, 79.08, 78.84, 77.98, 78.42, 77.33, 77.53, 76.13,
+      75.85, 74.47, 74.35, 75.19, 74.36, 74.64, 74.17, 72.59, 72.73, 72.21, 70.76, 71.90, 72.61, 73.59, 72.94, 72.35, 70.69, 71.25, 70.05, 70.36, 71.32, 72.67, 72.06, 71.71,
+      72.07, 72.13, 72.03, 71.20, 71.84, 71.18, 70.78, 69.79, 70.08, 69.20, 69.44, 70.14, 69.63, 70.83, 71.94, 72.54, 72.25, 73.48, 73.65, 73.15, 73.47, 72.93, 73.32, 72.68,
+      72.03, 71.75, 71.95, 71.82, 72.53, 71.49, 71.76, 71.47, 71.44, 71.27, 72.14, 71.30, 70.56, 70.51, 69.42, 69.34, 69.56, 69.88, 71.02, 71.32, 70.91, 71.30, 71.29, 71.54,
+      71.69, 71.73, 71.74, 73.37, 73.74, 72.91, 73.91, 74.39, 74.03, 73.96, 74.87, 74.46, 73.29, 73.49, 73.15, 75.54, 75.14, 75.01, 75.67, 75.51, 76.21, 77.31, 76.95, 76.50,
+      75.64, 74.53, 74.76, 75.50, 75.34, 73.67, 73.61, 73.19, 73.91, 74.32, 73.42, 73.66, 73.40, 73.10, 72.83, 72.73, 72.65, 72.76, 72.47, 71.86, 72.71, 72.68, 73.63, 74.36,
+      75.85, 76.01, 75.95, 75.88, 76.04, 76.83, 76.73, 75.91, 76.83, 76.75, 75.43, 74.28, 75.64, 76.20, 76.39, 75.91, 74.81, 75.46, 76.73, 77.57, 77.90, 78.34, 77.52, 77.83,
+      78.29, 78.37, 80.01, 79.12, 79.64, 78.92, 79.01, 78.75, 79.33, 80.38, 78.99, 79.25, 80.55, 82.13, 83.38, 83.22, 83.53, 84.47, 84.38, 84.59, 86.55, 86.43, 85.24, 85.52,
+      85.96, 86.07, 85.15, 87.01, 86.89, 86.93, 87.02, 86.89, 87.37, 87.74, 87.08, 88.02, 88.04, 87.81, 87.58, 86.23, 85.23, 84.54, 84.30, 84.00, 84.62, 85.20, 83.56, 82.01,
+      82.91, 83.32, 81.71, 82.01, 82.81, 82.49, 82.27, 82.23, 82.57, 81.38, 81.59, 82.02, 84.17, 84.23, 84.89, 84.21, 84.40, 84.39, 85.00, 83.80, 84.34, 84.95, 84.96, 84.85,
+      84.43, 84.14, 84.97, 83.21, 83.47, 82.89, 83.72, 85.19, 85.41, 86.73, 85.80, 85.22, 86.30, 86.35, 86.58, 87.36, 87.73, 88.63, 86.96, 87.54, 88.17, 90.41, 91.53, 91.28,
+      91.97, 91.39, 91.61, 90.50, 91.93, 91.71, 91.91, 91.94, 90.99, 90.63, 91.55, 92.14, 91.52, 90.50, 90.50, 92.08, 93.15, 95.11, 95.02, 93.95, 94.38, 93.21, 93.22, 92.99,
+      93.64, 92.82, 92.88, 92.78, 93.60, 95.13, 97.31, 97.83, 99.19, 98.15, 97.37, 97.69, 98.41, 99.15, 100.12, 99.69, 100.70, 97.46, 96.70, 96.63, 96.27, 97.70, 97.64, 98.43,
+      97.17, 98.15, 96.64, 95.80, 97.04, 97.14, 96.83, 97.07, 98.45, 98.40, 99.76, 99.21, 99.13, 100.27, 101.84, 99.11, 98.68, 98.93, 98.46, 100.66, 100.24, 99.23, 98.85, 98.84,
+      99.15, 98.32, 98.60, 97.47, 97.51, 96.52, 97.18, 97.74, 97.85, 98.09, 98.61, 97.63, 98.48, 96.84, 97.80, 99.60, 98.36, 98.25, 98.34, 99.04, 98.43, 99.80, 98.43, 98.18,
+      98.63, 98.35, 97.40, 96.29, 96.94, 97.03, 99.18, 98.62, 97.45, 97.82, 97.79, 98.19, 97.32, 97.11, 97.25, 98.22, 97.42, 98.66, 97.78, 98.91, 98.37, 100.85, 99.96, 100.86,
+      101.60, 102.66, 102.83, 103.90, 105.11, 105.56, 106.01, 104.38, 104.31, 104.69, 104.92, 102.30, 102.76, 103.20, 103.58, 103.82, 103.83, 103.17, 102.02, 101.98, 100.84, 101.49, 101.98, 101.11,
+      102.33, 102.34, 102.58, 103.62, 102.19, 103.27, 103.37, 102.64, 102.38, 102.74, 102.45, 102.83, 104.02, 104.86, 104.31, 103.81, 103.15, 104.09, 103.65, 104.39, 104.75, 103.69, 104.93, 105.41,
+      106.04, 106.14, 106.42, 105.84, 106.19, 106.49, 105.42, 106.78, 108.20, 107.39, 107.88, 107.41, 108.01, 108.45, 109.79, 109.33, 108.98, 110.46, 111.07, 111.61, 111.47, 111.92, 111.18, 110.54,
+      111.53, 111.40, 112.97, 111.40, 112.54, 113.21, 114.64, 113.89, 113.69, 114.40, 115.37, 116.87, 116.75, 117.62, 118.66, 119.15, 119.57, 119.08, 119.63, 120.12, 119.80, 120.79, 119.68, 119.20,
+      118.50, 118.43, 117.53, 116.24, 117.35, 117.10, 116.13, 115.58, 115.16, 114.90, 115.18, 115.32, 116.15, 118.02, 119.10, 120.65, 123.02, 125.61, 125.88, 125.24, 126.92, 126.65, 126.89, 124.34,
+      124.46, 124.41, 123.12, 122.47, 123.08, 123.51, 124.67, 125.24, 125.69, 125.19, 124.31, 123.01, 124.74, 126.69, 126.49, 126.17, 126.52, 129.25, 127.66, 126.90, 127.44, 128.25, 126.71, 126.95,
+      129.65, 130.94, 131.06, 129.19, 129.05, 128.42, 130.41, 130.69, 129.08, 127.79, 129.48, 129.05, 129.09, 129.19, 129.47, 129.67, 128.70, 127.24, 130.91, 131.30, 130.93, 130.82, 131.73, 130.92,
+      129.27, 128.46, 127.15, 124.75, 121.29, 122.30, 124.16, 126.19, 127.35, 127.87, 128.70, 127.35, 126.21, 124.71, 123.04, 122.25, 123.45, 122.24, 122.48, 119.59, 119.43, 118.56, 117.41, 115.91,
+      116.99, 118.03, 119.52, 121.74, 120.94, 122.26, 121.80, 124.94, 123.85, 126.26, 125.10, 125.34, 124.41, 127.24, 126.81, 125.23, 126.62, 125.33, 124.88, 125.49, 126.81, 127.48, 126.51, 127.31,
+      126.47, 128.39, 129.16, 128.68, 127.92, 127.32, 128.51, 127.79, 126.47, 128.37, 128.31, 129.93, 128.73, 127.99, 129.83, 130.59, 131.95, 132.80, 131.10, 131.95, 130.91, 131.54, 132.96, 132.82,
+      135.19, 134.91, 135.01, 135.69, 134.50, 136.19, 136.41, 136.88, 137.57, 137.70, 136.56, 136.32, 135.26, 135.14, 136.59, 137.46, 137.19, 138.25, 138.56, 140.18, 140.74, 140.93, 142.00, 141.43,
+      141.16, 141.55, 141.07, 139.64, 139.25, 138.73, 139.33, 139.76, 140.21, 139.65, 136.66, 138.34, 139.45, 137.77, 136.70, 136.86, 137.95, 135.66, 137.17, 138.95, 137.62, 136.35, 137.56, 138.42,
+      139.87, 141.90, 139.83, 140.07, 140.23, 138.52, 139.20, 137.74, 135.14, 134.70, 133.83, 131.36, 132.05, 132.13, 131.62, 133.49, 134.08, 133.67, 136.87, 136.66, 134.80, 135.88, 136.78, 137.65,
+      136.91, 136.08, 134.81, 135.71, 136.70, 134.59, 134.22, 133.15, 133.09, 132.15, 130.69, 131.46, 131.59, 130.82, 129.27, 128.38, 129.09, 128.30, 131.16, 131.70, 133.03, 130.51, 129.92, 130.79,
+      130.11, 131.07, 133.42, 133.99, 135.47, 132.30, 133.12, 133.55, 132.63, 133.27, 133.49, 134.76, 136.95, 137.77, 136.28, 138.36, 138.87, 140.00, 140.91, 139.52, 141.20, 141.41, 141.25, 139.80,
+      139.90, 140.95, 138.82, 137.60, 139.11, 139.23, 138.77, 139.68, 142.68, 139.57, 141.88, 140.12, 140.04, 139.58, 141.40, 139.88, 140.81, 141.51, 141.29, 140.54, 142.31, 142.22, 141.68, 141.68,
+      142.08, 142.08, 144.27, 145.71, 144.62, 147.12, 145.71, 146.73, 149.24, 145.21, 147.19, 148.64, 149.61, 149.92, 150.06, 150.52, 148.52, 147.97, 148.33, 147.55, 149.50, 149.17, 147.22, 147.69,
+      149.70, 152.18, 153.26, 155.12, 155.52, 155.05, 155.76, 156.34, 157.62, 156.95, 157.44, 158.55, 162.61, 164.40, 163.54, 164.41, 163.11, 163.85, 163.65, 163.67, 164.95, 167.13, 165.03, 166.85,
+      166.10, 166.24, 164.12, 166.18, 166.46, 167.12, 166.66, 166.06, 164.30, 162.43, 161.30, 162.65, 162.00, 162.34, 161.00, 158.90, 159.99, 158.42, 160.90, 160.82, 159.96, 158.36, 157.05, 156.39,
+      157.54, 158.31, 156.53, 156.38, 156.29, 155.87, 153.67, 155.44, 157.13, 154.17, 156.32, 156.20
+    ]
+  },
+  {
+    meta: { fund_house: 'ICICI Prudential Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Equity Scheme - Large Cap Fund', scheme_code: 900102, scheme_name: 'ICICI Prudential Bluechip Fund - Direct Plan - Growth' },
+    start: '2021-06-01',
+    navs: [
+      133.88, 132.02, 133.05, 132.93, 131.98, 131.91, 133.12, 132.38, 132.99, 132.31, 132.57, 132.72, 134.37, 132.09, 131.55, 131.49, 132.13, 133.72, 132.77, 131.20, 134.16, 134.51, 133.99, 135.25,
+      136.52, 138.09, 136.90, 137.57, 138.32, 138.66, 140.48, 140.08, 141.58, 143.31, 144.03, 145.02, 144.18, 143.52, 142.66, 144.34, 146.20, 145.85, 144.68, 145.30, 144.82, 146.85, 146.53, 146.38,
+      146.07, 143.75, 143.99, 141.62, 141.37, 139.66, 140.08, 139.97, 138.22, 135.95, 137.15, 137.36, 134.62, 135.91, 136.63, 136.06, 137.97, 139.78, 138.10, 138.01, 138.06, 136.95, 139.35, 137.65,
+      137.49, 138.45, 138.89, 138.42, 139.38, 139.21, 142.06, 142.84, 142.43, 142.58, 142.59, 142.55, 142.45, 142.59, 143.01, 144.99, 146.55, 145.80, 146.50, 146.42, 147.75, 147.44, 148.28, 146.71,
+      144.47, 142.70, 141.37, 141.12, 140.23, 138.44, 137.60, 136.61, 137.26, 136.93, 134.17, 135.27, 134.76, 136.64, 137.00, 134.81, 133.62, 133.02, 132.48, 133.78, 132.37, 132.75, 132.99, 131.24,
+      132.05, 132.25, 133.30, 131.40, 130.96, 133.20, 135.09, 135.81, 135.20, 134.97, 134.68, 134.42, 134.18, 133.81, 135.32, 135.56, 135.27, 136.79, 136.87, 138.76, 142.00, 143.25, 142.75, 144.19,
+      143.02, 143.35, 141.29, 142.21, 142.59, 142.32, 141.83, 139.74, 139.34, 139.68, 139.76, 139.90, 140.42, 140.25, 141.32, 141.12, 140.93, 142.40, 141.81, 143.14, 141.81, 140.32, 140.49, 140.80,
+      142.47, 138.79, 137.87, 137.34, 137.00, 134.88, 135.58, 137.48, 137.39, 137.25, 136.96, 136.84, 137.32, 135.43, 138.05, 138.66, 138.56, 139.30, 140.93, 140.81, 139.36, 139.72, 139.95, 140.41,
+      141.27, 141.41, 140.22, 140.91, 139.43, 137.73, 135.99, 136.92, 137.83, 136.34, 133.17, 133.65, 133.51, 135.51, 135.46, 134.69, 133.57, 132.58, 131.22, 129.23, 128.62, 128.88, 127.17, 128.02,
+      127.17, 126.13, 126.07, 126.97, 126.78, 126.19, 127.03, 125.78, 123.43, 124.95, 122.47, 122.87, 123.83, 122.51, 123.82, 125.15, 125.39, 127.33, 128.99, 129.43, 129.85, 129.39, 129.18, 128.44,
+      126.88, 126.97, 126.05, 125.94, 126.84, 127.86, 128.82, 129.66, 131.93, 131.06, 130.77, 131.02, 132.64, 133.40, 133.63, 134.06, 134.32, 133.84, 135.26, 135.52, 135.31, 134.32, 134.30, 134.73,
+      132.02, 133.14, 135.21, 133.42, 133.48, 131.76, 131.28, 133.31, 132.27, 130.49, 129.89, 128.09, 128.96, 129.70, 128.55, 127.78, 127.53, 127.53, 127.35, 128.04, 127.12, 128.19, 129.38, 129.64,
+      128.74, 128.24, 130.79, 129.63, 127.76, 129.08, 127.25, 127.25, 126.83, 126.92, 126.91, 127.98, 127.34, 125.64, 127.86, 127.53, 128.57, 128.30, 126.41, 127.03, 125.68, 124.41, 124.88, 127.88,
+      129.09, 129.80, 128.48, 128.82, 130.34, 130.88, 130.45, 128.50, 129.67, 129.05, 129.48, 129.85, 130.03, 130.43, 128.83, 129.30, 129.41, 129.12, 131.22, 131.50, 131.43, 131.62, 131.38, 131.45,
+      129.24, 128.25, 128.03, 128.28, 127.28, 126.38, 128.39, 129.52, 128.17, 129.31, 129.58, 129.75, 130.32, 130.53, 130.67, 130.99, 132.21, 132.28, 130.28, 128.34, 127.87, 128.11, 126.73, 126.96,
+      127.17, 127.75, 125.44, 126.08, 125.95, 125.04, 126.32, 127.43, 126.81, 128.00, 127.25, 126.07, 125.48, 125.21, 125.56, 127.36, 127.51, 128.27, 130.72, 129.58, 128.88, 129.13, 126.93, 124.67,
+      125.22, 124.74, 124.70, 124.99, 126.96, 126.84, 126.54, 127.60, 127.17, 125.52, 123.56, 123.80, 125.30, 125.84, 126.26, 125.39, 125.13, 126.79, 128.46, 128.60, 126.58, 126.36, 125.71, 126.55,
+      126.42, 124.37, 123.70, 122.97, 122.22, 122.23, 121.34, 121.77, 122.54, 121.17, 121.70, 119.82, 119.82, 120.23, 120.02, 120.13, 119.12, 119.20, 117.93, 116.81, 117.32, 115.32, 115.18, 115.53,
+      115.68, 113.75, 114.23, 113.69, 115.98, 114.45, 113.75, 115.05, 113.96, 112.86, 112.07, 112.08, 113.96, 114.06, 112.61, 113.09, 114.63, 116.23, 116.39, 114.92, 114.34, 112.50, 113.67, 113.82,
+      111.69, 111.43, 111.67, 112.52, 113.93, 112.62, 112.46, 115.19, 115.58, 115.48, 114.86, 114.92, 113.90, 113.42, 111.57, 111.03, 111.94, 111.60, 111.77, 111.97, 112.79, 112.65, 112.98, 112.39,
+      112.13, 111.67, 112.87, 115.99, 114.35, 114.76, 115.22, 113.89, 116.01, 115.80, 115.71, 116.76, 116.30, 115.83, 116.40, 115.84, 113.65, 115.30, 115.67, 118.26, 118.15, 118.39, 118.43, 117.41,
+      118.48, 119.88, 122.52, 121.50, 121.48, 121.25, 120.52, 120.78, 120.35, 119.40, 120.54, 119.85, 118.14, 119.42, 117.97, 119.57, 118.16, 119.10, 118.68, 120.81, 120.18, 120.08, 121.97, 123.17,
+      123.32, 124.11, 124.68, 125.84, 125.31, 125.26, 125.81, 126.54, 126.56, 129.76, 130.00, 132.65, 130.79, 133.20, 131.42, 132.73, 132.97, 134.95, 135.90, 135.53, 135.39, 136.96, 138.12, 135.47,
+      135.78, 135.12, 137.16, 138.09, 137.57, 139.27, 140.24, 138.92, 139.51, 137.33, 139.20, 142.24, 141.91, 143.51, 143.05, 142.60, 142.41, 143.22, 142.60, 140.98, 141.66, 139.92, 140.04, 139.10,
+      139.79, 136.51, 135.29, 136.37, 135.02, 135.47, 134.75, 132.95, 133.85, 132.45, 129.27, 131.46, 132.49, 134.38, 133.39, 132.69, 129.65, 130.46, 127.68, 128.69, 130.30, 132.38, 131.63, 130.88,
+      131.78, 131.96, 130.98, 130.19, 131.82, 131.37, 131.47, 130.33, 131.10, 129.58, 129.78, 130.95, 130.94, 132.16, 134.50, 135.73, 136.12, 138.17, 138.47, 138.33, 139.10, 138.48, 139.40, 138.85,
+      138.29, 138.22, 138.62, 138.89, 139.74, 137.54, 137.44, 137.49, 136.69, 136.69, 138.72, 137.11, 135.50, 135.48, 133.32, 132.56, 133.02, 134.43, 136.56, 137.14, 137.02, 137.80, 138.01, 138.32,
+      138.35, 139.24, 139.25, 142.36, 142.79, 141.45, 142.42, 143.28, 141.96, 141.83, 142.35, 140.60, 138.68, 139.01, 138.52, 142.41, 141.35, 141.77, 144.51, 144.45, 146.33, 148.02, 148.70, 148.64,
+      147.41, 145.36, 146.18, 146.86, 147.03, 144.99, 144.46, 143.91, 145.58, 146.25, 144.42, 145.59, 145.19, 143.19, 142.81, 141.41, 140.41, 141.04, 141.03, 138.83, 140.14, 140.68, 142.55, 144.44,
+      147.30, 147.86, 147.52, 147.53, 148.11, 148.83, 149.10, 147.83, 149.11, 148.51, 146.63, 144.79, 147.35, 148.21, 147.25, 147.12, 145.81, 146.29, 148.48, 150.28, 150.15, 151.56, 150.36, 151.28,
+      152.42, 152.66, 154.95, 153.07, 153.11, 151.22, 150.67, 150.97, 151.35, 153.42, 152.29, 152.79, 154.66, 157.01, 159.71, 157.98, 157.77, 158.22, 158.66, 158.94, 162.21, 161.20, 160.05, 161.65,
+      162.47, 162.22, 161.62, 165.69, 166.63, 166.27, 167.25, 166.63, 166.86, 167.48, 165.78, 166.96, 167.66, 167.40, 167.38, 165.03, 162.88, 161.98, 161.80, 161.87, 161.81, 162.46, 160.09, 156.28,
+      158.33, 159.25, 156.27, 157.17, 158.57, 157.71, 157.58, 157.41, 156.90, 155.87, 156.36, 156.80, 160.49, 160.79, 162.42, 160.82, 160.98, 159.89, 161.36, 158.98, 159.03, 160.53, 160.37, 159.97,
+      159.29, 158.57, 159.97, 156.59, 155.80, 154.59, 156.47, 158.63, 159.89, 161.72, 160.93, 159.95, 161.46, 162.23, 161.87, 163.10, 163.71, 166.70, 164.75, 166.59, 167.48, 171.24, 172.43, 172.14,
+      172.44, 172.16, 173.09, 171.76, 174.88, 174.89, 174.64, 173.16, 172.79, 171.81, 172.14, 171.78, 170.04, 169.50, 169.29, 173.47, 175.61, 178.52, 178.10, 176.40, 176.88, 174.22, 174.87, 173.52,
+      174.42, 173.60, 173.75, 172.76, 173.83, 175.77, 178.75, 179.86, 181.58, 178.25, 176.75, 176.66, 176.16, 177.38, 178.39, 176.45, 177.78, 173.08, 171.73, 171.08, 169.61, 170.87, 169.92, 170.25,
+      168.94, 170.25, 168.28, 167.08, 168.78, 169.08, 168.74, 168.49, 170.89, 170.71, 172.56, 172.01, 172.61, 175.38, 178.04, 174.16, 172.71, 173.52, 172.80, 176.67, 175.85, 173.19, 172.10, 171.90,
+      173.32, 172.09, 171.84, 169.47, 169.57, 167.26, 169.09, 170.05, 170.21, 170.76, 172.54, 171.70, 172.37, 170.13, 171.28, 173.81, 170.84, 171.85, 171.35, 172.65, 170.94, 172.59, 170.22, 168.99,
+      168.62, 168.77, 167.29, 165.22, 166.08, 166.08, 168.55, 166.94, 162.91, 162.78, 162.72, 162.12, 160.98, 161.02, 160.76, 163.35, 161.89, 163.59, 162.86, 164.05, 163.28, 167.79, 167.16, 169.06,
+      170.16, 171.35, 171.80, 172.59, 173.86, 173.87, 173.98, 171.73, 172.84, 172.95, 172.10, 169.39, 169.82, 170.03, 169.84, 170.29, 169.80, 169.36, 168.10, 168.56, 167.46, 169.54, 170.46, 170.98,
+      173.41, 173.98, 174.99, 175.39, 173.58, 174.72, 174.26, 171.55, 170.97, 171.32, 171.28, 172.66, 173.79, 175.10, 175.07, 174.44, 173.48, 174.42, 174.07, 175.71, 175.78, 174.48, 177.10, 177.51,
+      178.32, 178.83, 179.85, 178.64, 179.67, 180.97, 179.12, 180.37, 182.28, 179.82, 180.53, 179.65, 180.65, 181.65, 184.25, 184.59, 184.59, 186.14, 186.54, 187.26, 185.91, 187.00, 185.61, 185.80,
+      187.34, 187.74, 190.23, 189.99, 191.69, 192.36, 194.02, 192.90, 192.93, 194.40, 195.04, 198.22, 198.50, 198.98, 199.03, 199.69, 201.60, 200.71, 202.70, 202.70, 202.25, 202.93, 201.00, 200.76,
+      198.52, 196.43, 194.57, 193.06, 193.78, 193.04, 190.29, 189.73, 189.85, 188.58, 188.95, 190.84, 191.61, 194.79, 196.85, 198.66, 200.45, 204.59, 204.83, 204.45, 206.47, 205.16, 205.10, 202.05,
+      201.34, 201.63, 199.76, 198.36, 198.69, 198.23, 200.92, 200.54, 200.63, 201.03, 200.09, 197.54, 198.85, 202.29, 202.79, 201.49, 202.27, 205.89, 204.46, 203.74, 204.69, 205.96, 203.84, 203.54,
+      207.13, 207.42, 205.78, 203.45, 202.69, 201.48, 202.87, 202.55, 200.67, 198.90, 199.85, 198.86, 198.17, 198.91, 199.34, 199.19, 199.79, 197.55, 204.45, 204.85, 202.96, 202.87, 204.30, 203.84,
+      201.04, 201.16, 198.25, 195.58, 191.25, 193.32, 196.00, 197.84, 200.01, 201.21, 203.16, 200.68, 199.94, 196.52, 194.13, 194.04, 195.34, 194.49, 196.24, 192.29, 192.91, 191.10, 188.99, 189.10,
+      191.06, 194.00, 196.31, 199.40, 198.55, 200.98, 201.43, 206.44, 204.59, 207.86, 206.45, 206.57, 205.47, 210.03, 209.76, 207.08, 209.34, 207.47, 208.52, 209.78, 212.01, 211.53, 208.97, 209.42,
+      208.47, 211.52, 213.35, 214.98, 213.37, 212.15, 214.45, 212.71, 210.15, 212.70, 214.44, 216.37, 214.78, 213.68, 217.90, 217.88, 220.04, 221.97, 219.98, 219.60, 218.11, 217.80, 217.66, 218.01,
+      221.22, 221.24, 220.85, 222.05, 221.27, 223.48, 223.82, 224.89, 224.25, 224.59, 223.45, 224.40, 222.10, 221.83, 223.34, 223.12, 221.87, 223.50, 224.43, 225.43, 225.41, 225.19, 226.95, 228.36,
+      228.44, 228.12, 228.02, 227.17, 226.04, 224.59, 225.28, 226.92, 228.27, 226.29, 222.85, 224.75, 226.13, 222.89, 222.52, 222.70, 224.27, 223.28, 225.64, 227.64, 225.69, 221.95, 222.78, 223.32,
+      223.08, 225.65, 222.58, 223.96, 224.44, 223.36, 225.11, 222.71, 216.91, 213.75, 211.76, 207.29, 207.13, 207.49, 205.38, 209.13, 209.79, 208.41, 212.75, 213.22, 209.70, 210.01, 211.59, 212.37,
+      211.75, 210.65, 208.07, 208.88, 209.86, 206.22, 206.83, 206.71, 205.50, 204.72, 203.03, 204.76, 205.67, 205.00, 202.86, 200.86, 201.01, 200.11, 202.60, 203.50, 205.66, 202.33, 200.66, 202.70,
+      201.28, 203.92, 207.93, 209.46, 210.78, 206.92, 207.51, 208.85, 205.64, 207.03, 209.06, 210.46, 213.81, 215.11, 212.57, 215.51, 216.91, 218.19, 221.23, 220.03, 221.90, 220.91, 221.28, 219.02,
+      218.73, 221.33, 218.66, 218.45, 220.20, 221.39, 221.91, 222.68, 226.59, 221.18, 225.03, 222.29, 222.41, 220.58, 225.08, 222.24, 223.67, 225.74, 226.60, 225.30, 227.73, 225.99, 225.64, 224.95,
+      223.81, 223.75, 226.25, 228.58, 228.17, 230.57, 228.91, 229.45, 233.37, 227.95, 232.14, 233.18, 235.58, 235.52, 234.40, 234.37, 232.56, 231.37, 230.68, 229.83, 231.35, 230.99, 228.30, 227.30,
+      230.46, 233.72, 233.97, 236.07, 236.75, 236.74, 238.56, 237.12, 240.92, 240.76, 242.64, 244.78, 252.24, 252.67, 248.47, 251.25, 249.81, 251.02, 249.54, 250.13, 250.85, 253.35, 251.50, 253.26,
+      253.08, 251.97, 250.66, 254.54, 256.29, 260.01, 256.66, 255.68, 254.13, 250.33, 249.25, 252.25, 251.08, 252.28, 249.24, 247.00, 247.31, 245.22, 248.81, 245.57, 244.34, 242.96, 241.99, 242.37,
+      245.44, 246.56, 245.27, 244.25, 244.33, 244.27, 240.74, 241.35, 244.52, 243.05, 246.58, 246.10
+    ]
+  },
+  {
+    meta: { fund_house: 'SBI Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Equity Scheme - Large Cap Fund', scheme_code: 900103, scheme_name: 'SBI Bluechip Fund - Direct Plan - Growth' },
+    start: '2021-06-01',
+    navs: [
+      148.52, 146.95, 148.62, 149.87, 149.43, 149.07, 150.87, 150.69, 152.27, 151.85, 152.00, 152.70, 153.53, 150.63, 150.10, 150.20, 151.05, 153.15, 153.48, 151.66, 154.89, 155.47, 155.98, 157.25,
+      158.63, 160.29, 158.18, 159.28, 158.94, 158.89, 160.09, 159.81, 161.84, 163.68, 164.55, 166.03, 164.53, 163.26, 162.87, 164.37, 165.81, 165.60, 165.22, 165.46, 165.61, 168.23, 167.63, 166.55,
+      165.73, 163.42, 163.84, 161.32, 161.04, 158.98, 158.51, 158.15, 155.95, 153.77, 154.86, 155.51, 152.76, 154.50, 155.77, 154.89, 156.38, 158.87, 157.36, 156.58, 155.92, 155.25, 157.38, 156.43,
+      155.81, 156.52, 156.78, 156.32, 158.37, 157.69, 160.75, 162.11, 163.30, 164.33, 164.50, 164.52, 164.20, 164.14, 164.88, 165.31, 166.39, 166.35, 166.50, 165.73, 166.25, 166.29, 167.80, 166.14,
+      164.24, 162.29, 161.83, 161.16, 160.73, 160.18, 159.13, 158.59, 159.29, 158.62, 156.11, 156.74, 155.60, 157.58, 158.35, 155.97, 154.88, 154.39, 153.79, 155.59, 154.87, 154.88, 155.14, 153.12,
+      154.17, 154.21, 155.66, 153.81, 154.14, 154.96, 155.70, 156.16, 154.88, 155.09, 154.74, 155.30, 155.16, 154.64, 155.55, 155.78, 155.68, 157.58, 157.27, 158.87, 161.90, 163.83, 161.80, 163.46,
+      162.71, 162.11, 159.71, 160.91, 160.60, 160.17, 159.46, 157.89, 157.47, 156.78, 157.12, 157.76, 158.19, 158.73, 160.04, 159.82, 160.09, 161.30, 160.30, 161.27, 160.30, 159.87, 159.11, 158.19,
+      158.70, 155.47, 154.83, 153.98, 154.41, 152.24, 152.43, 153.88, 154.44, 155.03, 155.97, 155.10, 155.28, 152.97, 155.96, 155.66, 155.82, 157.09, 158.67, 158.66, 157.65, 158.45, 158.97, 158.88,
+      160.00, 159.89, 158.32, 159.54, 157.47, 155.27, 153.19, 153.77, 154.38, 153.99, 151.38, 150.25, 149.67, 150.84, 151.34, 150.89, 149.63, 148.34, 147.06, 145.26, 144.34, 144.45, 143.68, 145.00,
+      143.15, 141.74, 141.72, 142.97, 143.50, 141.06, 141.58, 139.93, 137.29, 138.62, 135.48, 135.25, 136.83, 136.55, 137.59, 138.04, 138.97, 140.47, 141.51, 141.89, 142.74, 143.06, 142.57, 141.57,
+      140.65, 139.60, 138.57, 138.53, 139.96, 141.82, 142.57, 143.43, 144.92, 143.18, 142.80, 142.62, 144.30, 145.39, 145.58, 145.86, 145.64, 146.26, 147.02, 147.29, 147.33, 145.60, 145.86, 146.00,
+      143.23, 144.67, 146.57, 144.24, 144.12, 141.76, 142.34, 144.07, 142.92, 141.57, 141.59, 140.66, 141.64, 141.84, 140.20, 139.59, 138.38, 138.32, 138.37, 138.51, 137.36, 138.15, 139.22, 139.82,
+      139.17, 138.59, 140.63, 139.34, 137.81, 138.78, 136.32, 135.67, 135.58, 135.83, 135.78, 137.08, 136.52, 136.06, 138.22, 137.58, 139.10, 139.18, 137.86, 138.49, 137.09, 134.87, 136.16, 137.83,
+      138.91, 139.85, 138.37, 138.51, 139.94, 139.82, 139.58, 137.43, 139.27, 139.25, 139.50, 139.82, 140.02, 140.41, 138.07, 138.81, 138.59, 137.24, 139.26, 139.26, 139.30, 139.66, 138.46, 138.93,
+      135.70, 134.67, 134.10, 134.40, 133.72, 132.54, 134.13, 135.39, 133.86, 134.49, 134.39, 134.08, 134.01, 133.83, 133.41, 133.47, 135.07, 135.70, 134.28, 132.85, 132.28, 132.80, 131.58, 131.26,
+      130.69, 131.65, 128.50, 128.63, 128.23, 126.42, 126.44, 128.23, 126.92, 127.52, 127.38, 126.30, 126.34, 125.57, 126.02, 127.90, 128.09, 128.73, 131.48, 130.28, 129.45, 129.88, 128.07, 125.05,
+      125.25, 125.64, 125.56, 125.01, 126.49, 125.59, 125.83, 127.36, 127.97, 126.18, 124.04, 124.26, 125.31, 125.02, 125.20, 123.80, 122.60, 123.48, 124.05, 123.33, 121.95, 122.76, 122.35, 123.69,
+      123.53, 122.15, 121.04, 120.65, 120.16, 120.19, 119.20, 119.11, 120.34, 119.27, 120.25, 118.83, 118.56, 119.36, 119.24, 118.84, 117.83, 117.69, 116.50, 115.30, 116.02, 114.69, 115.48, 116.14,
+      117.02, 115.81, 116.28, 116.76, 118.70, 116.59, 116.20, 116.83, 115.54, 114.25, 114.31, 114.90, 116.54, 116.32, 115.69, 116.32, 117.97, 118.62, 118.65, 117.51, 116.57, 114.70, 115.72, 115.80,
+      114.21, 113.61, 114.02, 114.47, 116.22, 114.80, 114.42, 116.95, 117.48, 117.68, 117.48, 117.64, 117.37, 117.35, 115.74, 114.74, 115.06, 114.56, 114.95, 115.21, 116.25, 116.92, 116.65, 116.04,
+      115.73, 115.23, 116.48, 119.92, 118.24, 118.57, 119.06, 117.50, 119.96, 119.21, 119.07, 119.86, 118.93, 118.69, 118.69, 117.59, 115.47, 116.84, 117.32, 119.23, 119.31, 119.78, 119.97, 119.96,
+      120.94, 121.81, 124.61, 122.89, 123.32, 122.59, 121.92, 122.15, 121.96, 120.88, 122.23, 122.67, 121.51, 122.27, 120.80, 122.06, 121.35, 122.03, 121.90, 123.78, 123.18, 123.25, 125.14, 126.89,
+      126.56, 128.10, 128.70, 128.53, 127.85, 128.60, 129.71, 131.06, 131.51, 133.46, 133.64, 135.40, 133.59, 136.17, 135.58, 136.55, 136.99, 139.88, 140.55, 141.56, 141.13, 142.52, 144.00, 141.59,
+      141.96, 141.66, 143.29, 145.71, 145.39, 146.81, 146.89, 145.26, 145.67, 144.37, 145.84, 147.66, 147.12, 148.56, 148.16, 147.07, 146.16, 147.07, 146.95, 145.32, 146.80, 145.81, 146.19, 145.25,
+      144.44, 141.89, 141.07, 142.01, 141.05, 141.12, 140.86, 138.83, 140.01, 138.69, 135.27, 136.19, 137.20, 139.78, 138.28, 137.13, 134.92, 135.42, 133.31, 134.53, 135.91, 138.05, 137.04, 136.24,
+      137.04, 136.21, 135.08, 133.95, 135.04, 134.11, 133.83, 132.29, 133.38, 132.10, 132.76, 134.69, 134.31, 136.22, 138.33, 139.44, 139.21, 141.36, 141.97, 141.21, 141.49, 140.74, 141.45, 140.96,
+      140.33, 140.86, 140.77, 140.78, 142.58, 140.59, 140.95, 140.49, 140.74, 140.42, 141.55, 139.76, 137.81, 137.94, 135.58, 135.04, 136.07, 137.18, 138.51, 138.91, 138.09, 138.83, 139.41, 139.19,
+      139.82, 139.73, 139.53, 142.15, 142.79, 141.33, 142.55, 143.96, 142.50, 142.81, 143.11, 141.38, 140.06, 140.65, 140.10, 143.99, 143.44, 143.41, 144.73, 144.93, 145.56, 147.47, 147.54, 146.24,
+      144.68, 142.73, 143.40, 144.92, 145.23, 142.96, 142.36, 142.32, 143.18, 144.26, 142.45, 143.39, 142.85, 141.78, 142.69, 141.44, 140.79, 141.28, 141.03, 139.27, 140.73, 140.84, 142.36, 143.36,
+      145.75, 145.98, 145.84, 145.72, 145.44, 145.54, 145.67, 145.13, 146.06, 146.07, 143.64, 141.47, 143.93, 144.73, 144.35, 144.95, 143.53, 144.20, 146.36, 148.41, 147.97, 148.47, 146.80, 147.98,
+      149.04, 149.84, 151.92, 150.94, 150.94, 149.74, 149.03, 149.07, 150.39, 152.42, 150.99, 151.20, 152.74, 155.02, 156.67, 156.87, 156.96, 158.40, 158.43, 158.01, 160.60, 160.53, 158.39, 159.38,
+      159.67, 159.25, 158.31, 160.81, 161.14, 161.27, 161.75, 161.73, 162.46, 162.69, 160.92, 162.94, 163.84, 163.33, 163.32, 160.96, 158.84, 157.08, 157.08, 157.28, 157.79, 158.96, 156.92, 153.84,
+      155.93, 156.76, 153.69, 154.97, 156.57, 156.00, 155.75, 156.43, 156.06, 154.01, 154.33, 155.05, 158.71, 159.62, 160.55, 159.45, 159.58, 158.82, 159.27, 156.17, 157.11, 158.10, 158.54, 159.05,
+      159.62, 158.57, 159.23, 156.58, 156.11, 154.23, 155.89, 158.72, 159.68, 161.96, 161.18, 159.61, 160.70, 160.73, 160.86, 162.30, 163.34, 166.13, 164.00, 165.65, 166.81, 170.13, 171.55, 170.84,
+      171.19, 169.93, 170.89, 169.93, 172.30, 172.74, 173.33, 172.36, 171.40, 170.02, 169.68, 168.74, 167.91, 166.63, 166.78, 170.49, 171.90, 174.34, 174.32, 172.39, 174.32, 171.86, 173.53, 173.38,
+      174.49, 173.99, 174.93, 174.88, 175.57, 178.20, 182.61, 184.37, 186.59, 184.24, 182.34, 182.42, 182.39, 184.11, 185.04, 184.62, 185.29, 180.41, 180.07, 179.46, 178.40, 181.38, 180.17, 180.56,
+      178.72, 179.63, 176.73, 175.76, 177.55, 177.98, 177.17, 176.48, 177.30, 176.51, 177.53, 177.24, 177.66, 180.50, 182.86, 177.91, 176.41, 176.11, 175.98, 179.14, 177.86, 177.02, 176.83, 175.60,
+      176.49, 174.34, 175.10, 171.68, 171.27, 168.76, 170.71, 171.91, 172.46, 173.64, 174.15, 173.48, 174.25, 171.17, 172.84, 175.67, 173.06, 172.90, 172.36, 173.72, 172.00, 173.48, 172.03, 172.98,
+      173.33, 172.91, 171.95, 170.13, 170.60, 171.80, 176.03, 173.98, 171.74, 172.63, 172.81, 173.85, 173.15, 173.86, 173.07, 174.51, 173.33, 174.58, 174.04, 175.69, 174.35, 177.06, 175.60, 177.04,
+      178.59, 179.75, 180.11, 181.38, 181.77, 182.03, 182.33, 181.13, 181.69, 182.38, 182.26, 179.33, 180.39, 181.01, 182.16, 182.83, 182.62, 181.81, 179.86, 179.55, 177.25, 178.68, 178.68, 178.19,
+      179.35, 179.85, 180.77, 182.96, 181.26, 182.06, 182.02, 179.56, 179.69, 179.27, 179.74, 181.28, 183.55, 184.08, 183.98, 182.54, 181.80, 183.49, 181.50, 182.27, 182.03, 180.81, 183.41, 183.33,
+      184.41, 184.67, 185.12, 184.32, 185.62, 185.98, 183.21, 184.94, 186.26, 185.12, 184.74, 184.03, 185.46, 186.01, 187.82, 186.81, 187.34, 189.53, 189.94, 189.47, 189.53, 191.02, 190.02, 190.59,
+      191.99, 191.05, 193.06, 192.71, 194.48, 195.29, 197.40, 195.59, 194.78, 195.54, 197.55, 200.64, 201.81, 202.96, 204.33, 203.93, 204.00, 202.44, 203.51, 203.13, 201.90, 203.49, 202.25, 202.22,
+      200.00, 199.15, 197.99, 196.50, 197.67, 197.41, 196.03, 195.81, 195.37, 195.38, 196.50, 198.18, 199.38, 202.47, 204.29, 205.39, 208.62, 214.12, 213.41, 212.83, 215.41, 215.93, 215.39, 210.87,
+      209.68, 210.29, 208.71, 207.53, 208.14, 208.08, 211.12, 211.24, 210.27, 209.93, 208.54, 205.85, 206.43, 211.12, 211.07, 211.15, 211.00, 214.00, 212.37, 212.13, 213.16, 213.83, 211.78, 211.30,
+      214.65, 216.01, 214.87, 212.36, 211.98, 210.69, 211.90, 211.46, 210.40, 209.11, 210.72, 211.09, 210.71, 209.80, 209.40, 209.55, 209.64, 208.33, 213.72, 214.86, 213.84, 214.93, 216.69, 215.16,
+      214.02, 213.79, 209.83, 207.15, 202.45, 204.43, 207.42, 209.29, 210.65, 211.53, 214.16, 211.64, 210.83, 207.95, 204.98, 203.51, 204.53, 202.03, 202.60, 198.02, 197.84, 196.66, 194.30, 192.24,
+      193.60, 195.91, 198.79, 201.46, 201.37, 203.29, 203.49, 209.04, 207.55, 210.70, 208.76, 209.51, 208.57, 213.95, 213.57, 210.83, 213.61, 212.78, 213.17, 214.16, 215.63, 217.33, 215.06, 215.92,
+      214.29, 218.44, 218.66, 220.41, 218.29, 217.90, 220.27, 218.23, 215.33, 217.84, 218.39, 220.72, 219.95, 217.91, 221.42, 222.34, 224.21, 225.61, 222.63, 223.39, 223.56, 223.79, 224.74, 224.97,
+      228.21, 228.43, 227.29, 229.09, 228.92, 231.93, 231.49, 231.16, 231.85, 230.95, 228.43, 227.13, 225.91, 224.59, 226.26, 225.92, 225.43, 227.54, 227.93, 230.11, 230.15, 231.29, 234.22, 234.07,
+      234.08, 233.76, 234.08, 233.12, 231.97, 228.82, 228.65, 230.75, 231.54, 231.13, 226.44, 229.72, 231.61, 228.99, 227.46, 227.45, 227.07, 223.98, 225.34, 228.30, 227.14, 223.66, 224.28, 224.69,
+      226.74, 228.90, 224.37, 225.24, 225.17, 222.99, 224.56, 222.39, 218.08, 216.88, 215.59, 212.33, 211.98, 211.86, 210.63, 212.79, 214.99, 213.79, 217.82, 217.87, 214.53, 215.49, 215.50, 217.39,
+      216.95, 216.41, 213.42, 214.34, 215.25, 212.54, 212.61, 212.37, 211.51, 210.78, 208.62, 210.42, 211.54, 210.68, 208.53, 206.39, 209.60, 209.20, 211.19, 212.28, 213.49, 210.75, 209.12, 212.24,
+      211.20, 212.82, 218.25, 219.74, 220.72, 215.61, 215.97, 216.29, 214.01, 215.23, 216.03, 216.15, 220.32, 220.59, 219.00, 222.05, 224.09, 223.84, 226.15, 223.31, 225.08, 226.49, 227.10, 225.40,
+      225.47, 227.23, 224.08, 224.38, 226.71, 227.86, 228.63, 228.65, 231.58, 226.60, 229.67, 228.14, 229.13, 227.45, 231.11, 228.63, 230.56, 232.68, 233.92, 234.26, 236.37, 236.67, 234.91, 233.70,
+      232.53, 231.98, 234.74, 235.60, 234.99, 236.96, 234.77, 235.55, 239.43, 232.84, 236.79, 237.57, 239.32, 241.09, 241.11, 240.45, 239.66, 239.42, 239.20, 237.18, 238.78, 237.79, 234.64, 235.12,
+      239.22, 243.36, 246.15, 246.69, 246.81, 245.16, 245.04, 245.27, 248.98, 247.18, 248.69, 251.64, 258.40, 260.18, 255.39, 256.45, 254.39, 255.63, 255.67, 256.49, 256.62, 260.40, 257.49, 262.04,
+      261.14, 260.37, 257.01, 259.86, 261.34, 263.01, 262.46, 261.59, 260.21, 258.18, 256.80, 258.50, 257.37, 258.55, 257.37, 254.69, 255.04, 252.98, 255.58, 253.95, 251.30, 247.57, 247.32, 247.50,
+      250.14, 252.03, 250.56, 250.13, 249.96, 249.72, 245.54, 247.42, 250.75, 247.83, 250.86, 249.80
+    ]
+  },
+  {
+    meta: { fund_house: 'Axis Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Equity Scheme - Mid Cap Fund', scheme_code: 900104, scheme_name: 'Axis Midcap Fund - Direct Plan - Growth' },
+    start: '2021-06-01',
+    navs: [
+      105.71, 104.79, 104.88, 106.01, 105.72, 106.47, 107.84, 108.50, 109.25, 107.78, 107.84, 108.31, 110.10, 106.91, 106.23, 105.35, 106.49, 108.18, 109.01, 108.55, 109.99, 111.19, 111.18, 111.87,
+      114.13, 116.42, 117.10, 118.60, 119.92, 119.90, 121.13, 120.57, 122.23, 124.48, 123.25, 124.68, 123.12, 122.41, 121.78, 124.37, 125.87, 126.23, 125.80, 126.57, 125.64, 126.92, 126.16, 124.94,
+      125.10, 123.85, 124.74, 122.30, 121.83, 119.81, 120.35, 119.70, 117.85, 116.69, 117.02, 116.97, 114.28, 115.26, 116.57, 115.64, 116.83, 117.57, 117.27, 116.51, 115.05, 114.69, 114.68, 113.57,
+      113.41, 113.33, 113.28, 111.89, 112.78, 111.40, 112.92, 112.44, 111.49, 111.95, 111.83, 112.13, 112.55, 113.92, 114.96, 116.53, 118.66, 118.61, 118.69, 118.11, 118.64, 119.23, 120.42, 118.47,
+      116.34, 114.47, 114.73, 114.59, 115.34, 115.01, 115.04, 113.74, 115.92, 117.25, 116.40, 117.36, 117.07, 118.15, 119.96, 118.21, 116.90, 115.23, 115.91, 117.08, 117.65, 118.23, 118.52, 115.45,
+      116.15, 116.00, 117.80, 116.56, 116.81, 117.90, 119.20, 119.91, 119.40, 118.63, 117.86, 117.95, 117.00, 117.06, 117.63, 116.69, 115.41, 117.07, 115.67, 117.31, 119.41, 120.56, 119.29, 121.13,
+      120.86, 120.45, 117.72, 118.92, 118.65, 117.81, 116.47, 114.57, 113.30, 113.30, 112.75, 114.02, 113.73, 112.64, 112.95, 113.05, 112.66, 115.54, 114.61, 114.96, 114.17, 112.69, 113.56, 113.01,
+      112.76, 109.65, 110.09, 109.87, 110.70, 109.23, 109.72, 110.57, 110.82, 111.94, 112.27, 112.18, 111.79, 109.57, 111.24, 111.76, 111.86, 112.02, 114.07, 113.43, 112.92, 113.58, 113.20, 112.52,
+      113.56, 113.48, 112.50, 112.42, 111.32, 110.22, 107.51, 108.32, 109.31, 107.02, 106.22, 106.04, 105.80, 107.66, 106.67, 105.87, 105.41, 104.81, 105.13, 103.14, 103.14, 103.51, 103.23, 104.65,
+      104.24, 104.61, 105.55, 105.45, 104.76, 102.88, 102.91, 102.27, 101.04, 102.35, 99.34, 99.52, 100.60, 99.18, 98.95, 99.58, 99.15, 100.05, 101.98, 102.74, 103.50, 104.44, 103.93, 102.98,
+      102.04, 99.62, 97.69, 98.64, 99.76, 101.37, 101.95, 102.06, 103.83, 102.56, 102.01, 102.51, 103.48, 104.20, 104.55, 104.63, 104.47, 103.84, 105.13, 105.05, 106.58, 106.12, 105.92, 105.92,
+      103.17, 103.72, 105.55, 103.41, 104.37, 102.44, 102.85, 104.17, 104.44, 103.10, 102.67, 101.30, 102.47, 103.31, 101.55, 101.19, 100.28, 101.00, 100.70, 101.71, 101.56, 102.14, 102.83, 102.48,
+      102.00, 100.90, 104.42, 103.46, 102.22, 103.26, 101.51, 102.13, 101.86, 102.21, 101.26, 101.70, 101.49, 102.13, 103.52, 103.48, 105.19, 104.62, 102.90, 103.94, 103.13, 101.29, 101.85, 103.85,
+      104.17, 104.20, 103.34, 102.10, 103.85, 105.34, 104.84, 103.54, 105.17, 104.92, 104.74, 103.54, 103.08, 103.51, 100.51, 100.89, 100.81, 99.36, 100.23, 99.32, 99.06, 100.29, 100.06, 100.72,
+      96.82, 96.01, 95.80, 94.97, 93.11, 92.79, 94.06, 94.76, 93.62, 94.19, 94.54, 94.57, 94.31, 94.58, 93.83, 94.62, 95.69, 96.83, 96.03, 94.22, 92.76, 93.98, 93.37, 94.29,
+      93.49, 93.63, 92.06, 91.54, 91.30, 89.78, 89.36, 91.03, 90.33, 90.84, 89.83, 89.47, 90.14, 89.24, 89.75, 90.94, 92.03, 91.96, 93.63, 93.37, 93.16, 93.70, 91.65, 89.28,
+      89.17, 89.15, 89.28, 89.89, 91.60, 90.75, 90.39, 90.48, 91.02, 90.25, 89.53, 89.59, 89.72, 89.56, 89.58, 87.86, 87.77, 89.10, 90.00, 88.85, 87.00, 87.12, 85.80, 86.32,
+      86.15, 85.90, 85.97, 85.28, 83.90, 83.91, 83.82, 84.02, 84.89, 83.27, 83.06, 82.06, 82.32, 81.88, 81.92, 82.29, 81.55, 80.89, 79.94, 78.95, 79.30, 76.61, 76.43, 77.88,
+      78.71, 77.48, 77.58, 78.16, 79.94, 77.95, 77.42, 77.85, 77.22, 76.17, 76.64, 76.63, 77.18, 76.94, 75.96, 76.49, 77.78, 78.74, 79.23, 78.67, 78.34, 76.94, 77.53, 77.70,
+      76.25, 75.73, 76.03, 75.89, 77.24, 76.18, 75.59, 77.54, 77.97, 77.74, 77.19, 77.55, 76.81, 77.28, 76.49, 75.90, 77.03, 77.02, 77.18, 76.72, 77.23, 78.11, 78.37, 77.91,
+      77.71, 77.42, 77.92, 80.23, 78.65, 78.63, 79.40, 79.25, 80.68, 80.15, 80.41, 81.75, 79.97, 80.44, 79.81, 78.94, 76.31, 76.95, 77.34, 78.99, 79.14, 78.86, 78.09, 78.81,
+      80.57, 80.33, 82.24, 81.19, 81.35, 82.00, 81.22, 81.60, 80.72, 80.20, 80.03, 80.61, 79.27, 80.11, 79.76, 80.02, 80.07, 80.63, 80.68, 81.19, 79.90, 79.24, 81.00, 81.91,
+      82.13, 82.46, 83.60, 83.96, 83.78, 84.53, 84.76, 84.59, 84.88, 86.70, 86.50, 87.92, 86.23, 87.59, 87.12, 87.89, 88.14, 90.94, 91.79, 93.24, 93.41, 94.49, 96.00, 95.66,
+      96.49, 95.36, 96.67, 97.73, 96.36, 97.03, 96.84, 96.64, 97.71, 97.45, 98.73, 101.55, 101.29, 101.31, 99.95, 98.13, 97.60, 97.76, 97.67, 96.04, 96.96, 96.64, 97.56, 96.56,
+      96.81, 95.10, 94.90, 96.66, 94.87, 95.92, 94.67, 94.20, 93.18, 92.23, 90.25, 91.60, 93.24, 94.81, 94.20, 93.77, 91.79, 92.13, 90.27, 91.91, 92.92, 93.05, 91.84, 92.69,
+      94.32, 93.48, 92.36, 91.99, 93.00, 93.31, 93.52, 93.60, 94.33, 91.69, 91.09, 92.05, 90.97, 92.91, 94.03, 94.15, 94.34, 95.73, 96.63, 95.55, 96.22, 95.30, 95.72, 94.09,
+      93.80, 93.87, 93.18, 92.99, 93.25, 92.77, 94.35, 94.60, 94.87, 93.78, 94.01, 93.24, 91.94, 91.19, 88.81, 88.39, 88.17, 88.73, 89.89, 89.87, 89.48, 89.53, 89.75, 89.62,
+      90.59, 90.52, 89.87, 91.23, 90.85, 89.35, 89.64, 90.60, 89.39, 88.29, 88.53, 86.94, 85.37, 85.84, 85.50, 89.10, 89.00, 89.62, 92.04, 92.03, 92.51, 93.86, 94.66, 93.27,
+      91.67, 90.40, 90.62, 90.02, 89.50, 88.67, 87.76, 87.94, 89.23, 89.26, 87.94, 88.68, 88.22, 86.85, 86.46, 85.20, 85.28, 86.01, 85.67, 84.33, 84.89, 84.85, 85.58, 87.41,
+      89.65, 90.26, 91.47, 91.26, 91.87, 92.67, 92.43, 91.80, 94.54, 94.94, 92.01, 90.22, 92.35, 93.74, 93.70, 93.19, 92.27, 92.87, 94.62, 97.03, 97.00, 97.86, 96.21, 96.30,
+      96.92, 97.39, 98.69, 97.67, 98.95, 97.84, 97.71, 98.05, 98.85, 100.74, 99.51, 100.22, 102.09, 103.70, 104.94, 103.94, 104.23, 105.48, 106.44, 106.53, 109.24, 109.26, 107.00, 108.34,
+      107.89, 107.73, 108.01, 110.88, 110.85, 110.60, 111.99, 113.50, 113.28, 113.61, 112.06, 113.14, 113.87, 113.18, 114.28, 112.51, 110.43, 109.75, 110.37, 110.69, 111.48, 112.08, 111.64, 109.07,
+      110.96, 112.25, 109.37, 110.04, 111.08, 111.53, 109.56, 111.25, 111.15, 109.89, 110.92, 112.37, 113.93, 114.66, 115.48, 114.72, 115.33, 114.59, 115.63, 113.37, 113.52, 113.77, 113.79, 114.02,
+      113.43, 113.05, 113.57, 111.75, 111.63, 110.77, 112.97, 113.56, 114.35, 116.53, 116.39, 116.26, 117.21, 116.91, 116.32, 117.77, 118.57, 120.24, 118.87, 120.60, 120.85, 124.30, 125.50, 125.48,
+      126.20, 126.17, 125.82, 124.00, 125.64, 124.93, 123.95, 123.02, 121.91, 121.21, 121.55, 121.52, 119.79, 118.25, 118.16, 121.65, 122.91, 123.96, 122.00, 121.48, 122.65, 120.58, 121.54, 119.68,
+      121.09, 117.61, 116.74, 116.38, 117.83, 119.27, 122.19, 122.73, 124.73, 123.60, 122.69, 122.82, 122.65, 124.48, 124.98, 123.71, 124.53, 121.47, 120.75, 121.41, 121.27, 123.34, 123.68, 124.69,
+      121.00, 121.99, 120.21, 119.00, 120.40, 120.69, 120.63, 118.45, 120.96, 120.12, 121.56, 120.77, 121.44, 124.80, 126.32, 121.22, 120.30, 121.68, 122.42, 125.39, 123.65, 123.64, 123.27, 122.56,
+      123.65, 122.03, 122.86, 121.31, 121.00, 118.91, 120.74, 119.94, 119.12, 120.09, 122.64, 122.25, 123.69, 121.46, 124.60, 126.72, 125.06, 125.34, 125.23, 126.07, 123.95, 125.94, 124.79, 124.71,
+      125.72, 125.49, 124.71, 123.05, 122.54, 123.30, 127.23, 124.37, 121.75, 122.22, 123.27, 123.98, 122.27, 121.01, 122.02, 123.55, 122.80, 124.59, 123.09, 124.37, 124.58, 129.43, 128.99, 129.29,
+      130.09, 130.75, 130.21, 133.11, 134.42, 135.74, 137.55, 136.60, 136.96, 137.21, 136.86, 136.02, 137.21, 136.37, 137.34, 136.36, 135.66, 135.28, 133.77, 134.39, 133.10, 133.49, 135.20, 135.05,
+      136.38, 137.06, 137.82, 139.00, 137.48, 137.02, 136.55, 133.65, 135.02, 134.69, 133.77, 134.60, 135.97, 136.43, 135.24, 135.41, 135.82, 137.41, 136.18, 137.79, 138.12, 137.07, 139.47, 138.33,
+      138.95, 138.87, 139.14, 138.73, 138.47, 139.54, 138.05, 140.71, 144.04, 143.88, 143.72, 142.50, 142.98, 143.41, 144.88, 144.12, 143.90, 147.01, 148.19, 148.35, 147.75, 148.90, 147.30, 145.67,
+      145.96, 145.66, 146.71, 145.06, 146.05, 146.52, 149.54, 148.69, 149.41, 150.09, 151.77, 154.75, 154.84, 154.92, 156.34, 156.93, 158.07, 155.90, 156.19, 154.65, 152.36, 153.47, 152.48, 152.42,
+      152.03, 151.71, 150.87, 149.87, 151.32, 150.65, 149.41, 148.92, 147.63, 145.39, 144.62, 145.43, 145.80, 148.23, 149.05, 151.13, 152.63, 157.27, 157.53, 158.28, 159.59, 159.09, 159.35, 157.45,
+      156.13, 157.02, 153.85, 153.28, 153.22, 153.80, 155.83, 154.45, 154.12, 154.11, 152.94, 149.40, 148.84, 151.77, 152.92, 151.95, 151.28, 153.23, 150.54, 150.51, 149.34, 147.65, 145.94, 145.48,
+      148.21, 149.79, 147.95, 146.14, 144.46, 143.01, 144.59, 145.55, 143.34, 142.14, 141.95, 141.80, 140.40, 139.02, 139.48, 138.96, 138.67, 138.19, 142.19, 142.21, 143.09, 145.15, 146.01, 147.41,
+      145.89, 144.68, 142.48, 140.78, 137.91, 139.95, 141.75, 144.18, 145.31, 145.68, 148.28, 148.16, 146.97, 146.22, 144.13, 141.91, 143.26, 142.49, 143.88, 141.09, 141.19, 142.51, 140.19, 138.47,
+      139.34, 140.79, 141.64, 145.15, 144.76, 144.65, 144.76, 149.23, 148.47, 152.63, 152.42, 154.06, 152.39, 156.60, 155.71, 154.84, 156.48, 154.98, 155.88, 155.53, 157.07, 159.31, 157.96, 158.38,
+      157.63, 161.32, 162.01, 163.60, 162.59, 163.05, 164.82, 163.43, 162.27, 165.67, 166.78, 170.10, 167.86, 166.18, 168.53, 170.86, 174.60, 175.40, 173.83, 174.51, 174.61, 174.28, 174.40, 174.44,
+      176.93, 178.70, 179.61, 179.01, 176.86, 179.18, 180.91, 179.49, 180.38, 180.32, 178.76, 181.15, 178.90, 176.32, 176.82, 177.56, 178.20, 181.87, 182.13, 185.31, 185.11, 185.61, 188.63, 187.78,
+      188.08, 188.07, 185.60, 184.56, 185.83, 184.06, 185.57, 189.20, 188.24, 188.65, 185.09, 188.27, 189.92, 187.33, 186.12, 185.99, 186.38, 184.56, 186.02, 188.60, 185.61, 181.68, 183.13, 181.90,
+      183.66, 185.63, 184.44, 184.72, 185.40, 184.15, 186.49, 185.17, 181.73, 180.36, 178.97, 176.51, 174.75, 174.10, 171.53, 174.86, 174.98, 172.77, 178.93, 179.41, 176.80, 177.61, 178.94, 181.58,
+      183.47, 181.86, 180.09, 179.56, 179.74, 176.97, 178.00, 175.55, 174.23, 173.91, 171.87, 172.26, 170.09, 169.09, 169.08, 167.17, 168.07, 167.27, 171.14, 172.59, 174.57, 171.50, 170.51, 171.54,
+      171.61, 174.29, 177.33, 178.53, 177.80, 170.78, 172.45, 171.03, 167.69, 168.42, 168.83, 170.32, 175.03, 174.88, 174.05, 175.37, 175.76, 173.97, 175.64, 173.90, 177.45, 176.78, 179.31, 175.93,
+      176.80, 178.14, 173.69, 174.21, 176.12, 178.21, 178.99, 180.63, 183.28, 178.32, 180.73, 179.78, 180.73, 180.44, 185.27, 181.53, 184.35, 184.40, 184.34, 183.74, 184.24, 183.23, 184.02, 182.98,
+      182.21, 182.60, 183.46, 184.86, 182.87, 186.20, 184.88, 186.13, 190.78, 185.74, 188.33, 186.29, 187.76, 187.72, 189.22, 189.19, 187.17, 187.31, 186.68, 185.47, 186.09, 183.42, 179.55, 178.82,
+      179.51, 184.78, 187.98, 190.10, 191.31, 193.11, 193.62, 192.50, 195.86, 194.96, 194.54, 197.14, 202.57, 202.76, 200.04, 199.91, 197.04, 197.89, 196.08, 196.81, 196.49, 198.96, 197.82, 198.97,
+      199.47, 197.53, 195.38, 197.26, 196.70, 197.81, 198.18, 199.57, 199.88, 195.40, 192.79, 193.95, 193.58, 194.86, 195.95, 195.42, 195.24, 194.50, 195.02, 190.38, 190.18, 186.40, 183.52, 184.36,
+      188.44, 189.96, 188.71, 190.27, 190.17, 190.90, 187.78, 186.29, 187.74, 185.50, 190.13, 191.40
+    ]
+  },
+  {
+    meta: { fund_house: 'SBI Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Equity Scheme - Small Cap Fund', scheme_code: 900105, scheme_name: 'SBI Small Cap Fund - Direct Plan - Growth' },
+    start: '2021-06-01',
+    navs: [
+      152.74, 146.91, 150.22, 149.40, 147.98, 147.66, 148.92, 150.13, 150.23, 147.40, 145.90, 146.08, 147.40, 146.18, 145.85, 146.68, 148.46, 150.08, 149.22, 145.94, 148.02, 147.72, 149.55, 152.21,
+      151.33, 151.27, 148.76, 152.19, 150.99, 152.85, 155.43, 157.79, 160.25, 164.26, 166.00, 169.90, 166.43, 165.61, 165.67, 166.97, 170.92, 171.56, 170.19, 172.04, 170.44, 172.38, 170.19, 167.83,
+      165.60, 165.09, 168.71, 163.62, 161.98, 158.27, 158.13, 158.74, 157.03, 154.61, 156.27, 157.64, 154.36, 157.54, 156.00, 154.53, 157.57, 161.57, 159.52, 161.78, 160.01, 156.99, 157.60, 155.74,
+      154.38, 155.82, 155.56, 153.52, 155.82, 153.92, 158.34, 158.69, 160.86, 160.29, 158.50, 159.24, 158.39, 159.49, 159.24, 160.42, 163.71, 163.47, 164.02, 160.43, 158.64, 158.40, 160.12, 159.07,
+      155.52, 155.70, 156.71, 157.32, 155.41, 153.59, 152.40, 151.61, 153.85, 154.48, 152.29, 154.23, 151.75, 155.87, 156.43, 152.22, 150.51, 148.96, 149.23, 152.35, 151.33, 149.27, 148.51, 144.17,
+      144.93, 143.41, 144.35, 143.65, 142.52, 145.42, 147.28, 146.83, 144.72, 144.01, 144.42, 143.42, 145.45, 144.68, 145.96, 143.88, 143.06, 144.58, 142.47, 145.17, 147.33, 149.20, 149.82, 150.43,
+      151.09, 150.25, 145.88, 146.84, 145.11, 140.89, 140.44, 137.78, 137.52, 136.67, 138.24, 138.62, 140.02, 137.76, 140.88, 142.18, 144.03, 145.24, 142.53, 145.38, 146.12, 146.33, 145.98, 145.60,
+      146.25, 142.17, 142.51, 140.05, 141.63, 137.31, 136.53, 138.81, 138.65, 139.99, 139.91, 139.41, 140.94, 139.60, 141.13, 141.24, 143.29, 143.58, 145.76, 146.21, 145.84, 148.73, 151.37, 151.15,
+      154.23, 155.44, 155.23, 157.01, 156.45, 153.26, 151.26, 151.51, 154.27, 153.64, 151.84, 152.90, 151.03, 151.95, 152.16, 150.24, 148.21, 146.24, 144.76, 142.33, 139.44, 143.17, 140.46, 142.71,
+      139.83, 137.70, 138.02, 138.21, 137.99, 138.39, 139.23, 138.65, 137.74, 139.07, 135.11, 135.03, 135.70, 135.29, 137.51, 139.55, 141.67, 142.33, 146.15, 147.26, 147.26, 146.73, 145.02, 146.47,
+      143.71, 140.30, 138.37, 140.18, 141.74, 142.53, 144.12, 145.67, 148.02, 148.95, 148.38, 148.60, 149.81, 149.75, 150.14, 149.39, 149.78, 148.54, 150.02, 151.79, 152.47, 151.79, 153.44, 152.94,
+      150.75, 151.96, 154.38, 153.27, 154.13, 150.53, 149.29, 150.73, 147.97, 145.27, 144.29, 143.24, 145.48, 146.38, 143.20, 140.25, 138.91, 139.52, 140.53, 142.31, 139.80, 143.19, 145.86, 145.21,
+      143.08, 142.11, 144.91, 145.06, 143.98, 146.71, 143.69, 143.50, 141.81, 142.39, 140.86, 142.32, 140.55, 140.09, 143.32, 141.79, 145.40, 144.08, 143.00, 142.13, 138.98, 137.39, 139.79, 143.90,
+      144.05, 141.89, 139.00, 139.38, 140.18, 139.69, 138.82, 139.04, 141.52, 140.92, 139.82, 138.34, 135.76, 136.20, 132.78, 134.71, 136.49, 138.30, 140.10, 141.38, 141.77, 142.64, 141.69, 142.99,
+      139.44, 135.87, 134.87, 140.04, 138.10, 137.53, 140.29, 141.94, 137.82, 138.47, 138.44, 140.08, 139.04, 138.51, 140.34, 141.52, 144.20, 143.96, 141.45, 137.71, 136.68, 138.32, 135.56, 137.08,
+      135.55, 137.23, 132.83, 133.66, 134.14, 133.14, 132.60, 136.07, 132.96, 133.18, 133.68, 133.29, 131.79, 131.78, 132.75, 136.29, 138.03, 141.13, 145.37, 146.90, 143.88, 146.35, 144.77, 141.52,
+      140.98, 142.16, 142.29, 141.91, 145.99, 146.90, 146.47, 148.85, 148.66, 147.37, 144.79, 143.55, 146.03, 145.65, 144.92, 143.20, 140.98, 141.93, 143.48, 141.02, 140.32, 140.44, 140.88, 142.28,
+      141.85, 137.88, 135.97, 136.62, 133.81, 134.59, 133.55, 132.11, 134.72, 132.02, 132.08, 130.82, 131.52, 134.75, 137.37, 135.01, 133.14, 132.83, 128.28, 125.94, 127.38, 126.27, 127.52, 129.32,
+      129.53, 128.53, 126.93, 126.11, 128.22, 125.70, 126.02, 127.61, 126.54, 126.84, 124.89, 124.09, 123.59, 125.47, 124.55, 122.48, 125.16, 126.86, 126.88, 126.47, 126.57, 125.47, 126.65, 127.86,
+      127.00, 126.43, 127.10, 129.31, 131.05, 129.34, 130.52, 133.64, 135.80, 136.84, 135.95, 138.20, 138.16, 138.92, 137.12, 135.32, 136.59, 135.12, 134.16, 134.44, 135.09, 135.30, 134.03, 132.32,
+      131.68, 129.95, 132.53, 134.54, 132.16, 132.36, 134.76, 131.54, 131.05, 128.50, 128.00, 128.08, 126.64, 125.12, 124.81, 123.75, 119.86, 121.45, 122.62, 124.35, 124.30, 125.83, 124.70, 123.91,
+      124.44, 124.85, 130.35, 131.02, 130.09, 130.43, 128.59, 130.41, 130.83, 128.72, 131.29, 132.19, 130.00, 132.42, 131.59, 133.41, 132.35, 134.26, 134.06, 136.70, 135.73, 136.70, 140.88, 144.22,
+      146.57, 148.02, 147.80, 146.06, 146.74, 147.15, 148.88, 152.68, 153.87, 157.89, 159.05, 162.26, 159.86, 163.17, 163.12, 164.76, 164.50, 167.45, 166.87, 166.59, 167.35, 168.69, 171.26, 167.77,
+      169.19, 170.86, 175.35, 180.51, 181.07, 180.67, 180.36, 176.86, 175.53, 172.56, 171.78, 174.04, 175.31, 176.68, 174.99, 175.44, 173.36, 174.66, 176.74, 176.70, 176.89, 175.30, 177.38, 174.54,
+      175.68, 171.66, 168.23, 167.46, 169.95, 171.87, 170.13, 168.03, 171.44, 170.05, 165.14, 167.35, 169.95, 173.15, 172.75, 169.96, 167.47, 168.46, 166.86, 168.20, 171.35, 172.34, 169.31, 168.53,
+      172.88, 171.45, 169.37, 166.55, 166.38, 162.92, 162.70, 159.61, 160.41, 159.91, 159.98, 161.90, 159.45, 163.65, 166.42, 165.87, 165.94, 167.88, 168.59, 167.93, 171.00, 170.35, 170.58, 167.79,
+      164.85, 165.39, 164.72, 165.73, 166.81, 166.17, 167.35, 169.54, 170.69, 171.08, 170.86, 167.80, 163.90, 161.97, 161.21, 161.16, 163.71, 166.87, 168.42, 170.69, 171.26, 170.15, 167.56, 169.05,
+      168.56, 167.89, 168.59, 172.93, 174.44, 171.23, 174.34, 173.44, 173.25, 173.41, 174.61, 172.05, 169.39, 169.12, 170.61, 174.39, 170.36, 167.77, 167.88, 167.40, 169.64, 174.07, 170.97, 169.68,
+      168.03, 164.53, 166.57, 167.38, 169.60, 166.26, 165.64, 162.95, 164.85, 169.10, 166.91, 167.31, 166.78, 167.96, 167.33, 166.27, 165.05, 167.43, 166.36, 165.78, 167.67, 168.17, 171.44, 174.67,
+      181.22, 183.35, 183.01, 185.26, 188.92, 188.34, 188.91, 187.42, 189.08, 187.23, 182.26, 182.18, 187.29, 192.68, 191.69, 189.78, 183.78, 183.02, 186.40, 188.17, 188.05, 189.42, 190.26, 191.97,
+      191.47, 193.02, 195.15, 192.37, 190.79, 189.01, 184.71, 185.84, 187.89, 192.00, 189.31, 192.81, 195.61, 199.80, 203.28, 204.50, 203.31, 204.47, 205.23, 206.32, 208.62, 210.23, 208.92, 209.28,
+      207.56, 208.48, 206.52, 214.08, 210.87, 210.00, 208.49, 208.52, 211.32, 211.83, 212.08, 215.40, 212.83, 212.96, 214.55, 210.81, 204.90, 201.34, 199.18, 197.31, 201.69, 200.40, 198.26, 193.77,
+      198.05, 200.02, 194.35, 192.86, 193.54, 193.26, 192.19, 194.66, 194.68, 190.13, 193.00, 194.23, 200.91, 201.80, 203.21, 201.19, 202.21, 202.76, 206.97, 204.79, 208.51, 211.96, 211.91, 209.18,
+      209.79, 209.58, 211.68, 207.32, 211.42, 211.83, 214.56, 219.92, 221.92, 219.66, 217.25, 214.49, 218.52, 218.63, 216.84, 217.87, 216.03, 218.26, 215.33, 216.61, 216.48, 221.26, 224.00, 221.83,
+      223.67, 221.23, 223.55, 217.52, 220.62, 222.11, 221.46, 222.36, 216.59, 214.41, 213.36, 213.85, 210.71, 207.24, 205.88, 212.53, 217.35, 218.49, 219.37, 215.59, 216.49, 213.01, 212.43, 210.76,
+      212.01, 208.30, 207.70, 205.54, 205.48, 210.35, 217.14, 220.54, 226.37, 219.99, 220.17, 218.75, 224.07, 228.60, 234.27, 234.20, 233.21, 225.86, 222.93, 221.45, 221.04, 226.42, 226.42, 227.28,
+      223.91, 224.04, 225.48, 226.22, 230.70, 232.17, 234.46, 234.51, 229.60, 230.87, 231.36, 229.89, 226.75, 232.00, 233.36, 226.31, 221.45, 226.12, 226.01, 232.87, 233.70, 230.76, 228.91, 226.27,
+      229.75, 229.60, 228.05, 222.91, 223.17, 218.68, 220.25, 219.02, 222.18, 224.17, 223.96, 224.58, 226.39, 221.43, 223.83, 229.62, 228.11, 229.36, 227.22, 231.65, 232.08, 232.12, 227.76, 231.42,
+      233.27, 235.27, 232.49, 234.51, 236.43, 233.90, 240.25, 237.52, 233.12, 237.05, 236.95, 239.34, 239.49, 240.49, 238.52, 244.82, 244.31, 245.37, 241.98, 241.61, 242.33, 248.83, 247.27, 246.08,
+      251.44, 252.32, 248.19, 249.08, 250.05, 246.97, 248.55, 243.10, 245.38, 247.08, 250.10, 247.22, 248.08, 246.64, 246.70, 244.48, 241.14, 243.66, 238.92, 238.12, 236.94, 239.82, 242.31, 240.21,
+      240.89, 239.63, 240.59, 243.41, 242.67, 240.38, 235.93, 229.74, 228.56, 228.66, 229.95, 232.74, 237.55, 239.86, 239.36, 245.11, 244.34, 247.64, 246.94, 252.67, 251.71, 253.75, 252.21, 251.26,
+      251.10, 254.58, 256.26, 255.70, 253.85, 256.12, 256.37, 260.72, 264.18, 260.67, 259.94, 258.87, 258.88, 259.02, 261.26, 258.30, 259.89, 260.12, 256.92, 256.03, 257.88, 259.42, 256.92, 256.50,
+      260.35, 258.34, 263.79, 262.55, 266.28, 270.57, 276.56, 273.38, 276.26, 279.37, 280.00, 287.35, 284.85, 287.57, 293.63, 294.25, 295.35, 297.61, 299.95, 299.35, 298.81, 300.52, 299.14, 299.31,
+      295.69, 287.28, 285.61, 282.80, 287.13, 281.05, 276.28, 271.54, 271.00, 275.45, 273.95, 276.54, 276.59, 282.06, 283.95, 286.63, 289.62, 295.42, 294.78, 294.99, 298.17, 295.43, 297.70, 289.18,
+      286.51, 290.54, 289.16, 291.64, 286.48, 282.78, 284.61, 282.42, 283.32, 278.78, 276.58, 270.86, 276.36, 287.50, 287.45, 287.00, 287.32, 286.99, 281.47, 279.90, 278.75, 278.51, 277.19, 276.77,
+      283.89, 286.26, 277.57, 270.11, 266.85, 260.68, 262.53, 263.70, 260.37, 261.56, 259.47, 258.57, 255.60, 252.85, 249.58, 249.89, 250.51, 247.09, 253.13, 254.60, 257.11, 259.47, 262.61, 263.47,
+      256.93, 258.19, 254.17, 249.33, 246.35, 248.57, 251.91, 254.26, 256.10, 258.73, 263.63, 259.15, 257.05, 254.22, 251.77, 252.05, 250.85, 251.42, 246.11, 243.53, 244.39, 241.15, 238.79, 236.01,
+      238.81, 239.08, 242.27, 248.35, 246.44, 249.34, 246.22, 248.13, 244.92, 245.51, 244.25, 242.34, 246.18, 254.04, 255.31, 251.19, 258.76, 259.69, 260.12, 257.90, 262.35, 264.57, 259.54, 262.96,
+      264.53, 270.16, 275.63, 272.18, 269.70, 267.28, 266.27, 262.86, 258.42, 256.85, 261.94, 262.76, 263.40, 264.69, 268.66, 269.23, 269.71, 269.66, 265.80, 263.68, 264.23, 267.49, 270.03, 271.37,
+      273.54, 270.70, 269.03, 267.09, 268.06, 271.19, 268.35, 270.71, 270.33, 272.17, 274.79, 275.17, 273.19, 272.68, 276.07, 278.13, 279.55, 283.23, 277.25, 276.67, 275.88, 278.35, 283.67, 284.56,
+      285.40, 289.27, 286.81, 281.94, 281.20, 276.73, 276.26, 282.41, 283.25, 286.75, 277.43, 277.54, 276.29, 274.60, 272.97, 271.49, 270.62, 264.03, 259.17, 265.14, 260.45, 255.36, 254.20, 255.47,
+      261.91, 267.18, 263.02, 266.18, 267.13, 267.04, 269.19, 266.38, 258.86, 256.90, 256.38, 252.55, 253.84, 256.39, 252.39, 254.05, 259.77, 256.66, 262.60, 261.78, 257.46, 263.69, 264.12, 262.18,
+      262.66, 263.15, 263.04, 266.03, 269.20, 264.69, 262.82, 260.32, 257.57, 254.84, 250.87, 250.01, 251.62, 247.51, 245.56, 242.29, 242.63, 237.51, 242.87, 245.67, 244.76, 240.22, 237.26, 239.28,
+      239.94, 244.26, 245.02, 249.63, 248.49, 240.83, 241.08, 241.52, 243.70, 242.64, 242.75, 246.16, 249.92, 249.64, 246.65, 249.84, 254.03, 254.70, 257.25, 257.11, 261.29, 263.66, 266.09, 260.99,
+      262.98, 268.50, 263.96, 259.64, 261.64, 265.27, 264.55, 265.39, 268.59, 264.52, 268.46, 264.98, 263.87, 259.60, 257.94, 251.44, 255.47, 258.05, 259.02, 256.06, 260.87, 260.40, 251.92, 253.82,
+      254.63, 256.49, 260.74, 261.18, 263.57, 268.13, 263.74, 266.98, 269.03, 264.50, 268.74, 270.66, 268.91, 269.57, 267.19, 266.82, 263.63, 262.82, 266.93, 263.43, 273.26, 272.81, 272.57, 267.13,
+      273.28, 280.01, 281.09, 282.62, 284.42, 284.51, 289.16, 289.43, 288.39, 284.69, 284.00, 289.06, 299.10, 301.09, 300.48, 301.28, 295.76, 302.25, 305.28, 307.02, 306.48, 307.83, 305.62, 310.55,
+      311.69, 307.44, 307.88, 313.69, 317.73, 321.74, 323.02, 326.03, 324.74, 322.05, 318.65, 313.64, 312.14, 319.24, 310.29, 309.21, 308.69, 306.96, 307.75, 313.72, 314.96, 311.46, 312.07, 309.10,
+      314.31, 316.18, 312.63, 310.99, 304.76, 296.26, 294.79, 295.21, 299.79, 294.71, 303.18, 304.00
+    ]
+  },
+  {
+    meta: { fund_house: 'Nippon India Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Equity Scheme - Small Cap Fund', scheme_code: 900106, scheme_name: 'Nippon India Small Cap Fund - Direct Plan - Growth Plan' },
+    start: '2021-06-01',
+    navs: [
+      45.62, 45.20, 45.47, 45.78, 44.25, 44.11, 45.31, 45.99, 46.56, 46.23, 45.61, 46.47, 46.94, 45.81, 46.00, 45.43, 45.19, 45.85, 46.36, 45.06, 46.17, 46.07, 46.12, 46.34,
+      47.02, 47.91, 47.71, 47.91, 48.38, 47.90, 48.89, 48.55, 49.66, 50.35, 49.60, 50.68, 50.20, 50.12, 50.02, 51.37, 52.85, 51.43, 50.81, 50.93, 50.53, 51.77, 52.30, 51.88,
+      52.18, 51.96, 52.44, 50.79, 50.02, 49.16, 49.10, 48.71, 47.44, 46.95, 46.13, 46.45, 45.23, 46.08, 47.15, 46.99, 47.41, 48.59, 47.85, 47.63, 48.25, 47.68, 47.90, 47.54,
+      48.23, 48.37, 48.71, 49.33, 49.41, 49.42, 50.34, 50.54, 50.55, 50.64, 50.81, 50.34, 49.23, 49.29, 50.00, 50.17, 50.95, 50.82, 50.87, 51.45, 50.88, 50.49, 51.01, 50.88,
+      50.61, 50.47, 49.88, 49.61, 49.63, 49.06, 47.73, 46.74, 47.51, 47.77, 46.76, 47.27, 47.63, 48.72, 49.43, 48.03, 47.58, 49.10, 48.83, 49.09, 49.03, 48.44, 48.50, 46.99,
+      47.97, 47.66, 49.15, 48.52, 48.49, 49.13, 50.76, 51.00, 50.93, 51.32, 51.93, 51.68, 51.02, 50.62, 51.51, 51.63, 51.45, 53.02, 52.61, 53.67, 54.97, 55.04, 54.33, 55.46,
+      55.75, 55.60, 55.37, 56.12, 55.88, 55.61, 55.24, 53.55, 53.93, 53.88, 54.13, 53.78, 54.01, 53.50, 53.77, 55.11, 54.63, 56.34, 55.93, 55.34, 54.48, 53.74, 53.83, 52.97,
+      53.15, 51.49, 51.84, 52.41, 52.40, 51.36, 50.64, 51.64, 51.46, 50.79, 50.95, 50.89, 50.24, 49.34, 50.36, 50.39, 50.21, 50.81, 52.04, 51.90, 51.79, 52.99, 53.17, 53.32,
+      53.51, 53.61, 52.62, 53.16, 52.93, 52.41, 51.27, 51.30, 51.19, 51.68, 50.20, 50.09, 49.19, 48.58, 48.33, 47.23, 46.41, 45.84, 45.18, 45.26, 44.82, 45.10, 44.36, 45.07,
+      44.51, 43.61, 43.13, 43.78, 44.11, 43.58, 43.89, 42.91, 42.06, 43.04, 41.81, 42.51, 42.85, 42.97, 43.49, 43.95, 43.88, 44.15, 44.81, 45.16, 45.26, 45.02, 44.64, 45.05,
+      44.65, 44.40, 43.47, 43.56, 43.27, 43.25, 43.64, 45.08, 45.36, 44.53, 44.66, 44.58, 45.66, 46.30, 46.61, 46.39, 46.08, 45.82, 46.17, 46.48, 46.56, 46.21, 45.89, 46.03,
+      45.39, 46.33, 47.40, 46.10, 46.19, 45.21, 44.67, 44.78, 44.02, 43.55, 43.34, 42.94, 42.43, 42.87, 42.47, 42.06, 41.61, 41.92, 42.54, 42.60, 42.34, 42.48, 43.93, 43.28,
+      42.69, 42.31, 42.76, 43.19, 42.32, 42.70, 41.78, 42.21, 41.57, 41.75, 41.78, 42.00, 41.45, 41.23, 42.41, 42.32, 43.65, 43.89, 43.64, 44.25, 43.77, 43.40, 43.60, 44.59,
+      44.67, 44.84, 45.11, 45.53, 45.62, 45.80, 46.22, 45.20, 46.08, 46.37, 46.14, 46.34, 46.42, 47.18, 46.05, 46.07, 46.86, 46.50, 47.03, 46.58, 46.54, 46.64, 46.16, 46.14,
+      45.08, 44.90, 45.01, 44.89, 44.51, 43.87, 44.44, 45.60, 45.19, 46.13, 45.78, 45.25, 45.55, 46.20, 46.59, 46.17, 47.52, 47.46, 47.04, 45.74, 45.01, 44.45, 44.43, 43.88,
+      42.92, 43.24, 42.34, 42.76, 42.38, 41.94, 43.08, 43.52, 43.24, 43.28, 42.64, 42.14, 42.57, 42.43, 42.41, 42.98, 42.86, 43.29, 44.33, 43.84, 43.87, 44.20, 42.84, 41.98,
+      42.41, 42.05, 41.79, 42.37, 42.51, 42.49, 41.99, 42.07, 42.09, 41.25, 40.21, 40.33, 40.75, 40.92, 41.41, 41.83, 42.34, 42.70, 43.31, 42.55, 42.08, 42.31, 42.10, 42.46,
+      42.23, 41.90, 41.96, 41.50, 41.64, 41.76, 41.89, 41.97, 42.52, 41.75, 42.98, 42.21, 41.81, 42.35, 42.61, 42.71, 42.00, 42.19, 41.87, 41.18, 41.39, 40.45, 40.73, 41.17,
+      41.19, 40.71, 40.76, 40.99, 41.64, 40.91, 40.02, 40.81, 40.00, 39.62, 39.83, 40.15, 41.95, 41.54, 41.35, 41.26, 41.60, 41.83, 41.79, 41.69, 40.80, 40.19, 39.70, 39.98,
+      38.98, 38.68, 39.06, 39.37, 39.99, 39.61, 40.02, 40.66, 40.90, 41.51, 40.53, 40.63, 40.21, 39.87, 39.52, 39.20, 38.91, 39.03, 39.05, 39.61, 40.26, 40.64, 40.90, 39.91,
+      39.84, 38.72, 38.90, 40.83, 40.06, 39.96, 40.39, 39.15, 40.39, 40.36, 40.13, 40.91, 40.98, 40.50, 40.50, 40.11, 39.29, 39.71, 39.47, 40.57, 40.38, 40.21, 39.73, 39.43,
+      39.28, 39.71, 40.83, 40.16, 39.91, 40.12, 40.13, 40.27, 39.93, 39.69, 39.74, 39.70, 39.27, 39.83, 39.34, 39.74, 39.38, 39.48, 39.30, 39.86, 39.42, 39.31, 39.61, 40.01,
+      39.93, 39.90, 40.43, 41.39, 41.09, 41.64, 41.10, 41.16, 41.03, 41.30, 41.68, 41.70, 40.95, 42.23, 41.13, 41.69, 41.50, 42.68, 43.06, 43.73, 43.81, 45.04, 45.37, 44.39,
+      44.33, 44.46, 45.89, 47.01, 47.34, 46.97, 47.11, 46.89, 47.33, 47.02, 47.17, 47.55, 47.27, 47.10, 46.45, 45.96, 45.16, 46.46, 47.07, 46.24, 47.23, 45.98, 46.43, 45.91,
+      46.33, 45.64, 45.82, 46.59, 46.55, 46.77, 46.36, 45.68, 46.04, 45.31, 44.37, 44.84, 45.14, 45.74, 45.30, 45.63, 44.30, 44.92, 44.43, 44.71, 44.80, 45.27, 43.34, 42.87,
+      43.17, 42.72, 42.88, 42.32, 42.10, 41.51, 41.70, 41.57, 41.51, 40.31, 40.61, 40.96, 41.64, 41.99, 43.30, 43.65, 43.21, 44.40, 44.78, 44.34, 44.77, 44.33, 45.02, 44.30,
+      44.13, 43.73, 44.87, 45.11, 46.02, 45.59, 46.10, 45.34, 44.87, 44.62, 46.05, 44.91, 44.45, 44.22, 43.21, 43.49, 43.49, 44.73, 45.84, 46.05, 45.66, 45.88, 45.66, 46.14,
+      45.28, 44.93, 44.89, 45.83, 45.24, 44.91, 45.16, 46.72, 46.30, 46.15, 46.93, 46.09, 45.86, 45.79, 45.35, 46.85, 46.84, 47.08, 48.36, 47.90, 49.22, 49.12, 50.19, 49.89,
+      49.76, 48.75, 49.30, 49.42, 49.65, 49.14, 48.64, 48.56, 49.01, 49.36, 48.52, 49.02, 47.87, 47.11, 47.16, 46.70, 45.78, 46.20, 45.76, 45.75, 46.72, 46.46, 47.58, 48.51,
+      49.89, 49.88, 49.93, 50.21, 50.83, 51.05, 50.63, 49.08, 50.07, 49.75, 48.96, 47.79, 48.37, 48.86, 48.57, 48.30, 47.69, 48.14, 49.91, 50.81, 50.79, 51.22, 50.47, 51.02,
+      51.22, 51.77, 52.63, 52.13, 52.06, 50.53, 50.03, 50.01, 50.59, 51.80, 50.73, 50.37, 51.35, 52.54, 52.31, 52.09, 52.17, 51.97, 52.43, 52.63, 54.46, 53.90, 52.83, 54.47,
+      55.10, 54.94, 54.30, 54.54, 54.25, 54.14, 55.66, 56.22, 56.31, 56.25, 55.61, 55.77, 55.94, 55.25, 54.44, 53.41, 52.50, 52.10, 51.86, 51.91, 52.61, 52.54, 51.09, 50.17,
+      51.37, 51.55, 49.78, 49.74, 50.91, 50.79, 50.25, 50.68, 50.82, 50.20, 49.64, 49.14, 50.15, 51.22, 50.93, 50.99, 51.68, 51.49, 53.14, 50.71, 51.39, 50.93, 49.96, 50.16,
+      49.24, 49.20, 48.88, 48.78, 48.62, 48.44, 48.74, 49.55, 49.98, 50.12, 50.00, 49.87, 50.26, 50.08, 49.07, 49.39, 49.20, 50.25, 50.70, 50.89, 51.61, 53.01, 54.26, 53.63,
+      54.68, 54.09, 53.60, 53.07, 53.24, 53.08, 53.54, 53.28, 53.06, 53.01, 53.07, 52.85, 51.87, 51.89, 52.18, 53.40, 54.93, 55.99, 56.96, 57.88, 57.84, 56.16, 56.10, 55.56,
+      55.99, 54.64, 54.39, 54.63, 55.22, 54.87, 55.82, 55.34, 56.03, 54.63, 54.43, 53.92, 54.01, 54.46, 54.80, 53.87, 54.78, 53.06, 52.39, 52.11, 51.59, 52.61, 51.92, 52.52,
+      52.48, 52.86, 52.18, 51.39, 52.61, 51.98, 52.42, 52.38, 53.46, 53.01, 53.54, 53.07, 52.43, 53.84, 54.59, 52.85, 52.29, 52.40, 51.37, 52.21, 52.96, 52.09, 51.16, 51.44,
+      51.09, 50.03, 50.26, 49.86, 50.51, 49.33, 49.39, 49.97, 50.43, 50.67, 52.17, 51.49, 52.67, 52.21, 53.27, 54.69, 53.79, 53.17, 54.05, 54.05, 53.40, 53.37, 53.16, 53.38,
+      53.84, 54.26, 54.61, 54.15, 54.67, 55.37, 56.58, 55.13, 54.13, 53.96, 53.50, 53.60, 53.58, 53.19, 52.71, 52.91, 52.77, 53.06, 52.98, 53.71, 53.76, 55.62, 55.54, 56.34,
+      57.28, 57.80, 56.88, 56.94, 57.07, 57.58, 56.52, 56.61, 56.43, 57.02, 57.42, 55.50, 56.25, 56.88, 57.06, 56.75, 55.75, 54.86, 53.62, 53.16, 52.82, 53.82, 54.02, 54.50,
+      54.51, 55.45, 55.69, 56.41, 55.70, 55.50, 56.26, 54.92, 55.51, 54.70, 55.24, 56.06, 56.56, 57.19, 56.66, 56.48, 56.24, 56.47, 54.88, 55.18, 54.65, 54.61, 55.32, 55.95,
+      56.36, 56.84, 57.37, 57.17, 56.18, 56.24, 55.74, 56.55, 57.70, 57.69, 57.19, 56.80, 56.49, 57.37, 57.48, 57.58, 57.83, 58.78, 59.16, 59.77, 59.22, 59.78, 59.25, 59.67,
+      59.43, 60.29, 61.01, 59.30, 59.70, 59.55, 60.84, 60.63, 59.09, 59.09, 60.05, 61.19, 61.48, 62.14, 63.54, 64.39, 65.56, 65.75, 65.12, 64.77, 64.20, 65.15, 65.46, 65.24,
+      64.82, 64.59, 65.25, 65.42, 66.19, 65.74, 65.59, 66.17, 65.60, 66.48, 67.11, 67.70, 68.36, 69.88, 70.16, 71.77, 73.48, 75.28, 75.14, 75.53, 76.81, 76.87, 77.49, 75.88,
+      74.67, 74.58, 73.06, 72.21, 72.33, 72.12, 73.81, 73.60, 72.76, 73.05, 73.00, 71.87, 71.53, 73.51, 72.86, 73.40, 72.98, 74.20, 72.86, 72.01, 72.72, 74.28, 73.37, 73.58,
+      74.67, 75.91, 74.24, 73.19, 73.22, 71.63, 71.89, 72.25, 72.20, 71.31, 70.93, 70.10, 70.91, 71.02, 70.90, 70.25, 71.05, 70.32, 72.93, 73.27, 72.99, 73.63, 75.00, 74.82,
+      75.80, 75.24, 73.92, 73.52, 70.27, 71.62, 73.18, 74.39, 75.21, 75.50, 76.17, 75.26, 74.53, 73.75, 72.18, 71.57, 71.30, 69.70, 70.72, 68.01, 68.49, 68.54, 67.34, 67.26,
+      67.48, 69.30, 70.65, 71.97, 70.69, 72.39, 72.73, 74.97, 73.78, 74.12, 73.36, 73.39, 72.99, 75.76, 76.01, 73.93, 74.65, 73.71, 73.37, 74.44, 75.68, 76.38, 76.30, 76.05,
+      74.66, 76.24, 78.16, 78.21, 77.66, 77.85, 79.38, 78.88, 77.93, 80.01, 78.63, 78.98, 77.82, 77.94, 78.65, 79.48, 79.90, 80.14, 80.32, 80.77, 79.43, 80.21, 80.51, 79.82,
+      79.86, 80.72, 80.61, 82.58, 83.36, 85.87, 86.01, 86.09, 86.76, 86.70, 86.87, 87.09, 87.40, 86.33, 86.24, 86.92, 86.34, 87.58, 87.05, 87.82, 89.30, 90.61, 91.72, 91.90,
+      90.53, 90.71, 91.79, 92.09, 91.13, 91.35, 91.37, 92.94, 91.88, 90.28, 88.51, 88.94, 90.12, 88.70, 88.51, 87.92, 87.73, 87.40, 88.72, 90.32, 88.55, 86.69, 87.43, 89.71,
+      90.47, 91.67, 90.42, 91.94, 90.83, 87.43, 87.91, 86.62, 84.75, 84.20, 82.77, 81.11, 80.52, 80.16, 79.51, 82.30, 82.68, 82.02, 84.04, 84.36, 82.03, 83.23, 83.32, 84.20,
+      84.29, 83.47, 83.19, 83.42, 83.96, 83.06, 83.87, 83.92, 84.06, 84.48, 83.59, 85.12, 86.53, 86.93, 86.98, 85.90, 85.70, 84.75, 85.01, 85.51, 85.77, 84.15, 82.26, 82.60,
+      82.59, 82.48, 83.79, 82.95, 83.47, 81.65, 82.67, 82.17, 81.72, 82.92, 82.77, 83.05, 85.39, 86.53, 86.43, 87.20, 87.90, 88.85, 89.37, 89.37, 88.64, 88.46, 89.45, 89.58,
+      90.29, 90.20, 86.79, 86.10, 86.68, 85.98, 84.37, 85.04, 86.43, 84.69, 87.09, 84.87, 86.05, 86.85, 87.88, 86.87, 86.58, 86.25, 83.53, 83.77, 83.93, 84.59, 84.10, 82.31,
+      83.91, 84.35, 85.65, 86.50, 87.00, 89.42, 89.54, 91.38, 92.97, 91.32, 94.37, 94.36, 96.56, 96.45, 95.97, 97.24, 97.13, 97.20, 95.74, 95.30, 96.68, 95.72, 94.65, 95.28,
+      95.88, 98.34, 98.85, 100.39, 101.72, 101.54, 100.77, 102.23, 101.91, 100.17, 99.14, 101.67, 102.45, 102.38, 100.19, 102.07, 102.11, 103.74, 105.00, 106.09, 105.76, 106.83, 105.02, 107.20,
+      106.10, 107.13, 105.19, 105.66, 107.61, 108.14, 107.89, 106.21, 104.19, 103.86, 101.89, 101.95, 101.28, 102.48, 102.06, 100.43, 100.46, 99.45, 100.34, 100.06, 100.96, 100.57, 100.40, 99.70,
+      100.47, 101.74, 99.68, 98.36, 97.68, 94.87, 94.47, 94.76, 97.56, 96.10, 97.79, 96.30
+    ]
+  },
+  {
+    meta: { fund_house: 'PPFAS Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Equity Scheme - Flexi Cap Fund', scheme_code: 900107, scheme_name: 'Parag Parikh Flexi Cap Fund - Direct Plan - Growth' },
+    start: '2021-06-01',
+    navs: [
+      102.32, 101.52, 102.01, 103.26, 102.81, 102.48, 103.76, 103.35, 103.67, 103.23, 103.03, 103.63, 104.03, 102.51, 102.32, 102.00, 102.24, 103.21, 104.09, 103.46, 105.14, 105.35, 106.25, 107.71,
+      108.16, 109.47, 109.56, 109.70, 110.56, 111.48, 112.08, 111.72, 112.55, 113.64, 114.00, 115.32, 114.39, 113.52, 112.82, 115.06, 115.68, 115.16, 115.05, 115.85, 115.84, 117.66, 117.94, 118.15,
+      117.79, 117.49, 118.05, 116.66, 116.11, 115.49, 115.32, 115.19, 114.71, 112.91, 113.79, 114.88, 112.81, 114.76, 115.75, 115.33, 117.00, 118.13, 117.00, 116.71, 116.10, 116.43, 117.50, 118.06,
+      118.33, 117.50, 117.22, 116.98, 117.57, 117.33, 117.83, 118.37, 119.60, 119.92, 120.21, 120.76, 121.05, 121.34, 123.21, 123.04, 123.27, 122.84, 124.10, 124.43, 125.28, 126.10, 126.68, 125.33,
+      123.80, 123.05, 122.81, 121.75, 121.20, 120.41, 119.58, 117.56, 118.05, 118.05, 117.48, 117.47, 117.22, 117.95, 118.97, 117.24, 116.10, 114.90, 113.97, 114.18, 113.66, 113.05, 112.79, 110.94,
+      112.04, 111.18, 112.76, 111.99, 112.60, 113.06, 115.30, 116.07, 115.77, 116.55, 115.78, 115.65, 115.06, 116.08, 117.36, 117.24, 117.39, 118.40, 118.18, 118.79, 120.45, 120.83, 119.50, 120.55,
+      120.07, 120.09, 119.67, 120.82, 121.35, 120.54, 119.91, 119.76, 119.68, 119.87, 120.07, 119.65, 120.15, 121.10, 121.64, 121.36, 121.50, 123.14, 122.61, 122.87, 121.14, 121.79, 121.18, 120.46,
+      121.60, 119.55, 119.70, 119.70, 119.78, 118.84, 119.07, 120.47, 119.44, 120.76, 121.43, 121.23, 121.13, 119.03, 120.68, 120.74, 121.86, 122.07, 123.48, 123.52, 123.50, 125.10, 126.92, 127.28,
+      127.87, 129.24, 128.11, 127.77, 125.37, 124.73, 122.19, 123.00, 123.40, 122.47, 121.03, 120.59, 120.91, 121.09, 121.76, 122.12, 120.97, 120.95, 119.62, 118.39, 118.22, 118.32, 118.49, 118.70,
+      117.92, 118.27, 117.60, 118.11, 118.16, 116.99, 117.79, 117.92, 116.36, 118.16, 115.64, 116.01, 116.78, 116.87, 117.27, 118.31, 118.49, 120.61, 122.08, 122.14, 121.93, 122.55, 122.14, 121.66,
+      120.61, 119.89, 119.51, 119.62, 120.84, 120.76, 121.06, 121.75, 122.78, 122.86, 122.86, 123.65, 124.74, 124.99, 124.44, 124.01, 123.18, 122.48, 123.32, 123.07, 123.60, 122.54, 122.56, 122.26,
+      120.61, 121.43, 121.96, 120.75, 120.34, 117.99, 118.12, 118.49, 117.93, 117.23, 117.71, 117.61, 119.06, 119.51, 118.88, 119.22, 118.81, 118.53, 118.28, 117.81, 116.65, 116.90, 117.28, 118.03,
+      117.16, 116.85, 118.60, 117.90, 117.07, 118.19, 116.73, 115.91, 115.30, 116.09, 115.84, 116.50, 116.56, 116.00, 117.16, 117.10, 117.85, 117.95, 116.56, 116.79, 116.14, 115.91, 116.60, 119.09,
+      119.89, 120.45, 119.04, 120.06, 120.28, 120.52, 120.26, 119.75, 120.35, 119.79, 119.76, 119.81, 120.02, 120.19, 118.83, 119.43, 119.83, 120.38, 122.05, 122.50, 123.56, 123.98, 124.93, 125.43,
+      124.05, 123.86, 124.52, 124.78, 123.64, 123.28, 124.22, 125.07, 123.92, 124.83, 125.02, 124.24, 125.47, 125.63, 125.09, 126.12, 126.70, 127.91, 126.22, 125.80, 126.08, 126.50, 124.88, 124.12,
+      123.79, 124.52, 124.05, 126.09, 125.27, 123.48, 123.05, 124.43, 123.84, 124.38, 123.95, 123.49, 123.21, 123.95, 123.37, 125.37, 125.97, 127.07, 128.30, 127.50, 127.38, 128.07, 126.64, 124.73,
+      124.81, 124.48, 124.39, 125.25, 126.69, 126.02, 125.54, 126.13, 126.20, 124.30, 122.79, 123.80, 124.76, 125.26, 125.99, 124.38, 123.81, 123.37, 123.65, 124.09, 123.22, 122.84, 122.01, 122.56,
+      122.82, 122.39, 122.41, 122.02, 121.28, 120.24, 119.74, 119.94, 120.42, 118.85, 118.82, 117.76, 119.16, 119.26, 118.37, 118.46, 117.65, 117.53, 116.57, 115.81, 116.05, 114.71, 115.41, 116.26,
+      116.35, 115.12, 115.91, 116.37, 118.32, 116.40, 115.62, 117.18, 116.90, 115.77, 114.57, 114.44, 116.02, 115.84, 114.76, 115.68, 117.24, 117.86, 117.17, 116.46, 115.16, 114.32, 114.89, 114.27,
+      113.40, 114.28, 114.83, 115.04, 115.29, 113.56, 114.08, 114.82, 114.67, 114.56, 114.38, 115.01, 115.09, 115.64, 115.06, 114.31, 113.60, 113.74, 113.69, 112.65, 113.44, 114.73, 113.93, 114.08,
+      112.76, 112.62, 112.71, 115.84, 115.23, 115.46, 115.34, 114.68, 115.47, 115.81, 116.30, 116.61, 116.17, 116.53, 116.39, 116.33, 114.58, 114.79, 115.26, 117.08, 116.16, 117.74, 118.00, 118.18,
+      119.57, 120.86, 122.96, 121.23, 121.50, 121.13, 120.65, 120.64, 120.79, 119.61, 120.60, 121.15, 121.35, 121.10, 120.53, 121.68, 120.94, 121.40, 121.89, 123.42, 123.30, 123.45, 124.70, 124.92,
+      125.32, 126.32, 126.89, 128.10, 127.00, 126.50, 126.45, 126.87, 127.81, 129.17, 127.58, 128.34, 127.36, 130.35, 129.13, 131.78, 132.65, 134.65, 135.13, 136.41, 136.98, 137.10, 137.20, 136.40,
+      136.56, 136.04, 136.68, 137.49, 138.57, 140.02, 139.83, 139.51, 140.55, 139.03, 140.49, 141.84, 142.01, 143.62, 143.76, 143.66, 142.41, 143.26, 143.56, 142.21, 142.72, 141.69, 141.55, 142.08,
+      143.42, 141.46, 139.94, 140.06, 141.41, 140.72, 140.55, 138.89, 139.00, 138.77, 136.07, 136.77, 138.24, 140.41, 140.84, 140.52, 137.76, 139.56, 137.40, 138.45, 140.93, 143.02, 143.38, 143.38,
+      145.32, 145.38, 145.77, 145.43, 146.00, 144.31, 143.78, 144.35, 144.77, 142.76, 143.62, 144.57, 145.07, 146.41, 147.55, 147.98, 148.01, 149.44, 150.10, 148.66, 148.50, 147.59, 147.94, 147.88,
+      146.69, 147.21, 147.62, 147.10, 148.70, 146.83, 146.82, 146.23, 145.94, 145.10, 147.46, 146.41, 144.66, 143.79, 142.55, 141.39, 140.99, 141.49, 141.94, 142.32, 142.77, 144.57, 144.31, 145.58,
+      146.48, 146.43, 147.05, 148.78, 147.95, 147.81, 149.26, 151.51, 150.27, 149.78, 150.47, 149.88, 147.69, 147.90, 147.36, 150.86, 151.04, 151.19, 153.04, 151.96, 153.12, 154.90, 154.62, 154.15,
+      153.42, 151.93, 151.56, 153.19, 152.85, 151.60, 151.32, 150.78, 151.98, 154.10, 152.70, 153.28, 154.40, 154.00, 154.34, 152.29, 152.56, 153.28, 152.41, 150.60, 153.52, 154.02, 153.72, 154.80,
+      159.00, 158.63, 158.73, 159.21, 157.94, 158.17, 158.02, 156.12, 157.90, 158.27, 156.49, 154.60, 156.67, 157.10, 156.18, 156.00, 154.95, 155.47, 157.20, 157.75, 157.04, 158.64, 159.19, 159.90,
+      161.82, 161.77, 162.40, 161.36, 162.40, 160.74, 160.41, 160.05, 160.37, 161.84, 160.09, 161.14, 162.34, 162.24, 163.49, 163.16, 163.03, 164.00, 164.38, 165.44, 167.01, 166.95, 166.22, 167.34,
+      167.46, 168.49, 166.76, 169.32, 170.14, 170.20, 170.99, 171.48, 171.80, 172.29, 172.29, 173.54, 174.33, 173.88, 173.58, 172.13, 171.53, 169.86, 169.08, 167.84, 169.29, 170.38, 169.09, 166.13,
+      168.81, 168.99, 167.47, 167.38, 169.38, 169.42, 169.10, 168.72, 168.35, 165.61, 166.34, 165.99, 168.28, 168.47, 170.10, 168.83, 168.64, 168.66, 168.77, 166.21, 166.60, 167.69, 167.82, 166.95,
+      167.53, 166.03, 166.83, 165.10, 165.03, 164.62, 163.61, 165.13, 165.58, 165.88, 164.94, 164.10, 165.16, 163.74, 163.92, 164.56, 163.92, 165.40, 163.67, 163.73, 166.03, 168.19, 169.78, 168.85,
+      168.68, 168.52, 170.08, 168.26, 169.30, 169.50, 170.22, 170.18, 169.42, 167.97, 167.72, 166.64, 165.30, 164.37, 166.29, 169.73, 170.76, 172.56, 172.01, 169.88, 170.31, 168.90, 170.62, 171.30,
+      172.60, 171.11, 172.36, 172.21, 172.43, 176.39, 178.68, 177.99, 178.94, 175.88, 174.18, 175.23, 173.45, 174.88, 175.39, 173.83, 175.02, 171.67, 169.87, 168.72, 170.06, 171.10, 169.69, 168.67,
+      168.08, 168.53, 165.10, 164.53, 165.89, 165.32, 165.83, 166.20, 169.06, 168.97, 170.69, 170.21, 170.87, 171.81, 174.01, 171.66, 169.98, 170.85, 169.35, 171.36, 171.23, 170.19, 167.60, 166.32,
+      167.98, 166.83, 169.19, 167.88, 167.99, 166.00, 166.94, 168.22, 167.77, 169.44, 170.72, 170.88, 171.90, 167.84, 168.19, 171.43, 169.58, 171.69, 172.88, 173.12, 172.42, 173.94, 172.95, 171.77,
+      172.22, 171.63, 171.10, 168.81, 170.46, 170.52, 171.95, 170.56, 169.25, 169.35, 171.00, 170.62, 169.51, 170.76, 170.73, 172.51, 171.07, 172.07, 170.76, 171.40, 172.28, 175.57, 174.11, 175.26,
+      176.36, 176.70, 175.65, 177.52, 179.67, 180.23, 181.27, 178.67, 178.04, 179.49, 179.62, 178.51, 180.20, 180.87, 183.47, 185.77, 186.16, 185.39, 183.89, 184.23, 184.47, 186.27, 186.57, 185.74,
+      186.78, 186.31, 187.29, 187.38, 185.66, 185.95, 186.05, 183.55, 183.03, 182.95, 183.55, 185.57, 186.65, 187.01, 185.05, 182.87, 182.16, 182.82, 181.24, 182.16, 182.23, 181.93, 182.56, 183.77,
+      184.27, 185.00, 186.12, 184.95, 186.34, 185.41, 184.33, 185.24, 188.33, 187.97, 191.24, 192.20, 192.54, 192.68, 194.05, 193.84, 195.50, 196.36, 196.56, 197.26, 197.96, 199.38, 200.51, 200.90,
+      200.64, 199.55, 200.71, 199.02, 200.85, 201.18, 204.16, 204.42, 205.19, 206.48, 208.25, 210.60, 209.82, 209.68, 209.24, 208.56, 208.20, 208.28, 208.81, 209.05, 209.67, 211.24, 207.87, 207.01,
+      206.58, 206.89, 205.66, 205.73, 205.83, 204.89, 203.57, 202.30, 203.98, 203.52, 204.64, 204.89, 205.16, 206.84, 207.23, 207.98, 208.31, 211.70, 212.77, 213.19, 214.41, 215.23, 214.33, 209.52,
+      209.36, 210.96, 210.94, 211.03, 211.67, 210.17, 212.95, 212.08, 214.83, 215.19, 214.71, 212.74, 214.93, 217.51, 217.77, 216.07, 216.00, 217.86, 215.83, 215.15, 214.99, 216.10, 215.89, 216.21,
+      219.25, 221.04, 220.82, 218.40, 218.22, 218.04, 218.31, 217.94, 216.84, 215.72, 217.55, 217.74, 217.66, 217.18, 216.85, 217.74, 216.62, 216.26, 219.62, 219.76, 218.72, 219.79, 221.04, 220.58,
+      217.79, 216.59, 215.83, 212.72, 209.41, 211.64, 214.67, 215.06, 216.62, 216.13, 216.76, 214.43, 214.30, 212.29, 210.15, 209.21, 210.83, 210.31, 211.40, 207.90, 206.49, 205.25, 202.82, 203.22,
+      205.30, 207.76, 209.44, 211.12, 210.54, 210.82, 210.88, 213.33, 212.49, 214.60, 213.26, 212.12, 213.08, 216.01, 217.69, 217.00, 219.63, 216.79, 218.49, 219.95, 221.44, 221.14, 221.12, 220.09,
+      219.88, 223.36, 226.74, 228.15, 227.08, 227.91, 229.02, 229.43, 227.96, 229.86, 229.87, 231.48, 231.40, 230.25, 233.72, 234.35, 237.86, 238.55, 237.15, 238.47, 237.99, 238.89, 239.85, 241.71,
+      246.02, 246.52, 245.11, 246.49, 246.08, 248.34, 247.39, 248.64, 247.89, 247.95, 244.95, 245.10, 243.19, 242.63, 243.54, 243.33, 242.49, 244.43, 244.45, 243.41, 244.57, 245.96, 247.72, 244.98,
+      243.84, 243.89, 242.88, 241.81, 239.81, 237.81, 236.98, 238.18, 237.68, 235.83, 232.89, 234.81, 239.13, 236.53, 235.87, 236.19, 236.71, 235.84, 236.79, 241.43, 240.06, 236.57, 236.18, 237.19,
+      237.43, 239.73, 236.58, 236.19, 234.21, 233.11, 234.22, 232.96, 229.60, 226.30, 225.78, 224.11, 224.17, 224.46, 221.50, 223.26, 224.17, 224.33, 226.60, 229.60, 228.90, 231.74, 233.21, 234.81,
+      235.66, 233.60, 232.45, 232.94, 235.23, 230.48, 229.80, 229.71, 228.96, 229.06, 227.33, 228.43, 227.98, 227.13, 225.01, 223.05, 224.02, 225.18, 228.92, 230.49, 229.93, 229.75, 227.24, 229.42,
+      229.03, 231.32, 234.47, 232.58, 233.27, 228.21, 228.13, 228.16, 226.38, 226.17, 229.38, 230.16, 232.75, 233.98, 234.59, 235.90, 237.71, 240.69, 242.09, 240.50, 243.15, 243.15, 244.23, 244.01,
+      243.85, 244.80, 240.46, 237.85, 240.37, 241.42, 240.77, 242.21, 243.60, 237.59, 238.82, 237.72, 236.81, 237.36, 240.53, 239.33, 241.49, 242.19, 242.93, 241.12, 242.67, 240.66, 240.73, 240.39,
+      242.12, 241.80, 243.77, 246.00, 244.74, 246.17, 246.62, 246.48, 250.79, 246.46, 249.04, 247.84, 250.89, 250.63, 252.15, 251.80, 250.01, 249.88, 251.32, 250.06, 252.61, 251.70, 249.48, 252.75,
+      256.29, 260.07, 262.18, 262.94, 262.70, 263.62, 264.37, 267.25, 270.49, 270.06, 271.26, 273.61, 280.66, 281.09, 276.84, 279.09, 278.22, 279.61, 280.01, 279.53, 279.91, 283.99, 285.60, 290.40,
+      289.55, 289.76, 288.07, 289.47, 289.43, 288.50, 285.69, 285.30, 281.88, 280.30, 279.03, 280.40, 278.57, 281.18, 278.80, 278.54, 280.54, 277.74, 280.72, 281.18, 280.29, 279.63, 279.45, 278.67,
+      280.58, 279.24, 277.09, 279.73, 280.59, 280.29, 276.44, 276.52, 280.27, 279.94, 283.56, 281.70
+    ]
+  },
+  {
+    meta: { fund_house: 'HDFC Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Hybrid Scheme - Dynamic Asset Allocation or Balanced Advantage', scheme_code: 900108, scheme_name: 'HDFC Balanced Advantage Fund - Direct Plan - Growth Option' },
+    start: '2021-06-01',
+    navs: [
+      54.48, 54.30, 54.42, 54.65, 54.31, 54.39, 54.59, 54.61, 54.77, 54.63, 54.68, 54.61, 55.03, 54.36, 54.42, 54.60, 54.83, 55.13, 55.31, 55.06, 55.66, 55.96, 56.15, 56.60,
+      56.70, 56.86, 56.65, 56.96, 57.10, 57.12, 57.47, 57.24, 57.36, 57.59, 57.79, 58.08, 58.02, 57.80, 57.77, 58.20, 58.67, 58.62, 58.38, 58.47, 58.44, 58.82, 58.74, 58.34,
+      58.25, 57.88, 58.02, 57.23, 57.36, 57.09, 57.32, 57.19, 56.91, 56.75, 56.91, 56.74, 56.33, 56.52, 56.59, 56.15, 56.71, 56.88, 56.56, 56.61, 56.46, 56.41, 56.69, 56.44,
+      56.89, 57.14, 57.34, 57.04, 57.36, 57.29, 57.76, 57.99, 58.21, 58.34, 58.42, 58.48, 58.65, 58.66, 58.90, 58.92, 59.18, 59.17, 59.14, 59.30, 59.54, 59.44, 59.60, 59.44,
+      59.14, 58.88, 58.76, 58.65, 58.40, 58.06, 57.70, 57.71, 58.13, 57.89, 57.49, 57.75, 57.65, 58.02, 58.32, 57.92, 57.73, 57.86, 57.68, 57.91, 57.73, 57.72, 57.67, 56.94,
+      57.17, 57.21, 57.79, 57.33, 57.30, 57.64, 57.81, 58.08, 57.97, 57.97, 57.89, 57.95, 57.90, 58.01, 58.40, 58.24, 58.29, 58.76, 58.57, 58.70, 59.28, 59.95, 59.97, 60.17,
+      59.92, 59.69, 59.10, 59.28, 59.09, 59.20, 59.47, 59.10, 59.15, 58.98, 59.23, 58.99, 59.26, 58.94, 59.34, 59.39, 59.34, 59.51, 59.21, 59.45, 59.18, 59.00, 58.86, 59.05,
+      59.04, 58.38, 58.11, 57.86, 58.11, 57.75, 57.83, 58.04, 58.08, 58.39, 58.20, 58.08, 57.89, 57.48, 57.80, 57.64, 57.64, 57.58, 57.97, 58.01, 58.02, 58.34, 58.43, 58.46,
+      58.61, 58.96, 58.76, 58.90, 58.67, 58.16, 57.78, 58.11, 58.50, 58.34, 57.84, 57.69, 57.35, 57.63, 57.62, 57.61, 57.61, 57.47, 57.39, 57.06, 57.04, 57.16, 57.06, 57.10,
+      56.89, 56.84, 56.83, 56.91, 56.80, 56.59, 56.70, 56.64, 56.28, 56.65, 56.06, 55.94, 56.16, 55.94, 56.13, 56.35, 56.54, 57.22, 57.73, 57.88, 58.05, 58.18, 58.06, 58.32,
+      58.20, 58.09, 57.78, 57.77, 57.85, 58.22, 58.47, 58.76, 59.05, 58.84, 59.05, 59.11, 59.42, 59.57, 59.83, 59.72, 59.67, 59.68, 59.72, 59.80, 59.84, 59.64, 59.65, 59.64,
+      59.16, 59.46, 59.89, 59.38, 59.44, 59.07, 59.21, 59.49, 59.47, 59.16, 58.98, 58.67, 58.94, 58.97, 58.88, 58.81, 58.71, 58.86, 59.08, 59.15, 58.88, 59.20, 59.42, 59.44,
+      59.31, 59.05, 59.54, 59.23, 58.83, 59.05, 58.34, 58.16, 58.17, 58.19, 58.10, 58.47, 58.38, 58.26, 58.97, 59.11, 59.50, 59.37, 59.15, 59.36, 59.33, 58.90, 59.01, 59.44,
+      59.62, 59.88, 59.43, 59.53, 59.94, 60.11, 59.89, 60.01, 60.23, 59.99, 60.22, 60.23, 60.17, 60.33, 59.70, 60.10, 59.94, 60.17, 60.49, 60.58, 60.80, 60.97, 61.05, 61.24,
+      60.52, 60.09, 60.02, 59.91, 59.94, 59.83, 60.14, 60.06, 59.65, 59.89, 59.82, 59.76, 60.04, 60.30, 60.45, 60.51, 60.90, 60.96, 60.55, 60.24, 60.18, 60.41, 60.22, 60.15,
+      60.04, 59.87, 59.16, 59.34, 59.30, 59.18, 59.64, 60.16, 59.85, 60.17, 60.12, 59.66, 59.46, 59.32, 59.54, 60.00, 60.34, 60.56, 61.13, 60.71, 60.30, 60.37, 59.77, 59.23,
+      59.29, 59.23, 59.04, 58.88, 59.40, 59.32, 59.37, 59.42, 59.63, 59.38, 58.80, 58.61, 58.95, 59.03, 59.16, 58.79, 58.49, 58.70, 58.62, 58.42, 57.94, 58.03, 58.02, 58.20,
+      58.17, 57.64, 57.79, 57.63, 57.51, 57.39, 57.05, 57.23, 57.79, 57.32, 57.70, 57.21, 57.29, 57.70, 57.69, 57.57, 57.33, 57.55, 57.15, 57.09, 57.56, 57.03, 57.18, 57.22,
+      57.32, 57.00, 57.21, 57.43, 57.90, 57.53, 57.72, 58.01, 57.74, 57.64, 57.60, 57.57, 57.93, 57.76, 57.68, 57.76, 58.05, 58.37, 58.30, 58.15, 57.77, 57.34, 57.72, 57.88,
+      57.35, 57.40, 57.59, 57.81, 57.98, 57.81, 57.74, 58.42, 58.67, 58.66, 58.43, 58.55, 58.47, 58.72, 58.40, 58.18, 58.50, 58.50, 58.62, 58.44, 58.86, 58.97, 58.95, 58.83,
+      58.63, 58.43, 58.80, 59.70, 59.21, 59.34, 59.65, 59.29, 59.85, 59.98, 60.05, 60.47, 60.28, 60.16, 60.02, 59.98, 59.58, 60.03, 60.11, 60.70, 60.71, 60.94, 60.76, 60.72,
+      61.02, 61.12, 61.77, 61.41, 61.58, 61.49, 61.60, 61.66, 61.86, 61.77, 61.87, 61.98, 61.63, 61.89, 61.40, 61.57, 61.38, 61.72, 61.64, 62.18, 62.05, 62.20, 62.61, 62.92,
+      63.06, 63.17, 63.40, 63.59, 63.55, 63.85, 64.05, 64.29, 64.01, 64.63, 64.30, 64.62, 64.25, 64.75, 64.35, 64.92, 64.84, 65.63, 65.92, 66.28, 66.50, 66.99, 67.33, 66.72,
+      66.89, 66.80, 67.22, 67.82, 67.79, 68.05, 67.95, 67.78, 68.05, 67.77, 68.09, 68.86, 68.87, 69.11, 68.82, 68.79, 68.58, 68.91, 68.83, 68.29, 68.70, 68.30, 68.51, 68.30,
+      68.21, 67.53, 67.22, 67.55, 67.32, 67.35, 67.08, 66.65, 66.91, 66.38, 65.63, 66.07, 66.51, 67.29, 67.06, 67.00, 66.19, 66.45, 66.07, 66.43, 66.93, 67.49, 67.20, 67.01,
+      67.22, 67.13, 66.89, 66.57, 66.76, 66.68, 66.75, 66.49, 66.82, 66.57, 66.49, 66.99, 66.94, 67.31, 67.94, 68.26, 68.21, 68.78, 68.90, 68.58, 68.61, 68.48, 68.65, 68.46,
+      67.75, 67.64, 67.94, 67.96, 68.24, 67.58, 67.94, 67.86, 68.20, 67.93, 68.45, 68.04, 67.66, 67.77, 67.13, 66.97, 67.43, 67.98, 68.24, 68.21, 68.18, 68.62, 68.57, 68.81,
+      68.70, 68.77, 68.56, 69.24, 69.11, 68.91, 69.05, 69.39, 69.29, 69.40, 69.68, 69.55, 69.11, 69.41, 69.36, 70.44, 70.13, 70.19, 70.60, 70.28, 70.47, 70.85, 70.95, 71.01,
+      70.64, 70.09, 70.30, 70.55, 70.54, 70.26, 70.24, 70.06, 70.44, 70.79, 70.30, 70.40, 70.49, 70.30, 70.07, 70.05, 70.07, 69.73, 69.51, 69.29, 69.91, 70.20, 70.56, 71.08,
+      71.69, 71.99, 71.67, 71.36, 71.46, 71.85, 71.89, 71.84, 72.10, 72.05, 71.53, 70.99, 71.68, 71.87, 71.90, 72.00, 71.62, 71.82, 72.43, 72.84, 72.84, 73.35, 73.43, 73.79,
+      74.03, 73.90, 74.71, 74.41, 74.33, 73.92, 74.08, 74.38, 74.62, 75.08, 74.90, 75.13, 75.59, 76.42, 76.96, 76.74, 76.62, 77.06, 77.24, 77.29, 78.53, 78.30, 77.68, 78.24,
+      78.01, 77.84, 77.55, 78.37, 77.99, 78.15, 78.21, 78.35, 78.50, 78.74, 78.14, 78.70, 78.69, 78.42, 78.11, 77.58, 77.13, 76.75, 76.70, 76.97, 77.30, 77.42, 76.93, 76.30,
+      77.00, 76.96, 76.39, 76.54, 76.95, 76.75, 76.94, 77.13, 77.07, 76.64, 76.78, 76.75, 77.73, 77.81, 78.31, 77.91, 77.99, 77.88, 78.09, 77.28, 77.31, 77.66, 77.97, 78.06,
+      77.74, 77.66, 77.96, 77.14, 76.92, 76.75, 77.25, 77.69, 77.91, 78.39, 78.27, 77.95, 78.26, 78.56, 78.26, 78.90, 79.08, 80.00, 79.43, 79.81, 79.89, 80.68, 80.89, 80.39,
+      80.34, 80.20, 80.45, 79.94, 80.65, 80.57, 80.61, 80.64, 80.27, 79.77, 80.04, 80.25, 79.70, 79.39, 79.29, 80.22, 80.44, 81.31, 81.24, 81.03, 81.34, 80.89, 81.29, 81.15,
+      81.59, 81.42, 81.63, 81.13, 81.22, 81.95, 82.54, 82.50, 83.23, 82.61, 82.47, 82.68, 82.80, 83.12, 83.50, 83.30, 84.02, 82.66, 82.61, 82.65, 82.31, 83.33, 83.17, 83.53,
+      83.20, 83.58, 83.15, 82.37, 82.92, 82.94, 83.26, 83.19, 83.81, 84.02, 84.25, 84.02, 84.24, 84.81, 85.58, 84.51, 84.28, 84.65, 84.41, 85.12, 85.39, 85.22, 85.01, 84.96,
+      85.21, 84.71, 84.62, 84.18, 83.88, 83.38, 83.80, 84.09, 84.10, 84.87, 85.18, 85.08, 85.37, 84.73, 85.13, 85.70, 85.35, 85.19, 84.90, 85.46, 84.98, 85.64, 85.10, 84.88,
+      84.61, 84.96, 84.57, 83.78, 84.13, 84.06, 84.64, 84.05, 83.46, 83.44, 83.34, 83.22, 82.60, 82.79, 82.36, 82.58, 82.11, 82.71, 82.42, 82.88, 83.02, 84.11, 83.81, 84.26,
+      84.73, 85.17, 84.98, 85.34, 86.06, 86.01, 86.15, 85.91, 86.19, 85.93, 86.20, 85.32, 85.50, 85.76, 86.06, 86.03, 86.38, 86.17, 86.11, 85.76, 85.57, 86.18, 86.43, 85.92,
+      86.46, 86.38, 86.22, 86.79, 86.47, 86.52, 86.27, 85.20, 85.11, 85.02, 84.96, 85.58, 86.08, 86.19, 86.27, 86.11, 85.98, 86.38, 86.24, 86.37, 86.53, 86.42, 87.23, 87.25,
+      87.67, 88.01, 88.00, 87.71, 88.12, 87.90, 87.42, 87.76, 88.51, 88.13, 88.07, 87.74, 87.92, 87.85, 88.34, 88.51, 88.58, 89.11, 89.28, 89.26, 89.29, 89.75, 89.41, 89.66,
+      89.60, 89.68, 90.27, 90.14, 90.42, 90.57, 91.28, 90.78, 91.07, 91.48, 92.03, 92.81, 93.34, 93.04, 93.27, 93.14, 93.78, 94.04, 94.32, 94.09, 94.08, 94.85, 94.47, 94.08,
+      93.72, 93.47, 93.27, 93.40, 94.01, 93.94, 93.53, 93.37, 93.20, 93.08, 93.25, 93.25, 93.64, 94.40, 94.71, 95.34, 95.99, 96.61, 96.71, 96.59, 97.45, 97.25, 97.58, 96.50,
+      96.24, 96.84, 96.25, 95.95, 96.25, 96.51, 97.11, 96.62, 96.72, 96.57, 96.59, 95.76, 96.18, 96.88, 96.95, 97.31, 97.03, 97.75, 97.86, 97.46, 97.96, 98.48, 98.17, 98.06,
+      99.24, 99.39, 99.27, 98.76, 99.29, 99.04, 99.34, 99.35, 99.01, 98.34, 98.33, 98.31, 98.32, 97.81, 97.79, 98.26, 98.44, 97.92, 99.60, 99.81, 99.80, 100.14, 100.92, 100.91,
+      100.64, 100.25, 99.91, 99.21, 97.95, 98.40, 99.03, 99.76, 100.54, 101.02, 101.33, 100.96, 100.31, 99.49, 98.88, 99.00, 99.17, 98.98, 99.45, 98.83, 99.55, 99.33, 98.90, 98.26,
+      98.49, 99.40, 99.98, 100.94, 100.89, 101.54, 101.32, 102.41, 102.04, 102.89, 102.51, 102.87, 102.75, 104.03, 104.08, 103.26, 104.37, 103.86, 104.31, 104.28, 104.64, 105.10, 104.76, 104.73,
+      104.33, 105.24, 105.33, 105.59, 105.19, 104.88, 105.20, 104.30, 103.76, 104.53, 105.25, 106.11, 105.61, 105.31, 106.20, 106.19, 106.84, 106.84, 106.56, 106.75, 106.40, 106.60, 106.65, 107.15,
+      107.44, 107.50, 107.04, 107.16, 106.70, 107.39, 107.55, 108.06, 107.77, 107.54, 107.32, 107.68, 107.49, 107.60, 108.10, 108.54, 108.73, 109.09, 109.08, 109.37, 109.49, 109.70, 110.26, 110.37,
+      110.45, 110.76, 110.58, 110.48, 110.26, 109.84, 109.95, 110.61, 110.93, 110.79, 109.67, 110.38, 111.13, 110.76, 110.65, 110.70, 110.64, 109.94, 110.12, 110.69, 110.18, 109.57, 110.13, 110.23,
+      110.72, 111.24, 110.39, 110.66, 110.90, 110.36, 111.17, 110.55, 109.66, 108.86, 108.92, 108.55, 108.53, 108.30, 107.61, 108.32, 108.33, 107.83, 109.11, 109.32, 108.47, 109.06, 109.59, 110.11,
+      110.01, 109.89, 109.18, 109.52, 110.15, 109.55, 109.72, 109.36, 109.57, 109.52, 109.19, 110.02, 110.32, 109.73, 109.44, 108.65, 109.50, 109.22, 109.91, 110.31, 111.05, 110.05, 109.63, 109.95,
+      110.13, 110.61, 111.68, 111.99, 112.33, 110.88, 110.80, 110.89, 110.46, 110.73, 110.91, 110.86, 111.97, 112.12, 111.82, 112.42, 113.25, 113.69, 114.61, 113.69, 114.17, 114.28, 114.29, 113.64,
+      112.97, 113.71, 112.89, 112.39, 112.84, 113.23, 113.30, 113.97, 115.35, 114.35, 115.45, 114.94, 115.23, 115.09, 116.51, 115.72, 116.33, 116.57, 116.86, 116.93, 117.04, 116.67, 116.56, 116.45,
+      116.53, 116.24, 116.64, 117.26, 116.83, 117.61, 117.23, 117.11, 118.45, 117.27, 118.01, 118.21, 118.65, 118.91, 118.55, 119.02, 118.69, 118.61, 118.40, 118.68, 119.41, 119.17, 118.65, 118.59,
+      118.99, 120.25, 120.83, 120.98, 121.16, 121.09, 120.82, 120.43, 121.50, 121.65, 122.04, 123.01, 124.58, 124.37, 123.90, 124.75, 124.38, 125.16, 125.04, 125.09, 125.15, 125.84, 125.46, 126.53,
+      126.75, 126.75, 126.27, 127.59, 127.63, 128.22, 128.20, 128.25, 128.02, 126.75, 126.43, 126.91, 126.34, 126.49, 125.74, 125.14, 125.20, 124.38, 125.27, 124.40, 124.59, 123.43, 122.96, 122.93,
+      123.77, 124.23, 123.48, 122.93, 123.28, 123.24, 121.98, 122.36, 122.90, 122.26, 122.98, 123.10
+    ]
+  },
+  {
+    meta: { fund_house: 'HDFC Mutual Fund', scheme_type: 'Open Ended Schemes', scheme_category: 'Debt Scheme - Corporate Bond Fund', scheme_code: 900109, scheme_name: 'HDFC Corporate Bond Fund - Direct Plan - Growth Option' },
+    start: '2021-06-01',
+    navs: [
+      27.00, 27.04, 27.06, 27.04, 27.09, 27.11, 27.15, 27.13, 27.18, 27.21, 27.21, 27.27, 27.31, 27.30, 27.31, 27.32, 27.31, 27.25, 27.23, 27.26, 27.30, 27.31, 27.23, 27.23,
+      27.28, 27.23, 27.18, 27.17, 27.21, 27.19, 27.18, 27.15, 27.15, 27.17, 27.17, 27.25, 27.22, 27.19, 27.16, 27.17, 27.19, 27.24, 27.27, 27.27, 27.27, 27.31, 27.28, 27.31,
+      27.31, 27.32, 27.38, 27.38, 27.36, 27.31, 27.30, 27.32, 27.35, 27.33, 27.36, 27.41, 27.42, 27.44, 27.48, 27.51, 27.47, 27.50, 27.54, 27.58, 27.61, 27.64, 27.62, 27.66,
+      27.71, 27.68, 27.65, 27.61, 27.63, 27.65, 27.63, 27.66, 27.68, 27.62, 27.56, 27.56, 27.53, 27.55, 27.62, 27.61, 27.62, 27.63, 27.60, 27.66, 27.69, 27.66, 27.68, 27.68,
+      27.70, 27.74, 27.75, 27.70, 27.69, 27.67, 27.68, 27.67, 27.75, 27.77, 27.74, 27.74, 27.74, 27.76, 27.79, 27.84, 27.86, 27.82, 27.82, 27.83, 27.83, 27.79, 27.84, 27.88,
+      27.91, 27.89, 27.83, 27.87, 27.87, 27.85, 27.90, 27.92, 27.85, 27.86, 27.91, 27.91, 27.95, 27.94, 27.99, 27.98, 27.94, 27.97, 27.96, 27.97, 27.93, 27.92, 27.88, 27.93,
+      27.95, 27.97, 28.03, 28.00, 27.97, 27.97, 27.98, 28.02, 28.01, 28.01, 28.02, 27.97, 28.02, 28.04, 28.01, 28.06, 28.11, 28.15, 28.19, 28.18, 28.21, 28.19, 28.24, 28.24,
+      28.29, 28.31, 28.31, 28.31, 28.35, 28.44, 28.51, 28.52, 28.53, 28.55, 28.56, 28.57, 28.59, 28.59, 28.56, 28.57, 28.57, 28.60, 28.63, 28.70, 28.67, 28.73, 28.74, 28.80,
+      28.81, 28.80, 28.82, 28.88, 28.91, 28.90, 28.88, 28.85, 28.87, 28.86, 28.83, 28.82, 28.85, 28.79, 28.77, 28.83, 28.79, 28.87, 28.89, 28.88, 28.91, 28.91, 28.95, 28.98,
+      28.99, 29.02, 29.07, 29.11, 29.15, 29.17, 29.14, 29.15, 29.13, 29.18, 29.12, 29.15, 29.12, 29.09, 29.09, 29.07, 29.14, 29.19, 29.19, 29.24, 29.21, 29.26, 29.30, 29.27,
+      29.27, 29.29, 29.31, 29.31, 29.32, 29.41, 29.39, 29.41, 29.39, 29.37, 29.35, 29.32, 29.34, 29.36, 29.45, 29.42, 29.43, 29.47, 29.47, 29.56, 29.57, 29.58, 29.55, 29.64,
+      29.68, 29.65, 29.66, 29.67, 29.66, 29.68, 29.73, 29.72, 29.77, 29.73, 29.76, 29.79, 29.81, 29.83, 29.82, 29.86, 29.82, 29.83, 29.76, 29.80, 29.82, 29.86, 29.86, 29.91,
+      29.97, 30.02, 30.06, 30.00, 30.06, 30.04, 30.06, 30.02, 29.97, 30.05, 29.97, 29.90, 29.90, 29.96, 29.98, 30.04, 30.08, 30.04, 30.02, 29.99, 29.97, 30.01, 30.01, 30.14,
+      30.20, 30.21, 30.19, 30.25, 30.26, 30.34, 30.38, 30.41, 30.38, 30.42, 30.36, 30.34, 30.35, 30.38, 30.43, 30.36, 30.32, 30.29, 30.30, 30.28, 30.28, 30.22, 30.25, 30.25,
+      30.21, 30.22, 30.22, 30.26, 30.25, 30.24, 30.25, 30.20, 30.15, 30.16, 30.13, 30.14, 30.17, 30.10, 30.11, 30.10, 30.14, 30.19, 30.26, 30.23, 30.24, 30.22, 30.22, 30.17,
+      30.15, 30.11, 30.11, 30.11, 30.19, 30.23, 30.23, 30.33, 30.39, 30.39, 30.42, 30.47, 30.50, 30.53, 30.53, 30.53, 30.55, 30.50, 30.54, 30.48, 30.49, 30.46, 30.38, 30.38,
+      30.31, 30.30, 30.26, 30.27, 30.25, 30.30, 30.32, 30.32, 30.30, 30.29, 30.32, 30.30, 30.34, 30.32, 30.33, 30.35, 30.36, 30.42, 30.46, 30.51, 30.50, 30.51, 30.53, 30.53,
+      30.53, 30.54, 30.54, 30.58, 30.61, 30.60, 30.57, 30.53, 30.59, 30.55, 30.50, 30.52, 30.49, 30.51, 30.49, 30.53, 30.55, 30.49, 30.45, 30.42, 30.45, 30.44, 30.43, 30.40,
+      30.33, 30.28, 30.38, 30.40, 30.39, 30.30, 30.21, 30.18, 30.22, 30.17, 30.17, 30.19, 30.15, 30.11, 30.16, 30.10, 30.07, 30.07, 30.04, 30.12, 30.06, 30.05, 30.08, 30.05,
+      30.10, 30.12, 30.16, 30.23, 30.29, 30.39, 30.39, 30.42, 30.42, 30.40, 30.45, 30.45, 30.47, 30.42, 30.41, 30.39, 30.44, 30.40, 30.36, 30.32, 30.37, 30.35, 30.35, 30.35,
+      30.37, 30.41, 30.33, 30.30, 30.28, 30.26, 30.21, 30.20, 30.23, 30.22, 30.20, 30.21, 30.16, 30.19, 30.23, 30.22, 30.23, 30.21, 30.19, 30.18, 30.17, 30.16, 30.21, 30.23,
+      30.28, 30.34, 30.37, 30.41, 30.45, 30.41, 30.41, 30.41, 30.41, 30.38, 30.35, 30.36, 30.34, 30.34, 30.37, 30.37, 30.38, 30.35, 30.35, 30.33, 30.33, 30.34, 30.39, 30.40,
+      30.37, 30.45, 30.47, 30.49, 30.45, 30.46, 30.41, 30.41, 30.49, 30.50, 30.54, 30.56, 30.52, 30.54, 30.58, 30.55, 30.57, 30.58, 30.55, 30.56, 30.53, 30.55, 30.54, 30.51,
+      30.43, 30.44, 30.49, 30.48, 30.47, 30.47, 30.45, 30.54, 30.53, 30.58, 30.61, 30.57, 30.57, 30.66, 30.62, 30.64, 30.68, 30.71, 30.76, 30.75, 30.67, 30.80, 30.89, 30.93,
+      30.98, 30.90, 30.91, 30.94, 30.93, 30.97, 31.04, 31.05, 31.11, 31.17, 31.15, 31.16, 31.24, 31.24, 31.28, 31.28, 31.31, 31.34, 31.31, 31.37, 31.36, 31.36, 31.39, 31.47,
+      31.49, 31.48, 31.50, 31.51, 31.52, 31.52, 31.54, 31.57, 31.63, 31.55, 31.52, 31.53, 31.56, 31.51, 31.56, 31.47, 31.42, 31.43, 31.41, 31.41, 31.45, 31.46, 31.47, 31.43,
+      31.42, 31.39, 31.39, 31.39, 31.46, 31.43, 31.38, 31.32, 31.36, 31.39, 31.37, 31.42, 31.43, 31.37, 31.39, 31.40, 31.42, 31.43, 31.42, 31.45, 31.42, 31.41, 31.40, 31.40,
+      31.40, 31.45, 31.48, 31.48, 31.52, 31.46, 31.46, 31.49, 31.51, 31.56, 31.55, 31.51, 31.50, 31.46, 31.45, 31.49, 31.55, 31.54, 31.52, 31.52, 31.54, 31.48, 31.46, 31.45,
+      31.44, 31.35, 31.35, 31.35, 31.30, 31.34, 31.32, 31.33, 31.30, 31.27, 31.31, 31.28, 31.34, 31.35, 31.33, 31.35, 31.32, 31.37, 31.38, 31.37, 31.29, 31.29, 31.29, 31.32,
+      31.36, 31.37, 31.41, 31.43, 31.49, 31.51, 31.51, 31.48, 31.55, 31.62, 31.62, 31.67, 31.65, 31.71, 31.78, 31.75, 31.80, 31.78, 31.81, 31.77, 31.80, 31.80, 31.80, 31.76,
+      31.79, 31.79, 31.82, 31.83, 31.85, 31.90, 31.96, 32.00, 32.02, 32.06, 32.07, 32.03, 32.05, 32.09, 32.10, 32.08, 32.10, 32.12, 32.14, 32.14, 32.14, 32.16, 32.19, 32.17,
+      32.27, 32.27, 32.32, 32.32, 32.38, 32.38, 32.41, 32.38, 32.36, 32.34, 32.31, 32.33, 32.37, 32.39, 32.37, 32.44, 32.48, 32.49, 32.55, 32.55, 32.55, 32.61, 32.64, 32.60,
+      32.54, 32.51, 32.56, 32.58, 32.62, 32.63, 32.59, 32.66, 32.66, 32.70, 32.66, 32.68, 32.70, 32.72, 32.70, 32.73, 32.73, 32.74, 32.69, 32.73, 32.76, 32.79, 32.79, 32.85,
+      32.87, 32.89, 32.89, 32.87, 32.95, 33.03, 33.00, 33.10, 33.14, 33.14, 33.13, 33.17, 33.15, 33.09, 33.12, 33.14, 33.10, 33.07, 33.16, 33.21, 33.24, 33.30, 33.38, 33.31,
+      33.40, 33.43, 33.47, 33.50, 33.51, 33.55, 33.57, 33.55, 33.55, 33.58, 33.57, 33.60, 33.64, 33.64, 33.65, 33.63, 33.64, 33.65, 33.66, 33.66, 33.68, 33.73, 33.72, 33.70,
+      33.67, 33.75, 33.74, 33.80, 33.72, 33.70, 33.64, 33.77, 33.74, 33.80, 33.88, 33.86, 33.81, 33.80, 33.77, 33.77, 33.87, 33.84, 33.85, 33.88, 33.89, 33.95, 33.91, 33.93,
+      33.92, 34.01, 34.03, 34.02, 34.05, 34.10, 34.11, 34.12, 34.09, 34.06, 34.03, 34.11, 34.13, 34.09, 34.10, 34.14, 34.17, 34.15, 34.21, 34.21, 34.22, 34.20, 34.20, 34.26,
+      34.24, 34.26, 34.24, 34.24, 34.31, 34.35, 34.38, 34.45, 34.37, 34.43, 34.45, 34.49, 34.51, 34.59, 34.56, 34.57, 34.53, 34.48, 34.51, 34.53, 34.55, 34.50, 34.49, 34.48,
+      34.54, 34.52, 34.58, 34.61, 34.63, 34.65, 34.63, 34.60, 34.66, 34.66, 34.76, 34.80, 34.80, 34.82, 34.87, 34.82, 34.79, 34.73, 34.78, 34.77, 34.76, 34.83, 34.90, 34.97,
+      34.99, 34.92, 34.88, 34.85, 34.89, 34.89, 34.94, 35.00, 34.98, 34.94, 34.94, 34.98, 34.99, 34.91, 34.87, 34.97, 34.92, 34.96, 34.96, 34.94, 34.85, 34.88, 34.92, 34.99,
+      35.00, 34.96, 34.96, 34.97, 34.97, 34.96, 35.00, 34.92, 34.96, 34.97, 34.96, 34.98, 35.02, 35.07, 35.06, 35.08, 35.03, 34.98, 34.98, 35.04, 35.02, 35.04, 35.08, 35.07,
+      35.04, 34.99, 35.04, 35.08, 35.07, 35.12, 35.22, 35.32, 35.37, 35.36, 35.41, 35.45, 35.47, 35.47, 35.48, 35.58, 35.58, 35.63, 35.61, 35.66, 35.77, 35.82, 35.86, 35.86,
+      35.82, 35.86, 35.79, 35.80, 35.86, 35.95, 36.05, 36.04, 36.03, 36.05, 36.07, 36.03, 36.01, 35.88, 35.91, 35.95, 36.02, 36.10, 36.10, 36.17, 36.20, 36.22, 36.23, 36.26,
+      36.32, 36.39, 36.42, 36.35, 36.37, 36.43, 36.37, 36.35, 36.34, 36.31, 36.30, 36.36, 36.33, 36.34, 36.33, 36.32, 36.37, 36.43, 36.43, 36.38, 36.38, 36.28, 36.30, 36.34,
+      36.35, 36.38, 36.32, 36.40, 36.37, 36.40, 36.36, 36.41, 36.36, 36.36, 36.33, 36.29, 36.28, 36.20, 36.15, 36.22, 36.26, 36.29, 36.28, 36.32, 36.33, 36.38, 36.49, 36.48,
+      36.44, 36.40, 36.40, 36.46, 36.45, 36.56, 36.57, 36.52, 36.58, 36.61, 36.61, 36.58, 36.54, 36.59, 36.62, 36.52, 36.46, 36.48, 36.51, 36.51, 36.52, 36.47, 36.52, 36.50,
+      36.41, 36.42, 36.47, 36.45, 36.53, 36.56, 36.54, 36.60, 36.58, 36.57, 36.57, 36.52, 36.57, 36.62, 36.62, 36.68, 36.62, 36.64, 36.71, 36.75, 36.76, 36.80, 36.73, 36.72,
+      36.83, 36.93, 36.92, 36.94, 36.96, 36.97, 37.01, 37.10, 37.11, 37.00, 36.97, 36.94, 36.92, 36.91, 36.93, 36.96, 36.84, 36.83, 36.88, 36.93, 36.99, 37.02, 36.94, 36.98,
+      37.09, 37.19, 37.22, 37.28, 37.27, 37.26, 37.27, 37.15, 37.15, 37.25, 37.26, 37.27, 37.28, 37.29, 37.32, 37.31, 37.35, 37.34, 37.38, 37.43, 37.42, 37.39, 37.35, 37.40,
+      37.38, 37.43, 37.42, 37.51, 37.58, 37.61, 37.62, 37.69, 37.72, 37.70, 37.64, 37.67, 37.63, 37.66, 37.62, 37.62, 37.62, 37.58, 37.55, 37.57, 37.62, 37.72, 37.83, 37.92,
+      37.88, 37.89, 37.90, 37.91, 37.98, 37.89, 37.87, 37.89, 38.03, 38.01, 38.02, 38.01, 38.01, 38.10, 38.12, 38.21, 38.31, 38.23, 38.19, 38.21, 38.21, 38.22, 38.24, 38.22,
+      38.26, 38.30, 38.24, 38.23, 38.20, 38.14, 38.15, 38.22, 38.22, 38.28, 38.23, 38.34, 38.41, 38.42, 38.45, 38.47, 38.45, 38.47, 38.44, 38.54, 38.47, 38.51, 38.35, 38.32,
+      38.35, 38.37, 38.30, 38.31, 38.34, 38.42, 38.42, 38.44, 38.47, 38.40, 38.47, 38.50, 38.55, 38.64, 38.68, 38.75, 38.79, 38.85, 38.89, 38.80, 38.84, 38.96, 38.91, 38.95,
+      38.89, 38.82, 38.74, 38.76, 38.79, 38.82, 38.86, 38.83, 38.83, 38.83, 38.91, 38.90, 38.88, 38.92, 38.93, 39.04, 39.00, 38.97, 38.88, 38.91, 38.92, 38.98, 38.95, 38.98,
+      39.02, 38.96, 38.94, 38.87, 38.87, 38.92, 38.97, 39.00, 39.01, 39.01, 39.03, 39.09, 39.12, 39.18, 39.15, 39.10, 39.11, 39.15, 39.14, 39.24, 39.29, 39.25, 39.25, 39.26,
+      39.28, 39.29, 39.34, 39.37, 39.38, 39.41, 39.41, 39.43, 39.42, 39.40, 39.48, 39.45, 39.46, 39.51, 39.47, 39.48, 39.46, 39.43, 39.49, 39.47, 39.43, 39.45, 39.51, 39.55,
+      39.63, 39.72, 39.76, 39.81, 39.84, 39.85, 39.92, 39.97, 40.05, 40.06, 40.07, 40.18, 40.32, 40.28, 40.19, 40.23, 40.26, 40.40, 40.42, 40.49, 40.51, 40.48, 40.55, 40.57,
+      40.72, 40.66, 40.61, 40.59, 40.60, 40.65, 40.62, 40.68, 40.81, 40.87, 40.91, 40.90, 40.92, 41.02, 40.99, 41.05, 41.08, 41.13, 41.11, 41.06, 41.08, 41.01, 40.89, 40.87,
+      40.86, 40.89, 40.87, 40.97, 40.95, 41.01, 41.04, 40.99, 40.99, 41.01, 41.09, 41.12
+    ]
+  }
+];
@@ -0,0 +1,243 @@
+import { getSchemeCode, saveSchemeCode, getCachedNav, saveCachedNav } from '../workspace.js';
+import { parseNavHistory } from '../riskStats.js';
+import { rankCandidates, isConfident, searchQueryFor } from '../schemeMatch.js';
+import { navFileQuotes } from '../amfiNav.js';
+import { withRetry, dedupe } from './request.js';
+import mfapi from './mfapi.js';
+import mock from './mock.js';
+
+export { MarketDataError } from './request.js';
+
+// --- Market Data ---
+//
+// Each provider is `{ id, name, searchSchemes(query), getNavHistory(code),
+// getLatestNav(code) }`. Search resolves to [{ schemeCode, schemeName }];
+// the NAV calls resolve to mfapi-shaped `{ meta, data: [{ date, nav }] }`,
+// newest first, and reject with a MarketDataError. This module is what the
+// app calls: it adds the IndexedDB cache, retries and request de-duplication
+// in front of whichever provider is active.
+//
+// The provider defaults to mfapi.in; VITE_MARKET_DATA=mock (or
+// setMarketDataProvider('mock')) switches to the offline fixtures.
+
+export const PROVIDERS = [mfapi, mock];
+
+export const DEFAULT_PROVIDER_ID = mfapi.id;
+
+// NAVs are published once a day after market close
+const HISTORY_MAX_AGE = 12 * 60 * 60 * 1000;
+const LATEST_MAX_AGE = 2 * 60 * 60 * 1000;
+const SEARCH_MAX_AGE = 10 * 60 * 1000;
+
+export const getProvider = (id) => PROVIDERS.find(p => p.id === id) || null;
+
+let active = getProvider(import.meta.env?.VITE_MARKET_DATA) || mfapi;
+
+export const getMarketDataProvider = () => active;
+
+export const setMarketDataProvider = (id) => {
+  const provider = getProvider(id);
+  if (!provider) throw new Error(`Unknown market data provider "${id}"`);
+  active = provider;
+};
+
+// The default provider keeps the original unprefixed cache keys, so codes
+// and histories cached before providers existed stay valid
+const cacheKey = (key) => (active.id === DEFAULT_PROVIDER_ID ? String(key) : `${active.id}:${key}`);
+
+const call = (method, arg) => {
+  const provider = active;
+  return dedupe(`${provider.id}:${method}:${arg}`, () => withRetry(() => provider[method](arg)));
+};
+
+const isFresh = (entry, maxAge) => entry && Date.now() - entry.fetchedAt < maxAge;
+
+const searches = new Map();
+
+export const searchSchemes = async (query) => {
+  const key = `${active.id}:${query.trim().toLowerCase()}`;
+  const cached = searches.get(key);
+  if (isFresh(cached, SEARCH_MAX_AGE)) return cached.results;
+  const results = await call('searchSchemes', query.trim());
+  searches.set(key, { fetchedAt: Date.now(), results });
+  return results;
+};
+
+// Falls back to an expired cached copy (flagged `stale`) when the provider
+// cannot be reached, since yesterday's NAVs beat an error
+export const getNavHistory = async (code) => {
+  const cached = await getCachedNav(cacheKey(code));
+  if (isFresh(cached, HISTORY_MAX_AGE)) return { meta: cached.meta, data: cached.data };
+  try {
+    const history = await call('getNavHistory', code);
+    saveCachedNav(cacheKey(code), history);
+    return history;
+  } catch (err) {
+    if (cached && err.kind !== 'not-found') return { meta: cached.meta, data: cached.data, stale: true };
+    throw err;
+  }
+};
+
+// { schemeCode, schemeName, meta, date, nav } for the most recent NAV; a
+// fresh cached history answers without a request
+export const getLatestNav = async (code) => {
+  const history = await getCachedNav(cacheKey(code));
+  const latest = isFresh(history, LATEST_MAX_AGE) ? history : await getCachedNav(cacheKey(`latest:${code}`));
+  let entry = isFresh(latest, LATEST_MAX_AGE) ? latest : null;
+  if (!entry) {
+    entry = await call('getLatestNav', code);
+    saveCachedNav(cacheKey(`latest:${code}`), entry);
+  }
+  const [point] = parseNavHistory(entry.data.slice(0, 1));
+  return {
+    schemeCode: code,
+    schemeName: entry.meta?.scheme_name || null,
+    meta: entry.meta,
+    date: point ? point.date : null,
+    nav: point ? point.nav : null
+  };
+};
+
+// --- Scheme Matching ---
+//
+// Holding name -> { code, schemeName, source, matchedAt }, where source is
+// 'user' (picked or confirmed), 'isin', 'auto' (confident score) or 'guess'
+// (best score, awaiting review). Codes saved before matching existed were
+// the first search hit and are matched again.
+
+// Candidates whose scheme metadata is fetched to compare ISINs
+const ISIN_CHECKS = 5;
+
+export const getSchemeMatch = async (schemeName) => {
+  const saved = await getSchemeCode(cacheKey(schemeName));
+  return saved && typeof saved === 'object' ? saved : null;
+};
+
+export const saveSchemeMatch = (schemeName, candidate, source = 'user') => {
+  const match = { code: candidate.schemeCode ?? candidate.code, schemeName: candidate.schemeName, source, matchedAt: Date.now() };
+  saveSchemeCode(cacheKey(schemeName), match);
+  return match;
+};
+
+export const needsReview = (match) => Boolean(match) && match.source === 'guess';
+
+// Scored candidates for { name, isin? }, best first; `query` overrides the
+// search text derived from the name
+export const findSchemeCandidates = async (holding, query) => {
+  let results = await searchSchemes(query || searchQueryFor(holding.name));
+  if (!results.length && !query) results = await searchSchemes(holding.name);
+  const ranked = rankCandidates(holding, results);
+  if (!holding.isin || !ranked.length) return ranked;
+  const checked = await Promise.all(ranked.slice(0, ISIN_CHECKS).map(c => getLatestNav(c.schemeCode)
+    .then(({ meta }) => ({ schemeCode: c.schemeCode, schemeName: c.schemeName, isinGrowth: meta?.isin_growth, isinDivReinvestment: meta?.isin_div_reinvestment }))
+    .catch(() => c)));
+  return rankCandidates(holding, [...checked, ...ranked.slice(ISIN_CHECKS)]);
+};
+
+// The saved match, or the best candidate (saved for next time); null if the
+// provider knows no such scheme
+export const resolveScheme = async (holding) => {
+  const saved = await getSchemeMatch(holding.name);
+  if (saved) return saved;
+  const ranked = await findSchemeCandidates(holding);
+  if (!ranked.length) return null;
+  const [best] = ranked;
+  const source = best.isinMatch ? 'isin' : isConfident(ranked) ? 'auto' : 'guess';
+  return saveSchemeMatch(holding.name, best, source);
+};
+
+export const resolveSchemeCode = async (schemeName, isin) => {
+  const match = await resolveScheme({ name: schemeName, isin });
+  return match ? match.code : null;
+};
+
+// --- Latest Quotes ---
+
+const QUOTE_CONCURRENCY = 4;
+
+const distinctSchemes = (holdings) =>
+  [...new Map(holdings.map(h => [h['Scheme Name'], { name: h['Scheme Name'], isin: h['ISIN'] || null }])).values()];
+
+// Runs `task` for every item, a few at a time, reporting (done, total)
+const forEachLimited = async (items, task, onProgress) => {
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+      done++;
+      if (onProgress) onProgress(done, items.length);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(QUOTE_CONCURRENCY, items.length) }, worker));
+};
+
+// Matches every distinct scheme among the holdings and fetches its latest
+// NAV, a few at a time. Resolves to { quotes: { name: { code, schemeName,
+// nav, date, schemeCategory, amc } }, failed: [{ name, reason }],
+// guesses: [name] }.
+export const fetchLatestQuotes = async (holdings, onProgress) => {
+  const quotes = {};
+  const failed = [];
+  const guesses = [];
+
+  await forEachLimited(distinctSchemes(holdings), async (scheme) => {
+    try {
+      const match = await resolveScheme(scheme);
+      if (!match) {
+        failed.push({ name: scheme.name, reason: `Not found on ${active.name}` });
+        return;
+      }
+      const latest = await getLatestNav(match.code);
+      quotes[scheme.name] = {
+        code: match.code,
+        schemeName: match.schemeName,
+        nav: latest.nav,
+        date: latest.date,
+        schemeCategory: latest.meta?.scheme_category || null,
+        amc: latest.meta?.fund_house || null
+      };
+      if (needsReview(match)) guesses.push(scheme.name);
+    } catch (err) {
+      failed.push({ name: scheme.name, reason: err.message });
+    }
+  }, onProgress);
+
+  return { quotes, failed, guesses };
+};
+
+// Full NAV history of every distinct scheme among the holdings:
+// { histories: { name: series oldest first }, failed: [{ name, reason }],
+// stale: boolean when any came from an expired cache }
+export const fetchNavHistories = async (holdings, onProgress) => {
+  const histories = {};
+  const failed = [];
+  let stale = false;
+
+  await forEachLimited(distinctSchemes(holdings), async (scheme) => {
+    try {
+      const match = await resolveScheme(scheme);
+      if (!match) {
+        failed.push({ name: scheme.name, reason: `Not found on ${active.name}` });
+        return;
+      }
+      const history = await getNavHistory(match.code);
+      histories[scheme.name] = parseNavHistory(history.data);
+      if (history.stale) stale = true;
+    } catch (err) {
+      failed.push({ name: scheme.name, reason: err.message });
+    }
+  }, onProgress);
+
+  return { histories, failed, stale };
+};
+
+// The same result from a parsed AMFI NAV file instead of the provider, with
+// saved matches reused and new ones saved; no network involved
+export const quotesFromNavFile = async (holdings, navFile) => {
+  const names = [...new Set(holdings.map(h => h['Scheme Name']))];
+  const saved = Object.fromEntries(await Promise.all(names.map(async name => [name, await getSchemeMatch(name)])));
+  const { quotes, matches, failed, guesses } = navFileQuotes(holdings, navFile, saved);
+  Object.entries(matches).forEach(([name, match]) => saveSchemeMatch(name, match, match.source));
+  return { quotes, failed, guesses };
+};
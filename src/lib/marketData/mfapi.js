@@ -0,0 +1,32 @@
+import { fetchJSON, MarketDataError } from './request.js';
+
+// --- mfapi.in Provider ---
+//
+// Free, keyless API over AMFI's daily NAV files. Histories come newest first
+// with dd-mm-yyyy dates, which is the shape every provider returns.
+
+const API_BASE = 'https://api.mfapi.in/mf';
+const LABEL = 'mfapi.in';
+
+// Unknown scheme codes come back as a successful but empty response
+const schemeData = (body) => {
+  if (!body || !Array.isArray(body.data)) throw new MarketDataError(`${LABEL} sent an unreadable response`, 'invalid');
+  if (body.status !== 'SUCCESS' || !body.data.length) throw new MarketDataError(`Fund not found on ${LABEL}`, 'not-found');
+  return { meta: body.meta || {}, data: body.data };
+};
+
+const mfapi = {
+  id: 'mfapi',
+  name: LABEL,
+
+  searchSchemes: async (query) => {
+    const results = await fetchJSON(`${API_BASE}/search?q=${encodeURIComponent(query)}`, { label: LABEL });
+    return Array.isArray(results) ? results : [];
+  },
+
+  getNavHistory: async (code) => schemeData(await fetchJSON(`${API_BASE}/${code}`, { label: LABEL })),
+
+  getLatestNav: async (code) => schemeData(await fetchJSON(`${API_BASE}/${code}/latest`, { label: LABEL }))
+};
+
+export default mfapi;
@@ -0,0 +1,68 @@
+import { MarketDataError } from './request.js';
+
+// --- Mock Provider ---
+//
+// Serves the synthetic histories in fixtures.js with the same shapes and
+// errors as a real provider, so the app runs with no network. The fixtures
+// are loaded on first use to keep them out of the main bundle.
+
+const LABEL = 'mock market data';
+
+let schemesPromise = null;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatNavDate = (date) => `${pad(date.getDate())}-${pad(date.getMonth() + 1)}-${date.getFullYear()}`;
+
+// One NAV per weekday from the fixture's start date, newest first
+const expand = ({ meta, start, navs }) => {
+  const [y, m, d] = start.split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  const data = [];
+  navs.forEach(nav => {
+    while (date.getDay() === 0 || date.getDay() === 6) date.setDate(date.getDate() + 1);
+    data.push({ date: formatNavDate(date), nav: nav.toFixed(4) });
+    date.setDate(date.getDate() + 1);
+  });
+  return { meta, data: data.reverse() };
+};
+
+const loadSchemes = () => {
+  if (!schemesPromise) {
+    schemesPromise = import('./fixtures.js').then(({ default: fixtures }) => new Map(
+      fixtures.map(f => [String(f.meta.scheme_code), expand(f)])
+    ));
+  }
+  return schemesPromise;
+};
+
+const findScheme = async (code) => {
+  const scheme = (await loadSchemes()).get(String(code));
+  if (!scheme) throw new MarketDataError(`Fund not found on ${LABEL}`, 'not-found');
+  return scheme;
+};
+
+// Like mfapi's search: every word of the query must appear in the name
+const matches = (name, query) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = name.toLowerCase();
+  return words.length > 0 && words.every(w => haystack.includes(w));
+};
+
+const mock = {
+  id: 'mock',
+  name: LABEL,
+
+  searchSchemes: async (query) => [...(await loadSchemes()).values()]
+    .filter(s => matches(s.meta.scheme_name, query))
+    .map(s => ({ schemeCode: s.meta.scheme_code, schemeName: s.meta.scheme_name })),
+
+  getNavHistory: findScheme,
+
+  getLatestNav: async (code) => {
+    const { meta, data } = await findScheme(code);
+    return { meta, data: data.slice(0, 1) };
+  }
+};
+
+export default mock;
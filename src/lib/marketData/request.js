@@ -0,0 +1,69 @@
+// --- Market Data Requests ---
+//
+// Transport helpers shared by the providers: a fetch with a timeout that
+// turns every failure into a MarketDataError, retries with exponential
+// backoff for failures worth retrying, and de-duplication of identical
+// requests that are still in flight.
+
+export class MarketDataError extends Error {
+  // kind: 'not-found' | 'timeout' | 'network' | 'http' | 'invalid'
+  constructor(message, kind, status = null) {
+    super(message);
+    this.name = 'MarketDataError';
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+const DEFAULT_TIMEOUT = 10000;
+
+// Rate limiting and server errors are transient; a 404 or a malformed body is not
+export const isRetryable = (err) => err instanceof MarketDataError && (
+  err.kind === 'timeout' || err.kind === 'network' ||
+  (err.kind === 'http' && (err.status === 429 || err.status >= 500))
+);
+
+export const fetchJSON = async (url, { timeout = DEFAULT_TIMEOUT, label = 'Market data service' } = {}) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let res;
+  try {
+    res = await fetch(url, { signal: controller.signal });
+  } catch (err) {
+    if (err.name === 'AbortError') throw new MarketDataError(`${label} took too long to respond`, 'timeout');
+    throw new MarketDataError(`Unable to connect to ${label}`, 'network');
+  } finally {
+    clearTimeout(timer);
+  }
+  if (res.status === 404) throw new MarketDataError(`Not found on ${label}`, 'not-found', 404);
+  if (!res.ok) throw new MarketDataError(`${label} returned an error (${res.status})`, 'http', res.status);
+  try {
+    return await res.json();
+  } catch {
+    throw new MarketDataError(`${label} sent an unreadable response`, 'invalid');
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Waits baseDelay, 2x, 4x... (with some jitter) between attempts
+export const withRetry = async (task, { retries = 2, baseDelay = 500 } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      await sleep(baseDelay * 2 ** attempt * (0.75 + Math.random() * 0.5));
+    }
+  }
+};
+
+const inFlight = new Map();
+
+// Callers asking for the same key while a request is pending share its promise
+export const dedupe = (key, task) => {
+  if (inFlight.has(key)) return inFlight.get(key);
+  const promise = task().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+};
@@ -0,0 +1,101 @@
+import { normalizeSchemeName } from './schemeNames.js';
+
+// --- Multi-Source Merge ---
+//
+// A source is one imported file: `{ id, label, fileName, format, statementDate,
+// holdings, transactions }`. Merging stamps every holding and transaction with
+// its source label and drops holdings that a second platform reports for the
+// same folio (e.g. a Groww export and a CAS both listing the same HDFC folio).
+// Of two reports of one holding the newer statement is kept, so a February
+// CAS replaces January's values whichever was imported first.
+
+const round = (n, d = 3) => Math.round((Number(n) || 0) * 10 ** d) / 10 ** d;
+
+const normalizeFolio = (folio) => String(folio || '').replace(/\s+/g, '').split('/')[0];
+
+// Identity of a holding across platforms: the folio and the scheme name as
+// any platform spells it. ISINs are not part of the key because only some
+// exports carry them (a CAS does, Groww does not); sameHolding compares them
+// when both rows have one. Without a folio the only safe signal is the exact
+// same unit balance.
+export const holdingKey = (h) => {
+  const folio = normalizeFolio(h['Folio']);
+  const name = normalizeSchemeName(h['Scheme Name']);
+  return folio ? `folio:${folio}|name:${name}` : `name:${name}|units:${round(h['Units'])}`;
+};
+
+const isinOf = (h) => (h['ISIN'] ? String(h['ISIN']).trim().toUpperCase() : '');
+
+export const sameHolding = (a, b) => {
+  if (holdingKey(a) !== holdingKey(b)) return false;
+  const isinA = isinOf(a);
+  const isinB = isinOf(b);
+  return !isinA || !isinB || isinA === isinB;
+};
+
+const transactionKey = (t) =>
+  [normalizeSchemeName(t.schemeName), t.date?.getTime?.(), round(t.amount, 2), round(t.units), t.type].join('|');
+
+export const uniqueLabel = (label, existing) => {
+  const taken = new Set(existing);
+  if (!taken.has(label)) return label;
+  let n = 2;
+  while (taken.has(`${label} (${n})`)) n++;
+  return `${label} (${n})`;
+};
+
+// An undated file (a ledger, a mapped sheet) ranks below any dated one; when
+// neither is dated the one imported first is kept
+const statementTime = (source) => (source.statementDate ? new Date(source.statementDate).getTime() : -Infinity);
+
+// The sources a statement dated `date` was current alongside: files dated
+// after it are left out, so a January CAS imported after February's is
+// snapshotted with January's values. Undated files are always included.
+export const sourcesAsOf = (sources, date) => {
+  if (!date) return sources;
+  const time = new Date(date).getTime();
+  return sources.filter(source => statementTime(source) <= time);
+};
+
+export const mergeSources = (sources) => {
+  const holdings = [];
+  const transactions = [];
+  const duplicates = [];
+  const seen = new Map(); // holding key -> [{ holding, source, time, index }] kept for each source
+  const seenTxns = new Map(); // transaction key -> source label
+
+  sources.forEach(source => {
+    const time = statementTime(source);
+    source.holdings.forEach(h => {
+      const key = holdingKey(h);
+      const reported = seen.get(key) || [];
+      // Repeats within one file are separate lots; only cross-file repeats are duplicates
+      const kept = reported.find(r => r.source !== source.label && sameHolding(r.holding, h));
+      if (kept && kept.time >= time) {
+        duplicates.push({ holding: h, source: source.label, duplicateOf: kept.source });
+        return;
+      }
+      if (kept) {
+        // This statement is newer: its row takes the older one's place
+        duplicates.push({ holding: kept.holding, source: kept.source, duplicateOf: source.label });
+        Object.assign(kept, { holding: h, source: source.label, time });
+        holdings[kept.index] = { ...h, 'Source': source.label };
+        return;
+      }
+      seen.set(key, [...reported, { holding: h, source: source.label, time, index: holdings.length }]);
+      holdings.push({ ...h, 'Source': source.label });
+    });
+
+    (source.transactions || []).forEach(t => {
+      const key = transactionKey(t);
+      const firstSource = seenTxns.get(key);
+      // Two identical SIP instalments in one file are real; the same one in two files is not
+      if (firstSource !== undefined && firstSource !== source.label) return;
+      seenTxns.set(key, source.label);
+      transactions.push({ ...t, source: source.label });
+    });
+  });
+
+  transactions.sort((a, b) => a.date - b.date);
+  return { holdings, transactions: transactions.length ? transactions : null, duplicates };
+};
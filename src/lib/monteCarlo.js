@@ -0,0 +1,120 @@
+import { nominalTarget } from './goalPlanner.js';
+
+// --- Monte Carlo Projection ---
+//
+// The planner's single compounding line reads as a promise. Here the same
+// plan (starting value, stepped-up SIP, horizon, inflation, target) is run
+// over thousands of paths of random monthly returns, split between equity
+// and debt by the portfolio's equity ratio. Each asset's yearly return has
+// the given mean and volatility (lognormal, so a year can lose but never
+// more than everything), and the two are drawn with the given correlation.
+// The result is the spread of outcomes, not a forecast.
+
+export const DEFAULT_ASSUMPTIONS = {
+  equity: { mean: 12, volatility: 16 },
+  debt: { mean: 7, volatility: 3 },
+  correlation: 0,
+  paths: 5000
+};
+
+export const PATH_COUNTS = [1000, 5000, 10000];
+
+export const PERCENTILES = [10, 50, 90];
+
+const PROGRESS_EVERY = 250;
+
+export const normalizeAssumptions = (assumptions) => ({
+  ...DEFAULT_ASSUMPTIONS,
+  ...(assumptions || {}),
+  equity: { ...DEFAULT_ASSUMPTIONS.equity, ...(assumptions?.equity || {}) },
+  debt: { ...DEFAULT_ASSUMPTIONS.debt, ...(assumptions?.debt || {}) }
+});
+
+// mulberry32: seeded so the same inputs give the same bands
+const seededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Pairs of independent standard normals (Box-Muller)
+const normalPairs = (random) => () => {
+  const u = 1 - random();
+  const v = random();
+  const r = Math.sqrt(-2 * Math.log(u));
+  return [r * Math.cos(2 * Math.PI * v), r * Math.sin(2 * Math.PI * v)];
+};
+
+// Monthly log-return drift and spread whose yearly growth has the given
+// arithmetic mean and volatility, in %
+const monthlyLogParams = ({ mean, volatility }) => {
+  const growth = 1 + mean / 100;
+  const variance = Math.log(1 + Math.pow(volatility / 100 / growth, 2));
+  return { drift: (Math.log(growth) - variance / 2) / 12, spread: Math.sqrt(variance / 12) };
+};
+
+const percentile = (sorted, p) => {
+  const pos = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+// input: { startValue, equityShare (0..1), plan, assumptions, seed }
+// -> { years: [{ year, invested, p10, p50, p90, real10, real50, real90 }],
+//      goalProbability (0..1, null without a target), paths }
+export const simulatePlan = ({ startValue, equityShare, plan, assumptions, seed = 1 }, onProgress) => {
+  const { equity, debt, correlation, paths } = normalizeAssumptions(assumptions);
+  const share = Math.min(1, Math.max(0, equityShare));
+  const rho = Math.min(1, Math.max(-1, correlation));
+  const residual = Math.sqrt(1 - rho * rho);
+  const eq = monthlyLogParams(equity);
+  const dt = monthlyLogParams(debt);
+  const draw = normalPairs(seededRandom(seed));
+  const horizon = plan.horizon;
+
+  // Value of every path at the end of every year; year 0 is today
+  const values = Array.from({ length: horizon + 1 }, () => new Float64Array(paths));
+  values[0].fill(startValue);
+  const invested = [startValue];
+  for (let year = 1; year <= horizon; year++) {
+    invested.push(invested[year - 1] + 12 * plan.monthlySIP * Math.pow(1 + plan.stepUp / 100, year - 1));
+  }
+
+  for (let path = 0; path < paths; path++) {
+    let inEquity = startValue * share;
+    let inDebt = startValue * (1 - share);
+    for (let year = 1; year <= horizon; year++) {
+      const sip = plan.monthlySIP * Math.pow(1 + plan.stepUp / 100, year - 1);
+      for (let month = 0; month < 12; month++) {
+        const [z1, z2] = draw();
+        const zDebt = rho * z1 + residual * z2;
+        inEquity = (inEquity + sip * share) * Math.exp(eq.drift + eq.spread * z1);
+        inDebt = (inDebt + sip * (1 - share)) * Math.exp(dt.drift + dt.spread * zDebt);
+      }
+      values[year][path] = inEquity + inDebt;
+    }
+    if (onProgress && ((path + 1) % PROGRESS_EVERY === 0 || path + 1 === paths)) onProgress(path + 1, paths);
+  }
+
+  const inflation = 1 + plan.inflation / 100;
+  const years = values.map((column, year) => {
+    const sorted = Float64Array.from(column).sort();
+    const deflator = Math.pow(inflation, year);
+    const [p10, p50, p90] = PERCENTILES.map(p => percentile(sorted, p));
+    return { year, invested: invested[year], p10, p50, p90, real10: p10 / deflator, real50: p50 / deflator, real90: p90 / deflator };
+  });
+
+  let goalProbability = null;
+  if (plan.target > 0) {
+    const goal = nominalTarget(plan);
+    goalProbability = values[horizon].reduce((hits, v) => hits + (v >= goal ? 1 : 0), 0) / paths;
+  }
+
+  return { years, goalProbability, paths };
+};
@@ -0,0 +1,9 @@
+import { simulatePlan } from './monteCarlo.js';
+
+// Runs simulatePlan off the main thread. Posts { type: 'progress', done,
+// total } while running and { type: 'result', result } at the end.
+
+self.onmessage = (event) => {
+  const result = simulatePlan(event.data, (done, total) => self.postMessage({ type: 'progress', done, total }));
+  self.postMessage({ type: 'result', result });
+};
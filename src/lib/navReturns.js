@@ -0,0 +1,134 @@
+import { monthEndCloses, annualizedReturn } from './riskStats.js';
+
+// --- Rolling and Calendar Returns ---
+//
+// Point-to-point CAGR depends heavily on the start date. Rolling returns
+// take every possible start date instead: for each trading day, the CAGR of
+// the trailing 1/3/5 years ending that day. Calendar returns split the same
+// NAV series into months and years for the heatmap.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ROLLING_PERIODS = [1, 3, 5];
+
+export const historyYears = (series) =>
+  (series.length > 1 ? (series[series.length - 1].date - series[0].date) / (365.25 * DAY_MS) : 0);
+
+const median = (sorted) => {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// One point per trading day whose window is fully covered by the history;
+// the start NAV is the last one on or before the anniversary
+export const rollingReturns = (series, years) => {
+  const points = [];
+  let start = 0;
+  series.forEach(end => {
+    const from = new Date(end.date);
+    from.setFullYear(from.getFullYear() - years);
+    if (series[0].date > from) return;
+    while (start + 1 < series.length && series[start + 1].date <= from) start++;
+    const base = series[start];
+    const span = (end.date - base.date) / (365.25 * DAY_MS);
+    points.push({ date: end.date, value: (Math.pow(end.nav / base.nav, 1 / span) - 1) * 100 });
+  });
+  return points;
+};
+
+export const rollingSummary = (points, threshold) => {
+  if (!points.length) return null;
+  const sorted = points.map(p => p.value).sort((a, b) => a - b);
+  return {
+    count: points.length,
+    min: sorted[0],
+    median: median(sorted),
+    max: sorted[sorted.length - 1],
+    beating: (sorted.filter(v => v > threshold).length / sorted.length) * 100
+  };
+};
+
+// Thins a daily series for charting without losing its shape
+export const samplePoints = (points, maxPoints = 300) => {
+  if (points.length <= maxPoints) return points;
+  const step = Math.ceil(points.length / maxPoints);
+  return points.filter((p, i) => i % step === 0 || i === points.length - 1);
+};
+
+// [{ year, months: [12 x return | null], total, partial }], newest year first.
+// A month needs the previous month's close; the first year of history is
+// measured from its first NAV and flagged partial.
+export const calendarReturns = (series) => {
+  if (series.length < 2) return [];
+  const closes = monthEndCloses(series);
+  const firstYear = series[0].date.getFullYear();
+  const lastYear = series[series.length - 1].date.getFullYear();
+  const rows = [];
+  for (let year = lastYear; year >= firstYear; year--) {
+    const months = Array.from({ length: 12 }, (_, m) => {
+      const key = year * 12 + m;
+      return closes.has(key) && closes.has(key - 1) ? (closes.get(key) / closes.get(key - 1) - 1) * 100 : null;
+    });
+    const yearEnd = [...Array(12).keys()].reverse().map(m => closes.get(year * 12 + m)).find(v => v !== undefined);
+    const priorClose = closes.get(year * 12 - 1);
+    const base = priorClose ?? series.find(p => p.date.getFullYear() === year)?.nav;
+    rows.push({
+      year,
+      months,
+      total: base && yearEnd ? (yearEnd / base - 1) * 100 : null,
+      partial: priorClose === undefined || year === lastYear
+    });
+  }
+  return rows;
+};
+
+// --- Trailing Returns ---
+//
+// Point-to-point return over the last 1/3/5 years, from the last NAV on or
+// before the anniversary of the latest one: { absolute, cagr } in percent,
+// or null when the history does not reach that far back.
+export const trailingReturn = (series, years) => {
+  if (series.length < 2) return null;
+  const end = series[series.length - 1];
+  const from = new Date(end.date);
+  from.setFullYear(from.getFullYear() - years);
+  const start = series.findLast(p => p.date <= from);
+  if (!start) return null;
+  return { absolute: (end.nav / start.nav - 1) * 100, cagr: annualizedReturn([start, end]) };
+};
+
+// --- Chart Ranges ---
+
+export const NAV_RANGES = ['1M', '6M', 'YTD', '1Y', '3Y', '5Y', 'Max'];
+
+// First date shown for a range, counted back from the latest NAV
+export const rangeStart = (lastDate, range) => {
+  const start = new Date(lastDate);
+  switch (range) {
+    case '1M': start.setMonth(start.getMonth() - 1); break;
+    case '6M': start.setMonth(start.getMonth() - 6); break;
+    case 'YTD': return new Date(lastDate.getFullYear(), 0, 1);
+    case '1Y': start.setFullYear(start.getFullYear() - 1); break;
+    case '3Y': start.setFullYear(start.getFullYear() - 3); break;
+    case '5Y': start.setFullYear(start.getFullYear() - 5); break;
+    default: return null;
+  }
+  return start;
+};
+
+export const seriesInRange = (series, range) => {
+  if (!series.length) return series;
+  const start = rangeStart(series[series.length - 1].date, range);
+  return start ? series.filter(p => p.date >= start) : series;
+};
+
+// High, low and where the latest NAV sits between them (0-100)
+export const fiftyTwoWeekRange = (series) => {
+  const year = seriesInRange(series, '1Y');
+  if (!year.length) return null;
+  const navs = year.map(p => p.nav);
+  const high = Math.max(...navs);
+  const low = Math.min(...navs);
+  const current = year[year.length - 1].nav;
+  return { high, low, current, position: high > low ? ((current - low) / (high - low)) * 100 : 50 };
+};
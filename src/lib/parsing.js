@@ -0,0 +1,83 @@
+// --- Cell Parsing Helpers ---
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+export const isBlankCell = (val) => val === undefined || val === null || String(val).trim() === '';
+
+// Parses "₹1,23,456.78", "(1,200)", "12.5%" and plain numbers. Returns NaN when
+// the cell holds something that is not a number.
+export const parseNumber = (val) => {
+  if (typeof val === 'number') return val;
+  if (val === undefined || val === null) return NaN;
+  let str = String(val).trim();
+  if (!str) return NaN;
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1);
+  }
+  str = str.replace(/(₹|rs\.?|inr|%)/gi, '').replace(/\s/g, '');
+  // European-locale exports write 1.234,56; Indian grouping always ends in three digits
+  if (/^[-+]?\d{1,3}(\.\d{3})+,\d+$/.test(str) || /^[-+]?\d+,\d{1,2}$/.test(str) || /^[-+]?\d+,\d{4,}$/.test(str)) {
+    str = str.replace(/\./g, '').replace(',', '.');
+  }
+  str = str.replace(/,/g, '');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(str)) return NaN;
+  const num = parseFloat(str);
+  return negative ? -num : num;
+};
+
+// Excel stores dates as days since 1899-12-30
+const fromExcelSerial = (serial) => {
+  const utc = new Date(Math.round((serial - 25569) * 86400 * 1000));
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+};
+
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+const makeDate = (y, m, d) => {
+  const date = new Date(y, m, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m || date.getDate() !== d) return null;
+  return date;
+};
+
+// Accepts dd-mm-yyyy, dd/mm/yyyy, dd-MMM-yyyy, dd MMM yyyy, yyyy-mm-dd and Excel
+// serial numbers. Indian statements are day-first, so ambiguous dates are read that way.
+export const parseDate = (val) => {
+  if (val instanceof Date) return isNaN(val) ? null : val;
+  if (typeof val === 'number') return val > 20000 && val < 80000 ? fromExcelSerial(val) : null;
+  if (val === undefined || val === null) return null;
+  const str = String(val).trim();
+  if (!str) return null;
+
+  let m = str.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (m) return makeDate(+m[1], +m[2] - 1, +m[3]);
+
+  m = str.match(/^(\d{1,2})[-/. ](\d{1,2})[-/. ](\d{2,4})$/);
+  if (m) return makeDate(fullYear(+m[3]), +m[2] - 1, +m[1]);
+
+  m = str.match(/^(\d{1,2})[-/ ]([A-Za-z]{3,9})[-/ ,]+(\d{2,4})$/);
+  if (m) {
+    const month = MONTHS[m[2].slice(0, 3).toLowerCase()];
+    if (month === undefined) return null;
+    return makeDate(fullYear(+m[3]), month, +m[1]);
+  }
+
+  if (/^\d{5}(\.\d+)?$/.test(str)) return parseDate(parseFloat(str));
+  return null;
+};
+
+export const formatDate = (date) => {
+  if (!date) return '';
+  return date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+// Records a row that was read but not imported, for the import review.
+// `row` is the 1-based line number as a spreadsheet would show it.
+export const noteSkipped = (skipped, index, cells, reason) => {
+  if (!skipped || !Array.isArray(cells) || cells.every(isBlankCell)) return;
+  skipped.push({ row: index + 1, cells, reason });
+};
@@ -0,0 +1,128 @@
+import { groupTransactionsByScheme, positionTimeline } from './ledger.js';
+import { maxDrawdown } from './riskStats.js';
+
+// --- Portfolio History ---
+//
+// Rebuilds what the whole portfolio was worth on each day of the last few
+// years from every fund's NAV history. With a transaction ledger the units
+// (and invested amount) change on the dates they were bought or sold; a
+// holdings snapshot only says what is held now, so those units are assumed
+// held throughout and the line shows what today's portfolio would have been
+// worth, not what was actually owned.
+//
+// Drawdowns are measured on a time-weighted index rather than the raw value,
+// so a fresh purchase does not read as a recovery nor a redemption as a fall.
+
+export const HISTORY_YEARS = [1, 3, 5];
+
+// Units and invested amount of one scheme as a step function of the date
+const schemePositions = (holding, txns) => {
+  if (txns && txns.length) {
+    const steps = positionTimeline(txns);
+    return { fromLedger: true, since: steps[0].date, steps };
+  }
+  const units = Number(holding['Units']) || 0;
+  const invested = Number(holding['Invested Value']) || 0;
+  return { fromLedger: false, since: null, steps: [{ date: new Date(0), units, cost: invested }] };
+};
+
+// Every scheme the line is made of: the current holdings and, with a ledger,
+// the schemes since sold out of, which still count for the days they were
+// held. Shaped like holdings rows so their NAV histories can be fetched alike.
+export const historySchemes = (holdings, transactions = null) => {
+  const schemes = new Map(holdings.map(h => [h['Scheme Name'], h]));
+  (transactions || []).forEach(t => {
+    if (!schemes.has(t.schemeName)) schemes.set(t.schemeName, { 'Scheme Name': t.schemeName, 'ISIN': t.isin || null, 'Units': 0 });
+  });
+  return [...schemes.values()];
+};
+
+// holdings: rows as on the dashboard; histories: { schemeName: series } with
+// series oldest first, including any exited ledger scheme (historySchemes);
+// transactions: the ledger or null.
+// -> { start, end, rows: [{ date, value, invested, index, drawdown }],
+//      summary, fromLedger, missing: [schemeName] }
+export const reconstructHistory = ({ holdings, histories, transactions = null, years = 3 }) => {
+  const ledger = transactions && transactions.length ? groupTransactionsByScheme(transactions) : {};
+  const missing = [];
+  const schemes = [];
+  historySchemes(holdings, transactions).forEach(holding => {
+    const name = holding['Scheme Name'];
+    const series = histories[name];
+    const positions = schemePositions(holding, ledger[name]);
+    if (!series || !series.length || !positions.steps.some(s => s.units > 0)) {
+      missing.push(name);
+      return;
+    }
+    schemes.push({ name, series, ...positions });
+  });
+  if (!schemes.length) return { start: null, end: null, rows: [], summary: null, fromLedger: false, missing };
+
+  const end = new Date(Math.max(...schemes.map(s => s.series[s.series.length - 1].date)));
+  let start = new Date(end);
+  start.setFullYear(start.getFullYear() - years);
+  // A ledger that begins inside the window starts the line at the first purchase
+  if (schemes.every(s => s.fromLedger)) {
+    const firstHeld = new Date(Math.min(...schemes.map(s => s.since)));
+    if (firstHeld > start) start = firstHeld;
+  }
+  // A fund whose NAVs begin after it was first held pushes the start forward
+  schemes.forEach(s => {
+    const heldFrom = s.since && s.since > start ? s.since : start;
+    if (s.series[0].date > heldFrom) start = new Date(s.series[0].date);
+  });
+  if (start >= end) return { start: null, end: null, rows: [], summary: null, fromLedger: false, missing };
+
+  const dates = [...new Set(schemes.flatMap(s => s.series
+    .filter(p => p.date >= start && p.date <= end)
+    .map(p => p.date.getTime())))].sort((a, b) => a - b);
+
+  const navCursors = schemes.map(() => -1);
+  const stepCursors = schemes.map(() => -1);
+  let index = 100;
+  let peak = 100;
+  let previous = null;
+
+  const rows = dates.map(time => {
+    let value = 0;
+    let invested = 0;
+    let flow = 0;
+    schemes.forEach((s, i) => {
+      while (navCursors[i] + 1 < s.series.length && s.series[navCursors[i] + 1].date.getTime() <= time) navCursors[i]++;
+      const before = stepCursors[i] >= 0 ? s.steps[stepCursors[i]].units : 0;
+      while (stepCursors[i] + 1 < s.steps.length && s.steps[stepCursors[i] + 1].date.getTime() <= time) stepCursors[i]++;
+      if (stepCursors[i] < 0 || navCursors[i] < 0) return;
+      const { units, cost } = s.steps[stepCursors[i]];
+      const nav = s.series[navCursors[i]].nav;
+      value += units * nav;
+      invested += cost;
+      // Units bought or sold since the last row, at today's NAV
+      if (previous) flow += (units - before) * nav;
+    });
+    if (previous && previous.value > 0) index *= (value - flow) / previous.value;
+    peak = Math.max(peak, index);
+    const row = { date: new Date(time), value, invested, index, drawdown: (index / peak - 1) * 100 };
+    previous = row;
+    return row;
+  });
+
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  const worst = maxDrawdown(rows.map(r => ({ date: r.date, nav: r.index })));
+  return {
+    start: first.date,
+    end: last.date,
+    rows,
+    fromLedger: schemes.some(s => s.fromLedger),
+    missing,
+    summary: {
+      startValue: first.value,
+      endValue: last.value,
+      invested: last.invested,
+      gain: last.value - last.invested,
+      timeWeightedReturn: (last.index / first.index - 1) * 100,
+      maxDrawdown: worst,
+      currentDrawdown: last.drawdown
+    }
+  };
+};
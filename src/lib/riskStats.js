@@ -0,0 +1,136 @@
+// --- Fund Risk Statistics ---
+//
+// Computed from a daily NAV history (mfapi.in returns it newest first with
+// dd-mm-yyyy dates). Volatility, Sharpe and Sortino use daily returns over
+// the trailing window, annualised with 252 trading days; drawdown looks at
+// the same window; downside capture compares month-end returns against a
+// benchmark series over the months the benchmark fell.
+
+const TRADING_DAYS = 252;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RISK_FREE_RATE = 6.5;
+
+// Nifty 50 index fund (UTI, direct growth) as the market proxy for downside capture
+export const BENCHMARK_SCHEME = { code: '120716', name: 'Nifty 50' };
+
+const parseNavDate = (str) => {
+  const [d, m, y] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// Oldest first, invalid and zero NAVs dropped
+export const parseNavHistory = (rawData = []) => rawData
+  .map(d => ({ date: parseNavDate(d.date), nav: parseFloat(d.nav) }))
+  .filter(p => !isNaN(p.date) && p.nav > 0)
+  .sort((a, b) => a.date - b.date);
+
+export const trailingWindow = (series, years) => {
+  if (!series.length) return series;
+  const start = new Date(series[series.length - 1].date);
+  start.setFullYear(start.getFullYear() - years);
+  return series.filter(p => p.date >= start);
+};
+
+const mean = (values) => values.reduce((s, v) => s + v, 0) / values.length;
+
+export const dailyReturns = (series) => series.slice(1).map((p, i) => p.nav / series[i].nav - 1);
+
+export const annualizedReturn = (series) => {
+  if (series.length < 2) return null;
+  const first = series[0];
+  const last = series[series.length - 1];
+  const years = (last.date - first.date) / (365.25 * DAY_MS);
+  if (years <= 0) return null;
+  return (Math.pow(last.nav / first.nav, 1 / years) - 1) * 100;
+};
+
+export const annualizedVolatility = (returns) => {
+  if (returns.length < 2) return null;
+  const avg = mean(returns);
+  const variance = returns.reduce((s, r) => s + (r - avg) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS) * 100;
+};
+
+// Only returns below the daily risk-free hurdle count as risk
+export const downsideDeviation = (returns, riskFreeRate) => {
+  if (!returns.length) return null;
+  const hurdle = Math.pow(1 + riskFreeRate / 100, 1 / TRADING_DAYS) - 1;
+  const squares = returns.map(r => Math.min(0, r - hurdle) ** 2);
+  return Math.sqrt(mean(squares) * TRADING_DAYS) * 100;
+};
+
+// Deepest peak-to-trough fall, when the peak was regained (null if not yet)
+// and how many days that took from the trough
+export const maxDrawdown = (series) => {
+  if (series.length < 2) return null;
+  let peak = series[0];
+  let worst = { depth: 0, peak: series[0], trough: series[0] };
+  series.forEach(p => {
+    if (p.nav > peak.nav) peak = p;
+    const depth = (p.nav / peak.nav - 1) * 100;
+    if (depth < worst.depth) worst = { depth, peak, trough: p };
+  });
+  if (worst.depth === 0) return { depth: 0, peakDate: null, troughDate: null, recoveryDate: null, recoveryDays: null };
+  const recovery = series.find(p => p.date > worst.trough.date && p.nav >= worst.peak.nav);
+  return {
+    depth: worst.depth,
+    peakDate: worst.peak.date,
+    troughDate: worst.trough.date,
+    recoveryDate: recovery ? recovery.date : null,
+    recoveryDays: recovery ? Math.round((recovery.date - worst.trough.date) / DAY_MS) : null
+  };
+};
+
+export const monthKey = (date) => date.getFullYear() * 12 + date.getMonth();
+
+// Last NAV of each calendar month, keyed by monthKey
+export const monthEndCloses = (series) => {
+  const closes = new Map();
+  series.forEach(p => closes.set(monthKey(p.date), p.nav));
+  return closes;
+};
+
+// { monthKey: return over the month } for consecutive months
+const monthlyReturns = (series) => {
+  const closes = monthEndCloses(series);
+  const keys = [...closes.keys()].sort((a, b) => a - b);
+  const returns = new Map();
+  keys.slice(1).forEach((key, i) => {
+    if (key - keys[i] === 1) returns.set(key, closes.get(key) / closes.get(keys[i]) - 1);
+  });
+  return returns;
+};
+
+// Fund's average return in the benchmark's down months as a share of the
+// benchmark's; below 100 means it fell less than the market
+export const downsideCapture = (series, benchmarkSeries) => {
+  if (!benchmarkSeries || benchmarkSeries.length < 2) return null;
+  const fund = monthlyReturns(series);
+  const bench = monthlyReturns(benchmarkSeries);
+  const downMonths = [...bench.entries()].filter(([key, r]) => r < 0 && fund.has(key));
+  if (downMonths.length < 3) return null;
+  const benchAvg = mean(downMonths.map(([, r]) => r));
+  const fundAvg = mean(downMonths.map(([key]) => fund.get(key)));
+  return { ratio: (fundAvg / benchAvg) * 100, months: downMonths.length };
+};
+
+export const riskStats = (series, { riskFreeRate = DEFAULT_RISK_FREE_RATE, benchmark = null, years = 3 } = {}) => {
+  const window = trailingWindow(series, years);
+  if (window.length < 20) return null;
+  const returns = dailyReturns(window);
+  const cagr = annualizedReturn(window);
+  const volatility = annualizedVolatility(returns);
+  const downside = downsideDeviation(returns, riskFreeRate);
+  const excess = cagr === null ? null : cagr - riskFreeRate;
+  const windowYears = (window[window.length - 1].date - window[0].date) / (365.25 * DAY_MS);
+  return {
+    years: Math.min(years, parseFloat(windowYears.toFixed(1))),
+    cagr,
+    volatility,
+    sharpe: excess !== null && volatility ? excess / volatility : null,
+    sortino: excess !== null && downside ? excess / downside : null,
+    drawdown: maxDrawdown(window),
+    downsideCapture: benchmark ? downsideCapture(window, trailingWindow(benchmark, years)) : null
+  };
+};
@@ -0,0 +1,43 @@
+import { simulatePlan } from './monteCarlo.js';
+
+// --- Monte Carlo Runner ---
+//
+// Starts simulatePlan in a web worker so thousands of paths do not freeze
+// the page. Returns { promise, cancel }: cancel terminates the worker and
+// rejects the promise with a SimulationCancelled, which callers replacing a
+// run with a newer one can ignore. Where workers are unavailable (Node, old
+// browsers) it runs inline.
+
+export class SimulationCancelled extends Error {
+  constructor(message = 'Simulation cancelled') {
+    super(message);
+    this.name = 'SimulationCancelled';
+  }
+}
+
+export const runMonteCarlo = (input, onProgress) => {
+  if (typeof Worker === 'undefined') {
+    return { promise: Promise.resolve().then(() => simulatePlan(input, onProgress)), cancel: () => {} };
+  }
+  const worker = new Worker(new URL('./monteCarlo.worker.js', import.meta.url), { type: 'module' });
+  let settle = null;
+  const promise = new Promise((resolve, reject) => {
+    const done = (fn, value) => {
+      if (!settle) return;
+      settle = null;
+      worker.terminate();
+      fn(value);
+    };
+    settle = (err) => done(reject, err);
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.done, data.total);
+        return;
+      }
+      done(resolve, data.result);
+    };
+    worker.onerror = (event) => done(reject, new Error(event.message || 'Simulation failed'));
+  });
+  worker.postMessage(input);
+  return { promise, cancel: () => { if (settle) settle(new SimulationCancelled()); } };
+};
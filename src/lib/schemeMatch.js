@@ -0,0 +1,100 @@
+import { normalizeSchemeName } from './schemeNames.js';
+
+// --- Scheme Code Matching ---
+//
+// A scheme is listed once per plan (Direct/Regular) and option
+// (Growth/IDCW), so a search for a holding's name returns several codes
+// with near-identical names. Candidates are scored on name similarity plus
+// plan and option agreement; when the holding's name does not say which,
+// Direct Growth is assumed, as that is what most platforms sell. An ISIN
+// match settles it outright.
+
+const PLAN_WORDS = /\b(direct|regular|retail|institutional)\b/;
+const OPTION_WORDS = /\b(growth|idcw|dividend|payout|reinvest(?:ment)?|bonus|daily|weekly|monthly|quarterly|annual|half yearly)\b/g;
+
+// Matches needing no review: an ISIN hit, or a strong score clearly ahead
+// of the runner-up
+const AUTO_SCORE = 80;
+const AUTO_MARGIN = 10;
+
+export const planOf = (name) => {
+  const match = String(name || '').toLowerCase().match(PLAN_WORDS);
+  if (!match) return null;
+  return match[1] === 'direct' ? 'direct' : 'regular';
+};
+
+export const optionOf = (name) => {
+  const lower = String(name || '').toLowerCase();
+  if (/idcw|dividend|payout|reinvest|bonus/.test(lower)) return 'idcw';
+  if (/growth/.test(lower)) return 'growth';
+  return null;
+};
+
+// Normalised name without plan and option words: "hdfc top 100"
+export const coreName = (name) => normalizeSchemeName(name)
+  .replace(PLAN_WORDS, ' ')
+  .replace(OPTION_WORDS, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Dice coefficient over the core names' words, 0..1
+export const nameSimilarity = (a, b) => {
+  const left = new Set(coreName(a).split(' ').filter(Boolean));
+  const right = new Set(coreName(b).split(' ').filter(Boolean));
+  if (!left.size || !right.size) return 0;
+  let shared = 0;
+  left.forEach(word => { if (right.has(word)) shared++; });
+  return (2 * shared) / (left.size + right.size);
+};
+
+const sameIsin = (isin, candidate) => Boolean(isin) && [candidate.isinGrowth, candidate.isinDivReinvestment]
+  .some(code => code && code.toUpperCase() === isin.toUpperCase());
+
+// holding: { name, isin? }; candidate: { schemeCode, schemeName, isinGrowth?, isinDivReinvestment? }
+// -> candidate with score 0..100 and the reasons shown in the picker
+export const scoreCandidate = (holding, candidate) => {
+  if (sameIsin(holding.isin, candidate)) {
+    return { ...candidate, score: 100, isinMatch: true, reasons: ['ISIN match'] };
+  }
+  const reasons = [];
+  let score = nameSimilarity(holding.name, candidate.schemeName) * 60;
+
+  // Direct plans always say so; an AMFI name without a plan is the Regular one
+  const wantedPlan = planOf(holding.name);
+  const plan = planOf(candidate.schemeName) || 'regular';
+  if (plan === (wantedPlan || 'direct')) {
+    score += wantedPlan ? 20 : 15;
+    reasons.push(plan === 'direct' ? 'Direct plan' : 'Regular plan');
+  } else {
+    score -= 10;
+    reasons.push(plan === 'direct' ? 'Direct plan (yours is Regular)' : 'Regular plan');
+  }
+
+  const wantedOption = optionOf(holding.name);
+  const option = optionOf(candidate.schemeName);
+  if (option && option === (wantedOption || 'growth')) {
+    score += wantedOption ? 20 : 15;
+    reasons.push(option === 'growth' ? 'Growth' : 'IDCW');
+  } else if (option) {
+    score -= 10;
+    reasons.push(option === 'growth' ? 'Growth (yours is IDCW)' : 'IDCW');
+  }
+
+  return { ...candidate, score: Math.max(0, Math.min(99, Math.round(score))), isinMatch: false, reasons };
+};
+
+export const rankCandidates = (holding, candidates) => candidates
+  .map(c => scoreCandidate(holding, c))
+  .sort((a, b) => b.score - a.score);
+
+// Whether the top-ranked candidate can be used without asking
+export const isConfident = (ranked) => {
+  const [first, second] = ranked;
+  if (!first) return false;
+  if (first.isinMatch) return true;
+  return first.score >= AUTO_SCORE && (!second || first.score - second.score >= AUTO_MARGIN);
+};
+
+// The query sent to the provider's search: the core name reads better to
+// mfapi's word matching than the platform's full spelling
+export const searchQueryFor = (name) => coreName(name) || String(name || '').trim();
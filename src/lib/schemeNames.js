@@ -0,0 +1,51 @@
+// --- Scheme Name Helpers ---
+//
+// Statements like the CAS carry only the scheme name, so category and AMC are
+// inferred from it. The rules are deliberately coarse and mirror the
+// sub-category names used by BENCHMARKS in the dashboard.
+
+const SUB_CATEGORY_RULES = [
+  [/elss|tax\s*(saver|relief|saving)/i, 'Equity', 'ELSS'],
+  [/liquid|overnight|money\s*market/i, 'Debt', 'Liquid'],
+  [/gilt|bond|debt|income|credit|duration|corporate|banking\s*&?\s*psu|floater|treasury/i, 'Debt', 'Debt'],
+  [/arbitrage/i, 'Hybrid', 'Arbitrage'],
+  [/balanced|hybrid|asset\s*allocat|multi\s*asset|equity\s*savings|advantage/i, 'Hybrid', 'Dynamic Asset Allocation'],
+  [/small\s*cap/i, 'Equity', 'Small Cap'],
+  [/large\s*&\s*mid|large\s*and\s*mid/i, 'Equity', 'Large & Mid Cap'],
+  [/mid\s*cap/i, 'Equity', 'Mid Cap'],
+  [/large\s*cap|bluechip|top\s*100|nifty\s*50|sensex|focused\s*equity/i, 'Equity', 'Large Cap'],
+  [/flexi\s*cap|multi\s*cap|value|contra|dividend\s*yield/i, 'Equity', 'Flexi Cap'],
+  [/gold|silver/i, 'Other', 'Gold'],
+  [/fund\s*of\s*funds?|fof|overseas|international|global|nasdaq|us\s*equity/i, 'Equity', 'International'],
+  [/bank|pharma|health|infra|technology|it\b|consumption|psu|energy|manufactur|thematic|sector/i, 'Equity', 'Sectoral'],
+  [/index|etf|nifty|equity/i, 'Equity', 'Flexi Cap']
+];
+
+export const inferCategory = (schemeName) => {
+  const name = String(schemeName || '');
+  for (const [pattern, category, subCategory] of SUB_CATEGORY_RULES) {
+    if (pattern.test(name)) return { category, subCategory };
+  }
+  return { category: 'Other', subCategory: 'Other' };
+};
+
+// "HDFC Mutual Fund", "ICICI Prudential Mutual Fund" -> first words before the
+// scheme-specific part. Good enough to group AMC exposure.
+export const inferAMC = (schemeName) => {
+  const name = String(schemeName || '').trim();
+  const match = name.match(/^(aditya birla sun life|icici prudential|nippon india|franklin templeton|mirae asset|motilal oswal|parag parikh|bank of india|mahindra manulife|canara robeco|invesco india|kotak mahindra|quant|hdfc|sbi|axis|uti|dsp|tata|idfc|bandhan|edelweiss|kotak|ppfas|baroda bnp paribas|hsbc|sundaram|lic|pgim india|union|jm|navi|groww|zerodha|whiteoak capital|360 one|iti|samco|trust|quantum|shriram|mahindra)\b/i);
+  if (!match) return '';
+  return `${match[1].replace(/\b\w/g, c => c.toUpperCase())} Mutual Fund`;
+};
+
+// Lower-cased name with punctuation and filler words removed, for comparing
+// the same scheme as spelled by different platforms
+export const normalizeSchemeName = (schemeName) =>
+  String(schemeName || '')
+    .toLowerCase()
+    .replace(/\((?:non-demat|demat|formerly[^)]*)\)/g, ' ')
+    .replace(/[-–_/()]/g, ' ')
+    .replace(/\b(fund|scheme|plan|option|the|mutual)\b/g, ' ')
+    .replace(/[^a-z0-9& ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
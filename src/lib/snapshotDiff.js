@@ -0,0 +1,148 @@
+import { buildSmartGroups, buildCategoryTree } from './grouping.js';
+import { normalizeSchemeName } from './schemeNames.js';
+
+// --- Snapshot Diff ---
+//
+// Compares two portfolios (two snapshots, or two imported files) through the
+// same Category -> Sub-category -> Fund tree the dashboard uses. The change in
+// value of each fund is split into fresh money (change in invested amount)
+// and market gain (the rest), which is what a statement-to-statement reading
+// is usually after.
+
+const fundIndex = (holdings) => {
+  const tree = buildCategoryTree(buildSmartGroups(holdings));
+  const total = tree.reduce((s, c) => s + c.totalVal, 0);
+  const index = new Map();
+  tree.forEach(cat => cat.subCategories.forEach(sub => sub.funds.forEach(fund => {
+    index.set(normalizeSchemeName(fund['Scheme Name']), { category: cat.name, subCategory: sub.name, fund });
+  })));
+  return { index, total };
+};
+
+const UNIT_EPSILON = 0.001;
+
+const fundStatus = (before, after) => {
+  if (!before) return 'new';
+  if (!after) return 'exited';
+  const delta = (after['Units'] || 0) - (before['Units'] || 0);
+  if (Math.abs(delta) <= UNIT_EPSILON) return 'unchanged';
+  return delta > 0 ? 'added' : 'reduced';
+};
+
+const TOTAL_KEYS = [
+  'valueBefore', 'valueAfter', 'investedBefore', 'investedAfter',
+  'freshMoney', 'marketGain', 'weightBefore', 'weightAfter'
+];
+
+const emptyTotals = () => Object.fromEntries(TOTAL_KEYS.map(k => [k, 0]));
+
+const accumulate = (target, row) => {
+  TOTAL_KEYS.forEach(k => { target[k] += row[k]; });
+  return target;
+};
+
+const withWeightChange = (node) => ({ ...node, weightChange: node.weightAfter - node.weightBefore });
+
+export const diffHoldings = (beforeHoldings, afterHoldings) => {
+  const before = fundIndex(beforeHoldings);
+  const after = fundIndex(afterHoldings);
+  const keys = new Set([...before.index.keys(), ...after.index.keys()]);
+
+  const funds = [...keys].map(key => {
+    const b = before.index.get(key);
+    const a = after.index.get(key);
+    // Place the fund where it sits today, or where it sat before it was exited
+    const { category, subCategory } = a || b;
+    const fb = b ? b.fund : null;
+    const fa = a ? a.fund : null;
+    const valueBefore = fb ? fb['Current Value'] || 0 : 0;
+    const valueAfter = fa ? fa['Current Value'] || 0 : 0;
+    const investedBefore = fb ? fb['Invested Value'] || 0 : 0;
+    const investedAfter = fa ? fa['Invested Value'] || 0 : 0;
+    const freshMoney = investedAfter - investedBefore;
+    return {
+      schemeName: (fa || fb)['Scheme Name'],
+      category,
+      subCategory,
+      status: fundStatus(fb, fa),
+      unitsBefore: fb ? fb['Units'] || 0 : 0,
+      unitsAfter: fa ? fa['Units'] || 0 : 0,
+      valueBefore,
+      valueAfter,
+      investedBefore,
+      investedAfter,
+      freshMoney,
+      marketGain: valueAfter - valueBefore - freshMoney,
+      weightBefore: before.total > 0 ? (valueBefore / before.total) * 100 : 0,
+      weightAfter: after.total > 0 ? (valueAfter / after.total) * 100 : 0
+    };
+  }).map(f => ({ ...withWeightChange(f), unitChange: f.unitsAfter - f.unitsBefore }));
+
+  // Roll funds up into the same tree shape as analysis.categoryTree
+  const cats = {};
+  funds.forEach(f => {
+    if (!cats[f.category]) cats[f.category] = { name: f.category, subs: {}, ...emptyTotals() };
+    const cat = cats[f.category];
+    if (!cat.subs[f.subCategory]) cat.subs[f.subCategory] = { name: f.subCategory, funds: [], ...emptyTotals() };
+    const sub = cat.subs[f.subCategory];
+    sub.funds.push(f);
+    accumulate(cat, f);
+    accumulate(sub, f);
+  });
+  const byMove = (a, b) => Math.abs(b.valueAfter - b.valueBefore) - Math.abs(a.valueAfter - a.valueBefore);
+  const tree = Object.values(cats).map(({ subs, ...cat }) => withWeightChange({
+    ...cat,
+    subCategories: Object.values(subs).map(sub => withWeightChange({ ...sub, funds: sub.funds.sort(byMove) })).sort(byMove)
+  })).sort(byMove);
+
+  const totals = funds.reduce((t, f) => accumulate(t, f), emptyTotals());
+  return {
+    tree,
+    funds,
+    totals: { ...totals, valueChange: totals.valueAfter - totals.valueBefore },
+    newFunds: funds.filter(f => f.status === 'new'),
+    exitedFunds: funds.filter(f => f.status === 'exited')
+  };
+};
+
+// AMC weights are not part of the category tree, so they are diffed separately
+export const amcWeightChanges = (beforeHoldings, afterHoldings) => {
+  const shares = (holdings) => {
+    const total = holdings.reduce((s, h) => s + (h['Current Value'] || 0), 0) || 1;
+    const out = {};
+    holdings.forEach(h => {
+      const amc = h['AMC'] || 'Other';
+      out[amc] = (out[amc] || 0) + ((h['Current Value'] || 0) / total) * 100;
+    });
+    return out;
+  };
+  const b = shares(beforeHoldings);
+  const a = shares(afterHoldings);
+  return [...new Set([...Object.keys(b), ...Object.keys(a)])]
+    .map(name => ({ name, weightBefore: b[name] || 0, weightAfter: a[name] || 0, weightChange: (a[name] || 0) - (b[name] || 0) }))
+    .sort((x, y) => Math.abs(y.weightChange) - Math.abs(x.weightChange));
+};
+
+const STATUS_LABELS = { new: 'New', exited: 'Exited', added: 'Units added', reduced: 'Units reduced', unchanged: 'Unchanged' };
+
+export const statusLabel = (status) => STATUS_LABELS[status] || status;
+
+const r2 = (n) => parseFloat(n.toFixed(2));
+
+// Flat fund-level rows for CSV export
+export const diffToRows = (diff) => diff.funds.map(f => ({
+  'Category': f.category,
+  'Sub-category': f.subCategory,
+  'Scheme Name': f.schemeName,
+  'Status': statusLabel(f.status),
+  'Units Before': r2(f.unitsBefore),
+  'Units After': r2(f.unitsAfter),
+  'Unit Change': r2(f.unitChange),
+  'Value Before': Math.round(f.valueBefore),
+  'Value After': Math.round(f.valueAfter),
+  'Fresh Money': Math.round(f.freshMoney),
+  'Market Gain': Math.round(f.marketGain),
+  'Weight Before %': r2(f.weightBefore),
+  'Weight After %': r2(f.weightAfter),
+  'Weight Change pp': r2(f.weightChange)
+}));
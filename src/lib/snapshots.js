@@ -0,0 +1,113 @@
+// --- Portfolio Snapshots ---
+//
+// Every import records what the whole portfolio looked like that day. One
+// snapshot per calendar day is kept (the latest import wins), so the timeline
+// reads as month-end statements without same-day noise. The day is the
+// statement's own date when the file states one (a CAS's period end, a broker
+// export's "as on" date), so an old statement imported today lands where it
+// belongs; otherwise it is the day of the import.
+
+const SNAPSHOT_FIELDS = [
+  'Scheme Name', 'Category', 'Sub-category', 'AMC', 'Units',
+  'Invested Value', 'Current Value', 'ISIN', 'Folio', 'Source'
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const sumBy = (holdings, key) => {
+  const totals = {};
+  holdings.forEach(h => {
+    const name = h[key] || 'Other';
+    totals[name] = (totals[name] || 0) + (h['Current Value'] || 0);
+  });
+  return totals;
+};
+
+export const buildSnapshot = (holdings, takenAt = new Date(), statementDate = null) => {
+  const kept = holdings.map(h => {
+    const row = {};
+    SNAPSHOT_FIELDS.forEach(f => { if (h[f] !== undefined) row[f] = h[f]; });
+    return row;
+  });
+  return {
+    date: dayKey(statementDate ? new Date(statementDate) : takenAt),
+    takenAt,
+    invested: kept.reduce((s, h) => s + (h['Invested Value'] || 0), 0),
+    current: kept.reduce((s, h) => s + (h['Current Value'] || 0), 0),
+    byCategory: sumBy(kept, 'Category'),
+    byAMC: sumBy(kept, 'AMC'),
+    holdings: kept
+  };
+};
+
+export const sortSnapshots = (snapshots) => [...snapshots].sort((a, b) => a.date.localeCompare(b.date));
+
+const shortDate = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: '2-digit' });
+};
+
+export const netWorthTimeline = (snapshots) => sortSnapshots(snapshots).map(s => ({
+  date: s.date,
+  label: shortDate(s.date),
+  current: Math.round(s.current),
+  invested: Math.round(s.invested),
+  gain: Math.round(s.current - s.invested)
+}));
+
+// Allocation share (%) per snapshot. Groups beyond `limit` by size in the
+// latest snapshot are folded into "Others" so the stacked chart stays legible.
+export const allocationDrift = (snapshots, dimension = 'category', limit = 6) => {
+  const sorted = sortSnapshots(snapshots);
+  if (!sorted.length) return { keys: [], rows: [] };
+  const field = dimension === 'amc' ? 'byAMC' : 'byCategory';
+
+  const latest = sorted[sorted.length - 1][field];
+  const overall = {};
+  sorted.forEach(s => Object.entries(s[field]).forEach(([k, v]) => { overall[k] = (overall[k] || 0) + v; }));
+  const ranked = Object.keys(overall).sort((a, b) => (latest[b] || 0) - (latest[a] || 0) || overall[b] - overall[a]);
+  const keys = ranked.length > limit ? [...ranked.slice(0, limit - 1), 'Others'] : ranked;
+  const named = new Set(keys);
+
+  const rows = sorted.map(s => {
+    const total = Object.values(s[field]).reduce((a, b) => a + b, 0) || 1;
+    const row = { date: s.date, label: shortDate(s.date) };
+    keys.forEach(k => { row[k] = 0; });
+    Object.entries(s[field]).forEach(([k, v]) => {
+      const key = named.has(k) ? k : 'Others';
+      row[key] += (v / total) * 100;
+    });
+    keys.forEach(k => { row[k] = parseFloat(row[k].toFixed(1)); });
+    return row;
+  });
+  return { keys, rows };
+};
+
+// Percentage-point change per group between the first and last snapshot
+export const driftSummary = ({ keys, rows }) => {
+  if (rows.length < 2) return [];
+  const first = rows[0];
+  const last = rows[rows.length - 1];
+  return keys
+    .map(k => ({ name: k, from: first[k], to: last[k], change: parseFloat((last[k] - first[k]).toFixed(1)) }))
+    .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+};
+
+// Household timeline: on every date any member was snapshotted, add up each
+// member's latest snapshot taken on or before that date
+export const combineSnapshots = (snapshots) => {
+  const byPortfolio = {};
+  sortSnapshots(snapshots).forEach(s => {
+    (byPortfolio[s.portfolioId] = byPortfolio[s.portfolioId] || []).push(s);
+  });
+  const dates = [...new Set(snapshots.map(s => s.date))].sort();
+  return dates.map(date => {
+    const latest = Object.values(byPortfolio)
+      .map(list => list.filter(s => s.date <= date).pop())
+      .filter(Boolean);
+    const takenAt = new Date(Math.max(...latest.map(s => new Date(s.takenAt).getTime())));
+    return { ...buildSnapshot(latest.flatMap(s => s.holdings), takenAt), date };
+  });
+};
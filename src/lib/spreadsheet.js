@@ -0,0 +1,38 @@
+// --- Spreadsheet Workbooks ---
+//
+// SheetJS ships with the app (loaded on first use, like pdf.js) so Excel
+// import works offline. It reads .xlsx, .xls, .xlsb and .ods alike.
+//
+// `xlsx` is aliased to @e965/xlsx, a registry mirror of the official SheetJS
+// builds: the `xlsx` package on npm stopped at 0.18.5, which is open to
+// prototype pollution and ReDoS on crafted files (fixed in 0.20.2).
+
+export const SPREADSHEET_EXTENSIONS = ['xlsx', 'xlsm', 'xls', 'xlsb', 'ods'];
+
+const loadSheetJS = () => import('xlsx');
+
+export const readWorkbook = async (buffer) => {
+  const XLSX = await loadSheetJS();
+  const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellDates: false });
+  return {
+    sheetNames: workbook.SheetNames,
+    // Rows as arrays of cell values, the same shape the CSV parser produces
+    rows: (name) => {
+      const sheet = workbook.Sheets[name];
+      return sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1 }) : [];
+    }
+  };
+};
+
+const nonEmptyRowCount = (rows) =>
+  rows.filter(r => Array.isArray(r) && r.some(c => c !== undefined && c !== null && String(c).trim() !== '')).length;
+
+// Sheet names with their size and a glimpse of the first rows, for the sheet picker
+export const describeSheets = (workbook) => workbook.sheetNames.map(name => {
+  const rows = workbook.rows(name);
+  return {
+    name,
+    rowCount: nonEmptyRowCount(rows),
+    preview: rows.filter(r => Array.isArray(r) && r.length).slice(0, 3)
+  };
+});
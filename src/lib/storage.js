@@ -0,0 +1,105 @@
+// --- Local Workspace (IndexedDB) ---
+//
+// Everything the app remembers between visits lives in one IndexedDB database
+// in this browser; nothing is sent anywhere. Stores are plain key-value:
+//   portfolios   id -> { id, name, sources }
+//   settings     'ui' -> threshold, sort, filters, theme;
+//                'valuations' -> latest-NAV quotes by scheme name
+//   schemeCodes  scheme name -> { code, schemeName, source, matchedAt }
+//   navs         scheme code -> { fetchedAt, meta, data }, prefixed with the
+//                provider id for non-default providers
+//   snapshots    'portfolioId:yyyy-mm-dd' -> dated copy of the portfolio
+
+const DB_NAME = 'vn-mf';
+const DB_VERSION = 2;
+
+export const STORES = {
+  portfolios: 'portfolios',
+  settings: 'settings',
+  schemeCodes: 'schemeCodes',
+  navs: 'navs',
+  snapshots: 'snapshots'
+};
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // A failed open (private mode, blocked storage) should be retried next time
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const withStore = async (store, mode, action) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const request = action(tx.objectStore(store));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const getItem = (store, key) => withStore(store, 'readonly', s => s.get(key));
+
+export const setItem = (store, key, value) => withStore(store, 'readwrite', s => s.put(value, key));
+
+export const removeItem = (store, key) => withStore(store, 'readwrite', s => s.delete(key));
+
+// Replaces a store's contents with the given [key, value] pairs in one transaction
+export const replaceAllItems = (store, entries) => withStore(store, 'readwrite', s => {
+  s.clear();
+  entries.forEach(([key, value]) => s.put(value, key));
+  return null;
+});
+
+export const getAllItems = async (store) => {
+  const [keys, values] = await Promise.all([
+    withStore(store, 'readonly', s => s.getAllKeys()),
+    withStore(store, 'readonly', s => s.getAll())
+  ]);
+  return keys.map((key, i) => [key, values[i]]);
+};
+
+// Storage failures must never break the app; they only cost persistence
+export const safely = async (promise, fallback = null) => {
+  try {
+    return await promise;
+  } catch (err) {
+    console.error("Local storage unavailable", err);
+    return fallback;
+  }
+};
+
+// Deletes the whole database, not just its contents
+export const deleteDatabase = async () => {
+  if (dbPromise) {
+    const db = await dbPromise.catch(() => null);
+    if (db) db.close();
+    dbPromise = null;
+  }
+  if (typeof indexedDB === 'undefined') return;
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => resolve();
+  });
+};
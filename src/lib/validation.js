@@ -0,0 +1,135 @@
+import { parseNumber } from './parsing.js';
+import { holdingKey, sameHolding } from './merge.js';
+import { isSummaryRow } from './adapters/common.js';
+
+// --- Import Validation ---
+//
+// Checks a freshly parsed file before it reaches the dashboard. Every issue
+// points at one holding by index and lists the actions that make sense for
+// it; `applyReview` turns the user's choices into the holdings that get
+// imported. Parsers mark holdings with `_row` (spreadsheet line) and
+// `_unparsed` ({ field: raw cell }) so the report can point back at the file.
+
+export const ISSUE_TYPES = {
+  unparseable: { label: 'Unreadable cells', actions: ['keep', 'fix', 'exclude'] },
+  returns: { label: "Returns don't reconcile", actions: ['fix', 'keep', 'exclude'] },
+  negativeUnits: { label: 'Negative units', actions: ['fix', 'keep', 'exclude'] },
+  duplicate: { label: 'Duplicate schemes', actions: ['keep', 'exclude'] },
+  summary: { label: 'Total / footer rows', actions: ['exclude', 'keep'] }
+};
+
+// Statements round Returns to the rupee, and some to the nearest 0.1%
+const returnsTolerance = (current) => Math.max(1, Math.abs(current) * 0.001);
+
+const round = (n, d = 3) => Math.round((Number(n) || 0) * 10 ** d) / 10 ** d;
+
+const sameValues = (a, b) =>
+  round(a['Units']) === round(b['Units']) && round(a['Current Value'], 2) === round(b['Current Value'], 2);
+
+// Totals are recognised by their label ("Total", "Grand Total"), or by a
+// blank scheme name on a row whose value is the sum of every other row. The
+// value alone is no signal: one fund can be half of a portfolio.
+const looksLikeTotal = (h, totalValue) => {
+  if (isSummaryRow(h['Scheme Name'])) return true;
+  if (String(h['Scheme Name'] ?? '').trim()) return false;
+  const value = h['Current Value'] || 0;
+  return value > 0 && Math.abs(value - (totalValue - value)) <= Math.max(1, value * 0.005);
+};
+
+const rowLabel = (h) => (h._row ? `row ${h._row}` : 'statement');
+
+export const validateImport = ({ holdings, skipped = [] }) => {
+  const issues = [];
+  const add = (type, index, message, extra = {}) => {
+    const issue = { id: `${type}:${index}${extra.field ? `:${extra.field}` : ''}`, type, index, message, defaultAction: ISSUE_TYPES[type].actions[0], ...extra };
+    issues.push(issue);
+  };
+
+  const totalValue = holdings.reduce((sum, h) => sum + (h['Current Value'] || 0), 0);
+  const firstByKey = new Map();
+
+  holdings.forEach((h, index) => {
+    if (looksLikeTotal(h, totalValue)) {
+      add('summary', index, `"${h['Scheme Name']}" on ${rowLabel(h)} looks like a total, not a holding.`);
+      // Totals and repeated rows get excluded outright; checking their cells only adds noise
+      return;
+    }
+
+    const key = holdingKey(h);
+    const sameKey = firstByKey.get(key) || [];
+    const first = sameKey.find(i => sameHolding(holdings[i], h));
+    if (first === undefined) {
+      firstByKey.set(key, [...sameKey, index]);
+    } else if (sameValues(h, holdings[first])) {
+      add('duplicate', index, `Same holding as ${rowLabel(holdings[first])}.`, { duplicateOf: first, defaultAction: 'exclude' });
+      return;
+    } else {
+      add('duplicate', index, `Also listed on ${rowLabel(holdings[first])} with different values.`, { duplicateOf: first });
+    }
+
+    Object.entries(h._unparsed || {}).forEach(([field, raw]) => {
+      add('unparseable', index, `${field} "${raw}" could not be read and was set to 0.`, { field, raw });
+    });
+
+    if (h['Returns'] !== undefined && !(h._unparsed && h._unparsed['Returns'] !== undefined)) {
+      const expected = (h['Current Value'] || 0) - (h['Invested Value'] || 0);
+      if (Math.abs((h['Returns'] || 0) - expected) > returnsTolerance(h['Current Value'] || 0)) {
+        add('returns', index, `Returns ${round(h['Returns'], 2)} but Current − Invested is ${round(expected, 2)}.`, { expected });
+      }
+    }
+
+    if (h['Units'] < 0) add('negativeUnits', index, `Units are negative (${h['Units']}).`);
+  });
+
+  return { issues, skipped };
+};
+
+export const hasIssues = (report) => report.issues.length > 0 || report.skipped.length > 0;
+
+export const defaultDecisions = (report) =>
+  Object.fromEntries(report.issues.map(issue => [issue.id, { action: issue.defaultAction, value: '' }]));
+
+export const stripImportMeta = (holding) => {
+  const { _row, _unparsed, ...rest } = holding;
+  return rest;
+};
+
+// Applies the reviewer's choices: excluded holdings are dropped, fixes are
+// applied in issue order (cell edits before the Returns recompute). A fixed
+// Current or Invested Value also recomputes Returns, unless Returns was
+// itself typed in.
+export const applyReview = (holdings, report, decisions) => {
+  const result = holdings.map(h => ({ ...h }));
+  const excluded = new Set();
+  const revalued = new Set();
+  const returnsTyped = new Set();
+
+  const ordered = [...report.issues].sort((a, b) => (a.type === 'returns') - (b.type === 'returns'));
+  ordered.forEach(issue => {
+    const { action, value } = decisions[issue.id] || { action: issue.defaultAction };
+    const h = result[issue.index];
+    if (action === 'exclude') {
+      excluded.add(issue.index);
+      return;
+    }
+    if (action !== 'fix') return;
+    if (issue.type === 'unparseable') {
+      const num = parseNumber(value);
+      h[issue.field] = isNaN(num) ? 0 : num;
+      if (issue.field === 'Returns') returnsTyped.add(issue.index);
+      else if (issue.field === 'Current Value' || issue.field === 'Invested Value') revalued.add(issue.index);
+    } else if (issue.type === 'returns') {
+      h['Returns'] = (h['Current Value'] || 0) - (h['Invested Value'] || 0);
+    } else if (issue.type === 'negativeUnits') {
+      h['Units'] = Math.abs(h['Units']);
+    }
+  });
+
+  revalued.forEach(index => {
+    if (returnsTyped.has(index)) return;
+    const h = result[index];
+    h['Returns'] = (h['Current Value'] || 0) - (h['Invested Value'] || 0);
+  });
+
+  return result.filter((_, i) => !excluded.has(i)).map(stripImportMeta);
+};
@@ -0,0 +1,74 @@
+import { amfiCategory } from './amfiNav.js';
+
+// --- Revaluation at Latest NAV ---
+//
+// A statement's Current Value is frozen at its export date. With a latest
+// NAV per scheme, holdings are revalued as Units x NAV; the statement's
+// figure is kept alongside so large moves since then can be pointed out.
+// A statement's XIRR cannot be moved to the new date without the cashflows,
+// so it is flagged `_xirrAsOfStatement`; with a ledger, analyzePortfolio
+// recomputes it up to the NAV date (`_valueDate`) and clears the flag.
+// Quotes are keyed by scheme name: { code, schemeName, nav, date,
+// schemeCategory?, amc? }; the last two can fill in details a statement
+// left out.
+
+// Percent change from the statement value that counts as material
+export const MATERIAL_MOVE = 5;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// 'Other' is what the importers infer when a name gives nothing away
+const isMissing = (val) => !val || val === 'Other';
+
+const withDetails = (h, quote) => {
+  if (!quote.schemeCategory && !quote.amc) return h;
+  const { category, subCategory } = amfiCategory(quote.schemeCategory, quote.schemeName);
+  return {
+    ...h,
+    ...(isMissing(h['Category']) && category !== 'Other' ? { 'Category': category } : {}),
+    ...(isMissing(h['Sub-category']) && subCategory !== 'Other' ? { 'Sub-category': subCategory } : {}),
+    ...(!h['AMC'] && quote.amc ? { 'AMC': quote.amc } : {})
+  };
+};
+
+// Holdings without units or without a quote keep their statement values
+export const revalueHoldings = (holdings, quotes, { threshold = MATERIAL_MOVE, fillDetails = false } = {}) => holdings.map(item => {
+  const quote = quotes[item['Scheme Name']];
+  if (!quote) return item;
+  const h = fillDetails ? withDetails(item, quote) : item;
+  const units = h['Units'] || 0;
+  if (!(units > 0) || !(quote.nav > 0)) return h;
+  const statementValue = h['Current Value'] || 0;
+  const current = round2(units * quote.nav);
+  const move = statementValue > 0 ? (current / statementValue - 1) * 100 : null;
+  return {
+    ...h,
+    'Current Value': current,
+    'Returns': round2(current - (h['Invested Value'] || 0)),
+    _statementValue: statementValue,
+    _nav: quote.nav,
+    _navDate: quote.date,
+    _valueDate: quote.date,
+    _xirrAsOfStatement: Boolean(h['XIRR']),
+    _valueMove: move,
+    _materialMove: move !== null && Math.abs(move) >= threshold
+  };
+});
+
+export const valuationSummary = (holdings) => {
+  const revalued = holdings.filter(h => h._navDate);
+  if (!revalued.length) return null;
+  const times = revalued.map(h => new Date(h._navDate).getTime());
+  const statementTotal = revalued.reduce((s, h) => s + h._statementValue, 0);
+  const currentTotal = revalued.reduce((s, h) => s + h['Current Value'], 0);
+  return {
+    revalued: revalued.length,
+    total: holdings.length,
+    statementTotal,
+    currentTotal,
+    change: currentTotal - statementTotal,
+    latestDate: new Date(Math.max(...times)),
+    oldestDate: new Date(Math.min(...times)),
+    material: revalued.filter(h => h._materialMove).length
+  };
+};
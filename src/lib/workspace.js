@@ -0,0 +1,97 @@
+import { STORES, getItem, setItem, removeItem, getAllItems, safely, deleteDatabase } from './storage.js';
+import { clearColumnMappings } from './columnMapping.js';
+import { DEFAULT_RISK_FREE_RATE } from './riskStats.js';
+import { DEFAULT_PLAN } from './goalPlanner.js';
+import { DEFAULT_ASSUMPTIONS } from './monteCarlo.js';
+
+// --- Workspace Persistence ---
+//
+// What the dashboard restores on load: every named portfolio with all its
+// sources, and the UI settings. Writes are fire-and-forget; a browser that
+// refuses storage simply starts fresh every visit.
+
+export const DEFAULT_PORTFOLIO_ID = 'default';
+
+export const DEFAULT_SETTINGS = {
+  clutterThreshold: 5000,
+  sortConfig: { key: 'Current Value', direction: 'desc' },
+  categoryFilter: 'All',
+  sourceFilter: 'All',
+  activePortfolioId: DEFAULT_PORTFOLIO_ID,
+  theme: 'system',
+  riskFreeRate: DEFAULT_RISK_FREE_RATE,
+  plan: DEFAULT_PLAN,
+  simulation: DEFAULT_ASSUMPTIONS
+};
+
+// Always at least one portfolio, so there is somewhere to import into
+export const defaultPortfolio = () => ({ id: DEFAULT_PORTFOLIO_ID, name: 'My portfolio', sources: [] });
+
+export const loadWorkspace = async () => {
+  const [portfolios, settings, snapshots, valuations] = await Promise.all([
+    safely(getAllItems(STORES.portfolios), []),
+    safely(getItem(STORES.settings, 'ui')),
+    loadSnapshots(),
+    safely(getItem(STORES.settings, 'valuations'))
+  ]);
+  const loaded = portfolios.map(([, portfolio]) => portfolio).sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  return {
+    portfolios: loaded.length ? loaded : [defaultPortfolio()],
+    settings: { ...DEFAULT_SETTINGS, ...(settings || {}) },
+    snapshots,
+    valuations
+  };
+};
+
+export const savePortfolio = (portfolio) => safely(setItem(STORES.portfolios, portfolio.id, portfolio));
+
+export const removePortfolio = (portfolioId) => safely(removeItem(STORES.portfolios, portfolioId));
+
+export const saveSettings = (settings) => safely(setItem(STORES.settings, 'ui', settings));
+
+// Latest-NAV quotes from the last "Refresh valuations": { refreshedAt, quotes, failed }
+export const saveValuations = (valuations) => safely(setItem(STORES.settings, 'valuations', valuations));
+
+export const clearValuations = () => safely(removeItem(STORES.settings, 'valuations'));
+
+// --- Snapshot History ---
+
+const snapshotKey = (portfolioId, date) => `${portfolioId}:${date}`;
+
+export const saveSnapshot = (snapshot, portfolioId = DEFAULT_PORTFOLIO_ID) =>
+  safely(setItem(STORES.snapshots, snapshotKey(portfolioId, snapshot.date), { ...snapshot, portfolioId }));
+
+// Snapshots of every portfolio; each one carries its portfolioId
+export const loadSnapshots = async () => {
+  const entries = await safely(getAllItems(STORES.snapshots), []);
+  return entries.map(([, snapshot]) => ({ portfolioId: DEFAULT_PORTFOLIO_ID, ...snapshot }));
+};
+
+export const deletePortfolioSnapshots = async (portfolioId) => {
+  const entries = await safely(getAllItems(STORES.snapshots), []);
+  await Promise.all(entries.filter(([, s]) => s.portfolioId === portfolioId).map(([key]) => safely(removeItem(STORES.snapshots, key))));
+};
+
+export const deleteSnapshot = (date, portfolioId = DEFAULT_PORTFOLIO_ID) =>
+  safely(removeItem(STORES.snapshots, snapshotKey(portfolioId, date)));
+
+// --- Market Data Cache ---
+//
+// Freshness is decided by the market data layer (see marketData/index.js);
+// entries are returned whatever their age so a stale copy can stand in
+// when offline.
+
+export const getSchemeCode = (schemeName) => safely(getItem(STORES.schemeCodes, schemeName));
+
+export const saveSchemeCode = (schemeName, code) => safely(setItem(STORES.schemeCodes, schemeName, code));
+
+export const getCachedNav = (key) => safely(getItem(STORES.navs, String(key)));
+
+export const saveCachedNav = (key, { meta, data }) =>
+  safely(setItem(STORES.navs, String(key), { fetchedAt: Date.now(), meta, data }));
+
+// Wipes every trace the app keeps in this browser
+export const forgetEverything = async () => {
+  clearColumnMappings();
+  await safely(deleteDatabase());
+};
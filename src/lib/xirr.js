@@ -0,0 +1,66 @@
+// --- XIRR Solver ---
+//
+// Cashflows are `{ date: Date, amount: number }` with money going into the
+// fund negative and money coming out (redemptions, payouts, current value)
+// positive. Rates are returned as fractions (0.125 === 12.5% p.a.).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const yearFraction = (from, to) => (to - from) / DAY_MS / 365;
+
+const npv = (rate, flows, t0) =>
+  flows.reduce((acc, cf) => acc + cf.amount / Math.pow(1 + rate, yearFraction(t0, cf.date)), 0);
+
+const dNpv = (rate, flows, t0) =>
+  flows.reduce((acc, cf) => {
+    const t = yearFraction(t0, cf.date);
+    return acc - (t * cf.amount) / Math.pow(1 + rate, t + 1);
+  }, 0);
+
+const bisect = (flows, t0, lo, hi) => {
+  let fLo = npv(lo, flows, t0);
+  const fHi = npv(hi, flows, t0);
+  if (isNaN(fLo) || isNaN(fHi) || fLo * fHi > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = npv(mid, flows, t0);
+    if (Math.abs(fMid) < 1e-7 || (hi - lo) / 2 < 1e-10) return mid;
+    if (fLo * fMid < 0) hi = mid;
+    else { lo = mid; fLo = fMid; }
+  }
+  return (lo + hi) / 2;
+};
+
+export const xirr = (cashflows, guess = 0.1) => {
+  const flows = (cashflows || [])
+    .filter(cf => cf && cf.date instanceof Date && !isNaN(cf.date) && cf.amount && !isNaN(cf.amount))
+    .sort((a, b) => a.date - b.date);
+
+  if (flows.length < 2) return null;
+  if (!flows.some(cf => cf.amount < 0) || !flows.some(cf => cf.amount > 0)) return null;
+
+  const t0 = flows[0].date;
+  // Everything on a single day has no time dimension to annualize over
+  if (flows[flows.length - 1].date - t0 < DAY_MS) return null;
+
+  // Newton-Raphson first, it converges in a handful of steps for typical SIP ledgers
+  let rate = guess;
+  for (let i = 0; i < 50; i++) {
+    const f = npv(rate, flows, t0);
+    const df = dNpv(rate, flows, t0);
+    if (!isFinite(f) || !isFinite(df) || df === 0) break;
+    const next = rate - f / df;
+    if (next <= -1 || !isFinite(next)) break;
+    if (Math.abs(next - rate) < 1e-9) return next;
+    rate = next;
+  }
+
+  // Fall back to bracketing when Newton diverges (deep losses, very short holding periods)
+  return bisect(flows, t0, -0.9999, 100);
+};
+
+// Convenience wrapper returning XIRR in percent, or null when it cannot be solved
+export const xirrPercent = (cashflows) => {
+  const rate = xirr(cashflows);
+  return rate === null ? null : rate * 100;
+};
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectFormat, parseHoldings } from '../src/lib/adapters/index.js';
+
+const CANONICAL = ['Scheme Name', 'Category', 'Sub-category', 'AMC', 'Units', 'Invested Value', 'Current Value', 'Returns', 'XIRR'];
+const ROW = ['HDFC Top 100 Fund Direct Growth', 'Equity', 'Large Cap', 'HDFC Mutual Fund', '100', '50000', '75000', '25000', '15.5'];
+
+const day = (date) => (date ? [date.getFullYear(), date.getMonth() + 1, date.getDate()].join('-') : null);
+
+test('a CSV in the app\'s own column layout is generic, not Groww', () => {
+  const { adapter } = detectFormat([CANONICAL, ROW]);
+  assert.equal(adapter.id, 'generic');
+});
+
+test('the same columns under a Groww preamble are Groww', () => {
+  const { adapter, score } = detectFormat([['Groww'], ['Holdings statement as on 19-10-2026'], CANONICAL, ROW]);
+  assert.equal(adapter.id, 'groww');
+  assert.equal(score, 0.9);
+});
+
+test('a header match without a broker marker scores below 0.5 but above generic', () => {
+  const rows = [['Fund Name', 'Fund Type', 'Units', 'Invested Amount', 'Current Amount'], ['Axis Midcap Fund', 'Equity - Mid Cap', '300', '45000', '55000']];
+  const { adapter, score } = detectFormat(rows);
+  assert.equal(adapter.id, 'paytm-money');
+  assert.ok(score < 0.5 && score > 0.1, `score ${score}`);
+});
+
+test('statement dates come from each broker\'s preamble wording', () => {
+  const groww = parseHoldings([['Groww'], ['Holdings statement as on 19-10-2026'], CANONICAL, ROW]);
+  assert.equal(day(groww.statementDate), '2026-10-19');
+
+  const etMoney = parseHoldings([
+    ['ET Money Mutual Fund Holdings'],
+    ['Report generated on 05 Oct 2026'],
+    ['Scheme Name', 'Category', 'Units', 'Avg. NAV', 'Amount Invested', 'Current Value'],
+    ['Axis Midcap Fund', 'Equity - Mid Cap', '300', '150', '45000', '55000']
+  ]);
+  assert.equal(etMoney.format.id, 'et-money');
+  assert.equal(day(etMoney.statementDate), '2026-10-5');
+
+  const cams = parseHoldings([
+    ['CAMS Holdings Statement', 'As of: 2026-09-30'],
+    ['Scheme Name', 'Folio No', 'Closing Units', 'Cost Value', 'Market Value'],
+    ['Axis Midcap Fund', '9100', '300', '45000', '55000']
+  ]);
+  assert.equal(cams.format.id, 'rta-holdings');
+  assert.equal(day(cams.statementDate), '2026-9-30');
+
+  assert.equal(parseHoldings([CANONICAL, ROW]).statementDate, null);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseNavAll, navFileQuotes } from '../src/lib/amfiNav.js';
+
+// A trimmed NAVAll.txt as AMFI serves it: CRLF, blank spacer lines, section
+// and AMC headers, and a scheme without a NAV
+const navFile = parseNavAll(readFileSync(new URL('./fixtures/amfi/NAVAll.txt', import.meta.url), 'utf8'));
+
+const byCode = (code) => navFile.schemes.find(s => s.schemeCode === code);
+
+test('scheme rows take their type, category and AMC from the headers above them', () => {
+  assert.deepEqual(navFile.schemes.map(s => s.schemeCode), ['119018', '101762', '119019', '120586', '122639', '111111']);
+  assert.deepEqual(byCode('119018'), {
+    schemeCode: '119018',
+    isinGrowth: 'INF179K01XQ0',
+    isinDivReinvestment: null,
+    schemeName: 'HDFC Large Cap Fund - Growth Option - Direct Plan',
+    nav: 1234.5678,
+    date: new Date(2026, 9, 16),
+    schemeType: 'Open Ended Schemes',
+    schemeCategory: 'Equity Scheme - Large Cap Fund',
+    amc: 'HDFC Mutual Fund'
+  });
+  assert.equal(byCode('119019').isinDivReinvestment, 'INF179K01XS6');
+  assert.equal(byCode('120586').amc, 'ICICI Prudential Mutual Fund');
+  assert.deepEqual([byCode('122639').schemeCategory, byCode('122639').amc], ['Equity Scheme - Flexi Cap Fund', 'PPFAS Mutual Fund']);
+  assert.deepEqual([byCode('111111').schemeType, byCode('111111').schemeCategory], ['Close Ended Schemes', 'Income']);
+});
+
+test('N.A. NAVs are skipped and the file is dated by its latest NAV', () => {
+  assert.equal(byCode('122640'), undefined);
+  assert.equal(byCode('120586').date.getTime(), new Date(2026, 9, 15).getTime());
+  assert.equal(navFile.date.getTime(), new Date(2026, 9, 16).getTime());
+});
+
+test('DD-MMM-YYYY is the only date format read', () => {
+  const { schemes } = parseNavAll([
+    '1;-;-;A Fund;10;16-Oct-2026',
+    '2;-;-;B Fund;10;2026-10-16',
+    '3;-;-;C Fund;10;16-Okt-2026'
+  ].join('\n'));
+  assert.deepEqual(schemes.map(s => s.schemeCode), ['1']);
+});
+
+test('holdings match by ISIN, then a saved code, then by name', () => {
+  const holdings = [
+    // The ISIN beats a saved guess pointing at the Regular plan
+    { 'Scheme Name': 'HDFC Top 100 Fund Direct Growth', 'ISIN': 'INF179K01XQ0' },
+    // A saved code is used as is, and a saved guess still awaits review
+    { 'Scheme Name': 'ICICI Bluechip', 'ISIN': '' },
+    { 'Scheme Name': 'Parag Parikh Flexi Cap Fund Direct Growth' },
+    { 'Scheme Name': 'Quant Small Cap Fund Direct Growth' }
+  ];
+  const saved = {
+    'HDFC Top 100 Fund Direct Growth': { code: '101762', source: 'guess' },
+    'ICICI Bluechip': { code: 120586, source: 'guess' }
+  };
+  const { quotes, matches, failed, guesses } = navFileQuotes(holdings, navFile, saved);
+
+  assert.deepEqual(Object.fromEntries(Object.entries(quotes).map(([name, q]) => [name, q.code])), {
+    'HDFC Top 100 Fund Direct Growth': '119018',
+    'ICICI Bluechip': '120586',
+    'Parag Parikh Flexi Cap Fund Direct Growth': '122639'
+  });
+  assert.deepEqual(matches, {
+    'HDFC Top 100 Fund Direct Growth': { schemeCode: '119018', schemeName: 'HDFC Large Cap Fund - Growth Option - Direct Plan', source: 'isin' },
+    'Parag Parikh Flexi Cap Fund Direct Growth': { schemeCode: '122639', schemeName: 'Parag Parikh Flexi Cap Fund - Direct Plan - Growth', source: 'auto' }
+  });
+  assert.deepEqual(guesses, ['ICICI Bluechip']);
+  assert.deepEqual(failed, [{ name: 'Quant Small Cap Fund Direct Growth', reason: 'No match in the NAV file' }]);
+});
+
+test('an ISIN hit that agrees with the saved code is not saved again', () => {
+  const holdings = [{ 'Scheme Name': 'HDFC Top 100 Fund Direct Growth', 'ISIN': 'INF179K01XQ0' }];
+  const { quotes, matches } = navFileQuotes(holdings, navFile, { 'HDFC Top 100 Fund Direct Growth': { code: '119018', source: 'isin' } });
+  assert.equal(quotes['HDFC Top 100 Fund Direct Growth'].nav, 1234.5678);
+  assert.deepEqual(matches, {});
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptJSON, decryptJSON, BackupError } from '../src/lib/backup.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+// One real backup, edited per test (PBKDF2 at full strength is slow)
+const backup = encryptJSON({ createdAt: new Date(2026, 9, 19), stores: { portfolios: [] } }, PASSPHRASE);
+const tampered = async (edit) => {
+  const envelope = JSON.parse(await backup);
+  edit(envelope);
+  return JSON.stringify(envelope);
+};
+
+test('a backup decrypts with its passphrase, dates intact', async () => {
+  const workspace = await decryptJSON(await backup, PASSPHRASE);
+  assert.ok(workspace.createdAt instanceof Date);
+  assert.equal(workspace.createdAt.getTime(), new Date(2026, 9, 19).getTime());
+});
+
+test('missing or unknown algorithms are refused with a BackupError', async () => {
+  const edits = [
+    e => { delete e.kdf; },
+    e => { delete e.cipher; },
+    e => { e.kdf.name = 'scrypt'; },
+    e => { e.kdf.hash = 'SHA-1'; },
+    e => { e.cipher.name = 'AES-CBC'; }
+  ];
+  for (const edit of edits) {
+    await assert.rejects(decryptJSON(await tampered(edit), PASSPHRASE), err => err instanceof BackupError && /not support/.test(err.message));
+  }
+});
+
+test('damaged fields are refused before any key is derived', async (t) => {
+  const derive = t.mock.method(crypto.subtle, 'deriveKey');
+  const edits = [
+    e => { e.kdf.iterations = 'many'; },
+    e => { delete e.kdf.salt; },
+    e => { e.cipher.iv = 12345678; },
+    e => { e.cipher.iv = 'AAAA'; },
+    e => { e.data = '%%%'; }
+  ];
+  for (const edit of edits) {
+    await assert.rejects(decryptJSON(await tampered(edit), PASSPHRASE), err => err instanceof BackupError && /damaged/.test(err.message));
+  }
+  assert.equal(derive.mock.callCount(), 0);
+});
+
+test('iteration counts are clamped before deriving the key', async (t) => {
+  const iterations = [];
+  t.mock.method(crypto.subtle, 'deriveKey', async (params) => {
+    iterations.push(params.iterations);
+    throw new Error('stop here');
+  });
+  for (const count of [1, 1e12]) {
+    await assert.rejects(decryptJSON(await tampered(e => { e.kdf.iterations = count; }), PASSPHRASE));
+  }
+  assert.deepEqual(iterations, [100000, 5000000]);
+});
+
+test('a wrong passphrase is a BackupError', async () => {
+  await assert.rejects(decryptJSON(await backup, 'wrong'), BackupError);
+});
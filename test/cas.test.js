@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCASLines, casToPortfolio } from '../src/lib/cas.js';
+import { TXN_TYPES, holdingsFromTransactions, buildCashflows } from '../src/lib/ledger.js';
+import { analyzePortfolio } from '../src/lib/analytics.js';
+
+// Lines as pageToLines rebuilds them from a CAMS CAS
+const statement = ({ opening = '0.000', closing, txns }) => parseCASLines([
+  'Consolidated Account Statement',
+  '01-Apr-2023 To 31-Mar-2024',
+  'PPFAS Mutual Fund',
+  'Folio No: 12345678 / 90 PAN: ABCDE1234F',
+  'PPFG-Parag Parikh Flexi Cap Fund - Direct Plan Growth - ISIN: INF879O01027',
+  `Opening Unit Balance: ${opening}`,
+  ...txns,
+  `Closing Unit Balance: ${closing} NAV on 31-Mar-2024: INR 70.00 Total Cost Value: 25,000.00 Market Value on 31-Mar-2024: INR 35,000.00`
+]);
+
+test('stamp duty rows are charges, not purchases', () => {
+  const { transactions, holdings } = casToPortfolio(statement({
+    closing: '500.000',
+    txns: [
+      '05-Apr-2023 Purchase - SIP 24,998.75 500.000 49.9975 500.000',
+      '05-Apr-2023 *** Stamp Duty *** 1.25'
+    ]
+  }));
+  assert.deepEqual(transactions.map(t => [t.type, t.amount, t.units]), [
+    [TXN_TYPES.PURCHASE, 24998.75, 500],
+    [TXN_TYPES.CHARGE, 1.25, 0]
+  ]);
+  assert.equal(holdings[0]['Units'], 500);
+
+  // The charge is paid, but buys nothing and adds nothing to the invested amount
+  const [replayed] = holdingsFromTransactions(transactions);
+  assert.equal(replayed['Invested Value'], 24998.75);
+  assert.deepEqual(buildCashflows(transactions, 0).map(cf => cf.amount), [-24998.75, -1.25]);
+});
+
+test('opening units become an opening balance so the period\'s transactions are kept', () => {
+  const { transactions } = casToPortfolio(statement({
+    opening: '400.000',
+    closing: '500.000',
+    txns: [
+      '10-Jun-2023 Purchase 5,500.00 100.000 55.0000 500.000',
+      '10-Jun-2023 *** Stamp Duty *** 0.28'
+    ]
+  }));
+  assert.deepEqual(transactions.map(t => [t.type, t.date.toDateString(), t.amount, t.units]), [
+    [TXN_TYPES.OPENING_BALANCE, new Date(2023, 5, 10).toDateString(), 22000, 400],
+    [TXN_TYPES.PURCHASE, new Date(2023, 5, 10).toDateString(), 5500, 100],
+    [TXN_TYPES.CHARGE, new Date(2023, 5, 10).toDateString(), 0.28, 0]
+  ]);
+  assert.equal(holdingsFromTransactions(transactions)[0]['Units'], 500);
+});
+
+test('opening units with nothing to price them leave the scheme out of the ledger', () => {
+  const { transactions, holdings } = casToPortfolio(statement({
+    opening: '400.000',
+    closing: '400.000',
+    txns: ['30-Jun-2023 *** STT Paid *** 0.10']
+  }));
+  assert.equal(transactions, null);
+  assert.equal(holdings[0]['Units'], 400);
+});
+
+test('the XIRR closes on the statement\'s NAV date', () => {
+  const { holdings, transactions } = casToPortfolio(statement({
+    closing: '500.000',
+    txns: ['05-Apr-2023 Purchase - SIP 25,000.00 500.000 50.0000 500.000']
+  }));
+  assert.equal(holdings[0]['XIRR'], null);
+  assert.equal(holdings[0]._valueDate.toDateString(), new Date(2024, 2, 31).toDateString());
+
+  // 40% in 361 days; closing on today's date would report a fraction of that
+  const [fund] = analyzePortfolio(holdings, { transactions, asOf: new Date(2026, 9, 19) }).processedData;
+  assert.ok(Math.abs(fund['XIRR'] - 40.5) < 0.5, `XIRR was ${fund['XIRR']}`);
+});
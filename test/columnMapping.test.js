@@ -0,0 +1,65 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  guessHeaderIndex, guessMapping, isMappingComplete, applyColumnMapping,
+  saveColumnMapping, findSavedMapping, clearColumnMappings
+} from '../src/lib/columnMapping.js';
+import { importMappedRows, importRows } from '../src/lib/importFile.js';
+
+// Saved layouts live in localStorage
+const store = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (store.has(key) ? store.get(key) : null),
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: (key) => store.delete(key)
+};
+beforeEach(() => clearColumnMappings());
+
+// A broker layout no adapter knows, under a title line
+const rows = [
+  ['My broker statement'],
+  [],
+  ['Fund Description', 'Holding Qty', 'Mkt Val (INR)', 'Book Cost', 'Asset Type'],
+  ['HDFC Top 100 Fund Direct Growth', '100.5', '1,20,000', '1,00,000', 'Equity'],
+  ['SBI Small Cap Fund Direct Growth', '40', '45,000.50', '30,000', 'Equity']
+];
+
+test('the wizard guesses the header row and the columns it can name', () => {
+  assert.equal(guessHeaderIndex(rows), 2);
+  assert.deepEqual(guessMapping([' Scheme Name ', 'Units', 'Invested Value', 'Current Value', 'XIRR %', 'Category', 'Sub Category', 'Fund House']), {
+    'Scheme Name': 0, 'Units': 1, 'Invested Value': 2, 'Current Value': 3, 'XIRR': 4, 'Category': 5, 'Sub-category': 6, 'AMC': 7
+  });
+
+  // Partial names are matched too, but a column is only claimed once
+  const guessed = guessMapping(rows[2]);
+  assert.deepEqual(guessed, { 'Scheme Name': 0, 'Category': 4, 'Invested Value': 3 });
+  assert.equal(isMappingComplete(guessed), false);
+  assert.deepEqual(guessMapping(['Scheme', 'Current Value', 'Value']), { 'Scheme Name': 0, 'Current Value': 1 });
+});
+
+test('mapped rows are rewritten under the canonical header and parsed', () => {
+  const mapping = { ...guessMapping(rows[2]), 'Units': 1, 'Current Value': 2 };
+  assert.ok(isMappingComplete(mapping));
+  assert.deepEqual(applyColumnMapping(rows, 2, mapping)[0], ['Scheme Name', 'Category', 'Units', 'Invested Value', 'Current Value']);
+
+  const { holdings, skipped } = importMappedRows(rows, 2, mapping);
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(holdings.map(h => [h['Scheme Name'], h['Units'], h['Invested Value'], h['Current Value'], h._row]), [
+    ['HDFC Top 100 Fund Direct Growth', 100.5, 100000, 120000, 4],
+    ['SBI Small Cap Fund Direct Growth', 40, 30000, 45000.5, 5]
+  ]);
+});
+
+test('a saved mapping is reused only while its header is still in the file', () => {
+  const mapping = { 'Scheme Name': 0, 'Units': 1, 'Current Value': 2, 'Invested Value': 3 };
+  assert.equal(importRows(rows).format, null);
+  saveColumnMapping(rows[2], mapping);
+  assert.deepEqual(findSavedMapping(rows), { headerIndex: 2, mapping });
+  assert.equal(importRows(rows).format, 'Saved column mapping');
+
+  // The broker renamed a column: the old indices are not trusted, the wizard asks again
+  const renamed = rows.map((row, i) => (i === 2 ? row.map(h => (h === 'Mkt Val (INR)' ? 'Market Value (INR)' : h)) : row));
+  assert.equal(findSavedMapping(renamed), null);
+  const { holdings, format } = importRows(renamed);
+  assert.deepEqual([holdings, format], [[], null]);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { parseCSV, parseCSVFile, sniffDelimiter, detectEncoding } from '../src/lib/csv.js';
+import { importRows } from '../src/lib/importFile.js';
+
+// Broker exports as they come off the site: BOM and CRLF from Groww, `;` and
+// decimal commas from a European-locale Kuvera export, Zerodha's TSV and a
+// ledger with a multi-line quoted remark.
+const fixture = (name) => readFileSync(new URL(`./fixtures/csv/${name}`, import.meta.url));
+const text = (name) => fixture(name).toString('utf8');
+
+const summary = (holdings) => holdings.map(h => [h['Scheme Name'], h['Units'], h['Invested Value'], h['Current Value']]);
+
+test('Groww export: BOM, CRLF, preamble and quoted commas', () => {
+  const rows = parseCSV(text('groww-holdings.csv'));
+  assert.equal(rows[0][0], 'Groww Mutual Fund Holdings');
+  assert.deepEqual(rows[5].slice(0, 2), ['ICICI Prudential Equity & Debt Fund, Direct Plan, Growth', 'ICICI Prudential Mutual Fund']);
+  assert.ok(rows.every(r => r.every(cell => !cell.includes('\r'))));
+
+  const { format, holdings, skipped, statementDate } = importRows(rows);
+  assert.equal(format, 'Groww');
+  assert.equal(statementDate.toDateString(), new Date(2026, 9, 19).toDateString());
+  assert.deepEqual(summary(holdings), [
+    ['Parag Parikh Flexi Cap Fund Direct Growth', 1523.417, 120000, 148230.55],
+    ['ICICI Prudential Equity & Debt Fund, Direct Plan, Growth', 410.25, 100000, 121004.1],
+    ['HDFC Liquid Fund Direct Growth', 2.1, 10000, 10512.4]
+  ]);
+  assert.equal(holdings[1]['XIRR'], 14.75);
+  assert.deepEqual(skipped.map(s => s.reason), ['Total row']);
+});
+
+test('Kuvera export: semicolons and decimal commas', () => {
+  const sample = text('kuvera-semicolon.csv');
+  assert.equal(sniffDelimiter(sample), ';');
+  const rows = parseCSV(sample);
+  assert.equal(rows[3][0], 'Mirae Asset Emerging Bluechip; Direct Growth');
+
+  const { format, holdings } = importRows(rows);
+  assert.equal(format, 'Kuvera');
+  assert.deepEqual(summary(holdings), [
+    ['Axis Bluechip Fund Direct Growth', 1250.5, 45000, 58312.75],
+    ['Mirae Asset Emerging Bluechip; Direct Growth', 812.3456, 60000, 71204.1]
+  ]);
+  assert.deepEqual(holdings.map(h => h['XIRR']), [9.8, 12.4]);
+});
+
+test('Zerodha Coin export: tab separated', () => {
+  const sample = text('zerodha-coin.tsv');
+  assert.equal(sniffDelimiter(sample), '\t');
+  const { format, holdings } = importRows(parseCSV(sample));
+  assert.equal(format, 'Zerodha Coin');
+  assert.deepEqual(holdings.map(h => [h['Units'], h['Current Value']]), [[350.112, 350.112 * 168.4], [120, 20550]]);
+});
+
+test('ledger: a quoted remark spanning lines with escaped quotes stays one record', () => {
+  const rows = parseCSV(text('ledger-multiline.csv'));
+  assert.equal(rows.length, 4);
+  assert.equal(rows[2][6], 'SIP instalment\r\nmandate "UMRN 1234"');
+  assert.equal(rows[3][3], '12,500');
+
+  const { format, transactions, holdings } = importRows(rows);
+  assert.equal(format, 'Transaction ledger');
+  assert.deepEqual(transactions.map(t => [t.type, t.amount, t.units]), [
+    ['Purchase', 50000, 625],
+    ['Purchase', 5000, 50],
+    ['Redemption', 12500, 100]
+  ]);
+  assert.equal(holdings[0]['Units'], 575);
+});
+
+test('parseCSVFile streams the same rows from a Blob, BOM and all', async () => {
+  const bytes = fixture('groww-holdings.csv');
+  assert.equal(detectEncoding(bytes), 'utf-8');
+  const rows = await parseCSVFile(new Blob([bytes]));
+  assert.deepEqual(rows, parseCSV(text('groww-holdings.csv')));
+});
+
+test('UTF-16 exports are detected without a BOM', () => {
+  const utf16 = Buffer.from('Scheme Name,Units\r\n', 'utf16le');
+  assert.equal(detectEncoding(utf16), 'utf-16le');
+});
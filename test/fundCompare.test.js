@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareFunds } from '../src/lib/fundCompare.js';
+import { trailingReturn } from '../src/lib/navReturns.js';
+
+// Month-end NAVs over four years, growing 1% a month
+const series = Array.from({ length: 49 }, (_, i) => ({ date: new Date(2022, 9 + i, 1), nav: 100 * 1.01 ** i }));
+
+test('compare shows the same trailing returns as the fund details', () => {
+  const { stats } = compareFunds([{ key: 'a', series }, { key: 'b', series }], 'Max');
+  assert.equal(stats[0].ret1Y, trailingReturn(series, 1).absolute);
+  assert.equal(stats[0].cagr3Y, trailingReturn(series, 3).cagr);
+  assert.equal(stats[0].cagr5Y, null);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { projectPlan, requiredSIP, nominalTarget, normalizePlan } from '../src/lib/goalPlanner.js';
+
+const allEquity = { Equity: 1, Debt: 0, Hybrid: 0, Other: 0 };
+const plan = (overrides) => normalizePlan({ monthlySIP: 10000, stepUp: 0, inflation: 0, horizon: 10, target: 0, returns: { Equity: 12 }, ...overrides });
+
+// Future value of a SIP paid at the start of each month (an annuity due)
+const sipFutureValue = (sip, annualPercent, months) => {
+  const i = Math.pow(1 + annualPercent / 100, 1 / 12) - 1;
+  return i === 0 ? sip * months : sip * ((Math.pow(1 + i, months) - 1) / i) * (1 + i);
+};
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6 * Math.max(1, Math.abs(expected)), `${message}: ${actual} vs ${expected}`);
+
+test('a flat SIP compounds to the annuity-due future value', () => {
+  const rows = projectPlan({ startValue: 100000, mix: allEquity, plan: plan() });
+  const last = rows[rows.length - 1];
+  assert.equal(rows.length, 11);
+  assert.equal(last.invested, 100000 + 10000 * 120);
+  close(last.nominal, 100000 * 1.12 ** 10 + sipFutureValue(10000, 12, 120), 'corpus');
+  close(rows[5].nominal, 100000 * 1.12 ** 5 + sipFutureValue(10000, 12, 60), 'year 5');
+});
+
+test('at zero return the corpus is what was paid in, and inflation only deflates the real value', () => {
+  const rows = projectPlan({ startValue: 50000, mix: allEquity, plan: plan({ returns: { Equity: 0 }, inflation: 6 }) });
+  const last = rows[rows.length - 1];
+  assert.equal(last.nominal, 50000 + 10000 * 120);
+  close(last.real, last.nominal / 1.06 ** 10, 'real');
+});
+
+test('the required SIP inverts the closed form', () => {
+  const goal = plan({ target: 5000000 });
+  const sip = requiredSIP({ startValue: 100000, mix: allEquity, plan: goal });
+  close(sip, (5000000 - 100000 * 1.12 ** 10) / sipFutureValue(1, 12, 120), 'SIP');
+  const reached = projectPlan({ startValue: 100000, mix: allEquity, plan: { ...goal, monthlySIP: sip } });
+  close(reached[reached.length - 1].nominal, nominalTarget(goal), 'target');
+
+  // With no growth the shortfall is simply spread over the months
+  close(requiredSIP({ startValue: 200000, mix: allEquity, plan: plan({ target: 1400000, returns: { Equity: 0 } }) }), 10000, 'zero return');
+});
+
+test('a goal today\'s portfolio already reaches needs no SIP; no target, no answer', () => {
+  assert.equal(requiredSIP({ startValue: 2000000, mix: allEquity, plan: plan({ target: 5000000 }) }), 0);
+  assert.equal(requiredSIP({ startValue: 100000, mix: allEquity, plan: plan() }), null);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { holdingsFromTransactions, classifyTransaction, TXN_TYPES } from '../src/lib/ledger.js';
+import { importRows } from '../src/lib/importFile.js';
+
+const txn = (date, amount, nav, extra = {}) => ({
+  date: new Date(date),
+  schemeName: 'Parag Parikh Flexi Cap Fund - Direct Plan - Growth',
+  category: '',
+  subCategory: '',
+  amc: '',
+  folio: '',
+  isin: '',
+  type: TXN_TYPES.PURCHASE,
+  amount,
+  units: nav ? amount / nav : 0,
+  nav,
+  ...extra
+});
+
+test('the XIRR closes on the last transaction NAV date, not today', () => {
+  const [holding] = holdingsFromTransactions([
+    txn('2021-01-01', 100000, 100),
+    txn('2022-01-01', 10000, 125),
+    txn('2023-06-01', 10000, 166.67)
+  ]);
+  assert.equal(new Date(holding._valueDate).toISOString().slice(0, 10), '2023-06-01');
+  // 66.67% in about 2.4 years on most of the money; closing today would report ~9%
+  assert.ok(holding['XIRR'] > 20 && holding['XIRR'] < 26, `XIRR was ${holding['XIRR']}`);
+});
+
+test('an XIRR the solver cannot find is left empty rather than 0', () => {
+  // A single purchase valued on its own date has no period to annualise over
+  const [holding] = holdingsFromTransactions([txn('2021-01-01', 100000, 100)]);
+  assert.equal(holding['XIRR'], null);
+});
+
+test('category and AMC are inferred from the scheme name when the ledger has none', () => {
+  const [holding] = holdingsFromTransactions([txn('2021-01-01', 100000, 100)]);
+  assert.equal(holding['Category'], 'Equity');
+  assert.equal(holding['Sub-category'], 'Flexi Cap');
+  assert.equal(holding['AMC'], 'Parag Parikh Mutual Fund');
+});
+
+test('charge rows in a ledger export are classified as charges', () => {
+  assert.equal(classifyTransaction('*** Stamp Duty ***', 0.25), TXN_TYPES.CHARGE);
+  assert.equal(classifyTransaction('STT on redemption', 1.5), TXN_TYPES.CHARGE);
+  assert.equal(classifyTransaction('Redemption', 1500), TXN_TYPES.REDEMPTION);
+});
+
+test('a ledger without a units column derives them from amount and NAV', () => {
+  const { format, holdings, transactions } = importRows([
+    ['Date', 'Scheme Name', 'Transaction Type', 'Amount', 'NAV'],
+    ['01-01-2023', 'Parag Parikh Flexi Cap Fund - Direct Plan - Growth', 'Purchase', '50,000', '50'],
+    ['01-01-2024', 'Parag Parikh Flexi Cap Fund - Direct Plan - Growth', 'Redemption', '15,000', '60'],
+    ['01-02-2024', 'Parag Parikh Flexi Cap Fund - Direct Plan - Growth', 'Stamp Duty', '2.5', '']
+  ]);
+  assert.equal(format, 'Transaction ledger');
+  assert.deepEqual(transactions.map(t => t.units), [1000, 250, 0]);
+  assert.equal(holdings[0]['Units'], 750);
+  assert.equal(holdings[0]['Current Value'], 45000);
+});
@@ -0,0 +1,143 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mock from '../src/lib/marketData/mock.js';
+import { setMarketDataProvider, getNavHistory, getLatestNav, MarketDataError } from '../src/lib/marketData/index.js';
+
+// Just enough of IndexedDB for storage.js: one database of key-value stores
+// whose requests complete on the next microtask, like the real thing.
+const fakeIndexedDB = () => {
+  const stores = new Map();
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: (name) => {
+      const data = stores.get(name);
+      const tx = {
+        objectStore: () => ({
+          get: (key) => ({ result: structuredClone(data.get(key)) }),
+          put: (value, key) => ({ result: data.set(key, structuredClone(value)) && key }),
+          delete: (key) => ({ result: data.delete(key) && undefined }),
+          clear: () => ({ result: data.clear() }),
+          getAll: () => ({ result: [...data.values()].map(v => structuredClone(v)) }),
+          getAllKeys: () => ({ result: [...data.keys()] })
+        })
+      };
+      queueMicrotask(() => tx.oncomplete());
+      return tx;
+    }
+  };
+  return {
+    stores,
+    open: () => {
+      const request = { result: db };
+      queueMicrotask(() => {
+        request.onupgradeneeded();
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+};
+
+const idb = fakeIndexedDB();
+globalThis.indexedDB = idb;
+setMarketDataProvider('mock');
+
+const HOUR = 60 * 60 * 1000;
+const CODE = 900107;
+
+let now;
+const clock = (t) => {
+  now = Date.parse('2026-10-19T18:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+};
+
+// saveCachedNav is fire-and-forget; let its transaction finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const networkDown = async () => { throw new MarketDataError('Unable to connect to mock market data', 'network'); };
+
+// Retries sleep through setTimeout; skip the waiting
+const noBackoff = (t) => t.mock.method(globalThis, 'setTimeout', (fn) => { fn(); return 0; });
+
+beforeEach(() => idb.stores.forEach(store => store.clear()));
+
+test('getNavHistory serves a cached history for 12 hours, then refetches', async (t) => {
+  clock(t);
+  const fetches = t.mock.method(mock, 'getNavHistory');
+
+  const first = await getNavHistory(CODE);
+  await settle();
+  assert.equal(first.meta.scheme_code, CODE);
+  assert.ok(first.data.length > 100);
+
+  now += 11 * HOUR;
+  const cached = await getNavHistory(CODE);
+  assert.deepEqual(cached, { meta: first.meta, data: first.data });
+  assert.equal(fetches.mock.callCount(), 1);
+
+  now += 2 * HOUR;
+  await getNavHistory(CODE);
+  assert.equal(fetches.mock.callCount(), 2);
+});
+
+test('an expired history is returned flagged stale when the provider is unreachable', async (t) => {
+  clock(t);
+  noBackoff(t);
+  const fresh = await getNavHistory(CODE);
+  await settle();
+
+  now += 13 * HOUR;
+  const fetches = t.mock.method(mock, 'getNavHistory', networkDown);
+  const stale = await getNavHistory(CODE);
+  assert.equal(stale.stale, true);
+  assert.deepEqual(stale.data, fresh.data);
+  // The first attempt and two retries
+  assert.equal(fetches.mock.callCount(), 3);
+});
+
+test('without a cached copy, or when the scheme is gone, the error surfaces', async (t) => {
+  clock(t);
+  noBackoff(t);
+  t.mock.method(mock, 'getNavHistory', networkDown);
+  await assert.rejects(getNavHistory(CODE), { kind: 'network' });
+
+  t.mock.restoreAll();
+  clock(t);
+  await getNavHistory(CODE);
+  await settle();
+  now += 13 * HOUR;
+  t.mock.method(mock, 'getNavHistory', async () => { throw new MarketDataError('Fund not found on mock market data', 'not-found'); });
+  await assert.rejects(getNavHistory(CODE), { kind: 'not-found' });
+});
+
+test('getLatestNav answers from a history fetched within 2 hours', async (t) => {
+  clock(t);
+  const history = await getNavHistory(CODE);
+  await settle();
+  const fetches = t.mock.method(mock, 'getLatestNav');
+
+  now += 1 * HOUR;
+  const latest = await getLatestNav(CODE);
+  assert.equal(fetches.mock.callCount(), 0);
+  assert.equal(latest.schemeCode, CODE);
+  assert.equal(latest.nav, Number(history.data[0].nav));
+  assert.ok(latest.date instanceof Date);
+});
+
+test('getLatestNav fetches once the cache is 2 hours old and caches that quote', async (t) => {
+  clock(t);
+  await getNavHistory(CODE);
+  await settle();
+  const fetches = t.mock.method(mock, 'getLatestNav');
+
+  now += 3 * HOUR;
+  const latest = await getLatestNav(CODE);
+  await settle();
+  assert.equal(fetches.mock.callCount(), 1);
+  assert.ok(idb.stores.get('navs').has(`mock:latest:${CODE}`));
+
+  now += 1 * HOUR;
+  assert.deepEqual(await getLatestNav(CODE), latest);
+  assert.equal(fetches.mock.callCount(), 1);
+});
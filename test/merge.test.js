@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeSources, sameHolding } from '../src/lib/merge.js';
+
+const cas = {
+  'Scheme Name': 'HDFC Top 100 Fund - Direct Plan - Growth Option',
+  'ISIN': 'INF179K01XQ0',
+  'Folio': '1234567 / 89',
+  'Units': 100.5,
+  'Current Value': 110000
+};
+const groww = {
+  'Scheme Name': 'HDFC Top 100 Fund Direct Growth',
+  'Folio': '1234567',
+  'Units': 100.5,
+  'Current Value': 109500
+};
+
+test('a CAS row with an ISIN and a Groww row without one are the same folio holding', () => {
+  const merged = mergeSources([
+    { label: 'CAS', holdings: [cas] },
+    { label: 'Groww', holdings: [groww] }
+  ]);
+  assert.equal(merged.holdings.length, 1);
+  assert.equal(merged.duplicates.length, 1);
+  assert.equal(merged.duplicates[0].duplicateOf, 'CAS');
+});
+
+test('different ISINs in the same folio are different holdings', () => {
+  const idcw = { ...cas, 'ISIN': 'INF179K01XR8' };
+  assert.equal(sameHolding(cas, idcw), false);
+  const merged = mergeSources([
+    { label: 'CAS', holdings: [cas] },
+    { label: 'Other CAS', holdings: [idcw] }
+  ]);
+  assert.equal(merged.holdings.length, 2);
+});
+
+test('repeats within one file are separate lots', () => {
+  const merged = mergeSources([{ label: 'Groww', holdings: [groww, { ...groww }] }]);
+  assert.equal(merged.holdings.length, 2);
+  assert.equal(merged.duplicates.length, 0);
+});
+
+test('without a folio only the same unit balance matches', () => {
+  const a = { 'Scheme Name': 'SBI Small Cap Fund', 'Units': 200 };
+  assert.equal(sameHolding(a, { ...a, 'ISIN': 'INF200K01T51' }), true);
+  assert.equal(sameHolding(a, { ...a, 'Units': 201 }), false);
+});
+
+test('a newer statement of the same folio replaces the older one, whichever came first', () => {
+  const jan = { ...cas, 'Units': 100, 'Current Value': 12000 };
+  const feb = { ...cas, 'Units': 150, 'Current Value': 19000 };
+  const january = { label: 'CAS Jan', statementDate: new Date(2026, 0, 31), holdings: [jan] };
+  const february = { label: 'CAS Feb', statementDate: new Date(2026, 1, 28).toISOString(), holdings: [feb] };
+
+  [[january, february], [february, january]].forEach(order => {
+    const merged = mergeSources(order);
+    assert.deepEqual(merged.holdings.map(h => [h['Source'], h['Units'], h['Current Value']]), [['CAS Feb', 150, 19000]]);
+    assert.deepEqual(merged.duplicates.map(d => [d.source, d.duplicateOf]), [['CAS Jan', 'CAS Feb']]);
+  });
+});
+
+test('undated sources keep the one imported first', () => {
+  const merged = mergeSources([
+    { label: 'CAS', holdings: [cas] },
+    { label: 'Later CAS', holdings: [{ ...cas, 'Units': 120 }] }
+  ]);
+  assert.deepEqual(merged.holdings.map(h => h['Source']), ['CAS']);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulatePlan } from '../src/lib/monteCarlo.js';
+import { normalizePlan, projectPlan } from '../src/lib/goalPlanner.js';
+
+const plan = normalizePlan({ monthlySIP: 15000, stepUp: 10, inflation: 6, horizon: 12, target: 4000000, returns: { Equity: 12, Debt: 7 } });
+
+test('with no volatility every path is the planner\'s deterministic projection', () => {
+  const result = simulatePlan({
+    startValue: 500000,
+    equityShare: 0.7,
+    plan,
+    assumptions: { equity: { mean: 12, volatility: 0 }, debt: { mean: 7, volatility: 0 }, paths: 1000 },
+    seed: 42
+  });
+  const projected = projectPlan({ startValue: 500000, mix: { Equity: 0.7, Debt: 0.3, Hybrid: 0, Other: 0 }, plan });
+
+  result.years.forEach((row, year) => {
+    const { nominal, real, invested } = projected[year];
+    assert.ok(Math.abs(row.invested - invested) < 1e-6);
+    [row.p10, row.p50, row.p90].forEach(p => assert.ok(Math.abs(p - nominal) < 1e-6 * nominal, `year ${year}: ${p} vs ${nominal}`));
+    assert.ok(Math.abs(row.real50 - real) < 1e-6 * real);
+  });
+  const reached = projected[projected.length - 1].nominal >= 4000000 * 1.06 ** 12;
+  assert.equal(result.goalProbability, reached ? 1 : 0);
+});
+
+test('the same seed gives the same bands, and a bigger SIP never lowers the odds', () => {
+  const run = (monthlySIP, seed = 7) => simulatePlan({
+    startValue: 500000, equityShare: 0.7, plan: { ...plan, monthlySIP }, assumptions: { paths: 1000 }, seed
+  });
+  assert.deepEqual(run(15000).years, run(15000).years);
+  assert.notDeepEqual(run(15000).years, run(15000, 8).years);
+
+  const odds = [0, 5000, 10000, 15000, 25000, 40000].map(sip => run(sip).goalProbability);
+  odds.slice(1).forEach((p, i) => assert.ok(p >= odds[i], `odds fell from ${odds[i]} to ${p}`));
+  assert.ok(odds[0] < odds[odds.length - 1]);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trailingReturn, rollingReturns, calendarReturns } from '../src/lib/navReturns.js';
+import { parseNavHistory } from '../src/lib/riskStats.js';
+
+// mfapi shape, newest first
+const history = parseNavHistory([
+  { date: '17-10-2026', nav: '180.0000' },
+  { date: '16-10-2025', nav: '150.0000' },
+  { date: '20-10-2025', nav: '152.0000' },
+  { date: '15-10-2023', nav: '100.0000' }
+]);
+
+test('the start NAV is the last one on or before the anniversary', () => {
+  const oneYear = trailingReturn(history, 1);
+  assert.ok(Math.abs(oneYear.absolute - 20) < 1e-9);
+  assert.ok(Math.abs(oneYear.cagr - 20) < 0.1);
+});
+
+test('longer windows are annualised', () => {
+  const threeYears = trailingReturn(history, 3);
+  assert.ok(Math.abs(threeYears.absolute - 80) < 1e-9);
+  assert.ok(Math.abs(threeYears.cagr - 21.6) < 0.1, `CAGR ${threeYears.cagr}`);
+});
+
+test('a history shorter than the window has no return', () => {
+  assert.equal(trailingReturn(history, 5), null);
+  assert.equal(trailingReturn([], 1), null);
+});
+
+const nav = (y, m, d, value) => ({ date: new Date(y, m - 1, d), nav: value });
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('rolling windows start from the last NAV before a weekend or holiday anniversary', () => {
+  const series = [
+    nav(2024, 1, 5, 100), // Friday
+    nav(2024, 1, 8, 101),
+    nav(2024, 1, 9, 102),
+    nav(2025, 1, 6, 110), // its anniversary, 6 Jan 2024, was a Saturday
+    // 7 Jan 2025 a holiday
+    nav(2025, 1, 8, 120),
+    nav(2025, 1, 9, 121)
+  ];
+  const points = rollingReturns(series, 1);
+  assert.deepEqual(points.map(p => p.date.getDate()), [6, 8, 9]);
+  const cagr = (end, start) => (Math.pow(end.nav / start.nav, 365.25 * DAY_MS / (end.date - start.date)) - 1) * 100;
+  [[3, 0], [4, 1], [5, 2]].forEach(([end, start], i) => {
+    assert.ok(Math.abs(points[i].value - cagr(series[end], series[start])) < 1e-9);
+  });
+});
+
+test('a window longer than the history has no rolling points', () => {
+  const series = [nav(2023, 1, 2, 100), nav(2024, 6, 3, 120), nav(2025, 1, 1, 130)];
+  assert.deepEqual(rollingReturns(series, 3), []);
+  assert.deepEqual(rollingReturns(series, 5), []);
+  assert.equal(rollingReturns(series, 1).length, 2);
+});
+
+test('calendar returns measure the first year from its first NAV and flag it partial', () => {
+  const rows = calendarReturns([
+    nav(2023, 3, 15, 100),
+    nav(2023, 3, 31, 104),
+    nav(2023, 4, 28, 106), // the 29th and 30th were a weekend
+    nav(2023, 12, 29, 120),
+    nav(2024, 1, 31, 126),
+    nav(2024, 12, 31, 150),
+    nav(2025, 2, 28, 160)
+  ]);
+  const round = (v) => (v === null ? null : Math.round(v * 100) / 100);
+  assert.deepEqual(rows.map(r => [r.year, round(r.total), r.partial]), [
+    [2025, 6.67, true],
+    [2024, 25, false],
+    [2023, 20, true]
+  ]);
+  const [y2025, y2024, y2023] = rows;
+  // A month without the previous month's close has no return
+  assert.deepEqual(y2023.months.map(round), [null, null, null, 1.92, null, null, null, null, null, null, null, null]);
+  assert.equal(round(y2024.months[0]), 5);
+  assert.equal(y2024.months[11], null);
+  assert.equal(y2025.months[1], null);
+  assert.deepEqual(calendarReturns([nav(2025, 1, 1, 10)]), []);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseNumber } from '../src/lib/parsing.js';
+
+test('Indian and international grouping keep the comma as a thousands separator', () => {
+  assert.equal(parseNumber('1,234'), 1234);
+  assert.equal(parseNumber('12,345'), 12345);
+  assert.equal(parseNumber('1,23,456.78'), 123456.78);
+  assert.equal(parseNumber('1,234,567.5'), 1234567.5);
+  assert.equal(parseNumber('-1,234'), -1234);
+});
+
+test('European-locale numbers read the comma as the decimal point', () => {
+  assert.equal(parseNumber('1.234,56'), 1234.56);
+  assert.equal(parseNumber('1.234.567,8'), 1234567.8);
+  assert.equal(parseNumber('12,5'), 12.5);
+  assert.equal(parseNumber('0,75'), 0.75);
+  assert.equal(parseNumber('812,3456'), 812.3456);
+});
+
+test('a dot stays a decimal point when no comma follows', () => {
+  assert.equal(parseNumber('1.234'), 1.234);
+  assert.equal(parseNumber('1523.417'), 1523.417);
+});
+
+test('currency, percent, brackets and whitespace', () => {
+  assert.equal(parseNumber('₹ 1,20,000.00'), 120000);
+  assert.equal(parseNumber('Rs. 5,000'), 5000);
+  assert.equal(parseNumber('INR 250'), 250);
+  assert.equal(parseNumber('12.5%'), 12.5);
+  assert.equal(parseNumber('(1,200)'), -1200);
+  assert.equal(parseNumber(42), 42);
+});
+
+test('non-numbers are NaN', () => {
+  ['', '   ', 'N/A', '12abc', '1.2.3', null, undefined].forEach(val => {
+    assert.ok(Number.isNaN(parseNumber(val)), `${val} should be NaN`);
+  });
+});
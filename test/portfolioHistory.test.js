@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconstructHistory, historySchemes } from '../src/lib/portfolioHistory.js';
+import { TXN_TYPES } from '../src/lib/ledger.js';
+
+const day = (d) => new Date(2026, 0, d);
+const flat = (nav) => Array.from({ length: 10 }, (_, i) => ({ date: day(i + 1), nav }));
+
+const txn = (schemeName, d, type, units, nav) => ({
+  date: day(d), schemeName, category: '', subCategory: '', amc: '', folio: '', isin: '',
+  type, amount: units * nav, units, nav
+});
+
+test('a scheme sold out of inside the window still counts while it was held', () => {
+  const holdings = [{ 'Scheme Name': 'Kept Fund', 'Units': 100, 'Invested Value': 1000, 'Current Value': 1000 }];
+  const transactions = [
+    txn('Kept Fund', 1, TXN_TYPES.PURCHASE, 100, 10),
+    txn('Exited Fund', 1, TXN_TYPES.PURCHASE, 50, 20),
+    txn('Exited Fund', 6, TXN_TYPES.REDEMPTION, 50, 20)
+  ];
+  assert.deepEqual(historySchemes(holdings, transactions).map(h => h['Scheme Name']), ['Kept Fund', 'Exited Fund']);
+
+  const history = reconstructHistory({
+    holdings, transactions, years: 1,
+    histories: { 'Kept Fund': flat(10), 'Exited Fund': flat(20) }
+  });
+  assert.deepEqual(history.missing, []);
+  assert.deepEqual(history.rows.map(r => r.value), [2000, 2000, 2000, 2000, 2000, 1000, 1000, 1000, 1000, 1000]);
+  assert.equal(history.rows[0].invested, 2000);
+  assert.equal(history.summary.invested, 1000);
+  // Selling at an unchanged NAV is neither a gain nor a drawdown
+  assert.equal(history.summary.timeWeightedReturn, 0);
+  assert.equal(history.summary.currentDrawdown, 0);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withRetry, dedupe, isRetryable, MarketDataError } from '../src/lib/marketData/request.js';
+
+// Sleeps resolve at once and record their delay; jitter is pinned to 1x
+const recordDelays = (t) => {
+  const delays = [];
+  t.mock.method(Math, 'random', () => 0.5);
+  t.mock.method(globalThis, 'setTimeout', (fn, ms) => {
+    delays.push(ms);
+    fn();
+    return 0;
+  });
+  return delays;
+};
+
+const failing = (errors, result = 'ok') => {
+  let calls = 0;
+  const task = async () => {
+    const err = errors[calls++];
+    if (err) throw err;
+    return result;
+  };
+  return { task, calls: () => calls };
+};
+
+test('timeouts, network errors, 429 and 5xx are retryable; 4xx and bad bodies are not', () => {
+  assert.ok(isRetryable(new MarketDataError('slow', 'timeout')));
+  assert.ok(isRetryable(new MarketDataError('down', 'network')));
+  assert.ok(isRetryable(new MarketDataError('busy', 'http', 429)));
+  assert.ok(isRetryable(new MarketDataError('oops', 'http', 503)));
+  assert.ok(!isRetryable(new MarketDataError('bad', 'http', 400)));
+  assert.ok(!isRetryable(new MarketDataError('gone', 'not-found', 404)));
+  assert.ok(!isRetryable(new MarketDataError('garbled', 'invalid')));
+  assert.ok(!isRetryable(new TypeError('bug')));
+});
+
+test('withRetry backs off exponentially and returns the first success', async (t) => {
+  const delays = recordDelays(t);
+  const { task, calls } = failing([new MarketDataError('down', 'network'), new MarketDataError('busy', 'http', 429)]);
+  assert.equal(await withRetry(task, { retries: 3, baseDelay: 100 }), 'ok');
+  assert.equal(calls(), 3);
+  assert.deepEqual(delays, [100, 200]);
+});
+
+test('withRetry gives up after the last retry with the last error', async (t) => {
+  const delays = recordDelays(t);
+  const last = new MarketDataError('still down', 'timeout');
+  const { task, calls } = failing([new MarketDataError('down', 'network'), new MarketDataError('down', 'network'), last]);
+  await assert.rejects(withRetry(task, { retries: 2, baseDelay: 500 }), err => err === last);
+  assert.equal(calls(), 3);
+  assert.deepEqual(delays, [500, 1000]);
+});
+
+test('withRetry does not retry errors that will not go away', async (t) => {
+  const delays = recordDelays(t);
+  const { task, calls } = failing([new MarketDataError('gone', 'not-found', 404)]);
+  await assert.rejects(withRetry(task), { kind: 'not-found' });
+  assert.equal(calls(), 1);
+  assert.deepEqual(delays, []);
+});
+
+test('dedupe shares one in-flight request per key and forgets it once settled', async () => {
+  let calls = 0;
+  let release;
+  const task = () => {
+    calls++;
+    return new Promise(resolve => { release = resolve; });
+  };
+  const first = dedupe('nav:1', task);
+  const second = dedupe('nav:1', task);
+  assert.equal(first, second);
+  assert.equal(calls, 1);
+  release('navs');
+  assert.equal(await second, 'navs');
+
+  const failed = dedupe('nav:1', () => Promise.reject(new MarketDataError('down', 'network')));
+  await assert.rejects(failed, { kind: 'network' });
+  const again = dedupe('nav:1', async () => 'fresh');
+  assert.equal(await again, 'fresh');
+});
@@ -0,0 +1,55 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker as ThreadWorker } from 'node:worker_threads';
+import { runMonteCarlo, SimulationCancelled } from '../src/lib/runMonteCarlo.js';
+import { simulatePlan } from '../src/lib/monteCarlo.js';
+import { normalizePlan } from '../src/lib/goalPlanner.js';
+
+// The browser Worker API over a worker thread: the worker module sees a
+// `self` with onmessage/postMessage, messages arriving before it has loaded
+// are queued
+const BOOTSTRAP = `
+const { parentPort, workerData } = require('node:worker_threads');
+const queue = [];
+let handler = null;
+globalThis.self = {
+  postMessage: (data) => parentPort.postMessage(data),
+  get onmessage() { return handler; },
+  set onmessage(fn) { handler = fn; queue.splice(0).forEach(data => fn({ data })); }
+};
+parentPort.on('message', (data) => (handler ? handler({ data }) : queue.push(data)));
+import(workerData.url);
+`;
+
+class BrowserLikeWorker {
+  constructor(url) {
+    this.thread = new ThreadWorker(BOOTSTRAP, { eval: true, workerData: { url: String(url) } });
+    this.thread.on('message', (data) => this.onmessage && this.onmessage({ data }));
+    this.thread.on('error', (err) => this.onerror && this.onerror({ message: err.message }));
+  }
+  postMessage(data) { this.thread.postMessage(data); }
+  terminate() { this.thread.terminate(); }
+}
+
+globalThis.Worker = BrowserLikeWorker;
+after(() => { delete globalThis.Worker; });
+
+const input = {
+  startValue: 500000,
+  equityShare: 0.7,
+  plan: normalizePlan({ target: 3000000 }),
+  assumptions: { paths: 500 }
+};
+
+test('runs the simulation in the worker and reports progress', { timeout: 10000 }, async () => {
+  const progress = [];
+  const result = await runMonteCarlo(input, (done, total) => progress.push([done, total])).promise;
+  assert.deepEqual(result, simulatePlan(input));
+  assert.deepEqual(progress[progress.length - 1], [500, 500]);
+});
+
+test('cancel settles the promise with SimulationCancelled', async () => {
+  const job = runMonteCarlo({ ...input, assumptions: { paths: 10000 } });
+  job.cancel();
+  await assert.rejects(job.promise, SimulationCancelled);
+});
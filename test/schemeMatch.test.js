@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankCandidates, isConfident, planOf, optionOf } from '../src/lib/schemeMatch.js';
+
+const candidate = (schemeCode, schemeName, isinGrowth = null) => ({ schemeCode, schemeName, isinGrowth });
+
+// One scheme as AMFI lists it: each plan and option under its own code
+const top100 = [
+  candidate('101762', 'HDFC Top 100 Fund - Growth Option', 'INF179K01BB8'),
+  candidate('119018', 'HDFC Top 100 Fund - Direct Plan - Growth Option', 'INF179K01XQ0'),
+  candidate('119019', 'HDFC Top 100 Fund - Direct Plan - IDCW Option'),
+  candidate('101763', 'HDFC Top 100 Fund - IDCW Option')
+];
+
+const best = (name, candidates = top100, isin = null) => rankCandidates({ name, isin }, candidates)[0].schemeCode;
+
+test('the plan is read from the name, and an AMFI name without one is Regular', () => {
+  assert.equal(planOf('HDFC Top 100 Fund - Direct Plan - Growth'), 'direct');
+  assert.equal(planOf('HDFC Top 100 Fund Retail Growth'), 'regular');
+  assert.equal(optionOf('HDFC Top 100 Fund - Dividend Payout'), 'idcw');
+  assert.equal(optionOf('HDFC Top 100 Fund'), null);
+
+  assert.equal(best('HDFC Top 100 Fund Direct Growth'), '119018');
+  assert.equal(best('HDFC Top 100 Fund Regular Growth'), '101762');
+  // A name that says neither is taken for Direct Growth
+  assert.equal(best('HDFC Top 100 Fund'), '119018');
+});
+
+test('Growth and IDCW options are told apart', () => {
+  assert.equal(best('HDFC Top 100 Fund Direct IDCW'), '119019');
+  assert.equal(best('HDFC Top 100 Fund Regular Dividend Reinvestment'), '101763');
+  const ranked = rankCandidates({ name: 'HDFC Top 100 Fund Direct Growth' }, top100);
+  assert.ok(ranked[0].reasons.includes('Growth'));
+  assert.ok(ranked.find(c => c.schemeCode === '119019').reasons.includes('IDCW'));
+  assert.ok(isConfident(ranked));
+});
+
+test('an ISIN hit wins outright, whatever the name says', () => {
+  const ranked = rankCandidates({ name: 'HDFC Top 100 Fund Direct Growth', isin: 'inf179k01bb8' }, top100);
+  assert.deepEqual([ranked[0].schemeCode, ranked[0].score, ranked[0].isinMatch], ['101762', 100, true]);
+  assert.ok(isConfident(ranked));
+});
+
+test('a near-tie between similarly named schemes is only a guess', () => {
+  const lookalikes = [
+    candidate('119018', 'HDFC Top 100 Fund - Direct Plan - Growth Option'),
+    candidate('150001', 'HDFC Top 100 Fund Plus - Direct Plan - Growth')
+  ];
+  const ranked = rankCandidates({ name: 'HDFC Top 100 Fund Direct Growth' }, lookalikes);
+  assert.equal(ranked[0].schemeCode, '119018');
+  assert.ok(ranked[0].score - ranked[1].score < 10, `${ranked[0].score} vs ${ranked[1].score}`);
+  assert.equal(isConfident(ranked), false);
+  // On its own the same candidate is confident
+  assert.equal(isConfident(ranked.slice(0, 1)), true);
+  assert.equal(isConfident([]), false);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffHoldings, amcWeightChanges } from '../src/lib/snapshotDiff.js';
+
+const fund = (name, amc, units, invested, current) => ({
+  'Scheme Name': name, 'Category': 'Equity', 'Sub-category': 'Large Cap', 'AMC': amc,
+  'Units': units, 'Invested Value': invested, 'Current Value': current
+});
+
+const january = [
+  fund('HDFC Top 100 Fund', 'HDFC Mutual Fund', 100, 10000, 12000),
+  fund('SBI Bluechip Fund', 'SBI Mutual Fund', 50, 5000, 8000)
+];
+const february = [
+  // A ₹5,000 SIP went in and the market added ₹1,000 on top
+  fund('HDFC Top 100 Fund', 'HDFC Mutual Fund', 140, 15000, 18000),
+  fund('ICICI Bluechip Fund', 'ICICI Prudential Mutual Fund', 20, 2000, 2000)
+];
+
+test('a fund\'s change in value splits into fresh money and market gain', () => {
+  const { funds, totals } = diffHoldings(january, february);
+  const hdfc = funds.find(f => f.schemeName === 'HDFC Top 100 Fund');
+  assert.deepEqual(
+    [hdfc.status, hdfc.unitChange, hdfc.freshMoney, hdfc.marketGain],
+    ['added', 40, 5000, 1000]
+  );
+  // Selling SBI returned ₹8,000 that had ₹5,000 invested: -5,000 fresh money, -3,000 market
+  assert.deepEqual(
+    [totals.valueBefore, totals.valueAfter, totals.valueChange, totals.freshMoney, totals.marketGain],
+    [20000, 20000, 0, 2000, -2000]
+  );
+});
+
+test('new and exited funds are listed on their own', () => {
+  const { newFunds, exitedFunds, tree } = diffHoldings(january, february);
+  assert.deepEqual(newFunds.map(f => [f.schemeName, f.valueBefore, f.valueAfter, f.weightAfter]), [['ICICI Bluechip Fund', 0, 2000, 10]]);
+  assert.deepEqual(exitedFunds.map(f => [f.schemeName, f.unitsAfter, f.weightBefore, f.weightAfter]), [['SBI Bluechip Fund', 0, 40, 0]]);
+  // An exited fund stays in the tree where it used to sit
+  assert.deepEqual(tree.map(c => [c.name, c.subCategories.map(s => s.funds.length)]), [['Equity', [3]]]);
+});
+
+test('AMC weights are diffed in percentage points, largest move first', () => {
+  const changes = amcWeightChanges(january, february);
+  assert.deepEqual(changes.map(c => [c.name, c.weightBefore, c.weightAfter, c.weightChange]), [
+    ['SBI Mutual Fund', 40, 0, -40],
+    ['HDFC Mutual Fund', 60, 90, 30],
+    ['ICICI Prudential Mutual Fund', 0, 10, 10]
+  ]);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSnapshot, combineSnapshots } from '../src/lib/snapshots.js';
+import { casToPortfolio } from '../src/lib/cas.js';
+import { mergeSources, sourcesAsOf } from '../src/lib/merge.js';
+
+const holdings = [
+  { 'Scheme Name': 'HDFC Top 100 Fund', 'Category': 'Equity', 'AMC': 'HDFC Mutual Fund', 'Units': 100, 'Invested Value': 50000, 'Current Value': 75000 }
+];
+
+test('a snapshot is keyed by the statement date when the import states one', () => {
+  const importedOn = new Date(2026, 9, 19, 21, 30);
+  const snapshot = buildSnapshot(holdings, importedOn, new Date(2026, 2, 31));
+  assert.equal(snapshot.date, '2026-03-31');
+  assert.equal(snapshot.takenAt, importedOn);
+  assert.equal(snapshot.current, 75000);
+});
+
+test('without a statement date the import day is the key', () => {
+  assert.equal(buildSnapshot(holdings, new Date(2026, 9, 19, 21, 30)).date, '2026-10-19');
+  // Dates restored from a JSON backup arrive as strings
+  assert.equal(buildSnapshot(holdings, new Date(), '2026-06-30T00:00:00').date, '2026-06-30');
+});
+
+test('a CAS passes its period end on as the statement date', () => {
+  const periodTo = new Date(2026, 8, 30);
+  const { statementDate } = casToPortfolio({ periodFrom: new Date(2026, 0, 1), periodTo, folios: [] });
+  assert.equal(statementDate, periodTo);
+});
+
+test('household snapshots keep the members\' statement dates', () => {
+  const a = { ...buildSnapshot(holdings, new Date(2026, 9, 19), new Date(2026, 8, 30)), portfolioId: 'a' };
+  const b = { ...buildSnapshot(holdings, new Date(2026, 9, 19)), portfolioId: 'b' };
+  assert.deepEqual(combineSnapshots([a, b]).map(s => [s.date, s.current]), [['2026-09-30', 75000], ['2026-10-19', 150000]]);
+});
+
+test('two statements of the same folio each snapshot their own values', () => {
+  const folio = { 'Scheme Name': 'HDFC Top 100 Fund', 'Folio': '1234567', 'ISIN': 'INF179K01XQ0' };
+  const january = { label: 'CAS Jan', statementDate: new Date(2026, 0, 31), holdings: [{ ...folio, 'Units': 100, 'Current Value': 12000 }] };
+  const february = { label: 'CAS Feb', statementDate: new Date(2026, 1, 28), holdings: [{ ...folio, 'Units': 150, 'Current Value': 19000 }] };
+  const groww = { label: 'Groww', statementDate: null, holdings: [{ 'Scheme Name': 'SBI Small Cap Fund', 'Units': 10, 'Current Value': 1000 }] };
+
+  // Imported in either order, as the app does: the whole portfolio as of the new file's date
+  [[january, february], [february, january]].forEach(order => {
+    const sources = [groww];
+    const snapshots = order.map(source => {
+      sources.push(source);
+      return buildSnapshot(mergeSources(sourcesAsOf(sources, source.statementDate)).holdings, new Date(), source.statementDate);
+    });
+    const byDate = Object.fromEntries(snapshots.map(s => [s.date, [s.holdings.find(h => h['Folio'])['Units'], s.current]]));
+    assert.deepEqual(byDate, { '2026-01-31': [100, 13000], '2026-02-28': [150, 20000] });
+  });
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as XLSX from 'xlsx';
+import { readWorkbook, describeSheets } from '../src/lib/spreadsheet.js';
+
+test('SheetJS is a patched release', () => {
+  const [major, minor, patch] = XLSX.version.split('.').map(Number);
+  assert.ok(major > 0 || minor > 20 || (minor === 20 && patch >= 2), `xlsx ${XLSX.version}`);
+});
+
+test('reads the rows of each sheet of a workbook', async () => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([['Scheme Name', 'Units'], ['HDFC Top 100 Fund', 12.5]]), 'Holdings');
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([]), 'Notes');
+  const workbook = await readWorkbook(XLSX.write(book, { type: 'array', bookType: 'xlsx' }));
+  assert.deepEqual(workbook.sheetNames, ['Holdings', 'Notes']);
+  assert.deepEqual(workbook.rows('Holdings'), [['Scheme Name', 'Units'], ['HDFC Top 100 Fund', 12.5]]);
+  assert.deepEqual(describeSheets(workbook).map(s => s.rowCount), [2, 0]);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateImport, applyReview, defaultDecisions } from '../src/lib/validation.js';
+
+const holding = (name, invested, current, extra = {}) => ({
+  'Scheme Name': name,
+  'Units': 100,
+  'Invested Value': invested,
+  'Current Value': current,
+  'Returns': current - invested,
+  ...extra
+});
+
+test('a fund worth half the portfolio is not taken for a total', () => {
+  const report = validateImport({
+    holdings: [
+      holding('Parag Parikh Flexi Cap Fund', 80000, 100000),
+      holding('HDFC Top 100 Fund', 40000, 60000),
+      holding('SBI Small Cap Fund', 30000, 40000)
+    ]
+  });
+  assert.deepEqual(report.issues, []);
+});
+
+test('labelled totals and nameless sum rows are flagged', () => {
+  const funds = [holding('HDFC Top 100 Fund', 40000, 60000), holding('SBI Small Cap Fund', 30000, 40000)];
+  const summaries = (total) => validateImport({ holdings: [...funds, total] }).issues
+    .filter(i => i.type === 'summary').map(i => i.index);
+  assert.deepEqual(summaries(holding('Grand Total', 70000, 100000)), [2]);
+  assert.deepEqual(summaries(holding('', 70000, 100000)), [2]);
+  assert.deepEqual(summaries(holding('', 10000, 12000)), []);
+});
+
+test('fixing Current Value recomputes Returns', () => {
+  const holdings = [holding('HDFC Top 100 Fund', 40000, 0, { 'Returns': -40000, _unparsed: { 'Current Value': '6O,000' } })];
+  const report = validateImport({ holdings });
+  const decisions = defaultDecisions(report);
+  decisions['unparseable:0:Current Value'] = { action: 'fix', value: '60,000' };
+  const [fixed] = applyReview(holdings, report, decisions);
+  assert.equal(fixed['Current Value'], 60000);
+  assert.equal(fixed['Returns'], 20000);
+});
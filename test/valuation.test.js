@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { revalueHoldings } from '../src/lib/valuation.js';
+import { analyzePortfolio } from '../src/lib/analytics.js';
+import { holdingsFromTransactions, TXN_TYPES } from '../src/lib/ledger.js';
+
+const NAME = 'Parag Parikh Flexi Cap Fund - Direct Plan - Growth';
+
+const statementRow = {
+  'Scheme Name': NAME, 'Category': 'Equity', 'Sub-category': 'Flexi Cap', 'AMC': 'PPFAS Mutual Fund',
+  'Units': 1000, 'Invested Value': 100000, 'Current Value': 150000, 'Returns': 50000, 'XIRR': 18.5
+};
+
+const quotes = { [NAME]: { code: 122639, schemeName: NAME, nav: 165, date: new Date(2026, 9, 17) } };
+
+test('a revalued holding without a ledger keeps its XIRR, flagged as the statement\'s', () => {
+  const [revalued] = revalueHoldings([statementRow], quotes);
+  assert.equal(revalued['Current Value'], 165000);
+  assert.equal(revalued['XIRR'], 18.5);
+  assert.equal(revalued._xirrAsOfStatement, true);
+
+  const analysis = analyzePortfolio([revalued]);
+  assert.equal(analysis.xirrSource, 'weighted');
+  assert.equal(analysis.statementXIRRCount, 1);
+});
+
+test('with a ledger the XIRR is recomputed up to the quote date', () => {
+  const transactions = [{
+    date: new Date(2024, 9, 17), schemeName: NAME, category: '', subCategory: '', amc: '', folio: '', isin: '',
+    type: TXN_TYPES.PURCHASE, amount: 100000, units: 1000, nav: 100
+  }];
+  const [ledgerRow] = holdingsFromTransactions(transactions);
+  const [revalued] = revalueHoldings([ledgerRow], quotes);
+  assert.equal(revalued._valueDate, quotes[NAME].date);
+
+  const analysis = analyzePortfolio([revalued], { transactions, asOf: new Date(2030, 0, 1) });
+  const [fund] = analysis.processedData;
+  assert.equal(fund._xirrAsOfStatement, false);
+  assert.equal(analysis.statementXIRRCount, 0);
+  // 65% over two years, closed on the NAV date rather than `asOf`
+  assert.ok(Math.abs(fund['XIRR'] - 28.45) < 0.1, `XIRR was ${fund['XIRR']}`);
+});